@@ -10,8 +10,18 @@ const fs = require('fs').promises;
 const config = require('./src/utils/config');
 const MetadataAnalyzer = require('./src/MetadataAnalyzer');
 const queryAPI = require('./src/storage/queryAPI');
+const database = require('./src/storage/database');
+const queryLanguage = require('./src/storage/queryLanguage');
+const logger = require('./src/utils/logger');
 const LLMFormatter = require('./src/formatters/LLMFormatter');
+const FileOrganizer = require('./src/organizers/FileOrganizer');
+const DuplicateResolver = require('./src/organizers/DuplicateResolver');
+const operationJournal = require('./src/organizers/operationJournal');
 const treeVisualizer = require('./src/visualizers/TreeVisualizer');
+const geoFormatter = require('./src/formatters/GeoFormatter');
+const gpsUtils = require('./src/utils/gps');
+const Geotagger = require('./src/utils/geotagger');
+const hashUtil = require('./src/utils/hash');
 
 const program = new Command();
 
@@ -31,6 +41,7 @@ program
     .option('--no-incremental', 'Disable incremental scanning')
     .option('-d, --max-depth <depth>', 'Maximum directory depth', parseInt)
     .option('-c, --concurrency <num>', 'Number of concurrent processes', parseInt)
+    .option('--resume', 'Continue the last interrupted run of this directory from its checkpoint')
     .action(async (directory, options) => {
         try {
             // Load configuration
@@ -54,16 +65,27 @@ program
             // Set up progress reporting
             analyzer.onProgress((progress) => {
                 const bar = createProgressBar(progress.percentage);
-                process.stdout.write(`\r${bar} ${progress.percentage}% (${progress.current}/${progress.total}) - ${progress.currentFile || ''}`);
+                const total = progress.totalFinal ? progress.total : `${progress.total}+`;
+                process.stdout.write(`\r${bar} ${progress.percentage}% (${progress.current}/${total}) - ${progress.currentFile || ''}`);
             });
 
             // Run analysis
-            const result = await analyzer.analyze(path.resolve(directory));
+            const result = await analyzer.analyze(path.resolve(directory), { resume: options.resume });
 
-            console.log('\n\n✓ Analysis complete!');
+            console.log(result.resumed ? `\n\n✓ Analysis complete (resumed scan ${result.scanId})!` : '\n\n✓ Analysis complete!');
             console.log(`  Duration: ${(result.duration / 1000).toFixed(2)}s`);
             console.log(`  Files processed: ${result.filesProcessed}`);
             console.log(`  New: ${result.stats.newFiles}, Modified: ${result.stats.modifiedFiles}, Unchanged: ${result.stats.unchangedFiles}`);
+            if (result.stats.reprocessedFiles) {
+                console.log(`  Reprocessed: ${result.stats.reprocessedFiles} (indexed before full metadata was stored)`);
+            }
+            console.log(`  Deleted: ${result.stats.deletedFiles}, Moved: ${result.stats.movedFiles}`);
+            console.log(`  Root: ${result.root.label} (${result.root.path})`);
+            console.log(`  Errors: ${result.errorCount} (see \`fmao history ${result.scanId}\`)`);
+
+            for (const change of result.collections.filter(c => c.added.length > 0 || c.removed.length > 0)) {
+                console.log(`  Collection ${change.name}: ${formatMembershipChange(change)} (${change.fileCount} files)`);
+            }
 
             await analyzer.close();
 
@@ -77,30 +99,42 @@ program
  * Query command
  */
 program
-    .command('query')
-    .description('Query file metadata')
+    .command('query [expression]')
+    .description('Query file metadata (e.g. \'image.width>=3000 and exif.make="Canon"\')')
     .option('-c, --category <category>', 'Filter by category (image, video, audio, document, code, archive)')
     .option('-e, --extension <ext>', 'Filter by file extension')
     .option('--min-size <bytes>', 'Minimum file size', parseInt)
     .option('--max-size <bytes>', 'Maximum file size', parseInt)
     .option('-l, --limit <num>', 'Limit number of results', parseInt)
-    .option('-s, --search <term>', 'Search term')
-    .option('--sort <field>', 'Sort by field')
+    .option('-s, --search <query>', 'Full-text search of names, paths, tags and content (FTS5 syntax: "phrase", prefix*, AND/OR/NOT, NEAR)')
+    .option('--failure <type>', 'Only files whose processing failed (timeout, crash, error, any)')
+    .option('--near <lat,lon>', 'Only files taken near this point (decimal or DMS coordinates)')
+    .option('--radius <distance>', 'Distance from --near, e.g. 500m, 5km or 3mi', '1km')
+    .option('--bbox <west,south,east,north>', 'Only files taken inside this box (decimal degrees)')
+    .option('--place <name>', 'Only files taken in this city, region or country (name or country code)')
+    .option('--sort <field>', 'Sort by field (files near a point come nearest first)')
     .option('-o, --output <format>', 'Output format (json, table, markdown)', 'table')
-    .action(async (options) => {
+    .option('-r, --root <root>', 'Only files under this root (id, label or path)')
+    .action(async (expression, options) => {
         try {
             await config.load();
             const analyzer = new MetadataAnalyzer(config.getAll());
             await analyzer.init();
 
             const results = await queryAPI.query({
+                where: expression,
                 category: options.category,
                 extension: options.extension,
                 minSize: options.minSize,
                 maxSize: options.maxSize,
                 limit: options.limit,
                 search: options.search,
-                sortBy: options.sort
+                highlight: process.stdout.isTTY && options.output === 'table' ? ['\x1b[1m', '\x1b[22m'] : ['[', ']'],
+                failure: options.failure,
+                sortBy: options.sort,
+                rootId: resolveRootId(options.root),
+                place: options.place,
+                ...parseLocationFilters(options)
             });
 
             if (options.output === 'json') {
@@ -126,13 +160,17 @@ program
     .command('stats')
     .description('Show statistics about analyzed files')
     .option('-c, --category <category>', 'Filter by category')
+    .option('-r, --root <root>', 'Only files under this root (id, label or path)')
     .action(async (options) => {
         try {
             await config.load();
             const analyzer = new MetadataAnalyzer(config.getAll());
             await analyzer.init();
 
-            const stats = await queryAPI.getStats({ category: options.category });
+            const stats = await queryAPI.getStats({
+                category: options.category,
+                rootId: resolveRootId(options.root)
+            });
 
             console.log('\n📊 File Statistics\n');
             console.log(`Total files: ${stats.totalFiles}`);
@@ -169,13 +207,17 @@ program
     .option('-o, --output <file>', 'Output file (default: stdout)')
     .option('--no-size', 'Hide file sizes')
     .option('-c, --category <category>', 'Filter by category')
+    .option('-r, --root <root>', 'Only files under this root (id, label or path)')
     .action(async (options) => {
         try {
             await config.load();
             const analyzer = new MetadataAnalyzer(config.getAll());
             await analyzer.init();
 
-            const files = await queryAPI.query({ category: options.category });
+            const files = await queryAPI.query({
+                category: options.category,
+                rootId: resolveRootId(options.root)
+            });
 
             let output;
             if (options.format === 'ascii') {
@@ -212,23 +254,33 @@ program
     .option('-o, --output <file>', 'Output file (default: stdout)')
     .option('-c, --category <category>', 'Filter by category')
     .option('--recent', 'Prioritize recent files', true)
+    .option('--no-events', 'Leave out the summaries of saved events (see `fmao events --save`)')
+    .option('-r, --root <root>', 'Only files under this root (id, label or path)')
     .action(async (options) => {
         try {
             await config.load();
             const analyzer = new MetadataAnalyzer(config.getAll());
             await analyzer.init();
 
-            const files = await queryAPI.query({ category: options.category });
+            const files = await queryAPI.query({
+                category: options.category,
+                rootId: resolveRootId(options.root)
+            });
 
             const formatter = new LLMFormatter({
                 contextWindow: options.maxTokens,
                 tokenCountingModel: 'gpt-4'
             });
 
+            const events = options.events
+                ? database.getCollections().filter(collection => collection.details?.type === 'event')
+                : [];
+
             const context = formatter.formatForLLM(files, {
                 maxTokens: options.maxTokens,
                 prioritizeRecent: options.recent,
-                format: options.format
+                format: options.format,
+                events
             });
 
             if (options.output) {
@@ -252,18 +304,24 @@ program
  */
 program
     .command('duplicates')
-    .description('Find duplicate files')
-    .action(async () => {
+    .description('Find duplicate files, and optionally resolve them')
+    .option('-r, --root <root>', 'Only files under this root (id, label or path)')
+    .option('--keep <policies>', 'File to keep in each group: oldest, newest, shortest-path, preferred-root, highest-resolution (comma-separated; later ones break ties)')
+    .option('--prefer-root <root>', 'Keep the copy under this root (id, label or path)')
+    .option('--action <action>', 'Resolve the duplicates: delete, quarantine, hardlink or symlink')
+    .option('--quarantine-dir <dir>', 'Where quarantined files go (default: duplicates.quarantineDir)')
+    .option('--dry-run', 'With --action, show what would be done and the bytes reclaimed')
+    .action(async (options) => {
         try {
             await config.load();
             const analyzer = new MetadataAnalyzer(config.getAll());
             await analyzer.init();
 
-            const duplicates = await queryAPI.findDuplicates();
+            const duplicates = await queryAPI.findDuplicates({ rootId: resolveRootId(options.root) });
 
             if (duplicates.length === 0) {
                 console.log('✓ No duplicates found');
-            } else {
+            } else if (!options.action) {
                 console.log(`\n Found ${duplicates.length} sets of duplicates:\n`);
 
                 for (const dup of duplicates) {
@@ -273,6 +331,50 @@ program
                     }
                     console.log();
                 }
+            } else {
+                const preferredRoot = options.preferRoot ? database.resolveRoot(options.preferRoot) : null;
+                if (options.preferRoot && !preferredRoot) {
+                    throw new Error(`Unknown root: ${options.preferRoot}`);
+                }
+
+                const resolver = new DuplicateResolver({
+                    keep: options.keep ? options.keep.split(',').map(p => p.trim()) : config.get('duplicates.keep'),
+                    preferredRoot,
+                    action: options.action,
+                    quarantineDir: options.quarantineDir || config.get('duplicates.quarantineDir'),
+                    roots: database.getRoots()
+                });
+                const plan = await resolver.plan(duplicates);
+
+                for (const group of plan) {
+                    console.log(`📦 ${group.steps.length + 1} files, ${formatSize(group.keep.size)} each:`);
+                    console.log(`   keep        ${displayPath(group.keep.path)}`);
+                    for (const step of group.steps) {
+                        const note = step.reason ? ` (${step.reason})` : step.destination ? ` → ${displayPath(step.destination)}` : '';
+                        console.log(`   ${step.action.padEnd(10)}  ${displayPath(step.file.path)}${note}`);
+                    }
+                    console.log();
+                }
+
+                const planned = plan.flatMap(group => group.steps).filter(step => step.action !== 'skip');
+                const reclaimable = plan.reduce((sum, group) => sum + group.reclaimable, 0);
+
+                if (options.dryRun) {
+                    console.log(`Dry run: ${planned.length} duplicate(s) would be resolved (${options.action}), reclaiming ${formatSize(reclaimable)}`);
+                    console.log('Contents are compared byte by byte before anything is changed.');
+                } else if (planned.length === 0) {
+                    console.log('Nothing to do');
+                } else {
+                    const result = await resolver.apply(plan);
+                    console.log(`✓ ${result.resolved} duplicate(s) resolved (${options.action}), ${formatSize(result.reclaimed)} reclaimed, ${result.skipped} skipped, ${result.failed} failed`);
+
+                    for (const failure of result.errors) {
+                        console.log(`  ✗ ${displayPath(failure.path)}: ${failure.error}`);
+                    }
+                    if (result.resolved > 0 && options.action !== 'delete') {
+                        console.log(`  Undo with \`fmao undo ${result.operationId}\``);
+                    }
+                }
             }
 
             await analyzer.close();
@@ -284,50 +386,1433 @@ program
     });
 
 /**
- * Helper functions
+ * Similar command
  */
+program
+    .command('similar [file]')
+    .description('Find images that look like a file, or cluster near-duplicate images with --all')
+    .option('-a, --all', 'Cluster all near-duplicate images and pick the best copy of each cluster')
+    .option('-t, --threshold <bits>', 'Largest Hamming distance (of 64 bits) counted as similar', parseInt, 8)
+    .option('--hash <hash>', 'Hash to compare: phash, dhash or ahash', 'phash')
+    .option('-r, --root <root>', 'Only images under this root (id, label or path)')
+    .option('-o, --output <format>', 'Output format (json, table)', 'table')
+    .action(async (file, options) => {
+        try {
+            await config.load();
+            const analyzer = new MetadataAnalyzer(config.getAll());
+            await analyzer.init();
 
-function createProgressBar(percentage) {
-    const width = 30;
-    const filled = Math.floor((percentage / 100) * width);
-    const empty = width - filled;
-    return '[' + '█'.repeat(filled) + '░'.repeat(empty) + ']';
-}
+            if (!file === !options.all) {
+                throw new Error('Give either an image file or --all');
+            }
+            if (isNaN(options.threshold) || options.threshold < 0 || options.threshold > 64) {
+                throw new Error('--threshold must be between 0 and 64');
+            }
 
-function formatSize(bytes) {
-    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
-    let size = bytes;
-    let unitIndex = 0;
+            const rootId = resolveRootId(options.root);
 
-    while (size >= 1024 && unitIndex < units.length - 1) {
-        size /= 1024;
-        unitIndex++;
-    }
+            if (options.all) {
+                const clusters = await queryAPI.findSimilarClusters({ threshold: options.threshold, hash: options.hash, rootId });
 
-    return `${size.toFixed(2)} ${units[unitIndex]}`;
-}
+                if (options.output === 'json') {
+                    console.log(JSON.stringify(clusters, null, 2));
+                } else if (clusters.length === 0) {
+                    console.log('✓ No near-duplicate images found');
+                } else {
+                    console.log(`\n Found ${clusters.length} clusters of near-duplicate images:\n`);
 
-function printTable(results) {
-    if (results.length === 0) {
-        console.log('No results found');
-        return;
-    }
+                    for (const cluster of clusters) {
+                        console.log(`🖼  ${cluster.count} images (${formatSize(cluster.totalSize)} total):`);
+                        for (const image of cluster.files) {
+                            const label = image === cluster.representative ? 'best' : `±${image.distance}`;
+                            const dimensions = image.width ? `${image.width}x${image.height}` : '';
+                            console.log(`   ${label.padEnd(5)} ${displayPath(image.path)}  ${dimensions} ${formatSize(image.size)}`);
+                        }
+                        console.log();
+                    }
+                }
+            } else {
+                const filePath = path.resolve(file);
+                const stored = database.getFile(filePath);
+                if (!stored?.metadata?.image?.differenceHash) {
+                    throw new Error(`${file} is not an analyzed image with perceptual hashes`);
+                }
 
-    console.log('\n');
-    console.log('Path'.padEnd(50) + 'Category'.padEnd(15) + 'Size'.padEnd(15) + 'Modified');
-    console.log('-'.repeat(95));
+                const similar = await queryAPI.findSimilar(filePath, options.threshold, { hash: options.hash, rootId });
 
-    for (const file of results.slice(0, 50)) {
-        const path = (file.relativePath || file.path || 'Unknown').padEnd(50).substring(0, 50);
-        const category = (file.category || 'unknown').padEnd(15);
-        const size = formatSize(file.size || 0).padEnd(15);
-        const modified = new Date(file.modified || Date.now()).toLocaleDateString();
+                if (options.output === 'json') {
+                    console.log(JSON.stringify(similar, null, 2));
+                } else if (similar.length === 0) {
+                    console.log(`No images within ${options.threshold} bits of ${file}`);
+                } else {
+                    console.log(`\n${similar.length} similar images:\n`);
+                    for (const match of similar) {
+                        console.log(`   ±${String(match.distance).padEnd(3)} ${displayPath(match.file.path)}`);
+                    }
+                }
+            }
 
-        console.log(path + category + size + modified);
-    }
+            await analyzer.close();
 
-    if (results.length > 50) {
-        console.log(`\n... and ${results.length - 50} more`);
+        } catch (error) {
+            console.error('✗ Similarity search failed:', error.message);
+            process.exit(1);
+        }
+    });
+
+/**
+ * Errors command
+ */
+program
+    .command('errors')
+    .description('List processing errors, grouped by processor, message or type')
+    .option('-g, --group-by <field>', 'Group by processor, message or type', 'processor')
+    .option('--list', 'List every error instead of grouping')
+    .option('-p, --processor <name>', 'Only errors raised by this processor')
+    .option('-t, --type <type>', 'Only this failure type (timeout, crash, error)')
+    .option('-r, --root <root>', 'Only files under this root (id, label or path)')
+    .option('-o, --output <format>', 'Output format (json, table)', 'table')
+    .action(async (options) => {
+        try {
+            await config.load();
+            const analyzer = new MetadataAnalyzer(config.getAll());
+            await analyzer.init();
+
+            if (!['processor', 'message', 'type'].includes(options.groupBy)) {
+                throw new Error(`Cannot group by ${options.groupBy} (use processor, message or type)`);
+            }
+
+            const filters = {
+                processor: options.processor,
+                type: options.type,
+                rootId: resolveRootId(options.root)
+            };
+
+            const results = options.list ?
+                database.getProcessingErrors(filters) :
+                await queryAPI.getErrorSummary(filters, options.groupBy);
+
+            if (options.output === 'json') {
+                console.log(JSON.stringify(results, null, 2));
+            } else if (results.length === 0) {
+                console.log('✓ No processing errors recorded');
+            } else if (options.list) {
+                for (const error of results) {
+                    console.log(`${error.relativePath || error.path}`);
+                    console.log(`   ${error.processor} [${error.type}] ${error.message}`);
+                }
+            } else {
+                const label = options.groupBy[0].toUpperCase() + options.groupBy.slice(1);
+                console.log('\n' + label.padEnd(60) + 'Errors'.padEnd(8) + 'Files'.padEnd(8) + 'Types');
+                console.log('-'.repeat(100));
+
+                for (const group of results) {
+                    const types = Object.entries(group.types).map(([type, count]) => `${type}:${count}`).join(' ');
+                    console.log(
+                        String(group.key).padEnd(60).substring(0, 60) +
+                        String(group.count).padEnd(8) +
+                        String(group.files).padEnd(8) +
+                        types
+                    );
+                }
+
+                console.log('\nRun `fmao errors --list` for details, `fmao retry` to reprocess failed files.');
+            }
+
+            await analyzer.close();
+
+        } catch (error) {
+            console.error('✗ Listing errors failed:', error.message);
+            process.exit(1);
+        }
+    });
+
+/**
+ * Retry command
+ */
+program
+    .command('retry')
+    .description('Reprocess only the files whose processing failed')
+    .option('-p, --processor <name>', 'Reprocess with this processor (e.g. PDFProcessor)')
+    .option('--failed-by <name>', 'Only files this processor failed on')
+    .option('-t, --type <type>', 'Only files that failed with this type (timeout, crash, error)')
+    .option('-r, --root <root>', 'Only files under this root (id, label or path)')
+    .action(async (options) => {
+        try {
+            await config.load();
+            const analyzer = new MetadataAnalyzer(config.getAll());
+            await analyzer.init();
+
+            analyzer.onProgress((progress) => {
+                const bar = createProgressBar(progress.percentage);
+                process.stdout.write(`\r${bar} ${progress.percentage}% (${progress.current}/${progress.total}) - ${progress.currentFile || ''}`);
+            });
+
+            const result = await analyzer.retry({
+                type: options.type,
+                failedProcessor: options.failedBy,
+                rootId: resolveRootId(options.root)
+            }, { processor: options.processor });
+
+            console.log('\n\n✓ Retry complete!');
+            console.log(`  Retried: ${result.retried}, Fixed: ${result.fixed}, Still failing: ${result.failed}, Missing: ${result.missing}`);
+
+            await analyzer.close();
+
+        } catch (error) {
+            console.error('✗ Retry failed:', error.message);
+            process.exit(1);
+        }
+    });
+
+/**
+ * Roots command
+ */
+const roots = program
+    .command('roots')
+    .description('Manage indexed root directories');
+
+roots
+    .command('list')
+    .description('List roots with file counts and last scan')
+    .option('-o, --output <format>', 'Output format (json, table)', 'table')
+    .action(async (options) => {
+        try {
+            await config.load();
+            const analyzer = new MetadataAnalyzer(config.getAll());
+            await analyzer.init();
+
+            const rootList = database.getRoots();
+
+            if (options.output === 'json') {
+                console.log(JSON.stringify(rootList, null, 2));
+            } else if (rootList.length === 0) {
+                console.log('No roots yet. Run `fmao analyze <directory>` or `fmao roots add <directory>`.');
+            } else {
+                console.log('\n' + 'ID'.padEnd(5) + 'Label'.padEnd(20) + 'Files'.padEnd(10) + 'Size'.padEnd(15) + 'Last scan'.padEnd(25) + 'Path');
+                console.log('-'.repeat(110));
+
+                for (const root of rootList) {
+                    const lastScan = root.lastScanAt ? new Date(root.lastScanAt).toLocaleString() : 'never';
+                    console.log(
+                        String(root.id).padEnd(5) +
+                        (root.label || '').padEnd(20).substring(0, 20) +
+                        String(root.fileCount).padEnd(10) +
+                        formatSize(root.totalSize).padEnd(15) +
+                        lastScan.padEnd(25) +
+                        root.path
+                    );
+                }
+            }
+
+            await analyzer.close();
+
+        } catch (error) {
+            console.error('✗ Listing roots failed:', error.message);
+            process.exit(1);
+        }
+    });
+
+roots
+    .command('add')
+    .description('Register a root directory without scanning it')
+    .argument('<directory>', 'Directory to register')
+    .option('-l, --label <label>', 'Short name used with --root (default: directory name)')
+    .action(async (directory, options) => {
+        try {
+            await config.load();
+            const analyzer = new MetadataAnalyzer(config.getAll());
+            await analyzer.init();
+
+            const stat = await fs.stat(path.resolve(directory));
+            if (!stat.isDirectory()) {
+                throw new Error(`Not a directory: ${directory}`);
+            }
+
+            const root = database.addRoot(path.resolve(directory), { label: options.label });
+            console.log(`✓ Root ${root.id} (${root.label}): ${root.path}`);
+
+            await analyzer.close();
+
+        } catch (error) {
+            console.error('✗ Adding root failed:', error.message);
+            process.exit(1);
+        }
+    });
+
+roots
+    .command('remove')
+    .description('Unregister a root and drop its file records (files on disk are untouched)')
+    .argument('<root>', 'Root id, label or path')
+    .action(async (spec) => {
+        try {
+            await config.load();
+            const analyzer = new MetadataAnalyzer(config.getAll());
+            await analyzer.init();
+
+            const root = database.resolveRoot(spec);
+            if (!root) {
+                throw new Error(`Unknown root: ${spec}`);
+            }
+
+            const removed = database.removeRoot(root.id);
+            console.log(`✓ Removed root ${root.label} (${removed} file records)`);
+
+            await analyzer.close();
+
+        } catch (error) {
+            console.error('✗ Removing root failed:', error.message);
+            process.exit(1);
+        }
+    });
+
+/**
+ * History command
+ */
+program
+    .command('history')
+    .description('List past analyze runs, or show the files changed by one run')
+    .argument('[scanId]', 'Scan to show in detail', parseInt)
+    .option('-r, --root <root>', 'Only runs of this root (id, label or path)')
+    .option('-l, --limit <num>', 'Number of runs to list', parseInt, 20)
+    .option('--change <type>', 'Only show this change type (added, modified, deleted, moved)')
+    .option('-o, --output <format>', 'Output format (json, table)', 'table')
+    .action(async (scanId, options) => {
+        try {
+            await config.load();
+            const analyzer = new MetadataAnalyzer(config.getAll());
+            await analyzer.init();
+
+            const rootLabels = new Map(database.getRoots().map(r => [r.id, r.label]));
+
+            if (scanId) {
+                const scan = database.getScan(scanId);
+                if (!scan) {
+                    throw new Error(`Unknown scan: ${scanId}`);
+                }
+
+                const changes = database.getScanChanges(scanId, { change: options.change });
+
+                if (options.output === 'json') {
+                    console.log(JSON.stringify({ ...scan, changes }, null, 2));
+                } else {
+                    printScanDetails(scan, changes, rootLabels);
+                }
+            } else {
+                const scans = database.getScans({
+                    rootId: resolveRootId(options.root),
+                    limit: options.limit
+                });
+
+                if (options.output === 'json') {
+                    console.log(JSON.stringify(scans, null, 2));
+                } else {
+                    printScanTable(scans, rootLabels);
+                }
+            }
+
+            await analyzer.close();
+
+        } catch (error) {
+            console.error('✗ History failed:', error.message);
+            process.exit(1);
+        }
+    });
+
+/**
+ * Plugins command
+ */
+program
+    .command('plugins')
+    .description('List loaded plugins and which processors handle each file extension')
+    .option('-e, --extension <ext...>', 'Only show handlers for these extensions')
+    .option('-o, --output <format>', 'Output format (json, table)', 'table')
+    .action(async (options) => {
+        try {
+            await config.load();
+            const analyzer = new MetadataAnalyzer(config.getAll());
+            await analyzer.init();
+
+            const plugins = analyzer.processors.filter(p => p.modulePath).map(p => ({
+                name: p.name,
+                version: p.version,
+                source: p.source,
+                modulePath: p.modulePath,
+                priority: p.getPriority(),
+                extensions: p.getSupportedExtensions(),
+                mimeTypes: p.getSupportedMimeTypes()
+            }));
+            const extensions = options.extension ? options.extension.map(e => e.replace(/^\./, '').toLowerCase()) : null;
+            const handlers = await analyzer.getHandlers(extensions);
+            const pluginNames = new Set(plugins.map(p => p.name));
+
+            if (options.output === 'json') {
+                console.log(JSON.stringify({ plugins, failures: analyzer.pluginFailures, handlers }, null, 2));
+            } else {
+                console.log(`\n🔌 Plugins (${plugins.length} loaded)\n`);
+
+                if (plugins.length === 0) {
+                    console.log('No plugins configured. Add processors to "plugins" in config.json.');
+                }
+
+                for (const plugin of plugins) {
+                    console.log(`${plugin.name}@${plugin.version}  priority ${plugin.priority}  (${plugin.source})`);
+                    console.log(`   Extensions: ${plugin.extensions.join(', ') || '-'}`);
+                    console.log(`   MIME types: ${plugin.mimeTypes.join(', ') || '-'}`);
+                }
+
+                for (const failure of analyzer.pluginFailures) {
+                    console.log(`✗ ${failure.module}: ${failure.error}`);
+                }
+
+                console.log('\n' + 'Extension'.padEnd(12) + 'Category'.padEnd(14) + 'MIME type'.padEnd(45) + 'Processor');
+                console.log('-'.repeat(95));
+
+                for (const handler of handlers) {
+                    const label = (name) => name + (pluginNames.has(name) ? ' (plugin)' : '');
+                    const processor = [handler.processor ? label(handler.processor) : '-', ...handler.enrichers.map(label)].join(' + ');
+                    console.log(
+                        ('.' + handler.extension).padEnd(12) +
+                        handler.category.padEnd(14) +
+                        handler.mimeType.substring(0, 44).padEnd(45) +
+                        processor
+                    );
+                }
+            }
+
+            await analyzer.close();
+
+        } catch (error) {
+            console.error('✗ Listing plugins failed:', error.message);
+            process.exit(1);
+        }
+    });
+
+/**
+ * Database command
+ */
+const db = program
+    .command('db')
+    .description('Maintain the SQLite database');
+
+db
+    .command('migrate')
+    .description('Upgrade the SQLite database schema (backs up the database first)')
+    .option('--dry-run', 'Show pending migrations without applying them')
+    .option('--no-backup', 'Do not back up the database before migrating')
+    .action(async (options) => {
+        try {
+            await config.load();
+            const settings = config.getAll();
+
+            if (settings.storage.type === 'json') {
+                throw new Error('The JSON store has no schema to migrate');
+            }
+
+            // Open without the automatic migration so pending ones can be listed
+            await logger.init(settings.logging);
+            await database.init(settings.storage, { migrate: false });
+
+            const version = database.getSchemaVersion();
+            const pending = database.getPendingMigrations();
+
+            console.log(`\n🗄  Schema version ${version} (${settings.storage.dbPath})\n`);
+
+            if (pending.length === 0) {
+                console.log('Database is up to date');
+            } else if (options.dryRun) {
+                console.log(`${pending.length} pending migration(s):`);
+                for (const migration of pending) {
+                    console.log(`   ${migration.version}. ${migration.description}`);
+                }
+            } else {
+                const result = await database.migrate({ backup: options.backup });
+
+                if (result.backupPath) {
+                    console.log(`Backup: ${result.backupPath}`);
+                }
+                for (const migration of result.applied) {
+                    console.log(`✓ ${migration.version}. ${migration.description}`);
+                }
+                console.log(`\nMigrated from version ${result.from} to ${result.to}`);
+            }
+
+            await database.close();
+            logger.close();
+
+        } catch (error) {
+            console.error('✗ Migration failed:', error.message);
+            process.exit(1);
+        }
+    });
+
+/**
+ * Collections command
+ */
+const collections = program
+    .command('collections')
+    .description('Manage saved queries (smart collections), re-evaluated after each analyze');
+
+collections
+    .command('save')
+    .description('Save a query as a named collection (replaces the query of an existing one)')
+    .argument('<name>', 'Collection name')
+    .argument('[expression]', 'Query expression, as for `fmao query`')
+    .option('-c, --category <category>', 'Filter by category')
+    .option('-e, --extension <ext>', 'Filter by file extension')
+    .option('--min-size <bytes>', 'Minimum file size', parseInt)
+    .option('--max-size <bytes>', 'Maximum file size', parseInt)
+    .option('-s, --search <query>', 'Full-text search')
+    .option('-t, --tag <tags...>', 'Files with any of these tags')
+    .option('--place <name>', 'Only files taken in this city, region or country')
+    .option('--failure <type>', 'Only files whose processing failed (timeout, crash, error, any)')
+    .option('-r, --root <root>', 'Only files under this root (id, label or path)')
+    .option('-d, --description <text>', 'What the collection is for')
+    .action(async (name, expression, options) => {
+        try {
+            await config.load();
+            const analyzer = new MetadataAnalyzer(config.getAll());
+            await analyzer.init();
+
+            const query = Object.fromEntries(Object.entries({
+                where: expression,
+                category: options.category,
+                extension: options.extension,
+                minSize: options.minSize,
+                maxSize: options.maxSize,
+                search: options.search,
+                tags: options.tag,
+                place: options.place,
+                failure: options.failure,
+                rootId: resolveRootId(options.root)
+            }).filter(([, value]) => value !== undefined));
+
+            if (Object.keys(query).length === 0) {
+                throw new Error('Give a query expression or at least one filter option');
+            }
+
+            // Check the query before saving it
+            if (query.where) {
+                queryLanguage.parse(query.where);
+            }
+
+            database.saveCollection({ name, query, description: options.description });
+            const { collection } = await queryAPI.evaluateCollection(name);
+            console.log(`✓ Saved collection ${name} (${collection.fileCount} files)`);
+
+            await analyzer.close();
+
+        } catch (error) {
+            console.error('✗ Saving collection failed:', error.message);
+            process.exit(1);
+        }
+    });
+
+collections
+    .command('list')
+    .description('List collections with their size and last membership change')
+    .option('-o, --output <format>', 'Output format (json, table)', 'table')
+    .action(async (options) => {
+        try {
+            await config.load();
+            const analyzer = new MetadataAnalyzer(config.getAll());
+            await analyzer.init();
+
+            const list = database.getCollections();
+
+            if (options.output === 'json') {
+                console.log(JSON.stringify(list, null, 2));
+            } else if (list.length === 0) {
+                console.log('No collections yet. Save one with `fmao collections save <name> <expression>`.');
+            } else {
+                console.log('\n' + 'Name'.padEnd(25) + 'Files'.padEnd(8) + 'Last change'.padEnd(30) + 'Query');
+                console.log('-'.repeat(110));
+
+                for (const collection of list) {
+                    const change = collection.lastChange
+                        ? `${formatMembershipChange(collection.lastChange)} ${new Date(collection.lastChange.at).toLocaleDateString()}`
+                        : '-';
+                    console.log(
+                        collection.name.padEnd(25).substring(0, 25) +
+                        String(collection.fileCount).padEnd(8) +
+                        change.padEnd(30) +
+                        formatCollectionQuery(collection.query)
+                    );
+                    if (collection.description) {
+                        console.log(`  ${collection.description}`);
+                    }
+                }
+            }
+
+            await analyzer.close();
+
+        } catch (error) {
+            console.error('✗ Listing collections failed:', error.message);
+            process.exit(1);
+        }
+    });
+
+collections
+    .command('run')
+    .description('Evaluate a collection and list its files and membership changes')
+    .argument('<name>', 'Collection name')
+    .option('-o, --output <format>', 'Output format (json, table, markdown)', 'table')
+    .action(async (name, options) => {
+        try {
+            await config.load();
+            const analyzer = new MetadataAnalyzer(config.getAll());
+            await analyzer.init();
+
+            const { files, added, removed } = await queryAPI.evaluateCollection(name);
+
+            if (options.output === 'json') {
+                console.log(JSON.stringify(files, null, 2));
+            } else {
+                if (options.output === 'markdown') {
+                    printMarkdownTable(files);
+                } else {
+                    printTable(files);
+                }
+
+                if (added.length > 0 || removed.length > 0) {
+                    console.log(`\nChanged since last evaluation: ${formatMembershipChange({ added, removed })}`);
+                    for (const filePath of added.slice(0, 20)) console.log(`  + ${filePath}`);
+                    for (const filePath of removed.slice(0, 20)) console.log(`  - ${filePath}`);
+                    if (added.length > 20 || removed.length > 20) {
+                        console.log('  ...');
+                    }
+                }
+            }
+
+            await analyzer.close();
+
+        } catch (error) {
+            console.error('✗ Running collection failed:', error.message);
+            process.exit(1);
+        }
+    });
+
+collections
+    .command('delete')
+    .description('Delete a collection (files are untouched)')
+    .argument('<name>', 'Collection name')
+    .action(async (name) => {
+        try {
+            await config.load();
+            const analyzer = new MetadataAnalyzer(config.getAll());
+            await analyzer.init();
+
+            if (!database.deleteCollection(name)) {
+                throw new Error(`Unknown collection: ${name}`);
+            }
+            console.log(`✓ Deleted collection ${name}`);
+
+            await analyzer.close();
+
+        } catch (error) {
+            console.error('✗ Deleting collection failed:', error.message);
+            process.exit(1);
+        }
+    });
+
+/**
+ * Tag command
+ */
+const tag = program
+    .command('tag')
+    .description('Add, remove and list tags of the files a query selects');
+
+/**
+ * Add the file selection options shared by the tag commands
+ */
+function withSelection(command) {
+    return command
+        .option('-w, --where <expression>', 'Query expression selecting the files, as for `fmao query`')
+        .option('-c, --category <category>', 'Filter by category')
+        .option('-e, --extension <ext>', 'Filter by file extension')
+        .option('-s, --search <query>', 'Full-text search')
+        .option('-r, --root <root>', 'Only files under this root (id, label or path)')
+        .option('--near <lat,lon>', 'Only files taken near this point')
+        .option('--radius <distance>', 'Distance from --near, e.g. 500m, 5km or 3mi', '1km')
+        .option('--bbox <west,south,east,north>', 'Only files taken inside this box')
+        .option('--place <name>', 'Only files taken in this city, region or country')
+        .option('--all', 'Select every file');
+}
+
+withSelection(tag
+    .command('add')
+    .description('Tag the selected files')
+    .argument('<tags...>', 'Tags to add'))
+    .action(async (tags, options) => {
+        try {
+            await config.load();
+            const analyzer = new MetadataAnalyzer(config.getAll());
+            await analyzer.init();
+
+            const files = await selectFiles(options, { required: true });
+            const added = database.addTags(files.map(f => f.path), tags);
+            console.log(`✓ Added ${added} tag(s) to ${files.length} file(s)`);
+
+            await analyzer.close();
+
+        } catch (error) {
+            console.error('✗ Tagging failed:', error.message);
+            process.exit(1);
+        }
+    });
+
+withSelection(tag
+    .command('remove')
+    .description('Remove tags from the selected files (rule tags return on the next analyze while the rule matches)')
+    .argument('<tags...>', 'Tags to remove'))
+    .action(async (tags, options) => {
+        try {
+            await config.load();
+            const analyzer = new MetadataAnalyzer(config.getAll());
+            await analyzer.init();
+
+            const files = await selectFiles({ ...options, tags }, { required: true });
+            const removed = database.removeTags(files.map(f => f.path), tags);
+            console.log(`✓ Removed ${removed} tag(s) from ${files.length} file(s)`);
+
+            await analyzer.close();
+
+        } catch (error) {
+            console.error('✗ Removing tags failed:', error.message);
+            process.exit(1);
+        }
+    });
+
+withSelection(tag
+    .command('list')
+    .description('List tags with their file counts and sources (all files unless a selection is given)')
+    .option('-o, --output <format>', 'Output format (json, table)', 'table'))
+    .action(async (options) => {
+        try {
+            await config.load();
+            const analyzer = new MetadataAnalyzer(config.getAll());
+            await analyzer.init();
+
+            const files = await selectFiles(options);
+            const counts = database.getTagCounts(files ? files.map(f => f.path) : null);
+
+            if (options.output === 'json') {
+                console.log(JSON.stringify(counts, null, 2));
+            } else if (counts.length === 0) {
+                console.log('No tags');
+            } else {
+                console.log('\n' + 'Tag'.padEnd(30) + 'Files'.padEnd(8) + 'Sources');
+                console.log('-'.repeat(80));
+
+                for (const entry of counts) {
+                    const sources = Object.entries(entry.sources)
+                        .map(([source, count]) => `${source} (${count})`)
+                        .join(', ');
+                    console.log(entry.tag.padEnd(30).substring(0, 30) + String(entry.count).padEnd(8) + sources);
+                }
+            }
+
+            await analyzer.close();
+
+        } catch (error) {
+            console.error('✗ Listing tags failed:', error.message);
+            process.exit(1);
+        }
+    });
+
+withSelection(tag
+    .command('apply')
+    .description('Re-apply the auto-tag rules from config to indexed files (all files unless a selection is given)'))
+    .action(async (options) => {
+        try {
+            await config.load();
+            const analyzer = new MetadataAnalyzer(config.getAll());
+            await analyzer.init();
+
+            const files = await selectFiles(options) || await queryAPI.query({});
+            let added = 0;
+            let removed = 0;
+
+            for (const file of files) {
+                const changes = database.replaceTags(file.path, analyzer.autoTagger.getTags(file), 'rule:');
+                added += changes.added.length;
+                removed += changes.removed.length;
+            }
+
+            console.log(`✓ Applied ${analyzer.autoTagger.rules.length} rule(s) to ${files.length} file(s): ${added} tag(s) added, ${removed} removed`);
+
+            await analyzer.close();
+
+        } catch (error) {
+            console.error('✗ Applying tag rules failed:', error.message);
+            process.exit(1);
+        }
+    });
+
+/**
+ * Organize command
+ */
+withSelection(program
+    .command('organize')
+    .description('Move or copy the selected files into a layout built from their metadata')
+    .argument('<template>', 'Destination path template, e.g. "Photos/{exif.dateTime:YYYY}/{exif.dateTime:MM}/{name}"')
+    .option('--to <dir>', 'Target directory the template is relative to (default: each file\'s root)')
+    .option('--copy', 'Copy the files instead of moving them')
+    .option('--on-collision <mode>', 'When the destination exists: rename (add a counter) or skip', 'rename')
+    .option('--dry-run', 'Show the plan without touching any file'))
+    .action(async (template, options) => {
+        try {
+            await config.load();
+            const analyzer = new MetadataAnalyzer(config.getAll());
+            await analyzer.init();
+
+            const targetDir = options.to ? path.resolve(options.to) : null;
+            // Moved files must stay under a root to stay indexed
+            if (targetDir && !database.findRootForPath(targetDir)) {
+                throw new Error(`${targetDir} is not inside any root; add it with \`fmao roots add ${targetDir}\` first`);
+            }
+
+            const organizer = new FileOrganizer({
+                template,
+                targetDir,
+                roots: database.getRoots(),
+                mode: options.copy ? 'copy' : 'move',
+                onCollision: options.onCollision
+            });
+
+            const files = await selectFiles(options, { required: true });
+            const plan = await organizer.plan(files);
+            const actions = plan.filter(step => step.action !== 'skip');
+
+            for (const step of plan) {
+                if (step.action === 'skip') {
+                    console.log(`  skip  ${displayPath(step.source)} (${step.reason})`);
+                } else {
+                    const note = step.reason ? ` (${step.reason})` : '';
+                    console.log(`  ${step.action.padEnd(4)}  ${displayPath(step.source)} → ${displayPath(step.destination)}${note}`);
+                }
+            }
+
+            if (options.dryRun) {
+                console.log(`\nDry run: ${actions.length} file(s) would be ${options.copy ? 'copied' : 'moved'}, ${plan.length - actions.length} skipped`);
+            } else if (actions.length === 0) {
+                console.log('\nNothing to do');
+            } else {
+                const result = await organizer.apply(plan);
+                const done = options.copy ? `${result.copied} copied` : `${result.moved} moved`;
+                console.log(`\n✓ ${done}, ${result.skipped} skipped, ${result.failed} failed`);
+
+                for (const failure of result.errors) {
+                    console.log(`  ✗ ${displayPath(failure.source)}: ${failure.error}`);
+                }
+                if (result.moved + result.copied > 0) {
+                    console.log(`  Undo with \`fmao undo ${result.operationId}\``);
+                }
+            }
+
+            await analyzer.close();
+
+        } catch (error) {
+            console.error('✗ Organize failed:', error.message);
+            process.exit(1);
+        }
+    });
+
+/**
+ * Operations command
+ */
+program
+    .command('operations')
+    .description('List journaled file operations (organize, dedupe...), or show the changes of one')
+    .argument('[operationId]', 'Operation to show in detail', parseInt)
+    .option('-l, --limit <num>', 'Number of operations to list', parseInt, 20)
+    .option('-o, --output <format>', 'Output format (json, table)', 'table')
+    .action(async (operationId, options) => {
+        try {
+            await config.load();
+            const analyzer = new MetadataAnalyzer(config.getAll());
+            await analyzer.init();
+
+            if (operationId) {
+                const operation = database.getOperation(operationId);
+                if (!operation) {
+                    throw new Error(`Unknown operation: ${operationId}`);
+                }
+
+                if (options.output === 'json') {
+                    console.log(JSON.stringify(operation, null, 2));
+                } else {
+                    printOperationDetails(operation);
+                }
+            } else {
+                const operations = database.getOperations({ limit: options.limit });
+
+                if (options.output === 'json') {
+                    console.log(JSON.stringify(operations, null, 2));
+                } else {
+                    printOperationTable(operations);
+                }
+            }
+
+            await analyzer.close();
+
+        } catch (error) {
+            console.error('✗ Operations failed:', error.message);
+            process.exit(1);
+        }
+    });
+
+/**
+ * Undo command
+ */
+program
+    .command('undo')
+    .description('Reverse a journaled file operation (see `fmao operations`)')
+    .argument('<operationId>', 'Operation to undo', parseInt)
+    .option('--force', 'Also undo changes to files modified since the operation')
+    .option('--dry-run', 'Check what can be undone without touching any file')
+    .action(async (operationId, options) => {
+        try {
+            await config.load();
+            const analyzer = new MetadataAnalyzer(config.getAll());
+            await analyzer.init();
+
+            const { operation, results } = await operationJournal.undo(operationId, {
+                force: options.force,
+                dryRun: options.dryRun
+            });
+
+            for (const { entry, status, reason, warning } of results) {
+                // Moves go back to their source; copies are removed
+                const target = entry.action === 'copy' || !entry.destination
+                    ? displayPath(entry.destination || entry.source)
+                    : `${displayPath(entry.destination)} → ${displayPath(entry.source)}`;
+                const note = reason || warning;
+                console.log(`  ${status.padEnd(10)}  ${entry.action.padEnd(7)}  ${target}${note ? ` (${note})` : ''}`);
+            }
+
+            const count = (status) => results.filter(r => r.status === status).length;
+            if (options.dryRun) {
+                console.log(`\nDry run: ${count('would undo')} change(s) of operation ${operation.id} would be undone, ${count('skipped')} skipped`);
+            } else {
+                console.log(`\n✓ Undid ${count('undone')} change(s) of operation ${operation.id} (${operation.command}), ${count('skipped')} skipped, ${count('failed')} failed`);
+            }
+
+            await analyzer.close();
+
+        } catch (error) {
+            console.error('✗ Undo failed:', error.message);
+            process.exit(1);
+        }
+    });
+
+/**
+ * Geo commands
+ */
+const geo = program
+    .command('geo')
+    .description('Work with the locations of geotagged photos, videos and audio');
+
+withSelection(geo
+    .command('export')
+    .description('Export the locations of geotagged files as GeoJSON, KML or a GPX track')
+    .option('-f, --format <format>', 'geojson, kml or gpx', 'geojson')
+    .option('-o, --output <file>', 'Output file (default: stdout)'))
+    .action(async (options) => {
+        try {
+            await config.load();
+            const analyzer = new MetadataAnalyzer(config.getAll());
+            await analyzer.init();
+
+            const files = await selectFiles(options) || await queryAPI.query({ geotagged: true });
+            const geotagged = files.filter(file => gpsUtils.getFileCoordinates(file));
+            const output = geoFormatter.format(geotagged, options.format);
+
+            if (options.output) {
+                await fs.writeFile(options.output, output);
+                console.log(`✓ Exported ${geotagged.length} geotagged files to ${options.output}`);
+            } else {
+                console.log(output);
+            }
+
+            await analyzer.close();
+
+        } catch (error) {
+            console.error('✗ Geo export failed:', error.message);
+            process.exit(1);
+        }
+    });
+
+withSelection(geo
+    .command('places')
+    .description('Look up the place of indexed geotagged files again, e.g. after changing the geocoding dataset'))
+    .action(async (options) => {
+        try {
+            await config.load();
+            const analyzer = new MetadataAnalyzer(config.getAll());
+            await analyzer.init();
+
+            if (!analyzer.geocoder.enabled) {
+                throw new Error('Reverse geocoding is disabled (geocoding.enabled in config)');
+            }
+            await analyzer.geocoder.load();
+
+            const files = await selectFiles(options) || await queryAPI.query({ geotagged: true });
+            const geotagged = files.filter(file => gpsUtils.getFileCoordinates(file));
+            const places = new Map();
+
+            for (const file of geotagged) {
+                const before = JSON.stringify(gpsUtils.getFilePlace(file));
+                await analyzer.geocoder.apply(file);
+                const place = gpsUtils.getFilePlace(file);
+
+                if (JSON.stringify(place) !== before) {
+                    database.updateFileMetadata(file.path, file.metadata);
+                }
+                if (place) {
+                    const name = [place.city, place.country].join(', ');
+                    places.set(name, (places.get(name) || 0) + 1);
+                }
+            }
+
+            const located = [...places.values()].reduce((sum, count) => sum + count, 0);
+            console.log(`✓ Found the place of ${located} of ${geotagged.length} geotagged file(s)`);
+            for (const [name, count] of [...places].sort((a, b) => b[1] - a[1])) {
+                console.log(`  ${name}: ${count}`);
+            }
+
+            await analyzer.close();
+
+        } catch (error) {
+            console.error('✗ Looking up places failed:', error.message);
+            process.exit(1);
+        }
+    });
+
+/**
+ * Geotag command
+ */
+withSelection(program
+    .command('geotag')
+    .description('Infer where photos without GPS data were taken from GPX tracks recorded at the same time')
+    .requiredOption('--gpx <files...>', 'GPX track files')
+    .option('--offset <duration>', 'Correction added to the camera clock, e.g. +2m if it was 2 minutes slow or -1h')
+    .option('--timezone <zone>', 'Time zone the camera clock was set to, e.g. Europe/Lisbon or +02:00 (default: local time)')
+    .option('--max-gap <duration>', 'Furthest a photo may be in time from the track points around it, e.g. 10m (default: 30m)')
+    .option('--write-exif', 'Also write the coordinates into the EXIF of the files, in place; cannot be undone (needs exiftool)')
+    .option('--dry-run', 'Show the inferred locations without storing or writing them'))
+    .action(async (options) => {
+        try {
+            await config.load();
+            const analyzer = new MetadataAnalyzer(config.getAll());
+            await analyzer.init();
+
+            const geotagger = new Geotagger({
+                ...config.get('geotagging', {}),
+                ...(options.timezone && { timezone: options.timezone }),
+                ...(options.offset && { clockOffset: parseDuration(options.offset) }),
+                ...(options.maxGap && {
+                    maxInterpolation: parseDuration(options.maxGap),
+                    maxExtrapolation: parseDuration(options.maxGap)
+                })
+            });
+            const pointCount = await geotagger.loadTracks(options.gpx);
+            if (options.writeExif && !options.dryRun) {
+                await geotagger.checkExiftool();
+            }
+
+            // Photos with GPS data from the camera are left alone; derived locations are matched again
+            const files = await selectFiles(options) || await queryAPI.query({ category: 'image' });
+            const photos = files.filter(file => file.category === 'image' &&
+                (!file.metadata?.image?.exif?.gps || file.metadata.image.exif.gps.derived));
+
+            console.log(`Matching ${photos.length} photo(s) against ${pointCount} track points\n`);
+
+            let located = 0;
+            let undated = 0;
+            let written = 0;
+            let failed = 0;
+            let operationId = null;
+
+            for (const file of photos) {
+                const time = geotagger.getPhotoTime(file);
+                if (time === null) {
+                    undated++;
+                    continue;
+                }
+
+                const location = geotagger.locate(time);
+                if (!location) continue;
+
+                located++;
+                const how = location.interpolated ? 'interpolated' : 'nearest point';
+                console.log(`  ${displayPath(file.path)}  ${location.latitude.toFixed(6)}, ${location.longitude.toFixed(6)}` +
+                    `  (${how}, ${Math.round(location.gap / 1000)}s from ${location.track})`);
+
+                if (options.dryRun) continue;
+
+                geotagger.apply(file, location);
+                await analyzer.geocoder.apply(file);
+                database.updateFileMetadata(file.path, file.metadata);
+
+                if (options.writeExif) {
+                    try {
+                        await geotagger.writeExif(file.path, location);
+                        written++;
+                        // Keep the index in step with the rewritten file, so incremental
+                        // analyze does not re-read it and lose the derived marker
+                        const stats = await fs.stat(file.path);
+                        const { md5, sha256 } = await hashUtil.multiHash(file.path, ['md5', 'sha256']);
+                        database.updateFileStats(file.path, { size: stats.size, modified: stats.mtime.toISOString() });
+                        database.updateFileHashes(file.path, { md5, sha256, quick: await hashUtil.quickHash(file.path) });
+
+                        operationId = operationId || operationJournal.begin('geotag', `write EXIF from ${options.gpx.join(', ')}`);
+                        await operationJournal.record(operationId, { action: 'edit', source: file.path, sha256, size: stats.size });
+                    } catch (error) {
+                        failed++;
+                        logger.error(`Could not write GPS data to ${file.path}: ${error.message}`);
+                    }
+                }
+            }
+
+            const unmatched = photos.length - located - undated;
+            const skipped = `${unmatched} outside the tracks, ${undated} without an EXIF date`;
+            if (options.dryRun) {
+                console.log(`\nDry run: ${located} of ${photos.length} photo(s) would be geotagged (${skipped})`);
+            } else {
+                console.log(`\n✓ Geotagged ${located} of ${photos.length} photo(s) (${skipped})`);
+                if (options.writeExif) {
+                    console.log(`✓ Wrote GPS data into ${written} file(s)${failed ? `, ${failed} failed` : ''}`);
+                }
+            }
+            if (operationId) {
+                operationJournal.finish(operationId);
+                console.log(`  Journaled as operation ${operationId}; EXIF writes cannot be undone`);
+            }
+
+            await analyzer.close();
+
+        } catch (error) {
+            console.error('✗ Geotagging failed:', error.message);
+            process.exit(1);
+        }
+    });
+
+/**
+ * Events command
+ */
+withSelection(program
+    .command('events')
+    .description('Group photos and videos into events (days out, weekends, trips) by when and where they were taken')
+    .option('--gap <duration>', 'Time without photos that ends an event, e.g. 90m, 12h or 2d', '18h')
+    .option('--distance <distance>', 'Jump in location that starts a new event, e.g. 50km or 30mi', '100km')
+    .option('--min-files <num>', 'Fewest photos and videos an event can have', parseInt, 5)
+    .option('--save', 'Save the events as collections, replacing the events saved before')
+    .option('-o, --output <format>', 'Output format (json, table)', 'table'))
+    .action(async (options) => {
+        try {
+            await config.load();
+            const analyzer = new MetadataAnalyzer(config.getAll());
+            await analyzer.init();
+
+            if (isNaN(options.minFiles) || options.minFiles < 1) {
+                throw new Error('--min-files must be a positive number');
+            }
+
+            const filters = getSelectionFilters(options);
+            const events = await queryAPI.findEvents(filters, {
+                maxGap: parseDuration(options.gap),
+                maxDistance: gpsUtils.parseDistance(options.distance),
+                minFiles: options.minFiles
+            });
+            const saved = options.save ? await queryAPI.saveEvents(events, filters) : [];
+
+            if (options.output === 'json') {
+                console.log(JSON.stringify(events.map((event, i) => ({
+                    ...event,
+                    name: saved[i]?.name || event.name,
+                    files: event.files.map(file => file.path)
+                })), null, 2));
+            } else if (events.length === 0) {
+                console.log('No events found (photos and videos need an EXIF date or video creation time)');
+            } else {
+                console.log(`\n Found ${events.length} events:\n`);
+
+                events.forEach((event, i) => {
+                    const centroid = event.centroid
+                        ? `  ${event.centroid.latitude.toFixed(4)}, ${event.centroid.longitude.toFixed(4)}`
+                        : '';
+                    console.log(`📅 ${event.summary}`);
+                    console.log(`   ${saved[i]?.name || event.name}${centroid}`);
+                });
+
+                if (options.save) {
+                    console.log(`\n✓ Saved ${saved.length} event collections (fmao collections run <name> lists the files)`);
+                }
+            }
+
+            await analyzer.close();
+
+        } catch (error) {
+            console.error('✗ Event detection failed:', error.message);
+            process.exit(1);
+        }
+    });
+
+/**
+ * Helper functions
+ */
+
+/**
+ * Get the files selected by the selection options of the tag and organize commands
+ * Returns null when no selection is given, unless one is required.
+ */
+async function selectFiles(options, { required = false } = {}) {
+    const filters = getSelectionFilters(options);
+    const selected = options.all || [filters.where, filters.category, filters.extension, filters.search, filters.rootId, filters.near, filters.bbox, filters.place]
+        .some(value => value !== undefined);
+
+    if (!selected) {
+        if (required) {
+            throw new Error('Select files with --where, --category, --extension, --search, --root, --near, --bbox or --place (or --all)');
+        }
+        return null;
+    }
+
+    return queryAPI.query(filters);
+}
+
+/**
+ * Build the query filters of the selection options
+ */
+function getSelectionFilters(options) {
+    return {
+        where: options.where,
+        category: options.category,
+        extension: options.extension,
+        search: options.search,
+        tags: options.tags,
+        rootId: resolveRootId(options.root),
+        place: options.place,
+        ...parseLocationFilters(options)
+    };
+}
+
+/**
+ * Build the near and bbox filters from the --near, --radius and --bbox options
+ */
+function parseLocationFilters(options) {
+    const filters = {};
+
+    if (options.near) {
+        filters.near = {
+            ...gpsUtils.parseCoordinateString(options.near),
+            radiusKm: gpsUtils.parseDistance(options.radius)
+        };
+    }
+    if (options.bbox) {
+        filters.bbox = gpsUtils.parseBoundingBox(options.bbox);
+    }
+
+    return filters;
+}
+
+/**
+ * Parse a duration such as 90m, 12h, 2d or -30s into milliseconds
+ */
+function parseDuration(value) {
+    const match = /^\s*([+-]?\d+(?:\.\d+)?)\s*(s|m|h|d)\s*$/i.exec(String(value));
+    if (!match) {
+        throw new Error(`Invalid duration: ${value} (use e.g. 90m, 12h or 2d)`);
+    }
+
+    const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+    return parseFloat(match[1]) * units[match[2].toLowerCase()];
+}
+
+function displayPath(filePath) {
+    const relative = path.relative(process.cwd(), filePath);
+    return relative.startsWith('..') || path.isAbsolute(relative) ? filePath : relative;
+}
+
+function formatMembershipChange({ added, removed }) {
+    // Counts, or the path lists of a fresh evaluation
+    const count = (value) => Array.isArray(value) ? value.length : value;
+    return `+${count(added)} -${count(removed)}`;
+}
+
+function formatCollectionQuery(query) {
+    return Object.entries(query)
+        .map(([key, value]) => key === 'where' ? value : `${key}=${Array.isArray(value) ? value.join(',') : value}`)
+        .join(' ');
+}
+
+function resolveRootId(spec) {
+    if (spec === undefined) return undefined;
+
+    const root = database.resolveRoot(spec);
+    if (!root) {
+        throw new Error(`Unknown root: ${spec}`);
+    }
+
+    return root.id;
+}
+
+function createProgressBar(percentage) {
+    const width = 30;
+    const filled = Math.floor((percentage / 100) * width);
+    const empty = width - filled;
+    return '[' + '█'.repeat(filled) + '░'.repeat(empty) + ']';
+}
+
+function formatSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let size = bytes;
+    let unitIndex = 0;
+
+    while (size >= 1024 && unitIndex < units.length - 1) {
+        size /= 1024;
+        unitIndex++;
+    }
+
+    return `${size.toFixed(2)} ${units[unitIndex]}`;
+}
+
+function printTable(results) {
+    if (results.length === 0) {
+        console.log('No results found');
+        return;
+    }
+
+    console.log('\n');
+    console.log('Path'.padEnd(50) + 'Category'.padEnd(15) + 'Size'.padEnd(15) + 'Modified');
+    console.log('-'.repeat(95));
+
+    for (const file of results.slice(0, 50)) {
+        const path = (file.relativePath || file.path || 'Unknown').padEnd(50).substring(0, 50);
+        const category = (file.category || 'unknown').padEnd(15);
+        const size = formatSize(file.size || 0).padEnd(15);
+        const modified = new Date(file.modified || Date.now()).toLocaleDateString();
+
+        console.log(path + category + size + modified);
+
+        if (file.search?.snippet) {
+            console.log(`  ${file.search.snippet.replace(/\s+/g, ' ')}`);
+        }
+    }
+
+    if (results.length > 50) {
+        console.log(`\n... and ${results.length - 50} more`);
+    }
+}
+
+function formatScanDuration(scan) {
+    if (!scan.finishedAt) return '-';
+    return `${((new Date(scan.finishedAt) - new Date(scan.startedAt)) / 1000).toFixed(1)}s`;
+}
+
+function printScanTable(scans, rootLabels) {
+    if (scans.length === 0) {
+        console.log('No scans recorded');
+        return;
+    }
+
+    console.log('\n' + 'ID'.padEnd(6) + 'Root'.padEnd(20) + 'Started'.padEnd(25) + 'Duration'.padEnd(10) +
+        'Status'.padEnd(13) + 'New'.padEnd(7) + 'Mod'.padEnd(7) + 'Del'.padEnd(7) + 'Moved'.padEnd(7) + 'Errors');
+    console.log('-'.repeat(110));
+
+    for (const scan of scans) {
+        const stats = scan.stats || {};
+        console.log(
+            String(scan.id).padEnd(6) +
+            (rootLabels.get(scan.rootId) || scan.directory).padEnd(20).substring(0, 20) +
+            new Date(scan.startedAt).toLocaleString().padEnd(25) +
+            formatScanDuration(scan).padEnd(10) +
+            scan.status.padEnd(13) +
+            String(stats.newFiles ?? '-').padEnd(7) +
+            String(stats.modifiedFiles ?? '-').padEnd(7) +
+            String(stats.deletedFiles ?? '-').padEnd(7) +
+            String(stats.movedFiles ?? '-').padEnd(7) +
+            scan.errorCount
+        );
+    }
+}
+
+function printScanDetails(scan, changes, rootLabels) {
+    const stats = scan.stats || {};
+
+    console.log(`\n🕑 Scan ${scan.id} - ${scan.status}\n`);
+    console.log(`Root: ${rootLabels.get(scan.rootId) || '(removed)'} (${scan.directory})`);
+    console.log(`Started: ${new Date(scan.startedAt).toLocaleString()}`);
+    console.log(`Duration: ${formatScanDuration(scan)}`);
+    console.log(`Files processed: ${scan.filesProcessed}`);
+    console.log(`Scanned: ${stats.totalFiles ?? 0} (${stats.newFiles ?? 0} new, ${stats.modifiedFiles ?? 0} modified, ${stats.unchangedFiles ?? 0} unchanged, ${stats.deletedFiles ?? 0} deleted, ${stats.movedFiles ?? 0} moved)`);
+    console.log(`Errors: ${scan.errorCount}`);
+    if (scan.error) {
+        console.log(`Failure: ${scan.error}`);
+    }
+    console.log(`Processors: ${Object.entries(scan.processorVersions).map(([name, version]) => `${name}@${version}`).join(', ')}`);
+
+    if (changes.length === 0) {
+        console.log('\nNo file changes');
+        return;
+    }
+
+    for (const type of ['added', 'modified', 'deleted', 'moved']) {
+        const group = changes.filter(c => c.change === type);
+        if (group.length === 0) continue;
+
+        console.log(`\n${type[0].toUpperCase() + type.slice(1)} (${group.length}):`);
+        for (const change of group) {
+            console.log(change.previousPath ? `   ${change.previousPath} -> ${change.path}` : `   ${change.path}`);
+        }
+    }
+}
+
+function printOperationTable(operations) {
+    if (operations.length === 0) {
+        console.log('No operations recorded');
+        return;
+    }
+
+    console.log('\n' + 'ID'.padEnd(6) + 'Command'.padEnd(12) + 'Started'.padEnd(25) + 'Status'.padEnd(18) + 'Files'.padEnd(7) + 'Description');
+    console.log('-'.repeat(110));
+
+    for (const operation of operations) {
+        console.log(
+            String(operation.id).padEnd(6) +
+            operation.command.padEnd(12) +
+            new Date(operation.startedAt).toLocaleString().padEnd(25) +
+            operation.status.padEnd(18) +
+            String(operation.fileCount).padEnd(7) +
+            (operation.description || '')
+        );
+    }
+}
+
+function printOperationDetails(operation) {
+    console.log(`\n🗂  Operation ${operation.id} - ${operation.command} - ${operation.status}\n`);
+    if (operation.description) {
+        console.log(`Description: ${operation.description}`);
+    }
+    console.log(`Started: ${new Date(operation.startedAt).toLocaleString()}`);
+    if (operation.undoneAt) {
+        console.log(`Undone: ${new Date(operation.undoneAt).toLocaleString()}`);
+    }
+
+    if (operation.entries.length === 0) {
+        console.log('\nNo file changes');
+        return;
+    }
+
+    const directories = operation.entries.length - operation.fileCount;
+    const counts = [`${operation.fileCount} file(s)`];
+    if (directories > 0) counts.push(`${directories} created director${directories === 1 ? 'y' : 'ies'}`);
+
+    console.log(`\nChanges (${counts.join(', ')}):`);
+    for (const entry of operation.entries) {
+        const target = entry.destination ? `${entry.source} -> ${entry.destination}` : entry.source;
+        console.log(`   ${String(entry.id).padEnd(6)}${entry.action.padEnd(9)}${target}${entry.undoneAt ? ' (undone)' : ''}`);
     }
 }
 
@@ -5,25 +5,46 @@
 
 const FileScanner = require('./utils/scanner');
 const database = require('./storage/database');
+const queryAPI = require('./storage/queryAPI');
 const logger = require('./utils/logger');
 const ProgressTracker = require('./utils/progress');
+const WorkerPool = require('./utils/workerPool');
+const CheckpointTracker = require('./utils/checkpoint');
+const pluginLoader = require('./utils/pluginLoader');
+const AutoTagger = require('./utils/autoTagger');
+const ReverseGeocoder = require('./utils/reverseGeocoder');
+const path = require('path');
+const mime = require('mime-types');
+const { Readable } = require('stream');
 
 // Processors
-const ImageProcessor = require('./processors/ImageProcessor');
-const VideoProcessor = require('./processors/VideoProcessor');
-const AudioProcessor = require('./processors/AudioProcessor');
-const PDFProcessor = require('./processors/PDFProcessor');
-const CodeProcessor = require('./processors/CodeProcessor');
-const ArchiveProcessor = require('./processors/ArchiveProcessor');
-const MarkdownProcessor = require('./processors/MarkdownProcessor');
-const OfficeProcessor = require('./processors/OfficeProcessor');
-const FontProcessor = require('./processors/FontProcessor');
+const {
+    ImageProcessor,
+    VideoProcessor,
+    AudioProcessor,
+    PDFProcessor,
+    CodeProcessor,
+    ArchiveProcessor,
+    MarkdownProcessor,
+    OfficeProcessor,
+    FontProcessor,
+    JSONProcessor,
+    DocumentTextProcessor
+} = require('./processors');
 
 class MetadataAnalyzer {
     constructor(config) {
         this.config = config;
         this.processors = [];
         this.progress = new ProgressTracker();
+        this.workerPool = null;
+        this.writeQueue = Promise.resolve();
+        this.scanId = null;
+        this.checkpoints = null;
+        this.isolation = 'thread';
+        this.pluginFailures = [];
+        this.autoTagger = null;
+        this.geocoder = null;
     }
 
     /**
@@ -39,6 +60,15 @@ class MetadataAnalyzer {
         // Initialize processors
         this.initializeProcessors();
 
+        // Auto-tag rules applied to each processed file
+        this.autoTagger = new AutoTagger(this.config.tagging?.rules || []);
+
+        // Place names for geotagged files (data files are read on first use)
+        this.geocoder = new ReverseGeocoder(this.config.geocoding);
+
+        // Worker threads for CPU-heavy processors (spawned lazily)
+        this.initializeWorkerPool();
+
         logger.info('Metadata Analyzer initialized');
     }
 
@@ -47,130 +77,686 @@ class MetadataAnalyzer {
      */
     initializeProcessors() {
         const extractorConfig = this.config.extractors || {};
+        const { processorTimeout = 0 } = this.config.scanning || {};
+
+        // Each extractor section may set its own timeout (ms)
+        const withTimeout = (section) => ({ timeout: processorTimeout, ...section });
 
         if (extractorConfig.images?.enabled !== false) {
             this.processors.push(new ImageProcessor({
-                ...extractorConfig.images,
+                ...withTimeout(extractorConfig.images),
                 thumbnailDir: './thumbnails'
             }));
         }
 
         if (extractorConfig.videos?.enabled !== false) {
-            this.processors.push(new VideoProcessor(extractorConfig.videos));
+            this.processors.push(new VideoProcessor(withTimeout(extractorConfig.videos)));
         }
 
         if (extractorConfig.audio?.enabled !== false) {
-            this.processors.push(new AudioProcessor(extractorConfig.audio));
+            this.processors.push(new AudioProcessor(withTimeout(extractorConfig.audio)));
         }
 
         if (extractorConfig.documents?.enabled !== false) {
-            this.processors.push(new PDFProcessor(extractorConfig.documents));
-            this.processors.push(new MarkdownProcessor(extractorConfig.documents));
+            this.processors.push(new PDFProcessor(withTimeout(extractorConfig.documents)));
+            this.processors.push(new MarkdownProcessor(withTimeout(extractorConfig.documents)));
+            this.processors.push(new DocumentTextProcessor(withTimeout(extractorConfig.documents)));
         }
 
         if (extractorConfig.code?.enabled !== false) {
-            this.processors.push(new CodeProcessor(extractorConfig.code));
+            this.processors.push(new CodeProcessor(withTimeout(extractorConfig.code)));
+            this.processors.push(new JSONProcessor(withTimeout(extractorConfig.code)));
         }
 
         if (extractorConfig.archives?.enabled !== false) {
-            this.processors.push(new ArchiveProcessor(extractorConfig.archives));
+            this.processors.push(new ArchiveProcessor(withTimeout(extractorConfig.archives)));
         }
 
         if (extractorConfig.office?.enabled !== false) {
-            this.processors.push(new OfficeProcessor(extractorConfig.office));
+            this.processors.push(new OfficeProcessor(withTimeout(extractorConfig.office)));
         }
 
         if (extractorConfig.fonts?.enabled !== false) {
-            this.processors.push(new FontProcessor(extractorConfig.fonts));
+            this.processors.push(new FontProcessor(withTimeout(extractorConfig.fonts)));
         }
 
+        this.loadPlugins();
+
         logger.info(`Initialized ${this.processors.length} file processors`);
     }
 
+    /**
+     * Load and register the processors listed in config `plugins`
+     * Local plugin paths are relative to the directory holding config.json
+     */
+    loadPlugins() {
+        const { processorTimeout = 0 } = this.config.scanning || {};
+        const { processors, failures } = pluginLoader.load(this.config.plugins || [], {
+            baseDir: path.join(__dirname, '..'),
+            defaults: { timeout: processorTimeout }
+        });
+
+        this.pluginFailures = failures;
+
+        for (const processor of processors) {
+            try {
+                this.registerProcessor(processor);
+            } catch (error) {
+                logger.error(`Failed to register plugin ${processor.source}: ${error.message}`);
+                this.pluginFailures.push({ module: processor.source, error: error.message });
+            }
+        }
+    }
+
+    /**
+     * Register a file processor
+     * Processors are kept ordered by priority (see BaseProcessor.getPriority);
+     * the first one whose canProcess() accepts a file handles it.
+     *
+     * @param {BaseProcessor} processor - Processor instance
+     *
+     * @example
+     * analyzer.registerProcessor(new SVGProcessor({ priority: 10 }));
+     */
+    registerProcessor(processor) {
+        // Workers look processors up by name, so names must be unique
+        if (this.processors.some(p => p.name === processor.name)) {
+            throw new Error(`A processor named ${processor.name} is already registered`);
+        }
+
+        this.processors.push(processor);
+        this.processors.sort((a, b) => b.getPriority() - a.getPriority());
+
+        database.registerExtension(processor);
+    }
+
+    /**
+     * Find which processors handle each extension
+     * Files are matched as the scanner would see them, with the MIME type
+     * and category implied by the extension
+     *
+     * @param {string[]} [extensions] - Extensions without the dot (default: every declared extension)
+     * @returns {Promise<Array<{extension: string, mimeType: string, category: string, processor: string|null, enrichers: string[]}>>}
+     */
+    async getHandlers(extensions = null) {
+        const scanner = new FileScanner(database, null);
+        const declared = extensions || [...new Set(this.processors.flatMap(p => p.getSupportedExtensions()))].sort();
+        const handlers = [];
+
+        for (const extension of declared) {
+            const name = `file.${extension}`;
+            const mimeType = mime.lookup(name) || 'application/octet-stream';
+            const fileInfo = {
+                name,
+                extension,
+                mimeType,
+                category: await scanner.categorizeFile(name, { fromExtension: mimeType, confident: false })
+            };
+            const chain = this.getChain(fileInfo);
+            const primary = chain[0] && !chain[0].isEnricher() ? chain[0] : null;
+
+            handlers.push({
+                extension,
+                mimeType,
+                category: fileInfo.category,
+                processor: primary ? primary.name : null,
+                enrichers: chain.filter(p => p !== primary).map(p => p.name)
+            });
+        }
+
+        return handlers;
+    }
+
+    /**
+     * Get the number of files processed concurrently
+     * Honours scanning.parallelProcessing and scanning.maxConcurrency
+     */
+    getConcurrency() {
+        const { parallelProcessing = true, maxConcurrency = 4 } = this.config.scanning || {};
+        return parallelProcessing ? Math.max(1, maxConcurrency || 1) : 1;
+    }
+
+    /**
+     * Initialize the worker pool used by CPU-intensive processors
+     * scanning.workerThreads: true (one worker per concurrent file), a number, or false
+     * scanning.isolation: 'thread' (default) runs CPU-intensive processors on
+     * worker threads; 'process' runs every processor in child processes so a
+     * hostile file cannot crash or exhaust the main process
+     * scanning.workerMemoryLimit: heap limit per worker in MB
+     */
+    initializeWorkerPool() {
+        const { workerThreads = true, isolation = 'thread', workerMemoryLimit } = this.config.scanning || {};
+        const concurrency = this.getConcurrency();
+
+        this.isolation = isolation;
+
+        if (isolation !== 'process' && (workerThreads === false || concurrency < 2)) {
+            return;
+        }
+
+        const size = typeof workerThreads === 'number' ? workerThreads : concurrency;
+        this.workerPool = new WorkerPool(path.join(__dirname, 'workers', 'processorWorker.js'), size, {
+            isolation,
+            memoryLimitMb: workerMemoryLimit
+        });
+    }
+
     /**
      * Analyze directory
+     * Files are streamed from the scanner into the processing pipeline, so
+     * processing starts as soon as the first file is found. The directory is
+     * registered as a root unless it lies inside one already. Each run is
+     * recorded in the scan history with the files it changed.
+     *
+     * SQLite writes are committed in batches of scanning.checkpointInterval
+     * files; each commit stores a checkpoint of the walk, and the JSON store
+     * is flushed at the same time. With `resume`, the last interrupted run of
+     * the directory continues after its checkpoint.
+     *
+     * @param {string} directory - Absolute directory path
+     * @param {Object} [options]
+     * @param {boolean} [options.resume=false] - Continue the last interrupted run
      */
-    async analyze(directory) {
+    async analyze(directory, options = {}) {
         const startTime = Date.now();
         logger.info(`Starting analysis of: ${directory}`);
 
+        this.scanId = null;
+        const scanningConfig = {
+            ...this.config.scanning,
+            incrementalScanning: this.config.storage?.incrementalScanning !== false
+        };
+        let scanner = null;
+
         try {
+            const root = database.ensureRoot(directory);
+
+            // Resume the last interrupted run, or retire it
+            const interrupted = this.findInterruptedScan(root, directory);
+            const resumed = Boolean(options.resume && interrupted);
+            let scanStartedAt = new Date(startTime).toISOString();
+
+            if (resumed) {
+                this.scanId = interrupted.id;
+                scanStartedAt = interrupted.startedAt;
+                this.checkpoints = new CheckpointTracker(interrupted.checkpoint);
+                database.reopenScan(this.scanId);
+                logger.info(`Resuming scan ${this.scanId} after ${interrupted.checkpoint?.cursor || 'the start'}`);
+            } else {
+                if (options.resume) {
+                    logger.warn(`No interrupted scan of ${directory} to resume; starting a new one`);
+                }
+                if (interrupted && interrupted.status === 'running') {
+                    database.finishScan(interrupted.id, {
+                        status: 'interrupted',
+                        finishedAt: interrupted.checkpoint?.updatedAt || interrupted.startedAt,
+                        stats: interrupted.checkpoint?.stats,
+                        filesProcessed: interrupted.filesProcessed,
+                        errorCount: interrupted.errorCount
+                    });
+                }
+
+                this.scanId = database.startScan({
+                    rootId: root.id,
+                    directory,
+                    startedAt: scanStartedAt,
+                    options: scanningConfig,
+                    processorVersions: Object.fromEntries(this.processors.map(p => [p.name, p.version]))
+                });
+                this.checkpoints = new CheckpointTracker();
+            }
+
+            // Roots nested inside this one keep their own files
+            const roots = database.getRoots()
+                .filter(r => r.path === root.path || isInside(r.path, root.path))
+                .sort((a, b) => b.path.length - a.path.length);
+
             // Get ignore patterns
             const ignoreManager = await this.getIgnoreManager(directory);
 
-            // Scan directory
-            const scanner = new FileScanner(database, ignoreManager);
-            const { files, stats } = await scanner.scan(directory, this.config.scanning);
+            // Scan directory, reading ahead a bounded number of files
+            scanner = new FileScanner(database, ignoreManager);
+            const walkConfig = resumed ? { ...scanningConfig, resume: this.checkpoints.snapshot() } : scanningConfig;
+            const files = Readable.from(
+                this.trackDiscovered(scanner.walk(directory, walkConfig), roots, scanner),
+                { objectMode: true, highWaterMark: scanningConfig.scanBufferSize || 256 }
+            );
 
-            logger.info(`Scanned ${stats.totalFiles} files (${stats.newFiles} new, ${stats.modifiedFiles} modified, ${stats.unchangedFiles} unchanged)`);
+            // Process files; the total grows as the scanner discovers them
+            this.progress.start();
+            database.beginBatch();
 
-            if (files.length === 0) {
-                logger.info('No files to process');
-                return {
-                    duration: Date.now() - startTime,
-                    stats: scanner.getStats()
-                };
+            await this.processFiles(files, this.getConcurrency());
+
+            database.updateScanCheckpoint(this.scanId, this.checkpoints.snapshot());
+            database.commitBatch();
+
+            this.progress.complete();
+
+            // Files were only quick hashed; fully hash those that may be duplicates,
+            // across all roots, so moves and duplicates are found by sha256
+            if (scanningConfig.fullHash === 'candidates') {
+                await queryAPI.hashDuplicateCandidates();
             }
 
-            // Process files
-            this.progress.start(files.length);
+            // Compare the database with disk to pick up deletions and moves
+            const changes = await scanner.reconcile(directory, scanningConfig, scanStartedAt);
+            for (const deletedPath of changes.deleted) {
+                database.recordScanChange(this.scanId, deletedPath, 'deleted');
+            }
+            for (const move of changes.moved) {
+                database.recordScanChange(this.scanId, move.to, 'moved', move.from);
+            }
+
+            const stats = scanner.getStats();
+            const { filesProcessed } = this.checkpoints;
+            const errorCount = this.checkpoints.errorCount + stats.errors;
+            logger.info(`Scanned ${stats.totalFiles} files (${stats.newFiles} new, ${stats.modifiedFiles} modified, ${stats.reprocessedFiles} reprocessed, ${stats.unchangedFiles} unchanged, ${stats.deletedFiles} deleted, ${stats.movedFiles} moved)`);
 
-            for (const file of files) {
-                await this.processFile(file);
-                this.progress.update(file.relativePath);
+            if (filesProcessed === 0) {
+                logger.info('No files to process');
             }
 
-            this.progress.complete();
+            const duration = Date.now() - startTime;
+
+            database.finishScan(this.scanId, {
+                status: 'completed',
+                finishedAt: new Date().toISOString(),
+                stats,
+                filesProcessed,
+                errorCount
+            });
+
+            // Record the scan against its root
+            database.updateRoot(root.id, {
+                lastScanAt: scanStartedAt,
+                stats: { ...stats, filesProcessed, duration },
+                config: {
+                    scanning: this.config.scanning,
+                    extractors: this.config.extractors
+                }
+            });
+
+            // Re-evaluate saved collections against the updated index
+            const collections = await queryAPI.evaluateCollections();
 
             // Save database
             await database.saveJSON();
 
-            const duration = Date.now() - startTime;
             logger.info(`Analysis complete in ${duration}ms`);
 
             return {
                 duration,
-                stats: scanner.getStats(),
-                filesProcessed: files.length
+                stats,
+                filesProcessed,
+                root,
+                scanId: this.scanId,
+                resumed,
+                errorCount,
+                collections
             };
 
         } catch (error) {
             logger.error('Analysis failed', error);
+
+            if (this.scanId) {
+                // Keep what was stored so far; the run can be resumed from its checkpoint
+                const checkpoint = this.checkpoints.snapshot();
+                const stats = scanner ? scanner.getStats() : {};
+                database.updateScanCheckpoint(this.scanId, checkpoint);
+                database.finishScan(this.scanId, {
+                    status: 'failed',
+                    finishedAt: new Date().toISOString(),
+                    stats,
+                    filesProcessed: checkpoint.filesProcessed,
+                    errorCount: checkpoint.errorCount + (stats.errors || 0),
+                    error: error.message
+                });
+                database.commitBatch();
+                await database.saveJSON();
+            }
+
             throw error;
         }
     }
 
+    /**
+     * Reprocess files whose last processing failed
+     *
+     * Files are re-read from disk and run through their usual processor, or
+     * through `options.processor` when given. Files no longer on disk are
+     * skipped. Retries are not recorded in the scan history.
+     *
+     * @param {Object} [filters={}]
+     * @param {string} [filters.type] - Only files that failed with this type
+     * @param {string} [filters.failedProcessor] - Only files this processor failed on
+     * @param {number} [filters.rootId] - Only files under this root
+     * @param {Object} [options]
+     * @param {string} [options.processor] - Name of the processor to use
+     * @returns {Promise<{retried: number, fixed: number, failed: number, missing: number}>}
+     */
+    async retry(filters = {}, options = {}) {
+        const forced = options.processor ? this.processors.find(p => p.name === options.processor) : null;
+        if (options.processor && !forced) {
+            throw new Error(`Unknown or disabled processor: ${options.processor}`);
+        }
+
+        const errors = database.getProcessingErrors({
+            type: filters.type,
+            processor: filters.failedProcessor,
+            rootId: filters.rootId
+        });
+        const paths = [...new Set(errors.map(e => e.path))];
+
+        const roots = database.getRoots().sort((a, b) => b.path.length - a.path.length);
+        const scanner = new FileScanner(database, null);
+        const checkpoints = new CheckpointTracker();
+        let missing = 0;
+
+        // Rebuild file info from disk, as a scan would
+        const files = (async function* () {
+            for (const filePath of paths) {
+                const root = roots.find(r => isInside(filePath, r.path));
+                const fileInfo = await scanner.processFile(root ? root.path : path.dirname(filePath), filePath, false);
+
+                if (!fileInfo) {
+                    missing++;
+                    continue;
+                }
+
+                delete fileInfo.scanChange;
+                fileInfo.rootId = root ? root.id : null;
+                checkpoints.add(fileInfo.path, null);
+                yield fileInfo;
+            }
+        })();
+
+        this.scanId = null;
+        this.checkpoints = checkpoints;
+        this.progress.start(paths.length);
+        database.beginBatch();
+
+        await this.processFiles(files, this.getConcurrency(), forced);
+
+        database.commitBatch();
+        this.progress.complete();
+        await database.saveJSON();
+
+        const { filesProcessed, errorCount } = this.checkpoints;
+        logger.info(`Retried ${filesProcessed} files: ${filesProcessed - errorCount} fixed, ${errorCount} still failing, ${missing} missing`);
+
+        return {
+            retried: filesProcessed,
+            fixed: filesProcessed - errorCount,
+            failed: errorCount,
+            missing
+        };
+    }
+
+    /**
+     * Find the last run over a directory if it never completed
+     *
+     * @returns {Object|null} Scan with status 'running' (killed) or 'failed'
+     */
+    findInterruptedScan(root, directory) {
+        const last = database.getScans({ rootId: root.id })
+            .find(scan => scan.directory === directory);
+
+        return last && (last.status === 'running' || last.status === 'failed') ? last : null;
+    }
+
+    /**
+     * Count files into the progress total as the scanner yields them
+     * Also assigns each file to its deepest root, with the path relative to
+     * it, and registers it with the checkpoint tracker in walk order
+     *
+     * @param {AsyncIterable<Object>} files - Scanned files
+     * @param {Object[]} roots - Candidate roots, deepest first
+     * @param {FileScanner} scanner - Scanner producing the files
+     */
+    async *trackDiscovered(files, roots, scanner) {
+        for await (const file of files) {
+            const root = roots.find(r => isInside(file.path, r.path));
+            if (!root) {
+                throw new Error(`Scanned file ${file.path} is not under any root (${roots.map(r => r.path).join(', ')})`);
+            }
+            file.rootId = root.id;
+            file.relativePath = path.relative(root.path, file.path);
+            this.checkpoints.add(file.path, { ...scanner.getStats() });
+            this.progress.grow();
+            yield file;
+        }
+
+        this.progress.finalizeTotal();
+    }
+
+    /**
+     * Process files with at most `concurrency` in flight
+     * Accepts arrays and (async) iterables; waits for a free slot before
+     * pulling the next file, which gives streamed sources backpressure
+     *
+     * @param {Iterable|AsyncIterable} files - Files to process
+     * @param {number} [concurrency=1] - Maximum files in flight
+     * @param {BaseProcessor} [processor] - Use this processor instead of the first that can handle each file
+     * @returns {Promise<number>} Number of files processed
+     */
+    async processFiles(files, concurrency = 1, processor = null) {
+        const inFlight = new Set();
+        const interval = this.config.scanning?.checkpointInterval || 500;
+        let count = 0;
+
+        for await (const file of files) {
+            count++;
+            this.progress.begin(file.relativePath);
+
+            const task = this.processFile(file, processor)
+                .then((failed) => {
+                    this.checkpoints.complete(file.path, failed);
+                    if (this.checkpoints.isDue(interval)) {
+                        this.queueCheckpoint();
+                    }
+                })
+                .finally(() => {
+                    inFlight.delete(task);
+                    this.progress.update(file.relativePath);
+                });
+            inFlight.add(task);
+
+            if (inFlight.size >= concurrency) {
+                await Promise.race(inFlight);
+            }
+        }
+
+        await Promise.all(inFlight);
+        await this.writeQueue;
+
+        return count;
+    }
+
     /**
      * Process a single file
+     *
+     * @param {Object} fileInfo - Scanned file
+     * @param {BaseProcessor} [forcedProcessor] - Processor to use instead of the first matching one
+     * @returns {Promise<boolean>} True if processing failed or recorded errors
      */
-    async processFile(fileInfo) {
+    async processFile(fileInfo, forcedProcessor = null) {
+        const change = fileInfo.scanChange;
+
         try {
-            // Find appropriate processor
-            const processor = this.processors.find(p => p.canProcess(fileInfo));
+            const chain = forcedProcessor ? [forcedProcessor] : this.getChain(fileInfo);
 
-            if (processor) {
-                // Process file
-                const processed = await processor.process(fileInfo);
+            // Process file, or store basic metadata without processing
+            const processed = chain.length > 0 ? await this.runChain(chain, fileInfo) : fileInfo;
+            delete processed.scanChange;
+            await this.geocoder.apply(processed);
+            this.autoTagger.apply(processed);
 
-                // Store in database
-                await database.upsertFile(processed);
-            } else {
-                // Store basic metadata without processing
-                await database.upsertFile(fileInfo);
-            }
+            // Store in database
+            await this.queueWrite(processed, change);
+
+            return processed.processing?.errors?.length > 0;
 
         } catch (error) {
             logger.error(`Failed to process ${fileInfo.path}`, error);
+            return true;
         }
     }
 
+    /**
+     * Get the processors that run on a file, in merge order
+     * The primary processor is the first non-enricher that can handle the
+     * file; every matching enricher follows in priority order
+     *
+     * @param {Object} fileInfo - File information object
+     * @returns {BaseProcessor[]}
+     */
+    getChain(fileInfo) {
+        const primary = this.processors.find(p => !p.isEnricher() && p.canProcess(fileInfo));
+        const enrichers = this.processors.filter(p => p.isEnricher() && p.canProcess(fileInfo));
+
+        return primary ? [primary, ...enrichers] : enrichers;
+    }
+
+    /**
+     * Run a chain of processors on a file and merge their results
+     *
+     * Processors run one after another, each seeing the metadata merged so
+     * far. Top-level metadata sections a processor returns are merged into
+     * the file: objects key by key, anything else replaced, so later
+     * processors win conflicts. processing.processors records what each
+     * processor contributed and how many errors it raised; processing.errors
+     * collects the errors of all of them.
+     *
+     * @param {BaseProcessor[]} chain - Processors in merge order
+     * @param {Object} fileInfo - File information object
+     * @returns {Promise<Object>} Processed file
+     */
+    async runChain(chain, fileInfo) {
+        let current = fileInfo;
+        let processing = null;
+        const steps = [];
+        const errors = [];
+
+        for (const [index, processor] of chain.entries()) {
+            const metadata = current.metadata || {};
+            const before = new Map(Object.entries(metadata).map(([key, value]) => [key, JSON.stringify(value)]));
+
+            const result = await this.runProcessor(processor, { ...current, metadata: { ...metadata }, processing: null });
+            const merged = { ...metadata };
+            const contributed = [];
+
+            for (const [key, value] of Object.entries(result.metadata || {})) {
+                const existing = merged[key];
+                merged[key] = isPlainObject(existing) && isPlainObject(value) && existing !== value
+                    ? { ...existing, ...value }
+                    : value;
+
+                if (JSON.stringify(merged[key]) !== before.get(key)) {
+                    contributed.push(key);
+                }
+            }
+
+            const stepErrors = result.processing?.errors || [];
+            errors.push(...stepErrors);
+            steps.push({
+                processor: processor.name,
+                version: processor.version,
+                role: index === 0 && !processor.isEnricher() ? 'primary' : 'enricher',
+                processingTime: result.processing?.processingTime ?? null,
+                contributed,
+                errors: stepErrors.length
+            });
+
+            if (result.processing?.processedAt && !processing) {
+                processing = { ...result.processing };
+            }
+
+            current = { ...result, metadata: merged };
+        }
+
+        if (processing || errors.length > 0) {
+            current.processing = {
+                ...processing,
+                processingTime: steps.reduce((total, step) => total + (step.processingTime || 0), 0),
+                errors,
+                processors: steps
+            };
+        }
+
+        return current;
+    }
+
+    /**
+     * Run a processor in the worker pool if it is CPU-intensive (or always,
+     * with process isolation), otherwise on the main thread
+     * The pool stops a worker that overruns the processor timeout; the grace
+     * period lets the processor's own timer report the timeout first.
+     */
+    async runProcessor(processor, fileInfo) {
+        const useWorker = this.workerPool && (this.isolation === 'process' || processor.isCpuIntensive());
+
+        if (!useWorker) {
+            return processor.run(fileInfo);
+        }
+
+        const timeout = processor.getTimeout();
+
+        try {
+            return await this.workerPool.run({
+                processor: processor.name,
+                modulePath: processor.modulePath,
+                config: processor.config,
+                fileInfo
+            }, { timeout: timeout ? timeout + 1000 : 0 });
+        } catch (error) {
+            return processor.handleError(fileInfo, error);
+        }
+    }
+
+    /**
+     * Queue a database write
+     * Writes are chained so upserts never interleave, whatever order
+     * files finish processing in
+     *
+     * @param {Object} fileInfo - Processed file
+     * @param {string} [change] - Change to record in the scan history ('added' or 'modified')
+     */
+    queueWrite(fileInfo, change = null) {
+        const write = this.writeQueue.then(async () => {
+            await database.upsertFile(fileInfo);
+
+            if (change && this.scanId) {
+                database.recordScanChange(this.scanId, fileInfo.path, change);
+            }
+        });
+        this.writeQueue = write.catch(() => {});
+        return write;
+    }
+
+    /**
+     * Queue a checkpoint behind pending writes
+     * Stores the resume cursor, flushes the JSON store, then commits the
+     * SQLite batch. JSON is flushed first: if the process dies in between,
+     * SQLite holds the older cursor and the files after it are redone.
+     */
+    queueCheckpoint() {
+        this.writeQueue = this.writeQueue
+            .then(async () => {
+                database.updateScanCheckpoint(this.scanId, this.checkpoints.snapshot());
+                await database.saveJSON();
+                database.commitBatch();
+                database.beginBatch();
+            })
+            .catch(error => logger.error('Checkpoint failed', error));
+    }
+
     /**
      * Get ignore manager
      */
     async getIgnoreManager(directory) {
         if (this.config.scanning.respectGitignore !== false) {
             // Reuse the gitignore logic from original file
-            const path = require('path');
             const fs = require('fs').promises;
             const ignore = require('ignore');
             const os = require('os');
@@ -215,9 +801,29 @@ class MetadataAnalyzer {
      * Close analyzer
      */
     async close() {
+        if (this.workerPool) {
+            await this.workerPool.close();
+        }
+
         await database.close();
         logger.close();
     }
 }
 
+/**
+ * Whether a path lies below a directory, including when the directory is a
+ * filesystem root such as / or C:\ (which already ends with a separator)
+ */
+function isInside(filePath, directory) {
+    const prefix = directory.endsWith(path.sep) ? directory : directory + path.sep;
+    return filePath.startsWith(prefix);
+}
+
+/**
+ * Whether a value is a plain object (metadata sections are merged key by key)
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && !Buffer.isBuffer(value);
+}
+
 module.exports = MetadataAnalyzer;
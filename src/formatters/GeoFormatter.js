@@ -0,0 +1,165 @@
+/**
+ * Geo Formatter
+ * Exports the locations of geotagged files as GeoJSON, KML or GPX
+ *
+ * Each file with a location (see gpsUtils.getFileCoordinates()) becomes a
+ * point named after the file, stamped with the time it was taken (EXIF or
+ * video date, else its modification time). Files without a location are
+ * left out.
+ */
+
+const gpsUtils = require('../utils/gps');
+
+const FORMATS = ['geojson', 'kml', 'gpx'];
+
+class GeoFormatter {
+    /**
+     * Export files in one of the supported formats
+     *
+     * @param {Object[]} files - Analyzed files
+     * @param {string} format - 'geojson', 'kml' or 'gpx'
+     * @returns {string} Document text
+     * @throws {Error} If the format is unknown
+     */
+    format(files, format) {
+        switch (format) {
+            case 'geojson':
+                return JSON.stringify(this.toGeoJSON(files), null, 2);
+            case 'kml':
+                return this.toKML(files);
+            case 'gpx':
+                return this.toGPX(files);
+            default:
+                throw new Error(`Unknown format: ${format} (use ${FORMATS.join(', ')})`);
+        }
+    }
+
+    /**
+     * GeoJSON FeatureCollection with a Point feature per file
+     *
+     * @param {Object[]} files - Analyzed files
+     * @returns {Object} FeatureCollection
+     */
+    toGeoJSON(files) {
+        return {
+            type: 'FeatureCollection',
+            features: this.getPoints(files).map(point => {
+                const feature = gpsUtils.toGeoJSON(point.latitude, point.longitude, {
+                    name: point.file.name,
+                    path: point.file.path,
+                    category: point.file.category,
+                    mimeType: point.file.mimeType,
+                    size: point.file.size,
+                    time: point.time
+                });
+
+                if (point.altitude !== null) {
+                    feature.geometry.coordinates.push(point.altitude);
+                }
+                return feature;
+            })
+        };
+    }
+
+    /**
+     * KML document with a placemark per file
+     *
+     * @param {Object[]} files - Analyzed files
+     * @returns {string} KML
+     */
+    toKML(files) {
+        const placemarks = this.getPoints(files).map(point => {
+            const coordinates = [point.longitude, point.latitude, ...(point.altitude !== null ? [point.altitude] : [])].join(',');
+            return [
+                '    <Placemark>',
+                `      <name>${escapeXML(point.file.name)}</name>`,
+                `      <description>${escapeXML(point.file.path)}</description>`,
+                ...(point.time ? [`      <TimeStamp><when>${point.time}</when></TimeStamp>`] : []),
+                `      <Point><coordinates>${coordinates}</coordinates></Point>`,
+                '    </Placemark>'
+            ].join('\n');
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<kml xmlns="http://www.opengis.net/kml/2.2">',
+            '  <Document>',
+            '    <name>fmao geotagged files</name>',
+            ...placemarks,
+            '  </Document>',
+            '</kml>'
+        ].join('\n');
+    }
+
+    /**
+     * GPX track through the files in the order they were taken
+     *
+     * @param {Object[]} files - Analyzed files
+     * @returns {string} GPX 1.1
+     */
+    toGPX(files) {
+        const points = this.getPoints(files)
+            .sort((a, b) => (a.time || '').localeCompare(b.time || ''))
+            .map(point => [
+                `      <trkpt lat="${point.latitude}" lon="${point.longitude}">`,
+                ...(point.altitude !== null ? [`        <ele>${point.altitude}</ele>`] : []),
+                ...(point.time ? [`        <time>${point.time}</time>`] : []),
+                `        <name>${escapeXML(point.file.name)}</name>`,
+                `        <desc>${escapeXML(point.file.path)}</desc>`,
+                '      </trkpt>'
+            ].join('\n'));
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<gpx version="1.1" creator="fmao" xmlns="http://www.topografix.com/GPX/1/1">',
+            '  <trk>',
+            '    <name>fmao geotagged files</name>',
+            '    <trkseg>',
+            ...points,
+            '    </trkseg>',
+            '  </trk>',
+            '</gpx>'
+        ].join('\n');
+    }
+
+    /**
+     * Location and time of each geotagged file
+     * @private
+     */
+    getPoints(files) {
+        const points = [];
+
+        for (const file of files) {
+            const location = gpsUtils.getFileCoordinates(file);
+            if (!location) continue;
+
+            points.push({ ...location, time: this.getTime(file), file });
+        }
+
+        return points;
+    }
+
+    /**
+     * When a file was taken, as an ISO time
+     * @private
+     */
+    getTime(file) {
+        const value = file.metadata?.image?.exif?.dateTime || file.metadata?.video?.tags?.creationTime ||
+            file.metadata?.video?.tags?.date || file.modified;
+        const time = new Date(value);
+        return isNaN(time) ? null : time.toISOString();
+    }
+}
+
+/**
+ * Escape text for XML content
+ */
+function escapeXML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = new GeoFormatter();
@@ -5,6 +5,9 @@
 
 const { encoding_for_model } = require('tiktoken');
 
+// Largest share of maxTokens the event overview may take, so files still fit
+const EVENTS_SHARE = 0.25;
+
 class LLMFormatter {
     constructor(config = {}) {
         this.config = config;
@@ -21,20 +24,23 @@ class LLMFormatter {
 
     /**
      * Format files for LLM context
+     * options.events are event collections (see QueryAPI.saveEvents()),
+     * summarized before the files in at most a quarter of maxTokens
      */
     formatForLLM(files, options = {}) {
         const {
             maxTokens = this.contextWindow,
             prioritizeRecent = true,
             includeSummaries = true,
-            format = 'markdown'
+            format = 'markdown',
+            events = []
         } = options;
 
         // Sort and prioritize files
         let sortedFiles = this.prioritizeFiles(files, prioritizeRecent);
 
         // Build context within token limit
-        const context = this.buildContext(sortedFiles, maxTokens, includeSummaries, format);
+        const context = this.buildContext(sortedFiles, maxTokens, includeSummaries, format, events);
 
         return context;
     }
@@ -90,9 +96,10 @@ class LLMFormatter {
     /**
      * Build context string within token limit
      */
-    buildContext(files, maxTokens, includeSummaries, format) {
+    buildContext(files, maxTokens, includeSummaries, format, events = []) {
         const parts = [];
         let totalTokens = 0;
+        let includedFiles = 0;
 
         // Add header
         const header = this.formatHeader(files.length, format);
@@ -100,9 +107,19 @@ class LLMFormatter {
         parts.push(header);
         totalTokens += headerTokens;
 
-        // Reserve tokens for footer
+        // Reserve tokens for footer; the header, events and files share the rest
         const footerReserve = 100;
-        const availableTokens = maxTokens - totalTokens - footerReserve;
+        const availableTokens = maxTokens - footerReserve;
+
+        // Events give an overview of photos and videos before the files themselves
+        if (events.length > 0) {
+            const budget = Math.min(maxTokens * EVENTS_SHARE, availableTokens - totalTokens);
+            const overview = this.buildEventOverview(events, budget, format);
+            if (overview) {
+                parts.push(overview);
+                totalTokens += this.countTokens(overview);
+            }
+        }
 
         // Add files
         for (const file of files) {
@@ -110,16 +127,17 @@ class LLMFormatter {
             const fileTokens = this.countTokens(fileContent);
 
             if (totalTokens + fileTokens > availableTokens) {
-                parts.push(this.formatTruncationNotice(files.length - parts.length + 1, format));
+                parts.push(this.formatTruncationNotice(files.length - includedFiles, format));
                 break;
             }
 
             parts.push(fileContent);
             totalTokens += fileTokens;
+            includedFiles++;
         }
 
         // Add footer with statistics
-        const footer = this.formatFooter(parts.length - 1, files.length, totalTokens, format);
+        const footer = this.formatFooter(includedFiles, files.length, totalTokens, format);
         parts.push(footer);
 
         return parts.join('\n\n');
@@ -136,6 +154,79 @@ class LLMFormatter {
         return `# File Metadata Context\n\nTotal files available: ${totalFiles}`;
     }
 
+    /**
+     * Format as many event summaries as fit in a token budget, in order
+     * Returns null when not even one fits.
+     */
+    buildEventOverview(events, budget, format) {
+        let tokens = this.countTokens(this.formatEvents([], format, events.length));
+        const included = [];
+
+        for (const event of events) {
+            const entryTokens = this.countTokens(this.formatEvent(event, format));
+            if (tokens + entryTokens > budget) break;
+
+            tokens += entryTokens;
+            included.push(event);
+        }
+
+        return included.length > 0
+            ? this.formatEvents(included, format, events.length - included.length)
+            : null;
+    }
+
+    /**
+     * Format event summaries, noting how many were left out
+     */
+    formatEvents(events, format, omitted = 0) {
+        if (format === 'json') {
+            return JSON.stringify({
+                type: 'events',
+                events: events.map(event => this.summarizeEvent(event)),
+                ...(omitted > 0 ? { omitted } : {})
+            });
+        }
+
+        const lines = events.map(event => this.formatEvent(event, format));
+        if (omitted > 0) {
+            lines.push(`- ... and ${omitted} more events`);
+        }
+
+        return `## Events\n\n${lines.join('\n')}`;
+    }
+
+    /**
+     * Format one event summary: a markdown list item or a JSON object
+     */
+    formatEvent(event, format) {
+        if (format === 'json') {
+            return JSON.stringify(this.summarizeEvent(event));
+        }
+
+        const { place, centroid } = event.details || {};
+        const where = [
+            place ? [...new Set([place.city, place.region, place.country].filter(Boolean))].join(', ') : null,
+            centroid ? `${centroid.latitude.toFixed(4)}, ${centroid.longitude.toFixed(4)}` : null
+        ].filter(Boolean).join('; ');
+
+        return `- ${event.description}${where ? ` (${where})` : ''}`;
+    }
+
+    /**
+     * Fields of an event collection given in JSON context
+     */
+    summarizeEvent(event) {
+        return {
+            name: event.name,
+            summary: event.description,
+            start: event.details?.start,
+            end: event.details?.end,
+            files: event.fileCount,
+            place: event.details?.place || null,
+            centroid: event.details?.centroid || null
+        };
+    }
+
     /**
      * Format footer
      */
@@ -0,0 +1,313 @@
+/**
+ * Duplicate Resolver
+ * Keeps one file of each duplicate group and deletes, quarantines or links the others
+ *
+ * The file to keep is chosen by a list of policies, each breaking the ties
+ * of the one before (the path decides the last ties):
+ *
+ *   oldest              - Earliest creation or modification time
+ *   newest              - Latest modification time
+ *   shortest-path       - Fewest characters in the path
+ *   preferred-root      - Under the preferred root
+ *   highest-resolution  - Most pixels (images and videos)
+ *
+ * Groups come from the stored sha256 hashes, which may be stale, so every
+ * duplicate is compared byte by byte with the kept file right before it
+ * is touched. Each change is journaled and can be reversed with
+ * `fmao undo`, except deletions.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const database = require('../storage/database');
+const operationJournal = require('./operationJournal');
+const fileOps = require('../utils/fileOps');
+const hashUtil = require('../utils/hash');
+const logger = require('../utils/logger');
+
+const ACTIONS = ['delete', 'quarantine', 'hardlink', 'symlink'];
+
+// Policy -> comparator; a negative result prefers a
+const POLICIES = {
+    oldest: (a, b, resolver) => resolver.getAge(a) - resolver.getAge(b),
+    newest: (a, b) => new Date(b.modified || 0) - new Date(a.modified || 0),
+    'shortest-path': (a, b) => a.path.length - b.path.length,
+    'preferred-root': (a, b, resolver) => resolver.isPreferred(b) - resolver.isPreferred(a),
+    'highest-resolution': (a, b, resolver) => resolver.getPixels(b) - resolver.getPixels(a)
+};
+
+class DuplicateResolver {
+    /**
+     * @param {Object} options
+     * @param {string[]} [options.keep=['oldest']] - Keep policies, most important first
+     * @param {Object} [options.preferredRoot] - Root for the preferred-root policy
+     *   (the policy is put first if not listed)
+     * @param {string} options.action - 'delete', 'quarantine', 'hardlink' or 'symlink'
+     * @param {string} [options.quarantineDir] - Where quarantined files go (required for quarantine)
+     * @param {Object[]} [options.roots] - Indexed roots, to lay out the quarantine by root label
+     */
+    constructor(options = {}) {
+        this.keep = [...(options.keep || ['oldest'])];
+        this.preferredRoot = options.preferredRoot || null;
+        this.action = options.action;
+        this.quarantineDir = options.quarantineDir ? path.resolve(options.quarantineDir) : null;
+        this.roots = new Map((options.roots || []).map(root => [root.id, root]));
+
+        for (const policy of this.keep) {
+            if (!POLICIES[policy]) {
+                throw new Error(`Unknown keep policy: ${policy} (use ${Object.keys(POLICIES).join(', ')})`);
+            }
+        }
+        if (this.preferredRoot && !this.keep.includes('preferred-root')) {
+            this.keep.unshift('preferred-root');
+        }
+        if (this.keep.includes('preferred-root') && !this.preferredRoot) {
+            throw new Error('The preferred-root policy needs a preferred root');
+        }
+        if (!ACTIONS.includes(this.action)) {
+            throw new Error(`Unknown action: ${this.action} (use ${ACTIONS.join(', ')})`);
+        }
+        if (this.action === 'quarantine' && !this.quarantineDir) {
+            throw new Error('The quarantine action needs a quarantine directory');
+        }
+    }
+
+    /**
+     * Pick the file to keep from a group
+     *
+     * @param {Object[]} files - Files with the same content
+     * @returns {Object} The file to keep
+     */
+    chooseKeeper(files) {
+        return [...files].sort((a, b) => {
+            for (const policy of this.keep) {
+                const order = POLICIES[policy](a, b, this);
+                if (order) return order;
+            }
+            return a.path.localeCompare(b.path);
+        })[0];
+    }
+
+    /**
+     * Work out what happens to each duplicate
+     *
+     * Only a regular file is kept; groups without one are left out.
+     * Duplicates that are missing from disk, already symlinks, or already
+     * hard links of the kept file are skipped. The content is not compared
+     * yet; apply() does that.
+     *
+     * @param {Object[]} groups - Duplicate groups from QueryAPI.findDuplicates()
+     * @returns {Promise<Array<{hash: string, keep: Object, steps: Object[], reclaimable: number}>>}
+     *   Each step is { file, action, destination?, reason? } with action 'skip' when skipped
+     */
+    async plan(groups) {
+        const plan = [];
+        const reserved = new Set();
+
+        for (const group of groups) {
+            const stats = new Map();
+            for (const file of group.files) {
+                stats.set(file, await this.lstat(file.path));
+            }
+
+            // Only a regular file can be kept: a symlink may point at one of the duplicates
+            const candidates = group.files.filter(file => stats.get(file)?.isFile());
+            if (candidates.length === 0) continue;
+
+            const keep = this.chooseKeeper(candidates);
+            const keepStats = stats.get(keep);
+            const entry = { hash: group.hash, keep, steps: [], reclaimable: 0 };
+            plan.push(entry);
+
+            for (const file of group.files) {
+                if (file === keep) continue;
+
+                const step = { file, action: 'skip' };
+                entry.steps.push(step);
+
+                const fileStats = stats.get(file);
+                if (!fileStats) {
+                    step.reason = 'not on disk';
+                } else if (fileStats.isSymbolicLink()) {
+                    step.reason = 'already a symlink';
+                } else if (!fileStats.isFile()) {
+                    step.reason = 'not a regular file';
+                } else if (fileStats.ino === keepStats.ino && fileStats.dev === keepStats.dev) {
+                    step.reason = 'already a hard link of the kept file';
+                } else {
+                    step.action = this.action;
+                    if (this.action === 'quarantine') {
+                        step.destination = await fileOps.freePath(this.getQuarantinePath(file), reserved);
+                        reserved.add(step.destination);
+                    }
+                    entry.reclaimable += fileStats.size;
+                }
+            }
+        }
+
+        return plan;
+    }
+
+    /**
+     * Carry out a plan
+     *
+     * Each duplicate is first compared byte by byte with the kept file and
+     * skipped if they differ. Links replace the duplicate atomically (the
+     * link is created next to it and renamed over it). Index records of
+     * deleted files are removed; quarantined files keep theirs, marked
+     * deleted, so undo can restore them with their tags.
+     *
+     * @param {Object[]} plan - Result of plan()
+     * @returns {Promise<{operationId: number|null, resolved: number, skipped: number, failed: number, reclaimed: number, errors: Object[]}>}
+     */
+    async apply(plan) {
+        const result = { operationId: null, resolved: 0, skipped: 0, failed: 0, reclaimed: 0, errors: [] };
+
+        for (const entry of plan) {
+            let sha256 = null;
+
+            for (const step of entry.steps) {
+                if (step.action === 'skip') {
+                    result.skipped++;
+                    continue;
+                }
+
+                try {
+                    const [keepStats, fileStats] = await Promise.all([this.lstat(entry.keep.path), this.lstat(step.file.path)]);
+                    if (!keepStats?.isFile() || !fileStats?.isFile()) {
+                        throw new Error(`${keepStats?.isFile() ? step.file.path : entry.keep.path} is no longer a regular file`);
+                    }
+
+                    if (!await fileOps.sameContent(entry.keep.path, step.file.path)) {
+                        step.action = 'skip';
+                        step.reason = 'content differs from the kept file';
+                        logger.warn(`Not a duplicate of ${entry.keep.path}: ${step.file.path}`);
+                        result.skipped++;
+                        continue;
+                    }
+
+                    if (result.operationId === null) {
+                        result.operationId = operationJournal.begin('dedupe', `${this.action}, keep ${this.keep.join(',')}`);
+                    }
+                    sha256 = sha256 || await hashUtil.sha256(entry.keep.path);
+
+                    await this.resolve(step, entry.keep, result.operationId, sha256, fileStats.size);
+
+                    result.resolved++;
+                    result.reclaimed += fileStats.size;
+                } catch (error) {
+                    logger.error(`Failed to ${step.action} ${step.file.path}: ${error.message}`);
+                    result.failed++;
+                    result.errors.push({ path: step.file.path, error: error.message });
+                }
+            }
+        }
+
+        if (result.operationId !== null) {
+            operationJournal.finish(result.operationId);
+        }
+
+        return result;
+    }
+
+    /**
+     * Apply the action to one verified duplicate and journal it
+     * @private
+     */
+    async resolve(step, keep, operationId, sha256, size) {
+        const filePath = step.file.path;
+
+        switch (step.action) {
+            case 'delete':
+                await fs.unlink(filePath);
+                await operationJournal.record(operationId, { action: 'delete', source: filePath, sha256, size });
+                database.deleteFile(filePath);
+                break;
+
+            case 'quarantine':
+                await operationJournal.recordDirectory(operationId, await fileOps.move(filePath, step.destination));
+                await operationJournal.record(operationId, { action: 'move', source: filePath, destination: step.destination, sha256, size });
+                database.relocateFile(filePath, step.destination);
+                database.markFileDeleted(step.destination);
+                break;
+
+            case 'hardlink':
+            case 'symlink': {
+                const temporary = path.join(path.dirname(filePath), `.${path.basename(filePath)}.fmao-${process.pid}`);
+                if (step.action === 'hardlink') {
+                    await fs.link(keep.path, temporary);
+                } else {
+                    await fs.symlink(keep.path, temporary);
+                }
+
+                try {
+                    await fs.rename(temporary, filePath);
+                } catch (error) {
+                    await fs.unlink(temporary).catch(() => {});
+                    throw error;
+                }
+
+                await operationJournal.record(operationId, {
+                    action: step.action === 'hardlink' ? 'link' : 'symlink',
+                    source: filePath,
+                    destination: keep.path,
+                    sha256,
+                    size
+                });
+                break;
+            }
+        }
+    }
+
+    /**
+     * Quarantine path of a file: <quarantineDir>/<root label>/<relative path>
+     * @private
+     */
+    getQuarantinePath(file) {
+        const root = this.roots.get(file.rootId);
+        return root
+            ? path.join(this.quarantineDir, root.label, file.relativePath)
+            : path.join(this.quarantineDir, file.path.replace(/^[/\\]+|:/g, ''));
+    }
+
+    /**
+     * lstat, or null if the path does not exist
+     * @private
+     */
+    async lstat(filePath) {
+        try {
+            return await fs.lstat(filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Earliest of a file's creation and modification times, in ms
+     * @private
+     */
+    getAge(file) {
+        const times = [file.created, file.modified]
+            .map(value => new Date(value).getTime())
+            .filter(time => !isNaN(time));
+        return times.length > 0 ? Math.min(...times) : Infinity;
+    }
+
+    /**
+     * @private
+     */
+    isPreferred(file) {
+        return file.rootId === this.preferredRoot.id ? 1 : 0;
+    }
+
+    /**
+     * @private
+     */
+    getPixels(file) {
+        const media = file.metadata?.image || file.metadata?.video || {};
+        return (media.width || 0) * (media.height || 0);
+    }
+}
+
+module.exports = DuplicateResolver;
@@ -0,0 +1,407 @@
+/**
+ * File Organizer
+ * Moves or copies indexed files into a layout described by a path template
+ *
+ *   Photos/{exif.dateTime:YYYY}/{exif.dateTime:MM}/{name}
+ *   Music/{albumArtist|Unknown Artist}/{album}/{track:02} {title}.{ext}
+ *   Fonts/{font.family}/{name}
+ *   Travel/{country|Unknown}/{city|Unknown}/{name}
+ *
+ * A placeholder is `{field[:format][|default]}`. Fields are file fields
+ * (name, stem, ext, extension, category, mimeType, size), shorthands
+ * for common tags (title, artist, album, albumArtist, track, disk, year,
+ * genre, date), the place of geotagged files (city, region, country,
+ * countryCode) or metadata paths as in query expressions (`exif.*` is short
+ * for `image.exif.*`). Formats are date patterns (YYYY, YY, MM, DD, HH, mm,
+ * ss), zero padding (`02`), `lower` and `upper`. A file missing a field that
+ * has no default is skipped.
+ *
+ * Values are made safe as single path segments, so a field can never add
+ * directories or climb out of the target directory.
+ */
+
+const path = require('path');
+const database = require('../storage/database');
+const operationJournal = require('./operationJournal');
+const fileOps = require('../utils/fileOps');
+const logger = require('../utils/logger');
+
+const PLACEHOLDER = /\{([^{}]+)\}/g;
+
+// Shorthand fields -> metadata paths, first present wins
+const SHORTHANDS = {
+    title: ['audio.tags.title', 'video.title', 'document.title', 'office.properties.title'],
+    artist: ['audio.tags.artist'],
+    album: ['audio.tags.album'],
+    albumArtist: ['audio.tags.albumArtist', 'audio.tags.artist'],
+    track: ['audio.tags.track'],
+    disk: ['audio.tags.disk'],
+    year: ['audio.tags.year'],
+    genre: ['audio.tags.genre'],
+    date: ['image.exif.dateTime'],
+    city: ['image.exif.place.city', 'video.place.city', 'audio.place.city'],
+    region: ['image.exif.place.region', 'video.place.region', 'audio.place.region'],
+    country: ['image.exif.place.country', 'video.place.country', 'audio.place.country'],
+    countryCode: ['image.exif.place.countryCode', 'video.place.countryCode', 'audio.place.countryCode']
+};
+
+const FIELD_ALIASES = {
+    exif: 'image.exif'
+};
+
+class FileOrganizer {
+    /**
+     * @param {Object} options
+     * @param {string} options.template - Destination path template, relative to the target directory
+     * @param {string} [options.targetDir] - Directory the template is resolved against
+     *   (defaults to the root of each file)
+     * @param {Object[]} [options.roots] - Indexed roots, used when there is no targetDir
+     * @param {string} [options.mode='move'] - 'move' or 'copy'
+     * @param {string} [options.onCollision='rename'] - When the destination is taken:
+     *   'rename' adds a counter (`name (2).jpg`), 'skip' leaves the file where it is
+     */
+    constructor(options = {}) {
+        this.templateText = options.template;
+        this.template = this.parseTemplate(options.template);
+        this.targetDir = options.targetDir ? path.resolve(options.targetDir) : null;
+        this.roots = new Map((options.roots || []).map(root => [root.id, root.path]));
+        this.mode = options.mode || 'move';
+        this.onCollision = options.onCollision || 'rename';
+
+        if (!['move', 'copy'].includes(this.mode)) {
+            throw new Error(`Invalid mode: ${this.mode} (use move or copy)`);
+        }
+        if (!['rename', 'skip'].includes(this.onCollision)) {
+            throw new Error(`Invalid collision handling: ${this.onCollision} (use rename or skip)`);
+        }
+    }
+
+    /**
+     * Split a template into its path segments of literal text and placeholders
+     * @private
+     */
+    parseTemplate(template) {
+        if (!template || !template.trim()) {
+            throw new Error('Invalid template: template is empty');
+        }
+        if (path.isAbsolute(template)) {
+            throw new Error('Invalid template: template must be relative (use --to for the target directory)');
+        }
+
+        return template.split(/[\\/]+/).filter(Boolean).map(segment => {
+            if (segment === '.' || segment === '..') {
+                throw new Error(`Invalid template: "${segment}" is not allowed`);
+            }
+
+            const parts = [];
+            let lastIndex = 0;
+            for (const match of segment.matchAll(PLACEHOLDER)) {
+                if (match.index > lastIndex) parts.push(segment.slice(lastIndex, match.index));
+                parts.push(this.parsePlaceholder(match[1]));
+                lastIndex = match.index + match[0].length;
+            }
+            if (lastIndex < segment.length) parts.push(segment.slice(lastIndex));
+
+            if (parts.some(part => typeof part === 'string' && /[{}]/.test(part))) {
+                throw new Error(`Invalid template: unbalanced braces in "${segment}"`);
+            }
+            return parts;
+        });
+    }
+
+    /**
+     * Parse `field[:format][|default]`
+     * @private
+     */
+    parsePlaceholder(text) {
+        const [spec, ...defaults] = text.split('|');
+        const [field, format] = spec.split(':').map(s => s.trim());
+
+        if (!/^[A-Za-z_][\w.-]*$/.test(field)) {
+            throw new Error(`Invalid template: bad field "{${text}}"`);
+        }
+        if (format && !/^(0\d+|lower|upper|[YMDHms\-_. ]+)$/.test(format)) {
+            throw new Error(`Invalid template: unknown format "${format}" in "{${text}}"`);
+        }
+
+        return { field, format, fallback: defaults.length > 0 ? defaults.join('|') : undefined };
+    }
+
+    /**
+     * Build the destination of a file
+     *
+     * @param {Object} file - Indexed file with its metadata
+     * @returns {string} Absolute destination path
+     * @throws {Error} If the file has no target directory or lacks a field
+     */
+    render(file) {
+        const baseDir = this.targetDir || this.roots.get(file.rootId);
+        if (!baseDir) {
+            throw new Error('file is outside every root (use --to)');
+        }
+
+        const segments = this.template.map(parts => {
+            const segment = parts.map(part => {
+                if (typeof part === 'string') return part;
+
+                const value = this.formatValue(this.resolveField(file, part.field), part.format);
+                if (value === undefined || value === '') {
+                    if (part.fallback === undefined) throw new Error(`missing ${part.field}`);
+                    return part.fallback;
+                }
+                return value;
+            }).join('');
+
+            return this.sanitizeSegment(segment);
+        }).filter(Boolean);
+
+        if (segments.length === 0) {
+            throw new Error('empty destination');
+        }
+
+        return path.join(baseDir, ...segments);
+    }
+
+    /**
+     * Look up a template field on a file
+     * @private
+     */
+    resolveField(file, field) {
+        const extension = path.extname(file.name);
+
+        switch (field) {
+            case 'name': return file.name;
+            case 'stem': return extension ? file.name.slice(0, -extension.length) : file.name;
+            case 'ext': return extension.slice(1);
+            case 'extension': return file.extension;
+            case 'category': return file.category;
+            case 'mimeType': return file.mimeType;
+            case 'size': return file.size;
+        }
+
+        if (SHORTHANDS[field]) {
+            for (const fieldPath of SHORTHANDS[field]) {
+                const value = this.getMetadataValue(file, fieldPath);
+                if (value !== undefined) return value;
+            }
+            return field === 'date' ? file.modified : undefined;
+        }
+
+        let fieldPath = field.startsWith('metadata.') ? field.slice('metadata.'.length) : field;
+        const [head, ...rest] = fieldPath.split('.');
+        if (FIELD_ALIASES[head]) {
+            fieldPath = [FIELD_ALIASES[head], ...rest].join('.');
+        }
+
+        return this.getMetadataValue(file, fieldPath);
+    }
+
+    /**
+     * Read a dotted path from file.metadata (arrays give their first element)
+     * @private
+     */
+    getMetadataValue(file, fieldPath) {
+        let value = file.metadata;
+
+        for (const key of fieldPath.split('.')) {
+            if (Array.isArray(value)) value = value[0];
+            if (value === null || typeof value !== 'object') return undefined;
+            value = value[key];
+        }
+
+        if (Array.isArray(value)) value = value[0];
+        return value === null || typeof value === 'object' && !(value instanceof Date) ? undefined : value;
+    }
+
+    /**
+     * Apply a placeholder format to a value
+     * @private
+     */
+    formatValue(value, format) {
+        if (value === undefined || value === null) return undefined;
+        if (!format) return value instanceof Date ? value.toISOString() : String(value);
+
+        if (format === 'lower') return String(value).toLowerCase();
+        if (format === 'upper') return String(value).toUpperCase();
+
+        if (/^0\d+$/.test(format)) {
+            return String(value).padStart(parseInt(format, 10), '0');
+        }
+
+        const date = this.toDate(value);
+        if (!date) return undefined;
+
+        const pad = (number, width = 2) => String(number).padStart(width, '0');
+        const tokens = {
+            YYYY: pad(date.getFullYear(), 4),
+            YY: pad(date.getFullYear() % 100),
+            MM: pad(date.getMonth() + 1),
+            DD: pad(date.getDate()),
+            HH: pad(date.getHours()),
+            mm: pad(date.getMinutes()),
+            ss: pad(date.getSeconds())
+        };
+
+        return format.replace(/YYYY|YY|MM|DD|HH|mm|ss/g, token => tokens[token]);
+    }
+
+    /**
+     * Read a date from a Date, ISO string, EXIF string ('2024:01:15 14:30:00') or timestamp
+     * @private
+     */
+    toDate(value) {
+        let date;
+
+        if (value instanceof Date) {
+            date = value;
+        } else if (typeof value === 'number') {
+            date = new Date(value);
+        } else {
+            const text = String(value).replace(/^(\d{4}):(\d{2}):(\d{2})/, '$1-$2-$3').replace(' ', 'T');
+            date = new Date(text);
+        }
+
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * Make text safe as a single file or directory name
+     * @private
+     */
+    sanitizeSegment(segment) {
+        return segment
+            .replace(/[/\\:*?"<>|\x00-\x1f]/g, '_')
+            .replace(/^[\s.]+|[\s.]+$/g, '')
+            .substring(0, 255);
+    }
+
+    /**
+     * Work out where each file goes
+     *
+     * Files already at their destination, missing from disk, or lacking a
+     * template field are skipped with a reason. Two files rendering to the
+     * same path, or a destination already on disk, are resolved by
+     * onCollision.
+     *
+     * @param {Object[]} files - Indexed files (from queryAPI.query())
+     * @returns {Promise<Array<{source: string, destination: string|null, action: string, reason?: string}>>}
+     *   action is 'move', 'copy' or 'skip'
+     *
+     * @example
+     * const organizer = new FileOrganizer({ template: 'Photos/{exif.dateTime:YYYY}/{name}', targetDir: '/mnt/library' });
+     * const plan = await organizer.plan(await queryAPI.query({ category: 'image' }));
+     */
+    async plan(files) {
+        const steps = [];
+        const taken = new Set();
+
+        for (const file of files) {
+            const step = { source: file.path, destination: null, action: 'skip' };
+            steps.push(step);
+
+            let destination;
+            try {
+                destination = this.render(file);
+            } catch (error) {
+                step.reason = error.message;
+                continue;
+            }
+            step.destination = destination;
+
+            if (destination === file.path) {
+                step.reason = 'already in place';
+                continue;
+            }
+            if (!await fileOps.exists(file.path)) {
+                step.reason = 'not on disk';
+                continue;
+            }
+
+            if (taken.has(destination) || await fileOps.exists(destination)) {
+                if (this.onCollision === 'skip') {
+                    step.reason = 'destination exists';
+                    continue;
+                }
+
+                destination = await fileOps.freePath(destination, taken);
+                step.destination = destination;
+                step.reason = 'renamed, destination exists';
+            }
+
+            taken.add(destination);
+            step.action = this.mode;
+        }
+
+        return steps;
+    }
+
+    /**
+     * Carry out a plan
+     *
+     * Each file is moved or copied, journaled, then its record updated,
+     * before the next one, so an interrupted run leaves the index matching
+     * the disk. A failure is reported and the remaining files are still
+     * processed. Existing files are never overwritten. The run is one
+     * operation in the journal, which `fmao undo` can reverse.
+     *
+     * @param {Object[]} steps - Result of plan()
+     * @param {Object} [options]
+     * @param {Function} [options.onStep] - Called with each step and its error, if any
+     * @returns {Promise<{operationId: number|null, moved: number, copied: number, skipped: number, failed: number, errors: Object[]}>}
+     *   operationId is null when there was nothing to do
+     */
+    async apply(steps, options = {}) {
+        const result = { operationId: null, moved: 0, copied: 0, skipped: 0, failed: 0, errors: [] };
+
+        for (const step of steps) {
+            if (step.action === 'skip') {
+                result.skipped++;
+                continue;
+            }
+
+            if (result.operationId === null) {
+                result.operationId = operationJournal.begin('organize', `${this.mode} ${this.templateText}`);
+            }
+
+            try {
+                if (step.action === 'move') {
+                    const createdDirectory = await fileOps.move(step.source, step.destination);
+                    await operationJournal.recordDirectory(result.operationId, createdDirectory);
+                    const renamed = path.dirname(step.source) === path.dirname(step.destination);
+                    await operationJournal.record(result.operationId, {
+                        action: renamed ? 'rename' : 'move',
+                        source: step.source,
+                        destination: step.destination
+                    });
+                    database.relocateFile(step.source, step.destination);
+                    result.moved++;
+                } else {
+                    const createdDirectory = await fileOps.copy(step.source, step.destination);
+                    await operationJournal.recordDirectory(result.operationId, createdDirectory);
+                    await operationJournal.record(result.operationId, {
+                        action: 'copy',
+                        source: step.source,
+                        destination: step.destination
+                    });
+                    await database.copyFileRecord(step.source, step.destination);
+                    result.copied++;
+                }
+
+                if (options.onStep) options.onStep(step, null);
+            } catch (error) {
+                logger.error(`Failed to ${step.action} ${step.source}: ${error.message}`);
+                result.failed++;
+                result.errors.push({ source: step.source, destination: step.destination, error: error.message });
+                if (options.onStep) options.onStep(step, error);
+            }
+        }
+
+        if (result.operationId !== null) {
+            operationJournal.finish(result.operationId);
+        }
+
+        return result;
+    }
+}
+
+module.exports = FileOrganizer;
@@ -0,0 +1,258 @@
+/**
+ * Operation Journal
+ * Records the file changes of commands that move, copy, link, delete or
+ * edit files, and reverses them
+ *
+ * Each command run is one operation; each file it touches is an entry with
+ * the file's sha256 right after the change. Undo walks the entries
+ * backwards and refuses to touch a file whose content no longer matches its
+ * journaled hash (unless forced), a file that is gone, or a path that has
+ * been taken since. Deleted files and files edited in place (the EXIF
+ * written by geotag) cannot be restored; commands that may need to be
+ * undone should move files to a quarantine directory instead.
+ *
+ * Directories created for moved or copied files are journaled too (as
+ * `mkdir` entries, before the file entry), and removed by undo once empty.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const database = require('../storage/database');
+const fileOps = require('../utils/fileOps');
+const hashUtil = require('../utils/hash');
+const logger = require('../utils/logger');
+
+class OperationJournal {
+    /**
+     * Start journaling an operation
+     *
+     * @param {string} command - Command making the changes ('organize', 'dedupe'...)
+     * @param {string} [description] - What was asked for
+     * @returns {number} Operation id
+     */
+    begin(command, description) {
+        return database.startOperation({ command, description });
+    }
+
+    /**
+     * Journal a file change once it has been made
+     * The hash and size are read from the file holding the content after the
+     * change (the destination); pass them for deletes.
+     *
+     * @param {number} operationId - Operation id
+     * @param {Object} entry - action, source, destination and optionally sha256 and size
+     *   (see DatabaseManager.recordOperationEntry())
+     * @returns {Promise<number>} Entry id
+     */
+    async record(operationId, entry) {
+        let { sha256, size } = entry;
+
+        if (!sha256 && entry.destination && entry.action !== 'delete') {
+            sha256 = await hashUtil.sha256(entry.destination);
+            size = (await fs.stat(entry.destination)).size;
+        }
+
+        return database.recordOperationEntry(operationId, { ...entry, sha256, size });
+    }
+
+    /**
+     * Journal a directory created for a file change, so undo can remove it
+     * Call before recording the change itself.
+     *
+     * @param {number} operationId - Operation id
+     * @param {string} [directory] - Topmost directory created (as returned by fileOps.move()/copy());
+     *   nothing is recorded when undefined
+     * @returns {Promise<number|null>} Entry id
+     */
+    async recordDirectory(operationId, directory) {
+        if (!directory) return null;
+        return this.record(operationId, { action: 'mkdir', source: directory });
+    }
+
+    /**
+     * Mark an operation as finished
+     *
+     * @param {number} operationId - Operation id
+     */
+    finish(operationId) {
+        database.updateOperation(operationId, { status: 'completed', finishedAt: new Date().toISOString() });
+    }
+
+    /**
+     * Reverse an operation
+     *
+     * Entries are undone newest first. An entry that cannot be undone safely
+     * is skipped with a reason and the others still are; running undo again
+     * retries the skipped ones. The operation becomes 'undone' once all of
+     * its entries are, otherwise 'partially-undone'.
+     *
+     * @param {number} operationId - Operation id
+     * @param {Object} [options]
+     * @param {boolean} [options.force=false] - Undo entries whose file changed since the operation
+     * @param {boolean} [options.dryRun=false] - Only check what could be undone
+     * @returns {Promise<{operation: Object, results: Array<{entry: Object, status: string, reason?: string, warning?: string}>}>}
+     *   status is 'undone' ('would undo' in a dry run), 'skipped' or 'failed'
+     *
+     * @example
+     * const { results } = await operationJournal.undo(12);
+     * const skipped = results.filter(r => r.status === 'skipped');
+     */
+    async undo(operationId, options = {}) {
+        const operation = database.getOperation(operationId);
+        if (!operation) {
+            throw new Error(`Unknown operation: ${operationId}`);
+        }
+        if (operation.status === 'undone') {
+            throw new Error(`Operation ${operationId} was already undone on ${operation.undoneAt}`);
+        }
+
+        const results = [];
+
+        for (const entry of [...operation.entries].reverse()) {
+            if (entry.undoneAt) continue;
+
+            let result;
+            try {
+                result = await this.undoEntry(entry, options);
+            } catch (error) {
+                result = { status: 'failed', reason: error.message };
+            }
+
+            if (result.status === 'skipped' || result.status === 'failed') {
+                logger.warn(`Could not undo ${entry.action} of ${entry.source}: ${result.reason}`);
+            } else if (result.warning) {
+                logger.warn(`Undid ${entry.action} of ${entry.source}: ${result.warning}`);
+            }
+
+            if (result.status === 'undone') {
+                database.markOperationEntryUndone(operationId, entry.id);
+            }
+
+            results.push({ entry, ...result });
+        }
+
+        if (!options.dryRun) {
+            const remaining = operation.entries.length -
+                operation.entries.filter(e => e.undoneAt).length -
+                results.filter(r => r.status === 'undone').length;
+
+            database.updateOperation(operationId, {
+                status: remaining === 0 ? 'undone' : 'partially-undone',
+                undoneAt: new Date().toISOString()
+            });
+        }
+
+        return { operation, results };
+    }
+
+    /**
+     * Reverse one journaled change
+     * @private
+     */
+    async undoEntry(entry, { force = false, dryRun = false } = {}) {
+        const done = dryRun ? 'would undo' : 'undone';
+
+        switch (entry.action) {
+            case 'move':
+            case 'rename': {
+                const check = await this.checkContent(entry.destination, entry, force);
+                if (check.reason) return { status: 'skipped', reason: check.reason };
+                if (await fileOps.exists(entry.source)) {
+                    return { status: 'skipped', reason: `${entry.source} exists again` };
+                }
+
+                if (!dryRun) {
+                    await fileOps.move(entry.destination, entry.source);
+                    database.relocateFile(entry.destination, entry.source);
+                }
+                return { status: done, warning: check.warning };
+            }
+
+            case 'copy': {
+                const check = await this.checkContent(entry.destination, entry, force);
+                if (check.reason) return { status: 'skipped', reason: check.reason };
+
+                if (!dryRun) {
+                    await fs.unlink(entry.destination);
+                    database.deleteFile(entry.destination);
+                }
+                return { status: done, warning: check.warning };
+            }
+
+            case 'link':
+            case 'symlink': {
+                // The link at source is replaced by a copy of the file it points to
+                const check = await this.checkContent(entry.destination, entry, force);
+                if (check.reason) return { status: 'skipped', reason: check.reason };
+                if (!await this.isLinked(entry)) {
+                    return { status: 'skipped', reason: `${entry.source} is no longer a link to ${entry.destination}` };
+                }
+
+                if (!dryRun) {
+                    await fs.unlink(entry.source);
+                    await fileOps.copy(entry.destination, entry.source);
+                }
+                return { status: done, warning: check.warning };
+            }
+
+            case 'delete':
+                return { status: 'skipped', reason: 'deleted files cannot be restored' };
+
+            case 'edit':
+                return { status: 'skipped', reason: 'files edited in place cannot be restored' };
+
+            case 'mkdir': {
+                // Undone after the files moved into it, which are later entries
+                if (dryRun) return { status: done };
+                if (!await fileOps.removeEmptyDirectories(entry.source)) {
+                    return { status: 'skipped', reason: `${entry.source} is not empty` };
+                }
+                return { status: done };
+            }
+
+            default:
+                return { status: 'skipped', reason: `unknown action ${entry.action}` };
+        }
+    }
+
+    /**
+     * Check that a file still has the content the journal recorded
+     * @private
+     */
+    async checkContent(filePath, entry, force) {
+        if (!await fileOps.exists(filePath)) {
+            return { reason: `${filePath} no longer exists` };
+        }
+        if (!entry.sha256 || await hashUtil.sha256(filePath) === entry.sha256) {
+            return {};
+        }
+
+        return force
+            ? { warning: `${filePath} changed since the operation (sha256 differs); undone anyway` }
+            : { reason: `${filePath} changed since the operation (sha256 differs); use --force to undo anyway` };
+    }
+
+    /**
+     * Check that the source of a link entry still links to its destination
+     * @private
+     */
+    async isLinked(entry) {
+        try {
+            if (entry.action === 'symlink') {
+                const stats = await fs.lstat(entry.source);
+                if (!stats.isSymbolicLink()) return false;
+
+                const target = await fs.readlink(entry.source);
+                return path.resolve(path.dirname(entry.source), target) === entry.destination;
+            }
+
+            const [source, destination] = await Promise.all([fs.stat(entry.source), fs.stat(entry.destination)]);
+            return source.ino === destination.ino && source.dev === destination.dev;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+}
+
+module.exports = new OperationJournal();
@@ -4,6 +4,7 @@
  */
 
 const BaseProcessor = require('./BaseProcessor');
+const gpsUtils = require('../utils/gps');
 
 class AudioProcessor extends BaseProcessor {
     constructor(config = {}) {
@@ -89,6 +90,16 @@ class AudioProcessor extends BaseProcessor {
                 }
             }
 
+            // Location recorded by phones (ISO 6709, e.g. voice memos)
+            const location = Object.values(metadata.native || {})
+                .flat()
+                .filter(tag => ['©xyz', 'com.apple.quicktime.location.ISO6709'].includes(tag.id))
+                .map(tag => gpsUtils.parseISO6709(tag.value))
+                .find(Boolean);
+            if (location) {
+                fileInfo.metadata.audio.gps = location;
+            }
+
             // Extract technical quality information
             if (metadata.quality) {
                 fileInfo.metadata.audio.quality = metadata.quality;
@@ -8,6 +8,7 @@
 
 const logger = require('../utils/logger');
 const fs = require('fs').promises;
+const v8 = require('v8');
 
 class BaseProcessor {
     constructor(config = {}) {
@@ -18,11 +19,80 @@ class BaseProcessor {
 
     /**
      * Check if this processor can handle the given file
+     * By default matches the declared extensions and MIME types; subclasses
+     * that declare neither must override
+     *
      * @param {Object} fileInfo - File information object
      * @returns {boolean}
      */
     canProcess(fileInfo) {
-        throw new Error('canProcess() must be implemented by subclass');
+        const extensions = this.getSupportedExtensions();
+        const mimeTypes = this.getSupportedMimeTypes();
+
+        if (extensions.length === 0 && mimeTypes.length === 0) {
+            throw new Error('canProcess() must be implemented by subclass');
+        }
+
+        return extensions.includes(fileInfo.extension) || mimeTypes.includes(fileInfo.mimeType);
+    }
+
+    /**
+     * Get the processor's priority
+     * Processors are tried from highest to lowest priority; ties keep
+     * registration order, built-in processors first. Built-ins use 0.
+     *
+     * @returns {number}
+     */
+    getPriority() {
+        return this.config.priority || 0;
+    }
+
+    /**
+     * Process a file, giving up after the configured timeout
+     *
+     * Entry point used by the analyzer and workers. `config.timeout` (ms)
+     * bounds how long process() may take; on timeout the file is returned
+     * with a `timeout` error instead of its metadata. process() works on a
+     * deep copy (nested metadata and processing errors included), so an
+     * abandoned run cannot modify the returned object later.
+     *
+     * A timer cannot interrupt synchronous code that never yields; the
+     * worker pool enforces the same timeout by stopping the worker.
+     *
+     * @param {Object} fileInfo - File information object
+     * @returns {Promise<Object>} - Enhanced file information with metadata
+     */
+    async run(fileInfo) {
+        const timeout = this.getTimeout();
+        if (!timeout) {
+            return this.process(fileInfo);
+        }
+
+        let timer;
+        const timedOut = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const error = new Error(`${this.name} timed out after ${timeout}ms`);
+                error.failureType = 'timeout';
+                reject(error);
+            }, timeout);
+        });
+
+        try {
+            return await Promise.race([this.process(deepCopy(fileInfo)), timedOut]);
+        } catch (error) {
+            return this.handleError(fileInfo, error);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Get the processing timeout in milliseconds (0 for none)
+     *
+     * @returns {number}
+     */
+    getTimeout() {
+        return this.config.timeout || 0;
     }
 
     /**
@@ -151,6 +221,8 @@ class BaseProcessor {
 
     /**
      * Handle processing errors
+     * Errors are recorded with a failure type: 'timeout', 'crash' (the
+     * worker running the processor died) or 'error'
      */
     handleError(fileInfo, error) {
         logger.error(`Error processing ${fileInfo.path} with ${this.name}`, error);
@@ -165,6 +237,7 @@ class BaseProcessor {
 
         fileInfo.processing.errors.push({
             processor: this.name,
+            type: error.failureType || 'error',
             message: error.message,
             timestamp: new Date().toISOString()
         });
@@ -172,6 +245,97 @@ class BaseProcessor {
         return fileInfo;
     }
 
+    /**
+     * Whether this processor is CPU-heavy enough to run off the main thread
+     * Processors backed by native decoders or large parsers should override
+     *
+     * @returns {boolean}
+     */
+    isCpuIntensive() {
+        return false;
+    }
+
+    /**
+     * Whether this processor enriches files handled by another processor
+     * Each file has one primary processor (the first matching non-enricher)
+     * followed by every matching enricher; see MetadataAnalyzer.runChain().
+     * `config.enricher` makes any processor, e.g. a plugin, an enricher.
+     *
+     * @returns {boolean}
+     */
+    isEnricher() {
+        return this.config.enricher === true;
+    }
+
+    /**
+     * Add extracted text to the file's full-text index entry
+     * The text is only indexed, not stored with the file's metadata, so
+     * processors can pass whole documents or source files. Text another
+     * processor in the chain already added is not repeated.
+     *
+     * @param {Object} fileInfo - File information object
+     * @param {string} text - Extracted text
+     */
+    addSearchContent(fileInfo, text) {
+        if (!text || this.config.indexContent === false) return;
+
+        const maxLength = this.config.maxIndexedLength || 100000;
+        const existing = fileInfo.searchContent || '';
+        const addition = text.substring(0, Math.max(0, maxLength - existing.length));
+
+        if (addition && !existing.includes(addition)) {
+            fileInfo.searchContent = existing ? `${existing}\n${addition}` : addition;
+        }
+    }
+
+    /**
+     * Tag the file, recording this processor as the tag's source
+     * Processor tags are replaced each time the file is processed; tags
+     * the file already has keep their source.
+     *
+     * @param {Object} fileInfo - File information object
+     * @param {string} tag - Tag to add
+     */
+    addTag(fileInfo, tag) {
+        fileInfo.tagSources = fileInfo.tagSources || {};
+        if (tag in fileInfo.tagSources || fileInfo.tags?.includes(tag)) return;
+
+        fileInfo.tagSources[tag] = `processor:${this.name}`;
+        fileInfo.tags = [...(fileInfo.tags || []), tag];
+    }
+
+    /**
+     * SQLite schema additions for this processor's metadata
+     * Run when the processor is registered, so statements must be
+     * idempotent (CREATE TABLE IF NOT EXISTS ...). Rows are written and read
+     * through storeMetadata() and loadMetadata().
+     *
+     * @returns {string|null} SQL statements, or null for none
+     */
+    getSchema() {
+        return null;
+    }
+
+    /**
+     * Store this processor's metadata in its schema additions (SQLite only)
+     *
+     * @param {Database} db - better-sqlite3 connection
+     * @param {number} fileId - ID of the stored file row
+     * @param {Object} fileInfo - File information object being stored
+     */
+    storeMetadata(db, fileId, fileInfo) {}
+
+    /**
+     * Load this processor's metadata from its schema additions (SQLite only)
+     *
+     * @param {Database} db - better-sqlite3 connection
+     * @param {number} fileId - ID of the stored file row
+     * @returns {Object|null} Fields merged into the file's metadata
+     */
+    loadMetadata(db, fileId) {
+        return null;
+    }
+
     /**
      * Get supported file extensions
      */
@@ -217,4 +381,12 @@ class BaseProcessor {
     }
 }
 
+/**
+ * Deep copy of a file info object; keeps Dates and Buffers (structuredClone
+ * needs Node 17)
+ */
+function deepCopy(value) {
+    return v8.deserialize(v8.serialize(value));
+}
+
 module.exports = BaseProcessor;
@@ -26,6 +26,8 @@ class CodeProcessor extends BaseProcessor {
             // Read file content
             const content = await fs.readFile(fileInfo.path, 'utf8');
 
+            this.addSearchContent(fileInfo, content);
+
             // Extract code metrics
             this.analyzeCode(fileInfo, content);
 
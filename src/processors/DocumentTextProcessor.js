@@ -0,0 +1,86 @@
+/**
+ * Document Text Processor
+ * Extracts the text and document properties of Word documents
+ *
+ * Runs as an enricher after OfficeProcessor, so Word files get the same
+ * document metadata as PDFs (text, word count, title, author) next to
+ * their office structure.
+ */
+
+const BaseProcessor = require('./BaseProcessor');
+const mammoth = require('mammoth');
+const unzipper = require('unzipper');
+
+class DocumentTextProcessor extends BaseProcessor {
+    isEnricher() {
+        return true;
+    }
+
+    async extractMetadata(fileInfo) {
+        const buffer = await this.readFileBuffer(fileInfo.path);
+        const result = await mammoth.extractRawText({ buffer });
+        const text = result.value || '';
+        this.addSearchContent(fileInfo, text);
+
+        fileInfo.metadata.document = {
+            format: fileInfo.extension.toUpperCase(),
+            ...await this.extractProperties(buffer),
+            wordCount: text.split(/\s+/).filter(w => w.length > 0).length,
+            charCount: text.length
+        };
+
+        if (this.config.extractText !== false && text) {
+            const maxTextLength = this.config.maxTextLength || 10000;
+            fileInfo.metadata.document.textContent = text.substring(0, maxTextLength);
+
+            // First paragraph as summary
+            const firstParagraph = text.trim().split('\n\n')[0];
+            if (firstParagraph) {
+                fileInfo.metadata.document.summary = firstParagraph.substring(0, 500);
+            }
+        }
+    }
+
+    /**
+     * Read title, author, subject and keywords from docProps/core.xml
+     *
+     * @param {Buffer} buffer - DOCX file contents
+     * @returns {Promise<Object>} Properties found
+     */
+    async extractProperties(buffer) {
+        const directory = await unzipper.Open.buffer(buffer);
+        const coreFile = directory.files.find(f => f.path === 'docProps/core.xml');
+        if (!coreFile) return {};
+
+        const xml = (await coreFile.buffer()).toString();
+        const read = (tag) => {
+            const match = xml.match(new RegExp(`<${tag}[^>]*>([^<]*)</${tag}>`));
+            return match && match[1].trim() ? match[1].trim() : undefined;
+        };
+        const keywords = read('cp:keywords');
+
+        return {
+            title: read('dc:title'),
+            author: read('dc:creator'),
+            subject: read('dc:subject'),
+            keywords: keywords ? keywords.split(/[,;]/).map(k => k.trim()).filter(Boolean) : []
+        };
+    }
+
+    /**
+     * Unzipping and converting the document with mammoth is CPU-bound
+     */
+    isCpuIntensive() {
+        return true;
+    }
+
+    getSupportedExtensions() {
+        return ['docx'];
+    }
+
+    getSupportedMimeTypes() {
+        return ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
+    }
+}
+
+module.exports = DocumentTextProcessor;
@@ -1050,6 +1050,13 @@ class FontProcessor extends BaseProcessor {
         return formatMap[extension.toLowerCase()] || extension.toUpperCase();
     }
 
+    /**
+     * fontkit parses the glyph and character tables synchronously
+     */
+    isCpuIntensive() {
+        return true;
+    }
+
     /**
      * Get list of supported file extensions
      *
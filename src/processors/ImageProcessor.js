@@ -21,6 +21,7 @@ const exifr = require('exifr');
 const path = require('path');
 const fs = require('fs').promises;
 const gpsUtils = require('../utils/gps');
+const imageHash = require('../utils/imageHash');
 
 class ImageProcessor extends BaseProcessor {
     /**
@@ -43,6 +44,7 @@ class ImageProcessor extends BaseProcessor {
      */
     constructor(config = {}) {
         super(config);
+        this.version = '1.1.0';
         this.thumbnailDir = config.thumbnailDir || './thumbnails';
     }
 
@@ -77,7 +79,7 @@ class ImageProcessor extends BaseProcessor {
      *
      * @example
      * // After initialization, fileInfo.metadata.image will be an empty object
-     * // ready to store: exif, iptc, dominantColors, thumbnails, perceptualHash
+     * // ready to store: exif, iptc, dominantColors, thumbnails, perceptual hashes
      */
     initializeMetadata(fileInfo) {
         super.initializeMetadata(fileInfo);
@@ -285,34 +287,11 @@ class ImageProcessor extends BaseProcessor {
 
                 // Extract GPS data if available
                 if (exifData.latitude && exifData.longitude) {
-                    const lat = exifData.latitude;
-                    const lon = exifData.longitude;
-
-                    // Convert to DMS format
-                    const latDMS = gpsUtils.decimalToDMS(lat, lat >= 0 ? 'N' : 'S');
-                    const lonDMS = gpsUtils.decimalToDMS(lon, lon >= 0 ? 'E' : 'W');
-
-                    fileInfo.metadata.image.exif.gps = {
-                        // Decimal coordinates
-                        latitude: lat,
-                        longitude: lon,
-                        altitude: exifData.GPSAltitude,
-
-                        // DMS format
-                        latitudeDMS: latDMS,
-                        longitudeDMS: lonDMS,
-
-                        // Formatted strings
-                        formatted: gpsUtils.formatCoordinates(lat, lon, { format: 'DMS' }),
-                        formattedDecimal: gpsUtils.formatCoordinates(lat, lon, { format: 'decimal' }),
-
-                        // Links and utilities
-                        googleMapsLink: gpsUtils.generateGoogleMapsLink(lat, lon),
-                        openStreetMapLink: gpsUtils.generateOpenStreetMapLink(lat, lon),
-
-                        // GeoJSON point
-                        geoJSON: gpsUtils.toGeoJSON(lat, lon)
-                    };
+                    fileInfo.metadata.image.exif.gps = gpsUtils.createExifGPS(
+                        exifData.latitude,
+                        exifData.longitude,
+                        exifData.GPSAltitude
+                    );
                 }
 
                 // Extract IPTC data
@@ -442,72 +421,39 @@ class ImageProcessor extends BaseProcessor {
     }
 
     /**
-     * Calculate perceptual hash for similarity detection
-     *
-     * Generates a perceptual hash (pHash-like algorithm) that can be used
-     * to find visually similar images. The hash is resistant to minor
-     * modifications like resizing, compression, and slight color changes.
-     *
-     * Algorithm:
-     * 1. Resize image to 8x8 pixels (64 pixels total)
-     * 2. Convert to greyscale
-     * 3. Calculate average pixel intensity
-     * 4. Create binary string: '1' if pixel > average, '0' otherwise
-     * 5. Convert binary to hexadecimal (16 character string)
+     * Calculate perceptual hashes for similarity detection
      *
-     * The resulting hash allows similarity comparison using Hamming distance:
-     * - 0 bits different = identical images
-     * - 1-5 bits different = very similar images
-     * - 6-10 bits different = similar images
-     * - >10 bits different = different images
+     * Stores three 64-bit hashes as 16 hex characters each (see
+     * utils/imageHash.js): averageHash (aHash), differenceHash (dHash) and
+     * perceptualHash (DCT pHash). They survive resizing, re-encoding and
+     * slight color changes, so visually similar images have hashes a small
+     * Hamming distance apart:
+     * - 0 bits different = same picture
+     * - 1-8 bits different = near-duplicates (resized, re-encoded, burst shots)
+     * - >12 bits different = different images
      *
      * @param {Object} fileInfo - File information object
      * @param {string} fileInfo.path - Absolute path to the image file
      * @param {Object} fileInfo.metadata - Metadata container
      * @param {Object} fileInfo.metadata.image - Image metadata object
-     * @returns {Promise<void>} Resolves when hash is calculated
+     * @returns {Promise<void>} Resolves when the hashes are calculated
      *
-     * @see http://www.hackerfactor.com/blog/index.php?/archives/432-Looks-Like-It.html - pHash algorithm
      * @see https://en.wikipedia.org/wiki/Perceptual_hashing
      *
      * @example
-     * // After calculation, fileInfo.metadata.image.perceptualHash contains:
-     * // 'a3f1c7b8e2d4f6a1' (16 hex characters = 64 bits)
+     * // After calculation, fileInfo.metadata.image contains:
+     * // averageHash: 'ffc3c3810000e7ff', differenceHash: '...', perceptualHash: '...'
      * //
      * // To find similar images, compare hashes using Hamming distance:
-     * // const similarity = hammingDistance(hash1, hash2);
-     * // if (similarity <= 5) {
-     * //   console.log('Images are very similar');
+     * // if (imageHash.distance(hash1, hash2) <= 8) {
+     * //   console.log('Images are near-duplicates');
      * // }
      *
      * @private
      */
     async calculatePerceptualHash(fileInfo) {
         try {
-            // Create a simple perceptual hash (pHash-like)
-            // Resize to 8x8 and convert to greyscale
-            const { data } = await sharp(fileInfo.path)
-                .resize(8, 8, { fit: 'fill' })
-                .greyscale()
-                .raw()
-                .toBuffer({ resolveWithObject: true });
-
-            // Calculate average pixel value
-            let sum = 0;
-            for (let i = 0; i < data.length; i++) {
-                sum += data[i];
-            }
-            const avg = sum / data.length;
-
-            // Create hash based on pixels above/below average
-            let hash = '';
-            for (let i = 0; i < data.length; i++) {
-                hash += data[i] > avg ? '1' : '0';
-            }
-
-            // Convert binary to hex (64 bits = 16 hex characters)
-            fileInfo.metadata.image.perceptualHash = parseInt(hash, 2).toString(16).padStart(16, '0');
-
+            Object.assign(fileInfo.metadata.image, await imageHash.compute(fileInfo.path));
         } catch (error) {
             console.warn(`Could not calculate perceptual hash for ${fileInfo.path}: ${error.message}`);
         }
@@ -538,6 +484,13 @@ class ImageProcessor extends BaseProcessor {
         }).join('');
     }
 
+    /**
+     * Decoding, resizing and perceptual hashing are CPU-bound
+     */
+    isCpuIntensive() {
+        return true;
+    }
+
     /**
      * Get list of supported file extensions
      *
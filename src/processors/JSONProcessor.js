@@ -0,0 +1,151 @@
+/**
+ * JSON Processor
+ * Summarizes the structure of JSON files
+ *
+ * Runs as an enricher after CodeProcessor, adding a schema summary (types
+ * of keys and array items, depth limited) next to the code metrics.
+ */
+
+const BaseProcessor = require('./BaseProcessor');
+
+// Array items sampled when summarizing item types
+const SAMPLE_SIZE = 20;
+
+// Properties listed per object; larger objects (e.g. maps keyed by id) are cut off
+const MAX_PROPERTIES = 50;
+
+class JSONProcessor extends BaseProcessor {
+    isEnricher() {
+        return true;
+    }
+
+    async extractMetadata(fileInfo) {
+        const content = await this.readFileBuffer(fileInfo.path);
+
+        let data;
+        try {
+            data = JSON.parse(content.toString('utf8').replace(/^\uFEFF/, ''));
+        } catch (error) {
+            fileInfo.metadata.json = { valid: false, error: error.message };
+            return;
+        }
+
+        const maxDepth = this.config.jsonSchemaDepth || 4;
+        const counts = { keys: 0, depth: 0 };
+        this.measure(data, counts, 0);
+
+        fileInfo.metadata.json = {
+            valid: true,
+            rootType: this.typeOf(data),
+            keyCount: counts.keys,
+            maxDepth: counts.depth,
+            schema: this.summarize(data, 0, maxDepth)
+        };
+    }
+
+    /**
+     * Summarize the schema of a value
+     * Objects list their properties, arrays the merged schema of a sample of
+     * their items; differing types are joined as 'string|null'
+     *
+     * @param {*} value - Parsed JSON value
+     * @param {number} depth - Current depth
+     * @param {number} maxDepth - Depth below which containers are only typed
+     * @returns {Object|string} Schema summary
+     */
+    summarize(value, depth, maxDepth) {
+        const type = this.typeOf(value);
+
+        if (type === 'object' && depth < maxDepth) {
+            const entries = Object.entries(value);
+            const properties = {};
+            for (const [key, child] of entries.slice(0, MAX_PROPERTIES)) {
+                properties[key] = this.summarize(child, depth + 1, maxDepth);
+            }
+            return entries.length > MAX_PROPERTIES
+                ? { type, properties, propertyCount: entries.length }
+                : { type, properties };
+        }
+
+        if (type === 'array' && depth < maxDepth) {
+            const items = value.slice(0, SAMPLE_SIZE)
+                .map(item => this.summarize(item, depth + 1, maxDepth))
+                .reduce((merged, schema) => this.mergeSchemas(merged, schema), null);
+            return { type, length: value.length, items };
+        }
+
+        return type;
+    }
+
+    /**
+     * Merge two schema summaries
+     */
+    mergeSchemas(a, b) {
+        if (a === null) return b;
+        if (JSON.stringify(a) === JSON.stringify(b)) return a;
+
+        if (a.type === 'object' && b.type === 'object') {
+            const properties = { ...a.properties };
+            for (const [key, schema] of Object.entries(b.properties)) {
+                properties[key] = key in properties ? this.mergeSchemas(properties[key], schema) : schema;
+            }
+            return { type: 'object', properties: Object.fromEntries(Object.entries(properties).slice(0, MAX_PROPERTIES)) };
+        }
+
+        if (a.type === 'array' && b.type === 'array') {
+            return { type: 'array', length: Math.max(a.length, b.length), items: this.mergeSchemas(a.items, b.items) };
+        }
+
+        const types = new Set([...this.typeNames(a), ...this.typeNames(b)]);
+        return [...types].join('|');
+    }
+
+    /**
+     * Get the type names a schema summary stands for
+     */
+    typeNames(schema) {
+        return typeof schema === 'string' ? schema.split('|') : [schema.type];
+    }
+
+    /**
+     * Count keys and measure nesting depth
+     */
+    measure(value, counts, depth) {
+        counts.depth = Math.max(counts.depth, depth);
+
+        if (Array.isArray(value)) {
+            value.forEach(item => this.measure(item, counts, depth + 1));
+        } else if (value !== null && typeof value === 'object') {
+            for (const child of Object.values(value)) {
+                counts.keys++;
+                this.measure(child, counts, depth + 1);
+            }
+        }
+    }
+
+    /**
+     * Get the JSON type of a value
+     */
+    typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+
+    /**
+     * Parsing and summarizing large files blocks the event loop
+     */
+    isCpuIntensive() {
+        return true;
+    }
+
+    getSupportedExtensions() {
+        return ['json'];
+    }
+
+    getSupportedMimeTypes() {
+        return ['application/json'];
+    }
+}
+
+module.exports = JSONProcessor;
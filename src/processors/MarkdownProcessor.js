@@ -29,6 +29,7 @@ class MarkdownProcessor extends BaseProcessor {
 
             // Analyze markdown structure
             this.analyzeMarkdown(fileInfo, content);
+            this.addSearchContent(fileInfo, content);
 
             const duration = Date.now() - startTime;
             fileInfo.processing = {
@@ -102,9 +102,7 @@ class OfficeProcessor extends BaseProcessor {
     async processWordDocument(fileInfo) {
         try {
             const buffer = await fs.readFile(fileInfo.path);
-            const result = await mammoth.extractRawText({
-                arrayBuffer: buffer
-            });
+            const result = await mammoth.extractRawText({ buffer });
 
             const text = result.value || '';
             fileInfo.metadata.office.type = 'Word Document';
@@ -112,6 +110,7 @@ class OfficeProcessor extends BaseProcessor {
 
             // Extract text metrics
             this.extractTextMetrics(fileInfo, text);
+            this.addSearchContent(fileInfo, text);
 
             // Extract document structure
             await this.extractDocumentStructure(fileInfo, buffer);
@@ -156,6 +155,9 @@ class OfficeProcessor extends BaseProcessor {
                 const worksheet = workbook.Sheets[sheetName];
                 const sheetMetadata = this.analyzeSheet(sheetName, worksheet);
                 fileInfo.metadata.office.sheets.push(sheetMetadata);
+
+                // Cell values, for the full-text index
+                this.addSearchContent(fileInfo, XLSX.utils.sheet_to_csv(worksheet, { blankrows: false }));
             }
 
             // Extract summary metrics
@@ -248,8 +250,9 @@ class OfficeProcessor extends BaseProcessor {
             for (let i = 0; i < Math.min(slideFiles.length, 50); i++) {
                 const slideFile = slideFiles[i];
                 try {
-                    const slideContent = await slideFile.buffer();
-                    const title = this.extractSlideTitle(slideContent.toString());
+                    const slideContent = (await slideFile.buffer()).toString();
+                    const title = this.extractSlideTitle(slideContent);
+                    this.addSearchContent(fileInfo, this.extractSlideText(slideContent));
                     fileInfo.metadata.office.slides.push({
                         number: i + 1,
                         title: title || `Slide ${i + 1}`
@@ -284,6 +287,15 @@ class OfficeProcessor extends BaseProcessor {
         }
     }
 
+    /**
+     * Extract all text runs of a slide
+     * @param {string} xmlContent - XML content of slide
+     * @returns {string} Slide text, one run per line
+     */
+    extractSlideText(xmlContent) {
+        return [...xmlContent.matchAll(/<a:t>([^<]*)<\/a:t>/g)].map(match => match[1]).join('\n');
+    }
+
     /**
      * Parse presentation properties from core.xml
      * @param {Object} fileInfo - File information object
@@ -72,6 +72,8 @@ class PDFProcessor extends BaseProcessor {
                 fileInfo.metadata.document.pdfProducer = data.metadata._metadata?.['pdf:Producer'];
             }
 
+            this.addSearchContent(fileInfo, data.text);
+
             // Extract text content (limited)
             if (this.config.extractText !== false && data.text) {
                 const maxTextLength = this.config.maxTextLength || 10000;
@@ -93,6 +95,13 @@ class PDFProcessor extends BaseProcessor {
         }
     }
 
+    /**
+     * pdf-parse parses the whole document synchronously
+     */
+    isCpuIntensive() {
+        return true;
+    }
+
     getSupportedExtensions() {
         return ['pdf'];
     }
@@ -4,6 +4,7 @@
  */
 
 const BaseProcessor = require('./BaseProcessor');
+const gpsUtils = require('../utils/gps');
 const { execFile } = require('child_process');
 const { promisify } = require('util');
 const execFileAsync = promisify(execFile);
@@ -57,14 +58,27 @@ class VideoProcessor extends BaseProcessor {
 
                 // Extract metadata tags
                 if (data.format.tags) {
+                    // When recording started, as an ISO time
+                    const creationTime = new Date(data.format.tags.creation_time);
+
                     fileInfo.metadata.video.tags = {
                         title: data.format.tags.title,
                         artist: data.format.tags.artist,
                         album: data.format.tags.album,
                         date: data.format.tags.date,
+                        creationTime: isNaN(creationTime) ? undefined : creationTime.toISOString(),
                         comment: data.format.tags.comment,
                         encoder: data.format.tags.encoder
                     };
+
+                    // Location recorded by phones and cameras (ISO 6709)
+                    const tags = data.format.tags;
+                    const location = gpsUtils.parseISO6709(
+                        tags['com.apple.quicktime.location.ISO6709'] || tags.location || tags['location-eng']
+                    );
+                    if (location) {
+                        fileInfo.metadata.video.gps = location;
+                    }
                 }
             }
 
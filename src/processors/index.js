@@ -0,0 +1,31 @@
+/**
+ * Processor Registry
+ * Maps built-in processor names to their classes so processors can be
+ * re-created by name (e.g. inside worker threads)
+ */
+
+const ImageProcessor = require('./ImageProcessor');
+const VideoProcessor = require('./VideoProcessor');
+const AudioProcessor = require('./AudioProcessor');
+const PDFProcessor = require('./PDFProcessor');
+const CodeProcessor = require('./CodeProcessor');
+const ArchiveProcessor = require('./ArchiveProcessor');
+const MarkdownProcessor = require('./MarkdownProcessor');
+const OfficeProcessor = require('./OfficeProcessor');
+const FontProcessor = require('./FontProcessor');
+const JSONProcessor = require('./JSONProcessor');
+const DocumentTextProcessor = require('./DocumentTextProcessor');
+
+module.exports = {
+    ImageProcessor,
+    VideoProcessor,
+    AudioProcessor,
+    PDFProcessor,
+    CodeProcessor,
+    ArchiveProcessor,
+    MarkdownProcessor,
+    OfficeProcessor,
+    FontProcessor,
+    JSONProcessor,
+    DocumentTextProcessor
+};
@@ -23,7 +23,14 @@
 const Database = require('better-sqlite3');
 const fs = require('fs').promises;
 const path = require('path');
-const { sqliteSchema, metadataSchema, fileMetadataTemplate } = require('./schema');
+const queryLanguage = require('./queryLanguage');
+const gpsUtils = require('../utils/gps');
+const {
+    sqliteSchema,
+    metadataSchema,
+    fileMetadataTemplate
+} = require('./schema');
+const { migrations } = require('./migrations');
 const logger = require('../utils/logger');
 
 class DatabaseManager {
@@ -44,6 +51,7 @@ class DatabaseManager {
         this.db = null;
         this.config = null;
         this.jsonData = null;
+        this.extensions = [];
     }
 
     /**
@@ -56,6 +64,9 @@ class DatabaseManager {
      * @param {string} config.type - Storage type: 'sqlite', 'json', or 'both'
      * @param {string} [config.dbPath] - Path to SQLite database file (required if type includes 'sqlite')
      * @param {string} [config.jsonPath] - Path to JSON data file (required if type includes 'json')
+     * @param {boolean} [config.autoMigrate=true] - Apply pending migrations on open; when false, opening an outdated database fails
+     * @param {Object} [options]
+     * @param {boolean} [options.migrate] - Override config.autoMigrate; false opens the database as is (for `fmao db migrate`)
      * @returns {Promise<void>} Resolves when initialization is complete
      *
      * @example
@@ -73,11 +84,11 @@ class DatabaseManager {
      *   jsonPath: './data/metadata.json'
      * });
      */
-    async init(config) {
+    async init(config, options = {}) {
         this.config = config;
 
         if (config.type === 'sqlite' || config.type === 'both') {
-            await this.initSQLite(config.dbPath);
+            await this.initSQLite(config.dbPath, options.migrate);
         }
 
         if (config.type === 'json' || config.type === 'both') {
@@ -104,7 +115,10 @@ class DatabaseManager {
      * - EXIF data table (JSON storage for flexibility)
      * - Tags table for categorization
      *
+     * Pending migrations are then applied (see migrate()).
+     *
      * @param {string} dbPath - Absolute or relative path to SQLite database file
+     * @param {boolean} [migrate] - false skips migrations, true applies them even with autoMigrate off
      * @returns {Promise<void>} Resolves when database is initialized
      *
      * @see https://www.sqlite.org/wal.html - Write-Ahead Logging
@@ -116,7 +130,7 @@ class DatabaseManager {
      *
      * @private
      */
-    async initSQLite(dbPath) {
+    async initSQLite(dbPath, migrate) {
         const dbDir = path.dirname(dbPath);
         await fs.mkdir(dbDir, { recursive: true });
 
@@ -127,9 +141,136 @@ class DatabaseManager {
         // Create schema
         this.db.exec(sqliteSchema);
 
+        if (migrate === false) {
+            return;
+        }
+
+        const pending = this.getPendingMigrations();
+        if (pending.length > 0) {
+            if (this.config.autoMigrate === false && migrate !== true) {
+                throw new Error(`Database schema is at version ${this.getSchemaVersion()} with ${pending.length} pending migration(s); run \`fmao db migrate\``);
+            }
+
+            await this.migrate();
+        }
+
+        // Schemas of processors registered before init
+        for (const extension of this.extensions) {
+            this.db.exec(extension.getSchema());
+        }
+
         logger.info('SQLite database initialized', { path: dbPath });
     }
 
+    /**
+     * Get the schema version of the SQLite database
+     * Databases created before versioning are at version 0
+     *
+     * @returns {number}
+     */
+    getSchemaVersion() {
+        return this.db.prepare('SELECT MAX(version) AS version FROM schema_version').get().version || 0;
+    }
+
+    /**
+     * Get the migrations the SQLite database has not had yet
+     *
+     * @returns {Array<{version: number, description: string}>} In the order they will run
+     * @throws {Error} If the database was written by a newer version
+     */
+    getPendingMigrations() {
+        const current = this.getSchemaVersion();
+        const latest = migrations[migrations.length - 1].version;
+
+        if (current > latest) {
+            throw new Error(`Database schema version ${current} is newer than this version supports (${latest})`);
+        }
+
+        return migrations.filter(m => m.version > current);
+    }
+
+    /**
+     * Apply pending migrations in order
+     *
+     * The database file is backed up first (unless it was just created,
+     * or `options.backup` is false). Each migration runs in its own
+     * transaction, so a failure leaves the database at the last version
+     * that applied cleanly.
+     *
+     * @param {Object} [options]
+     * @param {boolean} [options.backup=true] - Copy the database file before migrating
+     * @returns {Promise<{from: number, to: number, applied: Object[], backupPath: string|null}>}
+     *
+     * @example
+     * const { applied, backupPath } = await dbManager.migrate();
+     */
+    async migrate(options = {}) {
+        const from = this.getSchemaVersion();
+        const pending = this.getPendingMigrations();
+        let backupPath = null;
+
+        if (pending.length === 0) {
+            return { from, to: from, applied: [], backupPath };
+        }
+
+        if (options.backup !== false && this.hasData()) {
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+            backupPath = `${this.config.dbPath}.v${from}-${stamp}.bak`;
+            await this.db.backup(backupPath);
+            logger.info(`Backed up database to ${backupPath}`);
+        }
+
+        const record = this.db.prepare('INSERT INTO schema_version (version, description, applied_at) VALUES (?, ?, ?)');
+
+        for (const migration of pending) {
+            this.db.transaction(() => {
+                migration.up(this.db);
+                record.run(migration.version, migration.description, new Date().toISOString());
+            })();
+
+            logger.info(`Applied migration ${migration.version}: ${migration.description}`);
+        }
+
+        if (pending.some(m => m.rebuildSearchIndex)) {
+            this.rebuildSearchIndex();
+        }
+
+        return { from, to: this.getSchemaVersion(), applied: pending, backupPath };
+    }
+
+    /**
+     * Whether the SQLite database holds any files, roots or scans
+     * A freshly created database needs no backup before migrating
+     *
+     * @private
+     */
+    hasData() {
+        return ['files', 'roots', 'scans'].some(table =>
+            this.db.prepare(`SELECT 1 FROM ${table} LIMIT 1`).get()
+        );
+    }
+
+    /**
+     * Register a processor's storage schema additions
+     *
+     * Runs the processor's getSchema() SQL and calls its storeMetadata() /
+     * loadMetadata() hooks whenever a file is written or read, so plugins
+     * can keep their metadata in their own tables. The JSON store keeps the
+     * whole metadata object and needs no additions.
+     *
+     * @param {BaseProcessor} processor - Processor declaring a schema
+     */
+    registerExtension(processor) {
+        const schema = processor.getSchema();
+        if (!schema) return;
+
+        if (this.db) {
+            this.db.exec(schema);
+        }
+
+        this.extensions.push(processor);
+    }
+
     /**
      * Initialize JSON storage
      */
@@ -140,6 +281,10 @@ class DatabaseManager {
         try {
             const content = await fs.readFile(jsonPath, 'utf8');
             this.jsonData = JSON.parse(content);
+            this.jsonData.roots = this.jsonData.roots || [];
+            this.jsonData.scans = this.jsonData.scans || [];
+            this.jsonData.collections = this.jsonData.collections || [];
+            this.jsonData.operations = this.jsonData.operations || [];
         } catch (error) {
             this.jsonData = {
                 ...metadataSchema,
@@ -196,30 +341,40 @@ class DatabaseManager {
      * });
      */
     async upsertFile(fileData) {
+        // Text for the full-text index only; not part of the stored file
+        const { searchContent, ...file } = fileData;
+
         if (this.db) {
-            await this.upsertFileSQL(fileData);
+            await this.upsertFileSQL(file, searchContent);
         }
 
         if (this.jsonData) {
-            this.upsertFileJSON(fileData);
+            this.upsertFileJSON(file);
         }
     }
 
     /**
      * Insert/update file in SQLite
+     *
+     * @param {Object} fileData - File to store
+     * @param {string} [searchContent] - Extracted text to add to the full-text index
      */
-    async upsertFileSQL(fileData) {
+    async upsertFileSQL(fileData, searchContent = null) {
         const stmt = this.db.prepare(`
             INSERT INTO files (
                 path, relative_path, name, extension, size,
                 created, modified, accessed, mime_type, category,
-                md5_hash, sha256_hash, processed_at, processing_time, version
+                md5_hash, sha256_hash, quick_hash, processed_at, processing_time, version,
+                indexed_at, importance, root_id, failure, metadata, extra
             ) VALUES (
                 @path, @relativePath, @name, @extension, @size,
                 @created, @modified, @accessed, @mimeType, @category,
-                @md5Hash, @sha256Hash, @processedAt, @processingTime, @version
+                @md5Hash, @sha256Hash, @quickHash, @processedAt, @processingTime, @version,
+                @indexedAt, COALESCE(@importance, 0), @rootId, @failure, @metadata, @extra
             )
             ON CONFLICT(path) DO UPDATE SET
+                relative_path = @relativePath,
+                root_id = COALESCE(@rootId, root_id),
                 size = @size,
                 modified = @modified,
                 accessed = @accessed,
@@ -227,11 +382,17 @@ class DatabaseManager {
                 category = @category,
                 md5_hash = @md5Hash,
                 sha256_hash = @sha256Hash,
+                quick_hash = @quickHash,
                 processed_at = @processedAt,
-                processing_time = @processingTime
+                processing_time = @processingTime,
+                failure = @failure,
+                metadata = @metadata,
+                extra = @extra,
+                importance = COALESCE(@importance, importance),
+                deleted_at = NULL
         `);
 
-        const info = stmt.run({
+        stmt.run({
             path: fileData.path,
             relativePath: fileData.relativePath,
             name: fileData.name,
@@ -244,14 +405,50 @@ class DatabaseManager {
             category: fileData.category,
             md5Hash: fileData.hash?.md5,
             sha256Hash: fileData.hash?.sha256,
+            quickHash: fileData.hash?.quick,
             processedAt: fileData.processing?.processedAt,
             processingTime: fileData.processing?.processingTime,
-            version: fileData.processing?.version
+            version: fileData.processing?.version,
+            indexedAt: new Date().toISOString(),
+            importance: fileData.llm?.importance ?? null,
+            rootId: fileData.rootId ?? null,
+            failure: this.getFailureType(fileData),
+            metadata: fileData.metadata ? JSON.stringify(fileData.metadata) : null,
+            extra: this.serializeExtra(fileData)
         });
 
-        const fileId = info.lastInsertRowid || this.getFileId(fileData.path);
+        // Look the id up: lastInsertRowid is stale when the upsert took the UPDATE path
+        const fileId = this.getFileId(fileData.path);
+
+        this.upsertTypeMetadata(fileId, fileData);
+
+        // Replace rule and processor tags (manual tags are kept)
+        this.upsertTags(fileId, fileData.tags || [], fileData.tagSources);
+
+        // Replace the error ledger entries (cleared when processing succeeds)
+        this.upsertProcessingErrors(fileId, fileData.processing?.errors || []);
+
+        this.syncSearchIndex(fileId, fileData, searchContent);
 
-        // Insert type-specific metadata
+        for (const extension of this.extensions) {
+            try {
+                extension.storeMetadata(this.db, fileId, fileData);
+            } catch (error) {
+                logger.error(`${extension.name} failed to store metadata for ${fileData.path}`, error);
+            }
+        }
+
+        return fileId;
+    }
+
+    /**
+     * Insert/update the type-specific metadata tables of a file
+     *
+     * @param {number} fileId - File id
+     * @param {Object} fileData - File with its category and metadata
+     * @private
+     */
+    upsertTypeMetadata(fileId, fileData) {
         if (fileData.category === 'image' && fileData.metadata?.image) {
             this.upsertImageMetadata(fileId, fileData.metadata.image);
         } else if (fileData.category === 'video' && fileData.metadata?.video) {
@@ -275,13 +472,47 @@ class DatabaseManager {
         if (fileData.metadata?.font) {
             this.upsertFontMetadata(fileId, fileData.metadata.font);
         }
+    }
 
-        // Insert tags
-        if (fileData.tags && fileData.tags.length > 0) {
-            this.upsertTags(fileId, fileData.tags);
-        }
+    /**
+     * Serialize the fields of a file that have no column of their own
+     * Together with the columns, the metadata column and the tags and error
+     * tables this makes the stored file lossless: transformSQLRow() returns
+     * the object that was written, as the JSON store does.
+     *
+     * @param {Object} fileData - File being stored
+     * @returns {string|null} JSON, or null if every field has a column
+     * @private
+     */
+    serializeExtra(fileData) {
+        const {
+            id, path: filePath, relativePath, rootId, name, extension, size,
+            created, modified, accessed, mimeType, category, metadata, tags, tagSources,
+            indexedAt, deletedAt, hash, processing, ...extra
+        } = fileData;
 
-        return fileId;
+        const { md5, sha256, quick, ...hashExtra } = hash || {};
+        const { processedAt, processingTime, version, errors, failure, ...processingExtra } = processing || {};
+
+        if (Object.keys(hashExtra).length > 0) extra.hash = hashExtra;
+        if (Object.keys(processingExtra).length > 0) extra.processing = processingExtra;
+
+        return Object.keys(extra).length > 0 ? JSON.stringify(extra) : null;
+    }
+
+    /**
+     * Get the failure type of a processed file
+     * The type of its last processing error ('timeout', 'crash' or 'error'),
+     * or null if processing succeeded
+     *
+     * @param {Object} fileData - File information object
+     * @returns {string|null}
+     */
+    getFailureType(fileData) {
+        const errors = fileData.processing?.errors || [];
+        if (errors.length === 0) return null;
+
+        return errors[errors.length - 1].type || 'error';
     }
 
     /**
@@ -301,8 +532,8 @@ class DatabaseManager {
             INSERT INTO image_metadata (
                 file_id, width, height, aspect_ratio, color_space,
                 dpi, bit_depth, has_alpha, dominant_colors,
-                perceptual_hash, thumbnail_path
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                perceptual_hash, average_hash, difference_hash, thumbnail_path
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             ON CONFLICT(file_id) DO UPDATE SET
                 width = excluded.width,
                 height = excluded.height,
@@ -313,6 +544,8 @@ class DatabaseManager {
                 has_alpha = excluded.has_alpha,
                 dominant_colors = excluded.dominant_colors,
                 perceptual_hash = excluded.perceptual_hash,
+                average_hash = excluded.average_hash,
+                difference_hash = excluded.difference_hash,
                 thumbnail_path = excluded.thumbnail_path
         `);
 
@@ -327,6 +560,8 @@ class DatabaseManager {
             imageData.hasAlpha ? 1 : 0,
             JSON.stringify(imageData.dominantColors || []),
             imageData.perceptualHash,
+            imageData.averageHash,
+            imageData.differenceHash,
             imageData.thumbnail
         );
 
@@ -578,23 +813,329 @@ class DatabaseManager {
 
     /**
      * Insert/update tags
+     * Tags from rules and processors are replaced by the given ones; manual
+     * tags are kept. Tags missing from tagSources are manual.
+     *
+     * @param {number} fileId - File id
+     * @param {string[]} tags - Tags of the file being stored
+     * @param {Object} [tagSources={}] - Source of each tag (see getTagSources())
      */
-    upsertTags(fileId, tags) {
-        // Delete existing tags
-        const deleteStmt = this.db.prepare('DELETE FROM tags WHERE file_id = ?');
+    upsertTags(fileId, tags, tagSources = {}) {
+        // Delete rule and processor tags
+        const deleteStmt = this.db.prepare("DELETE FROM tags WHERE file_id = ? AND source != 'manual'");
         deleteStmt.run(fileId);
 
-        // Insert new tags
-        const insertStmt = this.db.prepare('INSERT INTO tags (file_id, tag) VALUES (?, ?)');
+        // Insert new tags (a tag the file already has keeps its source)
+        const insertStmt = this.db.prepare('INSERT OR IGNORE INTO tags (file_id, tag, source) VALUES (?, ?, ?)');
         const insertMany = this.db.transaction((tags) => {
             for (const tag of tags) {
-                insertStmt.run(fileId, tag);
+                insertStmt.run(fileId, tag, tagSources?.[tag] || 'manual');
             }
         });
 
         insertMany(tags);
     }
 
+    /**
+     * Get the source of each of a file's tags
+     * 'manual' for tags added by hand (and tags stored before sources were
+     * recorded), 'rule:<name>' for auto-tag rules, 'processor:<name>' for
+     * tags added by a processor
+     *
+     * @param {Object} file - File object
+     * @returns {Object} Tag -> source
+     */
+    getTagSources(file) {
+        return Object.fromEntries((file.tags || []).map(tag => [tag, file.tagSources?.[tag] || 'manual']));
+    }
+
+    /**
+     * Add tags to files
+     *
+     * @param {string[]} filePaths - Paths of indexed files
+     * @param {string[]} tags - Tags to add
+     * @param {string} [source='manual'] - Where the tags come from
+     * @returns {number} Number of tags added (tags a file already has are skipped)
+     *
+     * @example
+     * dbManager.addTags(['/photos/IMG_001.jpg'], ['vacation', '2024']);
+     */
+    addTags(filePaths, tags, source = 'manual') {
+        let added = 0;
+
+        if (this.db) {
+            const insert = this.db.prepare('INSERT OR IGNORE INTO tags (file_id, tag, source) VALUES (?, ?, ?)');
+
+            this.db.transaction(() => {
+                for (const filePath of filePaths) {
+                    const fileId = this.getFileId(filePath);
+                    if (!fileId) continue;
+
+                    for (const tag of tags) {
+                        added += insert.run(fileId, tag, source).changes;
+                    }
+                    this.syncSearchTags(fileId);
+                }
+            })();
+        }
+
+        if (this.jsonData) {
+            let jsonAdded = 0;
+            for (const file of this.findJSONFiles(filePaths)) {
+                const tagSources = this.getTagSources(file);
+                for (const tag of tags.filter(t => !(t in tagSources))) {
+                    tagSources[tag] = source;
+                    jsonAdded++;
+                }
+                this.setTagsJSON(file, tagSources);
+            }
+            added = added || jsonAdded;
+        }
+
+        return added;
+    }
+
+    /**
+     * Remove tags from files, whatever their source
+     * Rule and processor tags come back when the file is analyzed again
+     * while the rule or processor still applies.
+     *
+     * @param {string[]} filePaths - Paths of indexed files
+     * @param {string[]} tags - Tags to remove
+     * @returns {number} Number of tags removed
+     */
+    removeTags(filePaths, tags) {
+        let removed = 0;
+
+        if (this.db) {
+            const remove = this.db.prepare(`DELETE FROM tags WHERE file_id = ? AND tag IN (${tags.map(() => '?').join(', ')})`);
+
+            this.db.transaction(() => {
+                for (const filePath of filePaths) {
+                    const fileId = this.getFileId(filePath);
+                    if (!fileId) continue;
+
+                    removed += remove.run(fileId, ...tags).changes;
+                    this.syncSearchTags(fileId);
+                }
+            })();
+        }
+
+        if (this.jsonData) {
+            let jsonRemoved = 0;
+            for (const file of this.findJSONFiles(filePaths)) {
+                const tagSources = this.getTagSources(file);
+                for (const tag of tags.filter(t => t in tagSources)) {
+                    delete tagSources[tag];
+                    jsonRemoved++;
+                }
+                this.setTagsJSON(file, tagSources);
+            }
+            removed = removed || jsonRemoved;
+        }
+
+        return removed;
+    }
+
+    /**
+     * Replace the tags a file has from one kind of source
+     * Used to re-apply auto-tag rules without analyzing files again.
+     *
+     * @param {string} filePath - Path of an indexed file
+     * @param {Object} tagSources - New tags of that kind, tag -> source
+     * @param {string} sourcePrefix - Kind of source to replace (e.g. 'rule:')
+     * @returns {{added: string[], removed: string[]}} Tags that changed
+     */
+    replaceTags(filePath, tagSources, sourcePrefix) {
+        const file = this.getFile(filePath);
+        if (!file) return { added: [], removed: [] };
+
+        const current = this.getTagSources(file);
+        const removed = Object.keys(current).filter(tag => current[tag].startsWith(sourcePrefix) && !(tag in tagSources));
+        const added = Object.keys(tagSources).filter(tag => !(tag in current));
+
+        if (removed.length > 0) {
+            this.removeTags([filePath], removed);
+        }
+        for (const tag of added) {
+            this.addTags([filePath], [tag], tagSources[tag]);
+        }
+
+        return { added, removed };
+    }
+
+    /**
+     * Count tags and their sources
+     *
+     * @param {string[]} [filePaths] - Only tags of these files
+     * @returns {{tag: string, count: number, sources: Object}[]} Tags by descending count,
+     *   sources counting the files per source
+     */
+    getTagCounts(filePaths = null) {
+        const counts = new Map();
+        const count = (tag, source) => {
+            const entry = counts.get(tag) || { tag, count: 0, sources: {} };
+            entry.count++;
+            entry.sources[source] = (entry.sources[source] || 0) + 1;
+            counts.set(tag, entry);
+        };
+
+        if (this.db) {
+            const rows = filePaths
+                ? filePaths.flatMap(filePath => this.db.prepare(`
+                    SELECT t.tag, t.source FROM tags t JOIN files f ON f.id = t.file_id WHERE f.path = ?
+                `).all(filePath))
+                : this.db.prepare(`
+                    SELECT t.tag, t.source FROM tags t JOIN files f ON f.id = t.file_id WHERE f.deleted_at IS NULL
+                `).all();
+
+            rows.forEach(row => count(row.tag, row.source));
+        } else if (this.jsonData) {
+            const files = filePaths ? this.findJSONFiles(filePaths) : this.jsonData.files.filter(f => !f.deletedAt);
+
+            for (const file of files) {
+                for (const [tag, source] of Object.entries(this.getTagSources(file))) {
+                    count(tag, source);
+                }
+            }
+        }
+
+        return [...counts.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    }
+
+    /**
+     * Set the tags of a JSON file record (fields are left out when it has none)
+     *
+     * @private
+     */
+    setTagsJSON(file, tagSources) {
+        if (Object.keys(tagSources).length > 0) {
+            file.tags = Object.keys(tagSources);
+            file.tagSources = tagSources;
+        } else {
+            delete file.tags;
+            delete file.tagSources;
+        }
+    }
+
+    /**
+     * Find JSON file records by path
+     *
+     * @private
+     */
+    findJSONFiles(filePaths) {
+        const wanted = new Set(filePaths);
+        return this.jsonData.files.filter(f => wanted.has(f.path));
+    }
+
+    /**
+     * Update the tags of a file's full-text index entry
+     *
+     * @private
+     */
+    syncSearchTags(fileId) {
+        this.db.prepare(`
+            UPDATE files_fts SET tags = (SELECT COALESCE(group_concat(tag, ' '), '') FROM tags WHERE file_id = ?)
+            WHERE rowid = ?
+        `).run(fileId, fileId);
+    }
+
+    /**
+     * Update a file's entry in the full-text index
+     * Names, paths, the file's tags and its text content are indexed
+     *
+     * @param {number} fileId - File id (rowid of files_fts)
+     * @param {Object} fileData - Stored file
+     * @param {string} [searchContent] - Text extracted by the processor (code, document body...)
+     * @private
+     */
+    syncSearchIndex(fileId, fileData, searchContent = null) {
+        const tags = this.db.prepare('SELECT tag FROM tags WHERE file_id = ?').all(fileId).map(t => t.tag);
+
+        this.db.prepare('DELETE FROM files_fts WHERE rowid = ?').run(fileId);
+        this.db.prepare('INSERT INTO files_fts (rowid, name, path, tags, content) VALUES (?, ?, ?, ?, ?)').run(
+            fileId,
+            fileData.name,
+            fileData.path,
+            tags.join(' '),
+            this.getSearchContent(fileData.metadata, searchContent)
+        );
+    }
+
+    /**
+     * Collect the searchable text of a file's metadata
+     * Extracted text comes first; titles, authors, keywords, headings, sheet
+     * names and slide titles are added from the metadata. Stored text
+     * previews are only used when no extracted text is available.
+     *
+     * @param {Object} [metadata] - File metadata
+     * @param {string} [searchContent] - Text extracted by the processor
+     * @returns {string}
+     * @private
+     */
+    getSearchContent(metadata = {}, searchContent = null) {
+        const { document: doc, office, code } = metadata || {};
+        const keywords = Array.isArray(doc?.keywords) ? doc.keywords : [doc?.keywords];
+
+        const parts = [
+            searchContent,
+            doc?.title, doc?.author, doc?.subject, ...keywords,
+            ...(doc?.headings || []).map(h => h.text),
+            office?.properties?.title, office?.properties?.author, office?.properties?.subject,
+            ...(office?.sheetNames || []),
+            ...(office?.slides || []).map(slide => slide.title),
+            code?.language
+        ];
+
+        if (!searchContent) {
+            parts.push(doc?.textContent || doc?.summary, office?.contentPreview);
+        }
+
+        const texts = parts.filter(part => typeof part === 'string' && part.length > 0);
+        return [...new Set(texts)].join('\n');
+    }
+
+    /**
+     * Rebuild the full-text index from the stored files
+     * Text that was only extracted at processing time (source code, full
+     * document bodies) is not stored, so it is indexed again on the next
+     * analyze of the file
+     */
+    rebuildSearchIndex() {
+        const rows = this.db.prepare('SELECT id, name, path, metadata FROM files').all();
+
+        this.db.transaction(() => {
+            this.db.exec('DELETE FROM files_fts');
+            for (const row of rows) {
+                this.syncSearchIndex(row.id, { ...row, metadata: row.metadata ? JSON.parse(row.metadata) : null });
+            }
+        })();
+
+        logger.info(`Rebuilt search index for ${rows.length} files`);
+    }
+
+    /**
+     * Replace the processing errors recorded for a file
+     */
+    upsertProcessingErrors(fileId, errors) {
+        this.db.prepare('DELETE FROM processing_errors WHERE file_id = ?').run(fileId);
+
+        const insertStmt = this.db.prepare(`
+            INSERT INTO processing_errors (file_id, processor, type, message, occurred_at)
+            VALUES (?, ?, ?, ?, ?)
+        `);
+
+        for (const error of errors) {
+            insertStmt.run(
+                fileId,
+                error.processor || 'unknown',
+                error.type || 'error',
+                error.message,
+                error.timestamp || new Date().toISOString()
+            );
+        }
+    }
+
     /**
      * Insert/update file in JSON
      */
@@ -602,15 +1143,41 @@ class DatabaseManager {
         const existingIndex = this.jsonData.files.findIndex(f => f.path === fileData.path);
 
         if (existingIndex >= 0) {
-            this.jsonData.files[existingIndex] = fileData;
+            const existing = this.jsonData.files[existingIndex];
+            const { deletedAt, ...updated } = fileData;
+            this.jsonData.files[existingIndex] = {
+                ...updated,
+                ...this.mergeTagsJSON(existing, fileData),
+                indexedAt: existing.indexedAt || new Date().toISOString()
+            };
         } else {
-            this.jsonData.files.push(fileData);
+            this.jsonData.files.push({ ...fileData, ...this.mergeTagsJSON(null, fileData), indexedAt: new Date().toISOString() });
         }
 
         // Update summary
         this.updateJSONSummary();
     }
 
+    /**
+     * Combine the manual tags of a stored file with the tags of its update
+     * (the JSON counterpart of upsertTags())
+     *
+     * @private
+     */
+    mergeTagsJSON(existing, fileData) {
+        const tagSources = {};
+
+        for (const [tag, source] of Object.entries(existing ? this.getTagSources(existing) : {})) {
+            if (source === 'manual') tagSources[tag] = source;
+        }
+        for (const [tag, source] of Object.entries(this.getTagSources(fileData))) {
+            if (!(tag in tagSources)) tagSources[tag] = source;
+        }
+
+        const tags = Object.keys(tagSources);
+        return tags.length > 0 ? { tags, tagSources } : { tags: undefined, tagSources: undefined };
+    }
+
     /**
      * Update JSON summary statistics
      */
@@ -644,8 +1211,8 @@ class DatabaseManager {
      */
     getFile(filePath) {
         if (this.db) {
-            const stmt = this.db.prepare('SELECT * FROM files WHERE path = ?');
-            return stmt.get(filePath);
+            const row = this.db.prepare('SELECT * FROM files WHERE path = ?').get(filePath);
+            return row ? this.transformSQLRow(row) : null;
         }
 
         if (this.jsonData) {
@@ -655,6 +1222,26 @@ class DatabaseManager {
         return null;
     }
 
+    /**
+     * Whether a file was processed before the metadata column existed
+     * (migration 5), when only the subset kept in the type tables was
+     * stored. The query language, location and place columns read the
+     * metadata column, so incremental scans process these files again.
+     *
+     * @param {string} filePath - Absolute file path
+     * @returns {boolean}
+     */
+    isMissingMetadata(filePath) {
+        if (!this.db) {
+            return false;
+        }
+
+        const row = this.db.prepare(
+            'SELECT metadata IS NULL AND processed_at IS NOT NULL AS missing FROM files WHERE path = ?'
+        ).get(filePath);
+        return Boolean(row && row.missing);
+    }
+
     /**
      * Query files with filters
      *
@@ -667,6 +1254,9 @@ class DatabaseManager {
      * - minSize: Minimum file size in bytes
      * - maxSize: Maximum file size in bytes
      * - limit: Maximum number of results to return
+     * - rootId: Only files indexed under this root
+     * - failure: Only files whose processing failed with this type ('timeout', 'crash', 'error', or 'any')
+     * - includeDeleted: Include files marked as deleted (excluded by default)
      *
      * For SQLite: Executes parameterized SQL query
      * For JSON: Filters in-memory array
@@ -677,7 +1267,23 @@ class DatabaseManager {
      * @param {number} [filters.minSize] - Minimum file size in bytes
      * @param {number} [filters.maxSize] - Maximum file size in bytes
      * @param {number} [filters.limit] - Maximum number of results
+     * @param {number} [filters.rootId] - Filter by root id (see resolveRoot())
+     * @param {string} [filters.failure] - Filter by failure type
+     * @param {boolean} [filters.includeDeleted=false] - Include files marked as deleted
+     * @param {string|Object} [filters.where] - Query language expression (see queryLanguage.js)
+     * @param {string[]} [filters.tags] - Files with any of these tags
+     * @param {Object} [filters.dateRange] - `{start, end, field}`, field defaulting to 'modified'
+     * @param {string} [filters.place] - Files whose city, region, country or country code is this name
+     * @param {boolean} [filters.geotagged] - Only files with a location (see gpsUtils.getFileCoordinates())
+     * @param {Object} [filters.near] - `{latitude, longitude, radiusKm}`: files within this distance
+     * @param {Object} [filters.bbox] - `{north, south, east, west}`: files inside this box
+     *   (west greater than east crosses the antimeridian)
      * @returns {Object[]} Array of matching file objects with metadata
+     * @throws {Error} If `where` is not a valid expression
+     *
+     * @example
+     * // Canon photos of at least 3000 pixels wide
+     * const photos = dbManager.queryFiles({ where: 'image.width>=3000 and exif.make="Canon"' });
      *
      * @example
      * // Find large JPEGs
@@ -708,30 +1314,11 @@ class DatabaseManager {
      * Query files from SQLite
      */
     queryFilesSQL(filters) {
-        let query = 'SELECT * FROM files WHERE 1=1';
-        const params = [];
-
-        if (filters.category) {
-            query += ' AND category = ?';
-            params.push(filters.category);
-        }
-
-        if (filters.extension) {
-            query += ' AND extension = ?';
-            params.push(filters.extension);
-        }
-
-        if (filters.minSize) {
-            query += ' AND size >= ?';
-            params.push(filters.minSize);
-        }
+        const { where, params } = this.buildFilterSQL(filters);
+        let query = `SELECT * FROM files WHERE 1=1${where}`;
 
-        if (filters.maxSize) {
-            query += ' AND size <= ?';
-            params.push(filters.maxSize);
-        }
-
-        if (filters.limit) {
+        // The distance filter runs on the rows, so the limit is applied after it
+        if (filters.limit && !filters.near) {
             query += ' LIMIT ?';
             params.push(filters.limit);
         }
@@ -740,17 +1327,21 @@ class DatabaseManager {
         const results = stmt.all(...params);
 
         // Transform snake_case to camelCase
-        return results.map(row => this.transformSQLRow(row));
+        return this.filterByDistance(results.map(row => this.transformSQLRow(row)), filters);
     }
 
     /**
      * Transform SQL row from snake_case to camelCase
      */
     transformSQLRow(row) {
+        const { hash: hashExtra, processing: processingExtra, llm, ...extra } = row.extra ? JSON.parse(row.extra) : {};
+
         const file = {
             id: row.id,
+            ...extra,
             path: row.path,
             relativePath: row.relative_path,
+            rootId: row.root_id,
             name: row.name,
             extension: row.extension,
             size: row.size,
@@ -761,22 +1352,223 @@ class DatabaseManager {
             category: row.category,
             hash: {
                 md5: row.md5_hash,
-                sha256: row.sha256_hash
+                sha256: row.sha256_hash,
+                ...(row.quick_hash ? { quick: row.quick_hash } : {}),
+                ...hashExtra
             },
-            processing: {
-                processedAt: row.processed_at,
-                processingTime: row.processing_time,
-                version: row.version
-            }
+            indexedAt: row.indexed_at
         };
 
-        // Fetch related metadata
-        file.metadata = this.getFileMetadata(row.id, row.category);
+        const errors = this.db.prepare(`
+            SELECT processor, type, message, occurred_at AS timestamp
+            FROM processing_errors WHERE file_id = ? ORDER BY id
+        `).all(row.id);
 
-        return file;
-    }
+        // Files no processor handled have no processing record, as in the JSON store
+        if (row.processed_at || errors.length > 0 || processingExtra) {
+            file.processing = {
+                processedAt: row.processed_at,
+                processingTime: row.processing_time,
+                version: row.version,
+                errors,
+                ...processingExtra
+            };
+        }
 
-    /**
+        // Importance has its own column so it survives moves
+        if (llm || row.importance) {
+            file.llm = { ...llm, importance: row.importance || 0 };
+        }
+
+        if (row.deleted_at) {
+            file.deletedAt = row.deleted_at;
+        }
+
+        const tags = this.db.prepare('SELECT tag, source FROM tags WHERE file_id = ? ORDER BY id').all(row.id);
+        if (tags.length > 0) {
+            file.tags = tags.map(t => t.tag);
+            file.tagSources = Object.fromEntries(tags.map(t => [t.tag, t.source]));
+        }
+
+        // Rows written before the metadata column existed are rebuilt from the type tables
+        const metadata = row.metadata ? JSON.parse(row.metadata) : this.getFileMetadata(row.id, row.category);
+        if (metadata) {
+            file.metadata = metadata;
+        }
+
+        return file;
+    }
+
+    /**
+     * Build the WHERE conditions for queryFiles() filters
+     *
+     * @param {Object} filters - See queryFiles()
+     * @param {string} [alias=''] - Table alias prefix for the files table (e.g. 'f.')
+     * @returns {{where: string, params: Array}} Conditions, each starting with ' AND '
+     * @private
+     */
+    buildFilterSQL(filters, alias = '') {
+        let where = '';
+        const params = [];
+
+        if (!filters.includeDeleted) {
+            where += ` AND ${alias}deleted_at IS NULL`;
+        }
+
+        if (filters.rootId) {
+            where += ` AND ${alias}root_id = ?`;
+            params.push(filters.rootId);
+        }
+
+        if (filters.failure === 'any') {
+            where += ` AND ${alias}failure IS NOT NULL`;
+        } else if (filters.failure) {
+            where += ` AND ${alias}failure = ?`;
+            params.push(filters.failure);
+        }
+
+        if (filters.category) {
+            where += ` AND ${alias}category = ?`;
+            params.push(filters.category);
+        }
+
+        if (filters.extension) {
+            where += ` AND ${alias}extension = ?`;
+            params.push(filters.extension);
+        }
+
+        if (filters.minSize) {
+            where += ` AND ${alias}size >= ?`;
+            params.push(filters.minSize);
+        }
+
+        if (filters.maxSize) {
+            where += ` AND ${alias}size <= ?`;
+            params.push(filters.maxSize);
+        }
+
+        const boxes = this.getLocationBoxes(filters);
+        if (filters.geotagged || boxes.length > 0) {
+            where += ` AND ${alias}latitude IS NOT NULL AND ${alias}longitude IS NOT NULL`;
+        }
+        for (const { north, south, east, west } of boxes) {
+            // The (latitude, longitude) index narrows the latitude range
+            where += ` AND ${alias}latitude BETWEEN ? AND ?`;
+            where += west <= east
+                ? ` AND ${alias}longitude BETWEEN ? AND ?`
+                : ` AND (${alias}longitude >= ? OR ${alias}longitude <= ?)`;
+            params.push(south, north, west, east);
+        }
+
+        const expression = queryLanguage.fromFilters(filters);
+        if (expression) {
+            const compiled = queryLanguage.toSQL(expression, alias);
+            where += ` AND ${compiled.sql}`;
+            params.push(...compiled.params);
+        }
+
+        return { where, params };
+    }
+
+    /**
+     * Whether searchFiles() is available (SQLite storage)
+     *
+     * @returns {boolean}
+     */
+    hasFullTextSearch() {
+        return !!this.db;
+    }
+
+    /**
+     * Full-text search (SQLite only)
+     *
+     * Matches an FTS5 query against file names, paths, tags and extracted
+     * text: words, "exact phrases", prefix*, NEAR(a b, 10), AND / OR / NOT
+     * and column filters such as name:report. Results are ranked by BM25
+     * (name and tag matches weigh more than content matches) and carry a
+     * snippet of the best matching text.
+     *
+     * @param {string} searchQuery - FTS5 query
+     * @param {Object} [filters={}] - queryFiles() filters, applied to the matches
+     * @param {Object} [options]
+     * @param {string[]} [options.highlight=['[', ']']] - Markers around matched terms in snippets
+     * @returns {Object[]} File objects, best match first, with `search: { rank, snippet }`
+     * @throws {Error} If the query is not valid FTS5 syntax
+     *
+     * @example
+     * dbManager.searchFiles('"quarterly report" OR budget*', { category: 'document' });
+     */
+    searchFiles(searchQuery, filters = {}, options = {}) {
+        const [open, close] = options.highlight || ['[', ']'];
+        const { where, params } = this.buildFilterSQL(filters, 'f.');
+        let query = `
+            SELECT f.*,
+                bm25(files_fts, 10.0, 2.0, 8.0, 1.0) AS search_rank,
+                snippet(files_fts, -1, ?, ?, '…', 16) AS search_snippet
+            FROM files_fts
+            JOIN files f ON f.id = files_fts.rowid
+            WHERE files_fts MATCH ?${where}
+            ORDER BY search_rank
+        `;
+
+        params.unshift(open, close, searchQuery);
+
+        if (filters.limit && !filters.near) {
+            query += ' LIMIT ?';
+            params.push(filters.limit);
+        }
+
+        let rows;
+        try {
+            rows = this.db.prepare(query).all(...params);
+        } catch (error) {
+            // The statement itself is fixed, so SQL errors come from the search query
+            if (error.code === 'SQLITE_ERROR') {
+                throw new Error(`Invalid search query: ${error.message}`);
+            }
+            throw error;
+        }
+
+        return this.filterByDistance(rows.map(row => ({
+            ...this.transformSQLRow(row),
+            search: { rank: row.search_rank, snippet: row.search_snippet }
+        })), filters);
+    }
+
+    /**
+     * Bounding boxes a file's location must fall in: the bbox filter, and the
+     * box around the near filter (refined by filterByDistance())
+     * @private
+     */
+    getLocationBoxes(filters) {
+        const boxes = [];
+        if (filters.bbox) {
+            boxes.push(filters.bbox);
+        }
+        if (filters.near) {
+            const { latitude, longitude, radiusKm } = filters.near;
+            boxes.push(gpsUtils.getBoundingBox(latitude, longitude, radiusKm));
+        }
+        return boxes;
+    }
+
+    /**
+     * Keep the files within the radius of the near filter, then apply the limit
+     * @private
+     */
+    filterByDistance(files, filters) {
+        if (!filters.near) return files;
+
+        const { latitude, longitude, radiusKm } = filters.near;
+        const within = files.filter(file => {
+            const location = gpsUtils.getFileCoordinates(file);
+            return location && gpsUtils.calculateDistance(latitude, longitude, location.latitude, location.longitude) <= radiusKm;
+        });
+
+        return filters.limit ? within.slice(0, filters.limit) : within;
+    }
+
+    /**
      * Get metadata for a file based on category
      *
      * Retrieves type-specific metadata from the appropriate table(s)
@@ -840,7 +1632,9 @@ class DatabaseManager {
                     colorSpace: imgData.color_space,
                     bitDepth: imgData.bit_depth,
                     hasAlpha: imgData.has_alpha === 1,
-                    perceptualHash: imgData.perceptual_hash
+                    perceptualHash: imgData.perceptual_hash,
+                    averageHash: imgData.average_hash,
+                    differenceHash: imgData.difference_hash
                 };
 
                 // Parse dominant colors if present
@@ -887,7 +1681,15 @@ class DatabaseManager {
                     sampleRate: audData.sample_rate,
                     channels: audData.channels,
                     codec: audData.codec,
-                    tags: audData.tags ? JSON.parse(audData.tags) : null
+                    format: audData.format,
+                    tags: {
+                        title: audData.title,
+                        artist: audData.artist,
+                        album: audData.album,
+                        year: audData.year,
+                        genre: audData.genre,
+                        track: audData.track
+                    }
                 };
             }
         } else if (category === 'document') {
@@ -950,6 +1752,15 @@ class DatabaseManager {
             };
         }
 
+        // Metadata kept in plugin schema additions
+        for (const extension of this.extensions) {
+            try {
+                Object.assign(metadata, extension.loadMetadata(this.db, fileId));
+            } catch (error) {
+                logger.error(`${extension.name} failed to load metadata for file ${fileId}`, error);
+            }
+        }
+
         return Object.keys(metadata).length > 0 ? metadata : null;
     }
 
@@ -959,6 +1770,21 @@ class DatabaseManager {
     queryFilesJSON(filters) {
         let results = this.jsonData.files;
 
+        if (!filters.includeDeleted) {
+            results = results.filter(f => !f.deletedAt);
+        }
+
+        if (filters.rootId) {
+            results = results.filter(f => f.rootId === filters.rootId);
+        }
+
+        if (filters.failure) {
+            results = results.filter(f => {
+                const failure = this.getFailureType(f);
+                return failure && (filters.failure === 'any' || failure === filters.failure);
+            });
+        }
+
         if (filters.category) {
             results = results.filter(f => f.category === filters.category);
         }
@@ -975,6 +1801,23 @@ class DatabaseManager {
             results = results.filter(f => f.size <= filters.maxSize);
         }
 
+        const boxes = this.getLocationBoxes(filters);
+        if (filters.geotagged || boxes.length > 0) {
+            results = results.filter(f => {
+                const location = gpsUtils.getFileCoordinates(f);
+                return location && boxes.every(box => gpsUtils.isWithinBoundingBox(location.latitude, location.longitude, box));
+            });
+        }
+
+        const expression = queryLanguage.fromFilters(filters);
+        if (expression) {
+            results = results.filter(queryLanguage.toPredicate(expression));
+        }
+
+        if (filters.near) {
+            return this.filterByDistance(results, filters);
+        }
+
         if (filters.limit) {
             results = results.slice(0, filters.limit);
         }
@@ -983,21 +1826,1641 @@ class DatabaseManager {
     }
 
     /**
-     * Save JSON data to file
+     * List recorded processing errors
      *
-     * Writes the in-memory JSON data to disk with pretty-printing (2-space indentation).
-     * Only executes if JSON storage is configured.
+     * One entry per error from each file's last processing run. Files
+     * marked deleted are left out.
      *
-     * @returns {Promise<void>} Resolves when file is written
+     * @param {Object} [filters={}]
+     * @param {string} [filters.processor] - Only errors raised by this processor
+     * @param {string} [filters.type] - Only this failure type ('timeout', 'crash', 'error')
+     * @param {number} [filters.rootId] - Only files under this root
+     * @returns {{path: string, relativePath: string, processor: string, type: string, message: string, timestamp: string}[]}
      *
      * @example
-     * // After making changes to JSON data
-     * await dbManager.saveJSON();
+     * const timeouts = dbManager.getProcessingErrors({ type: 'timeout' });
      */
-    async saveJSON() {
-        if (this.jsonData && this.config.jsonPath) {
-            const content = JSON.stringify(this.jsonData, null, 2);
-            await fs.writeFile(this.config.jsonPath, content, 'utf8');
+    getProcessingErrors(filters = {}) {
+        if (this.db) {
+            let query = `
+                SELECT f.path, f.relative_path, e.processor, e.type, e.message, e.occurred_at
+                FROM processing_errors e
+                JOIN files f ON f.id = e.file_id
+                WHERE f.deleted_at IS NULL
+            `;
+            const params = [];
+
+            if (filters.processor) {
+                query += ' AND e.processor = ?';
+                params.push(filters.processor);
+            }
+
+            if (filters.type) {
+                query += ' AND e.type = ?';
+                params.push(filters.type);
+            }
+
+            if (filters.rootId) {
+                query += ' AND f.root_id = ?';
+                params.push(filters.rootId);
+            }
+
+            return this.db.prepare(query + ' ORDER BY f.path, e.id').all(...params).map(row => ({
+                path: row.path,
+                relativePath: row.relative_path,
+                processor: row.processor,
+                type: row.type,
+                message: row.message,
+                timestamp: row.occurred_at
+            }));
+        }
+
+        if (this.jsonData) {
+            return this.jsonData.files
+                .filter(f => !f.deletedAt && (!filters.rootId || f.rootId === filters.rootId))
+                .flatMap(f => (f.processing?.errors || []).map(error => ({
+                    path: f.path,
+                    relativePath: f.relativePath,
+                    processor: error.processor,
+                    type: error.type || 'error',
+                    message: error.message,
+                    timestamp: error.timestamp
+                })))
+                .filter(e => (!filters.processor || e.processor === filters.processor) &&
+                    (!filters.type || e.type === filters.type))
+                .sort((a, b) => a.path.localeCompare(b.path));
+        }
+
+        return [];
+    }
+
+    /**
+     * Iterate over stored files under a directory
+     *
+     * Yields lightweight records (path, size, sha256) rather than full file
+     * objects. SQLite rows are read in pages by id so large trees never load
+     * into memory at once.
+     *
+     * @param {string} directory - Absolute directory path
+     * @param {Object} [options]
+     * @param {boolean} [options.includeDeleted=false] - Include files already marked as deleted
+     * @yields {{path: string, size: number, sha256: string|null}}
+     *
+     * @example
+     * for (const file of dbManager.iterateFilesUnder('/photos')) {
+     *   console.log(file.path);
+     * }
+     */
+    *iterateFilesUnder(directory, options = {}) {
+        const prefix = directory.endsWith(path.sep) ? directory : directory + path.sep;
+        // Every path starting with prefix sorts between prefix and prefix with its last char incremented
+        const upperBound = prefix.slice(0, -1) + String.fromCharCode(prefix.charCodeAt(prefix.length - 1) + 1);
+
+        if (this.db) {
+            const stmt = this.db.prepare(`
+                SELECT id, path, size, sha256_hash, quick_hash FROM files
+                WHERE path >= ? AND path < ? AND id > ?
+                ${options.includeDeleted ? '' : 'AND deleted_at IS NULL'}
+                ORDER BY id LIMIT 1000
+            `);
+            let lastId = 0;
+            let rows;
+
+            do {
+                rows = stmt.all(prefix, upperBound, lastId);
+                for (const row of rows) {
+                    lastId = row.id;
+                    yield { path: row.path, size: row.size, sha256: row.sha256_hash, quickHash: row.quick_hash };
+                }
+            } while (rows.length > 0);
+
+            return;
+        }
+
+        if (this.jsonData) {
+            for (const file of this.jsonData.files) {
+                if (file.path.startsWith(prefix) && (options.includeDeleted || !file.deletedAt)) {
+                    yield { path: file.path, size: file.size, sha256: file.hash?.sha256 || null, quickHash: file.hash?.quick || null };
+                }
+            }
+        }
+    }
+
+    /**
+     * Find live files with a given content hash
+     *
+     * @param {string} sha256 - SHA256 content hash
+     * @param {Object} [options]
+     * @param {string} [options.indexedSince] - Only files first indexed at or after this ISO time
+     * @returns {string[]} Matching file paths
+     */
+    findPathsByHash(sha256, options = {}) {
+        if (this.db) {
+            let query = 'SELECT path FROM files WHERE sha256_hash = ? AND deleted_at IS NULL';
+            const params = [sha256];
+
+            if (options.indexedSince) {
+                query += ' AND indexed_at >= ?';
+                params.push(options.indexedSince);
+            }
+
+            return this.db.prepare(query).all(...params).map(row => row.path);
+        }
+
+        if (this.jsonData) {
+            return this.jsonData.files
+                .filter(f => f.hash?.sha256 === sha256 && !f.deletedAt)
+                .filter(f => !options.indexedSince || (f.indexedAt && f.indexedAt >= options.indexedSince))
+                .map(f => f.path);
+        }
+
+        return [];
+    }
+
+    /**
+     * Find live files with a given size and quick hash
+     * Used instead of findPathsByHash() for files that were never fully hashed.
+     *
+     * @param {string} quickHash - hashUtil.quickHash() of the content
+     * @param {number} size - File size in bytes
+     * @param {Object} [options]
+     * @param {string} [options.indexedSince] - Only files first indexed at or after this ISO time
+     * @returns {string[]} Paths
+     */
+    findPathsByQuickHash(quickHash, size, options = {}) {
+        if (this.db) {
+            let query = 'SELECT path FROM files WHERE size = ? AND quick_hash = ? AND deleted_at IS NULL';
+            const params = [size, quickHash];
+
+            if (options.indexedSince) {
+                query += ' AND indexed_at >= ?';
+                params.push(options.indexedSince);
+            }
+
+            return this.db.prepare(query).all(...params).map(row => row.path);
+        }
+
+        if (this.jsonData) {
+            return this.jsonData.files
+                .filter(f => f.size === size && f.hash?.quick === quickHash && !f.deletedAt)
+                .filter(f => !options.indexedSince || (f.indexedAt && f.indexedAt >= options.indexedSince))
+                .map(f => f.path);
+        }
+
+        return [];
+    }
+
+    /**
+     * Get the live files that may have duplicates but are not all fully hashed
+     * Files whose size no other file shares cannot have duplicates and are left out.
+     *
+     * @param {Object} [filters={}]
+     * @param {number} [filters.rootId] - Only files of this root
+     * @returns {Array<{path: string, size: number, hash: {quick?: string, sha256?: string}}>} Ordered by size
+     */
+    getDuplicateCandidates(filters = {}) {
+        if (this.db) {
+            const rootFilter = filters.rootId ? 'AND root_id = ?' : '';
+            const rootParams = filters.rootId ? [filters.rootId] : [];
+
+            return this.db.prepare(`
+                SELECT path, size, quick_hash, sha256_hash FROM files
+                WHERE deleted_at IS NULL ${rootFilter} AND size IN (
+                    SELECT size FROM files WHERE deleted_at IS NULL ${rootFilter}
+                    GROUP BY size
+                    HAVING COUNT(*) > 1 AND COUNT(sha256_hash) < COUNT(*)
+                )
+                ORDER BY size, path
+            `).all(...rootParams, ...rootParams).map(row => {
+                const hash = {};
+                if (row.quick_hash) hash.quick = row.quick_hash;
+                if (row.sha256_hash) hash.sha256 = row.sha256_hash;
+                return { path: row.path, size: row.size, hash };
+            });
+        }
+
+        if (this.jsonData) {
+            const bySize = new Map();
+            for (const file of this.jsonData.files) {
+                if (file.deletedAt || (filters.rootId && file.rootId !== filters.rootId)) continue;
+                if (!bySize.has(file.size)) bySize.set(file.size, []);
+                bySize.get(file.size).push(file);
+            }
+
+            return [...bySize.entries()]
+                .filter(([, files]) => files.length > 1 && files.some(f => !f.hash?.sha256))
+                .sort(([a], [b]) => a - b)
+                .flatMap(([, files]) => files
+                    .sort((a, b) => a.path.localeCompare(b.path))
+                    .map(f => {
+                        const hash = {};
+                        if (f.hash?.quick) hash.quick = f.hash.quick;
+                        if (f.hash?.sha256) hash.sha256 = f.hash.sha256;
+                        return { path: f.path, size: f.size, hash };
+                    }));
+        }
+
+        return [];
+    }
+
+    /**
+     * Get the perceptual hashes of the live images
+     * Lighter than queryFiles(): only what similarity search and picking a
+     * representative need.
+     *
+     * @param {Object} [filters={}]
+     * @param {number} [filters.rootId] - Only images of this root
+     * @returns {Array<Object>} { path, relativePath, rootId, size, modified, width, height,
+     *   averageHash, differenceHash, perceptualHash } of every image with a perceptual hash
+     */
+    getImageHashes(filters = {}) {
+        if (this.db) {
+            const rootFilter = filters.rootId ? 'AND f.root_id = ?' : '';
+
+            return this.db.prepare(`
+                SELECT f.path, f.relative_path, f.root_id, f.size, f.modified,
+                       i.width, i.height, i.average_hash, i.difference_hash, i.perceptual_hash
+                FROM files f JOIN image_metadata i ON i.file_id = f.id
+                WHERE f.deleted_at IS NULL AND i.perceptual_hash IS NOT NULL ${rootFilter}
+                ORDER BY f.path
+            `).all(...(filters.rootId ? [filters.rootId] : [])).map(row => ({
+                path: row.path,
+                relativePath: row.relative_path,
+                rootId: row.root_id,
+                size: row.size,
+                modified: row.modified,
+                width: row.width,
+                height: row.height,
+                averageHash: row.average_hash,
+                differenceHash: row.difference_hash,
+                perceptualHash: row.perceptual_hash
+            }));
+        }
+
+        if (this.jsonData) {
+            return this.jsonData.files
+                .filter(f => !f.deletedAt && f.metadata?.image?.perceptualHash)
+                .filter(f => !filters.rootId || f.rootId === filters.rootId)
+                .sort((a, b) => a.path.localeCompare(b.path))
+                .map(f => {
+                    const image = f.metadata.image;
+                    return {
+                        path: f.path,
+                        relativePath: f.relativePath,
+                        rootId: f.rootId,
+                        size: f.size,
+                        modified: f.modified,
+                        width: image.width,
+                        height: image.height,
+                        averageHash: image.averageHash || null,
+                        differenceHash: image.differenceHash || null,
+                        perceptualHash: image.perceptualHash
+                    };
+                });
+        }
+
+        return [];
+    }
+
+    /**
+     * Store hashes computed after a file was indexed
+     *
+     * @param {string} filePath - Absolute file path
+     * @param {Object} hashes - Any of md5, sha256, quick
+     */
+    updateFileHashes(filePath, hashes) {
+        if (this.db) {
+            this.db.prepare(`
+                UPDATE files SET
+                    md5_hash = COALESCE(?, md5_hash),
+                    sha256_hash = COALESCE(?, sha256_hash),
+                    quick_hash = COALESCE(?, quick_hash)
+                WHERE path = ?
+            `).run(hashes.md5 || null, hashes.sha256 || null, hashes.quick || null, filePath);
+        }
+
+        if (this.jsonData) {
+            const file = this.jsonData.files.find(f => f.path === filePath);
+            if (file) {
+                const defined = Object.entries(hashes).filter(([, value]) => value);
+                file.hash = { ...file.hash, ...Object.fromEntries(defined) };
+            }
+        }
+    }
+
+    /**
+     * Record the size and modification time of a file changed in place
+     * (e.g. EXIF written by geotag), so incremental scans see it unchanged
+     *
+     * @param {string} filePath - Absolute file path
+     * @param {Object} stats - `{size, modified}`, modified as an ISO string
+     */
+    updateFileStats(filePath, stats) {
+        if (this.db) {
+            this.db.prepare('UPDATE files SET size = ?, modified = ? WHERE path = ?').run(stats.size, stats.modified, filePath);
+        }
+
+        if (this.jsonData) {
+            const file = this.jsonData.files.find(f => f.path === filePath);
+            if (file) {
+                file.size = stats.size;
+                file.modified = stats.modified;
+            }
+        }
+    }
+
+    /**
+     * Replace the metadata of an indexed file without re-processing it
+     * The type-specific tables (image_metadata, exif_data...) are updated too.
+     *
+     * @param {string} filePath - Absolute file path
+     * @param {Object} metadata - Full metadata (fileInfo.metadata)
+     */
+    updateFileMetadata(filePath, metadata) {
+        if (this.db) {
+            const row = this.db.prepare('SELECT id, category FROM files WHERE path = ?').get(filePath);
+            if (row) {
+                this.db.prepare('UPDATE files SET metadata = ? WHERE id = ?').run(JSON.stringify(metadata), row.id);
+                this.upsertTypeMetadata(row.id, { category: row.category, metadata });
+            }
+        }
+
+        if (this.jsonData) {
+            const file = this.jsonData.files.find(f => f.path === filePath);
+            if (file) {
+                file.metadata = metadata;
+            }
+        }
+    }
+
+    /**
+     * Mark a file as deleted without removing its record
+     *
+     * @param {string} filePath - Absolute file path
+     */
+    markFileDeleted(filePath) {
+        const deletedAt = new Date().toISOString();
+
+        if (this.db) {
+            this.db.prepare('UPDATE files SET deleted_at = ? WHERE path = ?').run(deletedAt, filePath);
+        }
+
+        if (this.jsonData) {
+            const file = this.jsonData.files.find(f => f.path === filePath);
+            if (file) {
+                file.deletedAt = deletedAt;
+            }
+        }
+    }
+
+    /**
+     * Remove a file record (and its metadata, tags and relationships)
+     *
+     * @param {string} filePath - Absolute file path
+     */
+    deleteFile(filePath) {
+        if (this.db) {
+            this.db.prepare('DELETE FROM files WHERE path = ?').run(filePath);
+        }
+
+        if (this.jsonData) {
+            this.jsonData.files = this.jsonData.files.filter(f => f.path !== filePath);
+            this.updateJSONSummary();
+        }
+    }
+
+    /**
+     * Record that a file moved
+     *
+     * The destination already has a freshly processed record; the source
+     * record's tags, relationships and LLM importance are carried over to it
+     * and the source record is removed.
+     *
+     * @param {string} fromPath - Previous absolute path (no longer on disk)
+     * @param {string} toPath - New absolute path
+     *
+     * @example
+     * dbManager.moveFile('/photos/IMG_001.jpg', '/photos/2024/IMG_001.jpg');
+     */
+    moveFile(fromPath, toPath) {
+        if (this.db) {
+            const move = this.db.transaction(() => {
+                const fromId = this.getFileId(fromPath);
+                const toId = this.getFileId(toPath);
+                if (!fromId || !toId) return;
+
+                this.db.prepare(`
+                    INSERT OR IGNORE INTO tags (file_id, tag, source)
+                    SELECT ?, tag, source FROM tags WHERE file_id = ?
+                `).run(toId, fromId);
+                this.syncSearchTags(toId);
+                this.db.prepare('UPDATE relationships SET file_id = ? WHERE file_id = ?').run(toId, fromId);
+                this.db.prepare('UPDATE relationships SET related_file_id = ? WHERE related_file_id = ?').run(toId, fromId);
+                this.db.prepare(`
+                    UPDATE files SET importance = (SELECT importance FROM files WHERE id = ?)
+                    WHERE id = ? AND COALESCE(importance, 0) = 0
+                `).run(fromId, toId);
+                this.db.prepare('DELETE FROM files WHERE id = ?').run(fromId);
+            });
+
+            move();
+        }
+
+        if (this.jsonData) {
+            const from = this.jsonData.files.find(f => f.path === fromPath);
+            const to = this.jsonData.files.find(f => f.path === toPath);
+
+            if (from && to) {
+                this.setTagsJSON(to, { ...this.getTagSources(from), ...this.getTagSources(to) });
+                if (from.relationships) {
+                    to.relationships = from.relationships;
+                }
+                if (from.llm?.importance && !to.llm?.importance) {
+                    to.llm = { ...to.llm, importance: from.llm.importance };
+                }
+
+                for (const file of this.jsonData.files) {
+                    for (const related of Object.values(file.relationships || {})) {
+                        if (!Array.isArray(related)) continue;
+                        related.forEach((entry, i) => {
+                            if (entry === fromPath) related[i] = toPath;
+                        });
+                    }
+                }
+
+                this.deleteFile(fromPath);
+            }
+        }
+    }
+
+    /**
+     * Point a file record at the path the file was moved or renamed to
+     *
+     * Unlike moveFile(), nothing is re-processed: the record keeps its id,
+     * metadata, tags, relationships and collection memberships, and only its
+     * path, root, relative path, name and extension change. The file is on
+     * disk at its new path, so a deleted mark is cleared. A stale record at
+     * the destination (e.g. a file marked deleted) is replaced.
+     *
+     * @param {string} fromPath - Previous absolute path
+     * @param {string} toPath - New absolute path
+     * @returns {boolean} Whether a record was found at fromPath
+     *
+     * @example
+     * dbManager.relocateFile('/inbox/IMG_001.jpg', '/photos/2024/05/IMG_001.jpg');
+     */
+    relocateFile(fromPath, toPath) {
+        const root = this.findRootForPath(toPath);
+        const fields = {
+            rootId: root ? root.id : null,
+            relativePath: root ? path.relative(root.path, toPath) : path.basename(toPath),
+            name: path.basename(toPath),
+            extension: path.extname(toPath).slice(1).toLowerCase()
+        };
+        let found = false;
+
+        if (this.db) {
+            const relocate = this.db.transaction(() => {
+                const fileId = this.getFileId(fromPath);
+                if (!fileId) return;
+
+                this.db.prepare('DELETE FROM files WHERE path = ? AND id != ?').run(toPath, fileId);
+                this.db.prepare(`
+                    UPDATE files SET path = ?, relative_path = ?, root_id = ?, name = ?, extension = ?, deleted_at = NULL
+                    WHERE id = ?
+                `).run(toPath, fields.relativePath, fields.rootId, fields.name, fields.extension, fileId);
+                // The path column is synced by the files_fts_path trigger
+                if (this.hasFullTextSearch()) {
+                    this.db.prepare('UPDATE files_fts SET name = ? WHERE rowid = ?').run(fields.name, fileId);
+                }
+                this.db.prepare('UPDATE OR IGNORE collection_files SET path = ? WHERE path = ?').run(toPath, fromPath);
+                found = true;
+            });
+
+            relocate();
+        }
+
+        if (this.jsonData) {
+            const file = this.jsonData.files.find(f => f.path === fromPath);
+
+            if (file) {
+                this.jsonData.files = this.jsonData.files.filter(f => f.path !== toPath);
+                Object.assign(file, { path: toPath, ...fields });
+                if (!root) delete file.rootId;
+                delete file.deletedAt;
+
+                for (const other of this.jsonData.files) {
+                    for (const related of Object.values(other.relationships || {})) {
+                        if (!Array.isArray(related)) continue;
+                        related.forEach((entry, i) => {
+                            if (entry === fromPath) related[i] = toPath;
+                        });
+                    }
+                }
+                for (const collection of this.jsonData.collections) {
+                    collection.files = collection.files.map(p => (p === fromPath ? toPath : p));
+                }
+
+                this.updateJSONSummary();
+                found = true;
+            }
+        }
+
+        return found;
+    }
+
+    /**
+     * Index a copy of a file under its new path
+     * The copy gets the original's metadata and tags; relationships are not copied.
+     *
+     * @param {string} fromPath - Absolute path of the indexed original
+     * @param {string} toPath - Absolute path of the copy
+     * @returns {Promise<boolean>} Whether the original was indexed
+     *
+     * @example
+     * await dbManager.copyFileRecord('/inbox/song.mp3', '/music/Artist/Album/01 Song.mp3');
+     */
+    async copyFileRecord(fromPath, toPath) {
+        const original = this.getFile(fromPath);
+        if (!original) return false;
+
+        const root = this.findRootForPath(toPath);
+        const { id, relationships, ...copy } = JSON.parse(JSON.stringify(original));
+
+        await this.upsertFile({
+            ...copy,
+            path: toPath,
+            rootId: root ? root.id : undefined,
+            relativePath: root ? path.relative(root.path, toPath) : path.basename(toPath),
+            name: path.basename(toPath),
+            extension: path.extname(toPath).slice(1).toLowerCase(),
+            deletedAt: undefined
+        });
+
+        return true;
+    }
+
+    /**
+     * List indexed roots
+     *
+     * @returns {Object[]} Roots ordered by id, each with fileCount and totalSize
+     *
+     * @example
+     * for (const root of dbManager.getRoots()) {
+     *   console.log(`${root.label}: ${root.fileCount} files`);
+     * }
+     */
+    getRoots() {
+        if (this.db) {
+            const rows = this.db.prepare(`
+                SELECT r.*, COUNT(f.id) AS file_count, COALESCE(SUM(f.size), 0) AS total_size
+                FROM roots r
+                LEFT JOIN files f ON f.root_id = r.id AND f.deleted_at IS NULL
+                GROUP BY r.id
+                ORDER BY r.id
+            `).all();
+
+            return rows.map(row => this.transformRootRow(row));
+        }
+
+        if (this.jsonData) {
+            return this.jsonData.roots.map(root => {
+                const files = this.jsonData.files.filter(f => f.rootId === root.id && !f.deletedAt);
+                return {
+                    ...root,
+                    fileCount: files.length,
+                    totalSize: files.reduce((sum, f) => sum + (f.size || 0), 0)
+                };
+            });
+        }
+
+        return [];
+    }
+
+    /**
+     * Transform a roots row from snake_case to camelCase
+     *
+     * @private
+     */
+    transformRootRow(row) {
+        const root = {
+            id: row.id,
+            path: row.path,
+            label: row.label,
+            createdAt: row.created_at,
+            lastScanAt: row.last_scan_at,
+            stats: row.stats ? JSON.parse(row.stats) : null,
+            config: row.config ? JSON.parse(row.config) : null
+        };
+
+        if (row.file_count !== undefined) {
+            root.fileCount = row.file_count;
+            root.totalSize = row.total_size;
+        }
+
+        return root;
+    }
+
+    /**
+     * Look up a root by id, label or path
+     *
+     * @param {string|number} spec - Root id, label, or directory path
+     * @returns {Object|null} Root, or null if none matches
+     *
+     * @example
+     * const root = dbManager.resolveRoot('photos');
+     * const files = dbManager.queryFiles({ rootId: root.id });
+     */
+    resolveRoot(spec) {
+        const roots = this.getRoots();
+        const value = String(spec);
+
+        return roots.find(r => String(r.id) === value) ||
+            roots.find(r => r.label === value) ||
+            roots.find(r => r.path === path.resolve(value)) ||
+            null;
+    }
+
+    /**
+     * Find the root a path belongs to
+     * When roots are nested, the deepest one wins.
+     *
+     * @param {string} targetPath - Absolute file or directory path
+     * @returns {Object|null} Containing root, or null
+     */
+    findRootForPath(targetPath) {
+        return this.getRoots()
+            .filter(r => targetPath === r.path || targetPath.startsWith(r.path.endsWith(path.sep) ? r.path : r.path + path.sep))
+            .sort((a, b) => b.path.length - a.path.length)[0] || null;
+    }
+
+    /**
+     * Register a root directory
+     *
+     * Files already indexed under the directory that belong to no root, or to
+     * a root enclosing it, are moved to the new root and their relative paths
+     * recomputed. Adding an existing path returns that root (relabelled if a
+     * label is given).
+     *
+     * @param {string} rootPath - Absolute directory path
+     * @param {Object} [options]
+     * @param {string} [options.label] - Short name for --root (defaults to the directory name)
+     * @returns {Object} The root
+     *
+     * @example
+     * const root = dbManager.addRoot('/mnt/photos', { label: 'photos' });
+     */
+    addRoot(rootPath, options = {}) {
+        const existing = this.getRoots().find(r => r.path === rootPath);
+
+        if (existing) {
+            if (options.label && options.label !== existing.label) {
+                this.updateRoot(existing.id, { label: options.label });
+                return { ...existing, label: options.label };
+            }
+            return existing;
+        }
+
+        const root = {
+            id: null,
+            path: rootPath,
+            label: options.label || path.basename(rootPath) || rootPath,
+            createdAt: new Date().toISOString(),
+            lastScanAt: null,
+            stats: null,
+            config: null
+        };
+
+        const prefix = rootPath.endsWith(path.sep) ? rootPath : rootPath + path.sep;
+
+        if (this.db) {
+            const info = this.db.prepare(`
+                INSERT INTO roots (path, label, created_at) VALUES (?, ?, ?)
+            `).run(root.path, root.label, root.createdAt);
+            root.id = Number(info.lastInsertRowid);
+
+            // Same range trick as iterateFilesUnder()
+            const upperBound = prefix.slice(0, -1) + String.fromCharCode(prefix.charCodeAt(prefix.length - 1) + 1);
+            this.db.prepare(`
+                UPDATE files SET root_id = ?, relative_path = substr(path, ?)
+                WHERE path >= ? AND path < ?
+                AND (root_id IS NULL OR root_id IN (SELECT id FROM roots WHERE length(path) < ?))
+            `).run(root.id, prefix.length + 1, prefix, upperBound, rootPath.length);
+        }
+
+        if (this.jsonData) {
+            if (root.id === null) {
+                root.id = this.jsonData.roots.reduce((max, r) => Math.max(max, r.id), 0) + 1;
+            }
+
+            const enclosing = new Set(this.jsonData.roots
+                .filter(r => r.path.length < rootPath.length)
+                .map(r => r.id));
+
+            for (const file of this.jsonData.files) {
+                if (file.path.startsWith(prefix) && (!file.rootId || enclosing.has(file.rootId))) {
+                    file.rootId = root.id;
+                    file.relativePath = file.path.slice(prefix.length);
+                }
+            }
+
+            this.jsonData.roots.push(root);
+        }
+
+        logger.info(`Added root ${root.label}`, { path: rootPath });
+        return root;
+    }
+
+    /**
+     * Get the root for a directory being analyzed, registering it if needed
+     * A directory inside an existing root is analyzed as part of that root.
+     *
+     * @param {string} directory - Absolute directory path
+     * @returns {Object} The root
+     */
+    ensureRoot(directory) {
+        return this.findRootForPath(directory) || this.addRoot(directory);
+    }
+
+    /**
+     * Update root fields
+     *
+     * @param {number} rootId - Root id
+     * @param {Object} updates - Any of label, lastScanAt, stats, config
+     *
+     * @example
+     * dbManager.updateRoot(1, { lastScanAt: new Date().toISOString(), stats });
+     */
+    updateRoot(rootId, updates) {
+        const columns = { label: 'label', lastScanAt: 'last_scan_at', stats: 'stats', config: 'config' };
+        const fields = Object.keys(updates).filter(key => columns[key]);
+
+        if (this.db && fields.length > 0) {
+            const assignments = fields.map(key => `${columns[key]} = @${key}`).join(', ');
+            const params = { id: rootId };
+            for (const key of fields) {
+                params[key] = (key === 'stats' || key === 'config') ? JSON.stringify(updates[key]) : updates[key];
+            }
+
+            this.db.prepare(`UPDATE roots SET ${assignments} WHERE id = @id`).run(params);
+        }
+
+        if (this.jsonData) {
+            const root = this.jsonData.roots.find(r => r.id === rootId);
+            if (root) {
+                for (const key of fields) {
+                    root[key] = updates[key];
+                }
+            }
+        }
+    }
+
+    /**
+     * Unregister a root and remove the records of every file indexed under it
+     * Files on disk are not touched.
+     *
+     * @param {number} rootId - Root id
+     * @returns {number} Number of file records removed
+     */
+    removeRoot(rootId) {
+        let removed = 0;
+
+        if (this.db) {
+            const remove = this.db.transaction(() => {
+                removed = this.db.prepare('DELETE FROM files WHERE root_id = ?').run(rootId).changes;
+                this.db.prepare('DELETE FROM roots WHERE id = ?').run(rootId);
+            });
+
+            remove();
+        }
+
+        if (this.jsonData) {
+            const before = this.jsonData.files.length;
+            this.jsonData.files = this.jsonData.files.filter(f => f.rootId !== rootId);
+            this.jsonData.roots = this.jsonData.roots.filter(r => r.id !== rootId);
+            for (const scan of this.jsonData.scans) {
+                if (scan.rootId === rootId) scan.rootId = null;
+            }
+            removed = removed || before - this.jsonData.files.length;
+            this.updateJSONSummary();
+        }
+
+        return removed;
+    }
+
+    /**
+     * Record the start of an analyze run
+     *
+     * @param {Object} scan
+     * @param {number} scan.rootId - Root being scanned
+     * @param {string} scan.directory - Directory passed to analyze
+     * @param {string} scan.startedAt - ISO start time
+     * @param {Object} [scan.options] - Scanning options in effect
+     * @param {Object} [scan.processorVersions] - { ProcessorName: version }
+     * @returns {number} Scan id
+     */
+    startScan(scan) {
+        let scanId = null;
+
+        if (this.db) {
+            const info = this.db.prepare(`
+                INSERT INTO scans (root_id, directory, started_at, status, options, processor_versions)
+                VALUES (?, ?, ?, 'running', ?, ?)
+            `).run(
+                scan.rootId,
+                scan.directory,
+                scan.startedAt,
+                JSON.stringify(scan.options || {}),
+                JSON.stringify(scan.processorVersions || {})
+            );
+            scanId = Number(info.lastInsertRowid);
+        }
+
+        if (this.jsonData) {
+            if (scanId === null) {
+                scanId = this.jsonData.scans.reduce((max, s) => Math.max(max, s.id), 0) + 1;
+            }
+
+            this.jsonData.scans.push({
+                id: scanId,
+                rootId: scan.rootId,
+                directory: scan.directory,
+                startedAt: scan.startedAt,
+                finishedAt: null,
+                status: 'running',
+                options: scan.options || {},
+                stats: null,
+                filesProcessed: 0,
+                errorCount: 0,
+                processorVersions: scan.processorVersions || {},
+                changes: []
+            });
+        }
+
+        return scanId;
+    }
+
+    /**
+     * Record a file change made by a scan
+     * A later change for the same path replaces the earlier one (a file first
+     * seen as added may turn out to be a move).
+     *
+     * @param {number} scanId - Scan id
+     * @param {string} filePath - Absolute file path
+     * @param {string} change - 'added', 'modified', 'deleted' or 'moved'
+     * @param {string} [previousPath] - Source path for moves
+     */
+    recordScanChange(scanId, filePath, change, previousPath = null) {
+        if (this.db) {
+            this.db.prepare(`
+                INSERT OR REPLACE INTO scan_changes (scan_id, path, change, previous_path)
+                VALUES (?, ?, ?, ?)
+            `).run(scanId, filePath, change, previousPath);
+        }
+
+        if (this.jsonData) {
+            const scan = this.jsonData.scans.find(s => s.id === scanId);
+            if (scan) {
+                const entry = { path: filePath, change };
+                if (previousPath) entry.previousPath = previousPath;
+
+                const index = scan.changes.findIndex(c => c.path === filePath);
+                if (index >= 0) {
+                    scan.changes[index] = entry;
+                } else {
+                    scan.changes.push(entry);
+                }
+            }
+        }
+    }
+
+    /**
+     * Record the end of an analyze run
+     *
+     * @param {number} scanId - Scan id
+     * @param {Object} result
+     * @param {string} result.status - 'completed' or 'failed'
+     * @param {string} result.finishedAt - ISO end time
+     * @param {Object} [result.stats] - FileScanner statistics
+     * @param {number} [result.filesProcessed]
+     * @param {number} [result.errorCount]
+     * @param {string} [result.error] - Failure message
+     */
+    finishScan(scanId, result) {
+        if (this.db) {
+            this.db.prepare(`
+                UPDATE scans SET
+                    status = ?, finished_at = ?, stats = ?,
+                    files_processed = ?, error_count = ?, error = ?
+                WHERE id = ?
+            `).run(
+                result.status,
+                result.finishedAt,
+                JSON.stringify(result.stats || {}),
+                result.filesProcessed || 0,
+                result.errorCount || 0,
+                result.error || null,
+                scanId
+            );
+        }
+
+        if (this.jsonData) {
+            const scan = this.jsonData.scans.find(s => s.id === scanId);
+            if (scan) {
+                Object.assign(scan, {
+                    status: result.status,
+                    finishedAt: result.finishedAt,
+                    stats: result.stats || {},
+                    filesProcessed: result.filesProcessed || 0,
+                    errorCount: result.errorCount || 0
+                });
+                if (result.error) scan.error = result.error;
+            }
+        }
+    }
+
+    /**
+     * Mark an interrupted or failed scan as running again (for resume)
+     *
+     * @param {number} scanId - Scan id
+     */
+    reopenScan(scanId) {
+        if (this.db) {
+            this.db.prepare(`
+                UPDATE scans SET status = 'running', finished_at = NULL, error = NULL WHERE id = ?
+            `).run(scanId);
+        }
+
+        if (this.jsonData) {
+            const scan = this.jsonData.scans.find(s => s.id === scanId);
+            if (scan) {
+                scan.status = 'running';
+                scan.finishedAt = null;
+                delete scan.error;
+            }
+        }
+    }
+
+    /**
+     * Save the resume cursor of a running scan
+     * Call inside the write batch so the cursor commits together with the
+     * files it covers.
+     *
+     * @param {number} scanId - Scan id
+     * @param {Object} checkpoint - CheckpointTracker snapshot
+     */
+    updateScanCheckpoint(scanId, checkpoint) {
+        if (this.db) {
+            this.db.prepare(`
+                UPDATE scans SET checkpoint = ?, files_processed = ?, error_count = ? WHERE id = ?
+            `).run(JSON.stringify(checkpoint), checkpoint.filesProcessed, checkpoint.errorCount, scanId);
+        }
+
+        if (this.jsonData) {
+            const scan = this.jsonData.scans.find(s => s.id === scanId);
+            if (scan) {
+                scan.checkpoint = checkpoint;
+                scan.filesProcessed = checkpoint.filesProcessed;
+                scan.errorCount = checkpoint.errorCount;
+            }
+        }
+    }
+
+    /**
+     * Start a write batch
+     *
+     * SQLite writes made until commitBatch() share one transaction, which is
+     * much faster than committing every file and means a crash loses at most
+     * the current batch. No-op for JSON storage.
+     */
+    beginBatch() {
+        if (this.db && !this.db.inTransaction) {
+            this.db.exec('BEGIN');
+        }
+    }
+
+    /**
+     * Commit the current write batch, if any
+     */
+    commitBatch() {
+        if (this.db && this.db.inTransaction) {
+            this.db.exec('COMMIT');
+        }
+    }
+
+    /**
+     * List past scans, newest first
+     *
+     * @param {Object} [filters={}]
+     * @param {number} [filters.rootId] - Only scans of this root
+     * @param {number} [filters.limit] - Maximum number of scans
+     * @returns {Object[]} Scans without their change lists
+     *
+     * @example
+     * const [latest] = dbManager.getScans({ limit: 1 });
+     */
+    getScans(filters = {}) {
+        if (this.db) {
+            let query = 'SELECT * FROM scans WHERE 1=1';
+            const params = [];
+
+            if (filters.rootId) {
+                query += ' AND root_id = ?';
+                params.push(filters.rootId);
+            }
+
+            query += ' ORDER BY id DESC';
+
+            if (filters.limit) {
+                query += ' LIMIT ?';
+                params.push(filters.limit);
+            }
+
+            return this.db.prepare(query).all(...params).map(row => this.transformScanRow(row));
+        }
+
+        if (this.jsonData) {
+            let scans = [...this.jsonData.scans].reverse();
+
+            if (filters.rootId) {
+                scans = scans.filter(s => s.rootId === filters.rootId);
+            }
+
+            if (filters.limit) {
+                scans = scans.slice(0, filters.limit);
+            }
+
+            return scans.map(({ changes, ...scan }) => scan);
+        }
+
+        return [];
+    }
+
+    /**
+     * Get a single scan by id
+     *
+     * @param {number} scanId - Scan id
+     * @returns {Object|null} Scan without its change list, or null
+     */
+    getScan(scanId) {
+        if (this.db) {
+            const row = this.db.prepare('SELECT * FROM scans WHERE id = ?').get(scanId);
+            return row ? this.transformScanRow(row) : null;
+        }
+
+        if (this.jsonData) {
+            const scan = this.jsonData.scans.find(s => s.id === scanId);
+            if (!scan) return null;
+
+            const { changes, ...rest } = scan;
+            return rest;
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the files a scan added, modified, deleted or moved
+     *
+     * @param {number} scanId - Scan id
+     * @param {Object} [filters={}]
+     * @param {string} [filters.change] - Only this kind of change
+     * @returns {{path: string, change: string, previousPath?: string}[]} Changes ordered by path
+     */
+    getScanChanges(scanId, filters = {}) {
+        if (this.db) {
+            let query = 'SELECT * FROM scan_changes WHERE scan_id = ?';
+            const params = [scanId];
+
+            if (filters.change) {
+                query += ' AND change = ?';
+                params.push(filters.change);
+            }
+
+            return this.db.prepare(query + ' ORDER BY path').all(...params).map(row => {
+                const entry = { path: row.path, change: row.change };
+                if (row.previous_path) entry.previousPath = row.previous_path;
+                return entry;
+            });
+        }
+
+        if (this.jsonData) {
+            const scan = this.jsonData.scans.find(s => s.id === scanId);
+            if (!scan) return [];
+
+            return scan.changes
+                .filter(c => !filters.change || c.change === filters.change)
+                .sort((a, b) => a.path.localeCompare(b.path));
+        }
+
+        return [];
+    }
+
+    /**
+     * Transform a scans row from snake_case to camelCase
+     *
+     * @private
+     */
+    transformScanRow(row) {
+        const scan = {
+            id: row.id,
+            rootId: row.root_id,
+            directory: row.directory,
+            startedAt: row.started_at,
+            finishedAt: row.finished_at,
+            status: row.status,
+            options: row.options ? JSON.parse(row.options) : {},
+            stats: row.stats ? JSON.parse(row.stats) : null,
+            filesProcessed: row.files_processed,
+            errorCount: row.error_count,
+            processorVersions: row.processor_versions ? JSON.parse(row.processor_versions) : {}
+        };
+
+        if (row.error) {
+            scan.error = row.error;
+        }
+
+        if (row.checkpoint) {
+            scan.checkpoint = JSON.parse(row.checkpoint);
+        }
+
+        return scan;
+    }
+
+    /**
+     * List saved collections
+     *
+     * @returns {Object[]} Collections ordered by name, without their members
+     */
+    getCollections() {
+        if (this.db) {
+            return this.db.prepare('SELECT * FROM collections ORDER BY name')
+                .all()
+                .map(row => this.transformCollectionRow(row));
+        }
+
+        if (this.jsonData) {
+            return [...this.jsonData.collections]
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .map(({ files, ...collection }) => collection);
+        }
+
+        return [];
+    }
+
+    /**
+     * Get a saved collection by name
+     *
+     * @param {string} name - Collection name
+     * @returns {Object|null} Collection without its members, or null
+     */
+    getCollection(name) {
+        if (this.db) {
+            const row = this.db.prepare('SELECT * FROM collections WHERE name = ?').get(name);
+            return row ? this.transformCollectionRow(row) : null;
+        }
+
+        if (this.jsonData) {
+            const collection = this.jsonData.collections.find(c => c.name === name);
+            if (!collection) return null;
+
+            const { files, ...rest } = collection;
+            return rest;
+        }
+
+        return null;
+    }
+
+    /**
+     * Save a collection, replacing the query of an existing one with the same name
+     * Members are kept until the collection is evaluated again.
+     *
+     * @param {Object} collection
+     * @param {string} collection.name - Unique name
+     * @param {Object} collection.query - QueryAPI.query() filters
+     * @param {string} [collection.description]
+     * @param {Object} [collection.details] - What generated the collection (`type` and its fields)
+     * @returns {Object} The saved collection
+     *
+     * @example
+     * dbManager.saveCollection({ name: 'raw-no-gps', query: { where: 'extension in (cr2, nef) and exif.gps = null' } });
+     */
+    saveCollection({ name, query, description = null, details = null }) {
+        const now = new Date().toISOString();
+        const existing = this.getCollection(name);
+
+        if (this.db) {
+            this.db.prepare(`
+                INSERT INTO collections (name, description, query, details, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?)
+                ON CONFLICT(name) DO UPDATE SET
+                    description = excluded.description,
+                    query = excluded.query,
+                    details = excluded.details,
+                    updated_at = excluded.updated_at
+            `).run(name, description, JSON.stringify(query), details ? JSON.stringify(details) : null, now, now);
+        }
+
+        if (this.jsonData) {
+            const collection = this.jsonData.collections.find(c => c.name === name);
+
+            if (collection) {
+                Object.assign(collection, { description, query, details, updatedAt: now });
+            } else {
+                this.jsonData.collections.push({
+                    id: this.jsonData.collections.reduce((max, c) => Math.max(max, c.id), 0) + 1,
+                    name,
+                    description,
+                    query,
+                    details,
+                    createdAt: now,
+                    updatedAt: now,
+                    evaluatedAt: null,
+                    fileCount: 0,
+                    lastChange: null,
+                    files: []
+                });
+            }
+        }
+
+        logger.info(`${existing ? 'Updated' : 'Saved'} collection ${name}`);
+        return this.getCollection(name);
+    }
+
+    /**
+     * Delete a collection
+     *
+     * @param {string} name - Collection name
+     * @returns {boolean} True if the collection existed
+     */
+    deleteCollection(name) {
+        let deleted = false;
+
+        if (this.db) {
+            deleted = this.db.prepare('DELETE FROM collections WHERE name = ?').run(name).changes > 0;
+        }
+
+        if (this.jsonData) {
+            const before = this.jsonData.collections.length;
+            this.jsonData.collections = this.jsonData.collections.filter(c => c.name !== name);
+            deleted = deleted || this.jsonData.collections.length < before;
+        }
+
+        return deleted;
+    }
+
+    /**
+     * Get the paths of a collection's members at its last evaluation
+     *
+     * @param {string} name - Collection name
+     * @returns {string[]} Paths, sorted
+     */
+    getCollectionFiles(name) {
+        if (this.db) {
+            return this.db.prepare(`
+                SELECT cf.path FROM collection_files cf
+                JOIN collections c ON c.id = cf.collection_id
+                WHERE c.name = ?
+                ORDER BY cf.path
+            `).all(name).map(row => row.path);
+        }
+
+        if (this.jsonData) {
+            const collection = this.jsonData.collections.find(c => c.name === name);
+            return collection ? [...collection.files].sort() : [];
+        }
+
+        return [];
+    }
+
+    /**
+     * Replace a collection's members with the result of evaluating its query
+     *
+     * @param {string} name - Collection name
+     * @param {string[]} paths - Paths of the matching files
+     * @returns {{added: string[], removed: string[]}} Membership changes since the last evaluation
+     */
+    updateCollectionFiles(name, paths) {
+        const previous = new Set(this.getCollectionFiles(name));
+        const current = new Set(paths);
+        const added = [...current].filter(p => !previous.has(p)).sort();
+        const removed = [...previous].filter(p => !current.has(p)).sort();
+
+        const now = new Date().toISOString();
+        const lastChange = added.length > 0 || removed.length > 0
+            ? { added: added.length, removed: removed.length, at: now }
+            : undefined;
+
+        if (this.db) {
+            const collection = this.db.prepare('SELECT id FROM collections WHERE name = ?').get(name);
+
+            this.db.transaction(() => {
+                const remove = this.db.prepare('DELETE FROM collection_files WHERE collection_id = ? AND path = ?');
+                const insert = this.db.prepare('INSERT INTO collection_files (collection_id, path, added_at) VALUES (?, ?, ?)');
+
+                for (const filePath of removed) remove.run(collection.id, filePath);
+                for (const filePath of added) insert.run(collection.id, filePath, now);
+
+                this.db.prepare(`
+                    UPDATE collections SET evaluated_at = ?, file_count = ?, last_change = COALESCE(?, last_change)
+                    WHERE id = ?
+                `).run(now, current.size, lastChange ? JSON.stringify(lastChange) : null, collection.id);
+            })();
+        }
+
+        if (this.jsonData) {
+            const collection = this.jsonData.collections.find(c => c.name === name);
+            if (collection) {
+                collection.files = [...current];
+                collection.evaluatedAt = now;
+                collection.fileCount = current.size;
+                collection.lastChange = lastChange || collection.lastChange;
+            }
+        }
+
+        return { added, removed };
+    }
+
+    /**
+     * Transform a collections row from snake_case to camelCase
+     *
+     * @private
+     */
+    transformCollectionRow(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            description: row.description,
+            query: JSON.parse(row.query),
+            details: row.details ? JSON.parse(row.details) : null,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at,
+            evaluatedAt: row.evaluated_at,
+            fileCount: row.file_count,
+            lastChange: row.last_change ? JSON.parse(row.last_change) : null
+        };
+    }
+
+    /**
+     * Record the start of an operation that changes files on disk
+     *
+     * @param {Object} operation
+     * @param {string} operation.command - Command making the changes ('organize', 'dedupe'...)
+     * @param {string} [operation.description] - What was asked for, e.g. the template
+     * @returns {number} Operation id
+     */
+    startOperation({ command, description = null }) {
+        const startedAt = new Date().toISOString();
+        let operationId = null;
+
+        if (this.db) {
+            const info = this.db.prepare(`
+                INSERT INTO operations (command, description, started_at, status) VALUES (?, ?, ?, 'running')
+            `).run(command, description, startedAt);
+            operationId = Number(info.lastInsertRowid);
+        }
+
+        if (this.jsonData) {
+            if (operationId === null) {
+                operationId = this.jsonData.operations.reduce((max, o) => Math.max(max, o.id), 0) + 1;
+            }
+
+            this.jsonData.operations.push({
+                id: operationId,
+                command,
+                description,
+                startedAt,
+                finishedAt: null,
+                status: 'running',
+                undoneAt: null,
+                entries: []
+            });
+        }
+
+        return operationId;
+    }
+
+    /**
+     * Journal one file change of an operation
+     *
+     * @param {number} operationId - Operation id
+     * @param {Object} entry
+     * @param {string} entry.action - 'move', 'rename', 'copy', 'link', 'symlink', 'delete', 'edit' (changed in place; source only)
+     *   or 'mkdir' (a directory created for the others; source only)
+     * @param {string} entry.source - Original path (for links, the path replaced by the link)
+     * @param {string} [entry.destination] - New path (for links, the file linked to)
+     * @param {string} [entry.sha256] - Content hash after the change (before it, for deletes)
+     * @param {number} [entry.size] - File size in bytes
+     * @returns {number} Entry id
+     */
+    recordOperationEntry(operationId, entry) {
+        const record = {
+            action: entry.action,
+            source: entry.source,
+            destination: entry.destination || null,
+            sha256: entry.sha256 || null,
+            size: entry.size ?? null,
+            performedAt: new Date().toISOString(),
+            undoneAt: null
+        };
+        let entryId = null;
+
+        if (this.db) {
+            const info = this.db.prepare(`
+                INSERT INTO operation_entries (operation_id, action, source, destination, sha256, size, performed_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `).run(operationId, record.action, record.source, record.destination, record.sha256, record.size, record.performedAt);
+            entryId = Number(info.lastInsertRowid);
+        }
+
+        if (this.jsonData) {
+            const operation = this.jsonData.operations.find(o => o.id === operationId);
+            if (operation) {
+                if (entryId === null) {
+                    entryId = this.jsonData.operations
+                        .flatMap(o => o.entries)
+                        .reduce((max, e) => Math.max(max, e.id), 0) + 1;
+                }
+                operation.entries.push({ id: entryId, ...record });
+            }
+        }
+
+        return entryId;
+    }
+
+    /**
+     * Update operation fields
+     *
+     * @param {number} operationId - Operation id
+     * @param {Object} updates - Any of status, finishedAt, undoneAt
+     */
+    updateOperation(operationId, updates) {
+        const columns = { status: 'status', finishedAt: 'finished_at', undoneAt: 'undone_at' };
+        const fields = Object.keys(updates).filter(key => columns[key]);
+
+        if (this.db && fields.length > 0) {
+            this.db.prepare(`
+                UPDATE operations SET ${fields.map(key => `${columns[key]} = ?`).join(', ')} WHERE id = ?
+            `).run(...fields.map(key => updates[key]), operationId);
+        }
+
+        if (this.jsonData) {
+            const operation = this.jsonData.operations.find(o => o.id === operationId);
+            if (operation) {
+                for (const key of fields) operation[key] = updates[key];
+            }
+        }
+    }
+
+    /**
+     * Mark a journaled file change as reversed
+     *
+     * @param {number} operationId - Operation id
+     * @param {number} entryId - Entry id
+     */
+    markOperationEntryUndone(operationId, entryId) {
+        const undoneAt = new Date().toISOString();
+
+        if (this.db) {
+            this.db.prepare('UPDATE operation_entries SET undone_at = ? WHERE id = ? AND operation_id = ?')
+                .run(undoneAt, entryId, operationId);
+        }
+
+        if (this.jsonData) {
+            const entry = this.jsonData.operations
+                .find(o => o.id === operationId)?.entries
+                .find(e => e.id === entryId);
+            if (entry) entry.undoneAt = undoneAt;
+        }
+    }
+
+    /**
+     * List journaled operations, newest first
+     *
+     * @param {Object} [filters={}]
+     * @param {number} [filters.limit] - Maximum number of operations
+     * @returns {Object[]} Operations with the number of files they changed
+     *   (fileCount; directories they created are not counted), without entries
+     */
+    getOperations(filters = {}) {
+        if (this.db) {
+            let query = `
+                SELECT o.*, COUNT(CASE WHEN e.action != 'mkdir' THEN 1 END) AS file_count
+                FROM operations o
+                LEFT JOIN operation_entries e ON e.operation_id = o.id
+                GROUP BY o.id
+                ORDER BY o.id DESC
+            `;
+            const params = [];
+
+            if (filters.limit) {
+                query += ' LIMIT ?';
+                params.push(filters.limit);
+            }
+
+            return this.db.prepare(query).all(...params).map(row => this.transformOperationRow(row));
+        }
+
+        if (this.jsonData) {
+            const operations = [...this.jsonData.operations].reverse()
+                .map(({ entries, ...operation }) => ({ ...operation, fileCount: this.countFileEntries(entries) }));
+
+            return filters.limit ? operations.slice(0, filters.limit) : operations;
+        }
+
+        return [];
+    }
+
+    /**
+     * Get an operation with its file changes
+     *
+     * @param {number} operationId - Operation id
+     * @returns {Object|null} Operation with `entries` in the order they were made, or null
+     */
+    getOperation(operationId) {
+        if (this.db) {
+            const row = this.db.prepare('SELECT * FROM operations WHERE id = ?').get(operationId);
+            if (!row) return null;
+
+            const entries = this.db.prepare('SELECT * FROM operation_entries WHERE operation_id = ? ORDER BY id')
+                .all(operationId)
+                .map(entry => ({
+                    id: entry.id,
+                    action: entry.action,
+                    source: entry.source,
+                    destination: entry.destination,
+                    sha256: entry.sha256,
+                    size: entry.size,
+                    performedAt: entry.performed_at,
+                    undoneAt: entry.undone_at
+                }));
+
+            return { ...this.transformOperationRow(row), fileCount: this.countFileEntries(entries), entries };
+        }
+
+        if (this.jsonData) {
+            const operation = this.jsonData.operations.find(o => o.id === operationId);
+            return operation
+                ? { ...operation, fileCount: this.countFileEntries(operation.entries), entries: operation.entries.map(e => ({ ...e })) }
+                : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Number of journal entries that changed a file (not 'mkdir')
+     *
+     * @private
+     */
+    countFileEntries(entries) {
+        return entries.filter(entry => entry.action !== 'mkdir').length;
+    }
+
+    /**
+     * Transform an operations row from snake_case to camelCase
+     *
+     * @private
+     */
+    transformOperationRow(row) {
+        const operation = {
+            id: row.id,
+            command: row.command,
+            description: row.description,
+            startedAt: row.started_at,
+            finishedAt: row.finished_at,
+            status: row.status,
+            undoneAt: row.undone_at
+        };
+
+        if (row.file_count !== undefined) {
+            operation.fileCount = row.file_count;
+        }
+
+        return operation;
+    }
+
+    /**
+     * Save JSON data to file
+     *
+     * Writes the in-memory JSON data to disk with pretty-printing (2-space indentation).
+     * Only executes if JSON storage is configured. The data is written to a
+     * temporary file which then replaces the original, so a crash mid-write
+     * never leaves a truncated JSON file behind.
+     *
+     * @returns {Promise<void>} Resolves when file is written
+     *
+     * @example
+     * // After making changes to JSON data
+     * await dbManager.saveJSON();
+     */
+    async saveJSON() {
+        if (this.jsonData && this.config.jsonPath) {
+            const content = JSON.stringify(this.jsonData, null, 2);
+            const tempPath = `${this.config.jsonPath}.${process.pid}.tmp`;
+
+            await fs.writeFile(tempPath, content, 'utf8');
+            await fs.rename(tempPath, this.config.jsonPath);
             logger.info('JSON data saved', { path: this.config.jsonPath });
         }
     }
@@ -1022,6 +3485,7 @@ class DatabaseManager {
      */
     async close() {
         if (this.db) {
+            this.commitBatch();
             this.db.close();
             logger.info('SQLite database closed');
         }
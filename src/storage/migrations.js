@@ -0,0 +1,210 @@
+/**
+ * SQLite Migrations
+ * Ordered schema changes applied on top of the base schema in schema.js
+ *
+ * Each migration runs once, in version order, inside a transaction, and is
+ * recorded in the schema_version table. Databases created before
+ * versioning start at version 0 and may already have some of these
+ * changes, so columns are only added when missing and indexes use
+ * IF NOT EXISTS.
+ *
+ * To change the schema, append a migration with the next version number;
+ * never edit one that has shipped.
+ *
+ * @see DatabaseManager.migrate()
+ */
+
+/**
+ * Add a column unless the table already has it
+ * table_xinfo also lists generated columns, which table_info hides
+ *
+ * @param {Database} db - better-sqlite3 connection
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints
+ */
+function addColumn(db, table, column, definition) {
+    const columns = db.prepare(`PRAGMA table_xinfo(${table})`).all();
+
+    if (!columns.some(c => c.name === column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
+
+const migrations = [
+    {
+        version: 1,
+        description: 'Track deleted files, first index time and importance',
+        up(db) {
+            // Set when a file disappears from disk (scanning.deletedFiles = 'mark')
+            addColumn(db, 'files', 'deleted_at', 'TEXT');
+            // First time the path was indexed; used to find move targets
+            addColumn(db, 'files', 'indexed_at', 'TEXT');
+            // llm.importance, preserved across moves
+            addColumn(db, 'files', 'importance', 'REAL DEFAULT 0');
+            db.exec(`
+                CREATE INDEX IF NOT EXISTS idx_files_deleted_at ON files(deleted_at);
+                CREATE INDEX IF NOT EXISTS idx_files_sha256 ON files(sha256_hash);
+            `);
+        }
+    },
+    {
+        version: 2,
+        description: 'Assign files to roots',
+        up(db) {
+            // Root directory the file was indexed under (relative_path is relative to it)
+            addColumn(db, 'files', 'root_id', 'INTEGER REFERENCES roots(id) ON DELETE CASCADE');
+            db.exec('CREATE INDEX IF NOT EXISTS idx_files_root_id ON files(root_id)');
+        }
+    },
+    {
+        version: 3,
+        description: 'Store scan checkpoints',
+        up(db) {
+            // JSON resume cursor of an unfinished scan (see CheckpointTracker)
+            addColumn(db, 'scans', 'checkpoint', 'TEXT');
+        }
+    },
+    {
+        version: 4,
+        description: 'Record the failure type of each file',
+        up(db) {
+            // Failure type of the last processing run: timeout, crash, error (NULL if it succeeded)
+            addColumn(db, 'files', 'failure', 'TEXT');
+            db.exec('CREATE INDEX IF NOT EXISTS idx_files_failure ON files(failure)');
+        }
+    },
+    {
+        version: 5,
+        description: 'Store full metadata as JSON with generated hot-field columns',
+        up(db) {
+            // Full processor output (fileInfo.metadata); the type-specific
+            // tables only hold a subset of it
+            addColumn(db, 'files', 'metadata', 'TEXT');
+            // The file's other fields that have no column (mimeDetection,
+            // processing.processors, plugin additions...)
+            addColumn(db, 'files', 'extra', 'TEXT');
+
+            // Frequently queried metadata fields
+            const generated = {
+                image_width: "INTEGER GENERATED ALWAYS AS (json_extract(metadata, '$.image.width')) VIRTUAL",
+                image_height: "INTEGER GENERATED ALWAYS AS (json_extract(metadata, '$.image.height')) VIRTUAL",
+                camera_make: "TEXT GENERATED ALWAYS AS (json_extract(metadata, '$.image.exif.make')) VIRTUAL",
+                camera_model: "TEXT GENERATED ALWAYS AS (json_extract(metadata, '$.image.exif.model')) VIRTUAL",
+                taken_at: "TEXT GENERATED ALWAYS AS (json_extract(metadata, '$.image.exif.dateTime')) VIRTUAL",
+                duration: "REAL GENERATED ALWAYS AS (COALESCE(json_extract(metadata, '$.video.duration'), json_extract(metadata, '$.audio.duration'))) VIRTUAL",
+                page_count: "INTEGER GENERATED ALWAYS AS (COALESCE(json_extract(metadata, '$.document.pageCount'), json_extract(metadata, '$.office.pageCount'))) VIRTUAL",
+                language: "TEXT GENERATED ALWAYS AS (json_extract(metadata, '$.code.language')) VIRTUAL"
+            };
+
+            for (const [column, definition] of Object.entries(generated)) {
+                addColumn(db, 'files', column, definition);
+            }
+
+            db.exec(`
+                CREATE INDEX IF NOT EXISTS idx_files_image_width ON files(image_width);
+                CREATE INDEX IF NOT EXISTS idx_files_camera_make ON files(camera_make);
+                CREATE INDEX IF NOT EXISTS idx_files_taken_at ON files(taken_at);
+            `);
+        }
+    },
+    {
+        version: 6,
+        description: 'Full-text index of names, paths, tags and content',
+        // Filled from the stored metadata once migrated (code is indexed on the next analyze)
+        rebuildSearchIndex: true,
+        up(db) {
+            // The original files_fts pointed at a files.content column that never existed.
+            // The index now keeps its own copy of the text (needed for snippets);
+            // rowid is the file id. Content and tags are synced on upsert,
+            // deletes and path changes by triggers.
+            db.exec(`
+                DROP TABLE IF EXISTS files_fts;
+
+                CREATE VIRTUAL TABLE files_fts USING fts5(
+                    name,
+                    path,
+                    tags,
+                    content,
+                    tokenize = 'unicode61 remove_diacritics 2'
+                );
+
+                CREATE TRIGGER IF NOT EXISTS files_fts_delete AFTER DELETE ON files BEGIN
+                    DELETE FROM files_fts WHERE rowid = old.id;
+                END;
+
+                CREATE TRIGGER IF NOT EXISTS files_fts_path AFTER UPDATE OF path ON files BEGIN
+                    UPDATE files_fts SET path = new.path WHERE rowid = new.id;
+                END;
+            `);
+        }
+    },
+    {
+        version: 7,
+        description: 'Record where each tag came from',
+        up(db) {
+            // 'manual', 'rule:<name>' or 'processor:<name>'; existing tags were all added by hand
+            addColumn(db, 'tags', 'source', "TEXT NOT NULL DEFAULT 'manual'");
+            db.exec(`
+                DELETE FROM tags WHERE id NOT IN (SELECT MIN(id) FROM tags GROUP BY file_id, tag);
+                CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_file_tag ON tags(file_id, tag);
+            `);
+        }
+    },
+    {
+        version: 8,
+        description: 'Store quick hashes for size-first duplicate detection',
+        up(db) {
+            // hashUtil.quickHash() of the file; compared before computing a full sha256
+            addColumn(db, 'files', 'quick_hash', 'TEXT');
+            db.exec('CREATE INDEX IF NOT EXISTS idx_files_size_quick_hash ON files(size, quick_hash)');
+        }
+    },
+    {
+        version: 9,
+        description: 'Store aHash and dHash next to the perceptual hash of images',
+        up(db) {
+            // 16 hex characters each (see utils/imageHash.js); perceptual_hash now holds the DCT pHash
+            addColumn(db, 'image_metadata', 'average_hash', 'TEXT');
+            addColumn(db, 'image_metadata', 'difference_hash', 'TEXT');
+        }
+    },
+    {
+        version: 10,
+        description: 'Index the location of geotagged photos, videos and audio',
+        up(db) {
+            // Same order as gpsUtils.getFileCoordinates()
+            const location = field => `COALESCE(${['image.exif.gps', 'video.gps', 'audio.gps']
+                .map(prefix => `json_extract(metadata, '$.${prefix}.${field}')`).join(', ')})`;
+
+            addColumn(db, 'files', 'latitude', `REAL GENERATED ALWAYS AS (${location('latitude')}) VIRTUAL`);
+            addColumn(db, 'files', 'longitude', `REAL GENERATED ALWAYS AS (${location('longitude')}) VIRTUAL`);
+            db.exec('CREATE INDEX IF NOT EXISTS idx_files_location ON files(latitude, longitude)');
+        }
+    },
+    {
+        version: 11,
+        description: 'Expose the reverse-geocoded place of geotagged files',
+        up(db) {
+            // Same order as gpsUtils.getFilePlace()
+            const place = field => `COALESCE(${['image.exif.place', 'video.place', 'audio.place']
+                .map(prefix => `json_extract(metadata, '$.${prefix}.${field}')`).join(', ')})`;
+
+            addColumn(db, 'files', 'city', `TEXT GENERATED ALWAYS AS (${place('city')}) VIRTUAL`);
+            addColumn(db, 'files', 'region', `TEXT GENERATED ALWAYS AS (${place('region')}) VIRTUAL`);
+            addColumn(db, 'files', 'country', `TEXT GENERATED ALWAYS AS (${place('country')}) VIRTUAL`);
+            addColumn(db, 'files', 'country_code', `TEXT GENERATED ALWAYS AS (${place('countryCode')}) VIRTUAL`);
+            db.exec('CREATE INDEX IF NOT EXISTS idx_files_country_code ON files(country_code)');
+        }
+    },
+    {
+        version: 12,
+        description: 'Store what generated a collection, such as a detected event',
+        up(db) {
+            // JSON: { type: 'event', title, start, end, ... } (see QueryAPI.saveEvents())
+            addColumn(db, 'collections', 'details', 'TEXT');
+        }
+    }
+];
+
+module.exports = { migrations, addColumn };
@@ -4,30 +4,51 @@
  */
 
 const database = require('./database');
+const fileOps = require('../utils/fileOps');
+const hashUtil = require('../utils/hash');
+const gpsUtils = require('../utils/gps');
+const imageHash = require('../utils/imageHash');
+const eventDetector = require('../utils/eventDetector');
+const BKTree = require('../utils/bkTree');
+const logger = require('../utils/logger');
+
+// Hash names accepted by the similarity methods -> metadata.image field
+const IMAGE_HASHES = {
+    phash: 'perceptualHash',
+    dhash: 'differenceHash',
+    ahash: 'averageHash'
+};
 
 class QueryAPI {
     /**
      * Query files with advanced filters
      */
     async query(filters = {}) {
-        let results = database.queryFiles(filters);
+        // Full-text search needs SQLite; JSON storage falls back to substring matching
+        const fullText = filters.search && database.hasFullTextSearch();
 
-        // Apply additional filters
-        if (filters.tags && filters.tags.length > 0) {
-            results = this.filterByTags(results, filters.tags);
-        }
+        // The limit applies after sorting and substring search
+        const postProcess = filters.sortBy || filters.near || (filters.search && !fullText);
+        const storageFilters = postProcess ? { ...filters, limit: undefined } : filters;
 
-        if (filters.dateRange) {
-            results = this.filterByDateRange(results, filters.dateRange);
-        }
+        // where, tags, place and dateRange are applied by the storage backend
+        let results = fullText
+            ? database.searchFiles(filters.search, storageFilters, { highlight: filters.highlight })
+            : database.queryFiles(storageFilters);
 
-        if (filters.search) {
+        if (filters.search && !fullText) {
             results = this.filterBySearch(results, filters.search);
         }
 
-        // Apply sorting
+        // Apply sorting; files near a point come nearest first unless ranked by a search
         if (filters.sortBy) {
             results = this.sortResults(results, filters.sortBy, filters.sortOrder);
+        } else if (filters.near && !filters.search) {
+            results = this.sortByDistance(results, filters.near);
+        }
+
+        if (postProcess && filters.limit) {
+            results = results.slice(0, filters.limit);
         }
 
         // Apply pagination
@@ -38,6 +59,27 @@ class QueryAPI {
         return results;
     }
 
+    /**
+     * Sort files by their distance to a point, nearest first
+     *
+     * @param {Object[]} results - Files with a location
+     * @param {Object} point - `{latitude, longitude}`
+     * @returns {Object[]}
+     */
+    sortByDistance(results, point) {
+        const distance = file => {
+            const location = gpsUtils.getFileCoordinates(file);
+            return location
+                ? gpsUtils.calculateDistance(point.latitude, point.longitude, location.latitude, location.longitude)
+                : Infinity;
+        };
+
+        return results
+            .map(file => ({ file, distance: distance(file) }))
+            .sort((a, b) => a.distance - b.distance)
+            .map(({ file }) => file);
+    }
+
     /**
      * Filter by tags
      */
@@ -195,65 +237,287 @@ class QueryAPI {
     }
 
     /**
-     * Find similar files (by perceptual hash for images)
+     * Find images that look like a given one
+     * Uses a BK-tree over the stored hashes rather than comparing with every image.
+     *
+     * @param {string} filePath - Absolute path of an analyzed image
+     * @param {number} [threshold=5] - Largest Hamming distance (of 64 bits) included
+     * @param {Object} [options]
+     * @param {string} [options.hash='phash'] - Hash compared: 'phash', 'dhash' or 'ahash'
+     * @param {number} [options.rootId] - Only images of this root
+     * @returns {Promise<Array<{file: Object, distance: number, similarity: number}>>} Closest first;
+     *   similarity is 1 - distance / 64
      */
-    async findSimilar(filePath, threshold = 5) {
+    async findSimilar(filePath, threshold = 5, options = {}) {
+        const key = this.getImageHashKey(options.hash);
         const file = database.getFile(filePath);
-        if (!file || !file.metadata?.image?.perceptualHash) {
+        const hash = file?.metadata?.image?.[key];
+        if (!hash || !file.metadata.image.differenceHash) {
             return [];
         }
 
-        const allFiles = database.queryFiles({ category: 'image' });
-        const similar = [];
+        const images = this.getImageHashes({ rootId: options.rootId });
+        const index = this.buildSimilarityIndex(images, key);
 
-        for (const otherFile of allFiles) {
-            if (otherFile.path === filePath) continue;
-            if (!otherFile.metadata?.image?.perceptualHash) continue;
+        return index.search(hash, threshold)
+            .filter(match => images[match.value].path !== filePath)
+            .map(match => ({
+                file: database.getFile(images[match.value].path),
+                distance: match.distance,
+                similarity: 1 - (match.distance / 64) // Normalized similarity score
+            }));
+    }
 
-            const distance = this.hammingDistance(
-                file.metadata.image.perceptualHash,
-                otherFile.metadata.image.perceptualHash
-            );
+    /**
+     * Cluster near-duplicate images (burst shots, resized exports, re-encoded copies)
+     *
+     * Images within the threshold of each other are linked, and clusters are
+     * the connected groups, so a burst can span more than the threshold from
+     * end to end. Each cluster gets a representative: the best quality copy,
+     * judged by pixel count, then file size (less compression), then age.
+     *
+     * @param {Object} [options]
+     * @param {number} [options.threshold=8] - Largest Hamming distance (of 64 bits) linking two images
+     * @param {string} [options.hash='phash'] - Hash compared: 'phash', 'dhash' or 'ahash'
+     * @param {number} [options.rootId] - Only images of this root
+     * @returns {Promise<Array<{representative: Object, files: Object[], count: number, totalSize: number}>>}
+     *   Largest clusters first. Files are DatabaseManager.getImageHashes() records with a
+     *   `distance` to the representative; the representative comes first.
+     *
+     * @example
+     * const clusters = await queryAPI.findSimilarClusters({ threshold: 6 });
+     * for (const cluster of clusters) {
+     *   console.log(cluster.representative.path, cluster.count);
+     * }
+     */
+    async findSimilarClusters(options = {}) {
+        const { threshold = 8 } = options;
+        const key = this.getImageHashKey(options.hash);
+        const images = this.getImageHashes({ rootId: options.rootId });
+        const index = this.buildSimilarityIndex(images, key);
+
+        // Union-find over the image indexes
+        const parents = images.map((_, i) => i);
+        const find = i => {
+            while (parents[i] !== i) {
+                parents[i] = parents[parents[i]];
+                i = parents[i];
+            }
+            return i;
+        };
 
-            if (distance <= threshold) {
-                similar.push({
-                    file: otherFile,
-                    similarity: 1 - (distance / 64) // Normalized similarity score
-                });
+        images.forEach((image, i) => {
+            for (const match of index.search(image[key], threshold)) {
+                parents[find(match.value)] = find(i);
             }
+        });
+
+        const groups = new Map();
+        images.forEach((image, i) => {
+            const rootIndex = find(i);
+            if (!groups.has(rootIndex)) groups.set(rootIndex, []);
+            groups.get(rootIndex).push(image);
+        });
+
+        const clusters = [];
+        for (const files of groups.values()) {
+            if (files.length < 2) continue;
+
+            const representative = this.chooseRepresentative(files);
+            const members = files
+                .map(file => ({ ...file, distance: imageHash.distance(representative[key], file[key]) }))
+                .sort((a, b) => (b.path === representative.path) - (a.path === representative.path) || a.distance - b.distance);
+
+            clusters.push({
+                representative: members[0],
+                files: members,
+                count: members.length,
+                totalSize: members.reduce((sum, f) => sum + (f.size || 0), 0)
+            });
         }
 
-        return similar.sort((a, b) => b.similarity - a.similarity);
+        return clusters.sort((a, b) => b.count - a.count || b.totalSize - a.totalSize);
     }
 
     /**
      * Calculate Hamming distance between two hashes
      */
     hammingDistance(hash1, hash2) {
-        if (!hash1 || !hash2 || hash1.length !== hash2.length) return Infinity;
-
-        let distance = 0;
-        for (let i = 0; i < hash1.length; i++) {
-            const val1 = parseInt(hash1[i], 16);
-            const val2 = parseInt(hash2[i], 16);
-            const xor = val1 ^ val2;
-
-            // Count set bits
-            let bits = xor;
-            while (bits > 0) {
-                distance += bits & 1;
-                bits >>= 1;
+        return imageHash.distance(hash1, hash2);
+    }
+
+    /**
+     * Best quality image of a cluster: most pixels, then largest file, then oldest
+     * @private
+     */
+    chooseRepresentative(files) {
+        const pixels = file => (file.width || 0) * (file.height || 0);
+
+        return [...files].sort((a, b) =>
+            pixels(b) - pixels(a) ||
+            (b.size || 0) - (a.size || 0) ||
+            new Date(a.modified || 0) - new Date(b.modified || 0) ||
+            a.path.localeCompare(b.path)
+        )[0];
+    }
+
+    /**
+     * Stored image hashes, leaving out those from before the 64-bit hashes
+     * @private
+     */
+    getImageHashes(filters) {
+        const images = database.getImageHashes(filters);
+        const current = images.filter(image => image.differenceHash);
+
+        if (current.length < images.length) {
+            logger.warn(`${images.length - current.length} images have perceptual hashes from an older version and are left out; re-run \`fmao analyze --no-incremental\` to recompute them`);
+        }
+
+        return current;
+    }
+
+    /**
+     * BK-tree of images by one of their hashes; values are indexes into images
+     * @private
+     */
+    buildSimilarityIndex(images, key) {
+        const index = new BKTree((a, b) => imageHash.distance(a, b));
+        images.forEach((image, i) => index.add(image[key], i));
+        return index;
+    }
+
+    /**
+     * Metadata field of a hash name
+     * @private
+     */
+    getImageHashKey(hash = 'phash') {
+        if (!IMAGE_HASHES[hash]) {
+            throw new Error(`Unknown image hash: ${hash} (use ${Object.keys(IMAGE_HASHES).join(', ')})`);
+        }
+        return IMAGE_HASHES[hash];
+    }
+
+    /**
+     * Group recorded processing errors
+     *
+     * @param {Object} [filters={}] - See database.getProcessingErrors()
+     * @param {string} [groupBy='processor'] - 'processor', 'message' or 'type'
+     * @returns {{key: string, count: number, files: number, types: Object}[]} Groups, largest first
+     */
+    async getErrorSummary(filters = {}, groupBy = 'processor') {
+        const errors = database.getProcessingErrors(filters);
+        const groups = {};
+
+        for (const error of errors) {
+            const key = error[groupBy] || 'unknown';
+
+            if (!groups[key]) {
+                groups[key] = { key, count: 0, files: new Set(), types: {} };
+            }
+
+            groups[key].count++;
+            groups[key].files.add(error.path);
+            groups[key].types[error.type] = (groups[key].types[error.type] || 0) + 1;
+        }
+
+        return Object.values(groups)
+            .map(group => ({ ...group, files: group.files.size }))
+            .sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * Fully hash the files that may be duplicates but lack a sha256
+     *
+     * Files are narrowed down in three steps, each reading more of the file
+     * than the last: same size, then same quick hash (a few sampled chunks),
+     * and only then md5 and sha256 of the whole content. Files with a unique
+     * size are never read. Used when scanning.fullHash is 'candidates', and
+     * cheap when every file already has a sha256.
+     *
+     * @param {Object} [filters={}]
+     * @param {number} [filters.rootId] - Only files of this root
+     * @returns {Promise<{groups: number, quickHashed: number, fullyHashed: number, missing: number}>}
+     *   Size groups examined and files hashed; missing counts files no longer on disk
+     */
+    async hashDuplicateCandidates(filters = {}) {
+        const stats = { groups: 0, quickHashed: 0, fullyHashed: 0, missing: 0 };
+        const bySize = new Map();
+
+        for (const file of database.getDuplicateCandidates(filters)) {
+            if (!bySize.has(file.size)) bySize.set(file.size, []);
+            bySize.get(file.size).push(file);
+        }
+
+        for (const files of bySize.values()) {
+            stats.groups++;
+
+            // Quick hashes of files indexed before they were stored
+            for (const file of files) {
+                if (file.hash.quick) continue;
+                try {
+                    file.hash.quick = await hashUtil.quickHash(file.path);
+                    database.updateFileHashes(file.path, { quick: file.hash.quick });
+                    stats.quickHashed++;
+                } catch (error) {
+                    file.missing = true;
+                    stats.missing++;
+                    if (error.code !== 'ENOENT') {
+                        logger.warn(`Could not hash file ${file.path}: ${error.message}`);
+                    }
+                }
+            }
+
+            // A file gone from disk can only be compared by its sha256, if it has one
+            const unknown = files.some(file => file.missing && file.hash.sha256);
+            const byQuickHash = new Map();
+            for (const file of files) {
+                if (file.missing || !file.hash.quick) continue;
+                if (!byQuickHash.has(file.hash.quick)) byQuickHash.set(file.hash.quick, []);
+                byQuickHash.get(file.hash.quick).push(file);
+            }
+
+            for (const sameQuickHash of byQuickHash.values()) {
+                if (sameQuickHash.length < 2 && !unknown) continue;
+
+                // Files moved or deleted since the scan are left to reconcile
+                const present = [];
+                for (const file of sameQuickHash) {
+                    if (await fileOps.exists(file.path)) {
+                        present.push(file);
+                    } else {
+                        stats.missing++;
+                    }
+                }
+                if (present.length < 2 && !unknown) continue;
+
+                for (const file of present) {
+                    if (file.hash.sha256) continue;
+                    try {
+                        const hashes = await hashUtil.multiHash(file.path, ['md5', 'sha256']);
+                        database.updateFileHashes(file.path, hashes);
+                        stats.fullyHashed++;
+                    } catch (error) {
+                        logger.warn(`Could not hash file ${file.path}: ${error.message}`);
+                    }
+                }
             }
         }
 
-        return distance;
+        if (stats.fullyHashed > 0) {
+            logger.info(`Fully hashed ${stats.fullyHashed} duplicate candidates in ${stats.groups} size groups`);
+        }
+
+        return stats;
     }
 
     /**
      * Get duplicate files (by hash)
+     * Candidates without a sha256 are hashed first (see hashDuplicateCandidates())
      */
-    async findDuplicates() {
-        const allFiles = database.queryFiles({});
+    async findDuplicates(filters = {}) {
+        await this.hashDuplicateCandidates({ rootId: filters.rootId });
+
+        const allFiles = database.queryFiles(filters);
         const hashMap = {};
         const duplicates = [];
 
@@ -281,6 +545,126 @@ class QueryAPI {
 
         return duplicates.sort((a, b) => b.totalSize - a.totalSize);
     }
+
+    /**
+     * Group photos and videos into events by when and where they were taken
+     *
+     * @param {Object} [filters={}] - query() filters selecting the files (photos and videos among them are used)
+     * @param {Object} [options={}] - maxGap, maxDistance and minFiles (see eventDetector.detect())
+     * @returns {Promise<Object[]>} Events, oldest first
+     *
+     * @example
+     * const events = await queryAPI.findEvents({ rootId: 1 }, { maxDistance: 50 });
+     * console.log(events.map(event => event.summary));
+     */
+    async findEvents(filters = {}, options = {}) {
+        const files = await this.query({ ...filters, limit: undefined });
+        const media = files.filter(file => file.category === 'image' || file.category === 'video');
+
+        return eventDetector.detect(media, options);
+    }
+
+    /**
+     * Save events as collections, replacing the events saved before
+     *
+     * Each event becomes a collection of the photos and videos taken during
+     * it (within the filters it was found with), so files analyzed later
+     * join the event they fall in. The summary is the description; the
+     * title, dates, counts, centroid and place are kept in the details
+     * (`type: 'event'`). A name taken by another collection gets a counter.
+     *
+     * @param {Object[]} events - From findEvents()
+     * @param {Object} [filters={}] - The filters passed to findEvents()
+     * @returns {Promise<Object[]>} The saved collections
+     */
+    async saveEvents(events, filters = {}) {
+        const existing = database.getCollections();
+        for (const collection of existing) {
+            if (collection.details?.type === 'event') {
+                database.deleteCollection(collection.name);
+            }
+        }
+
+        const names = new Set(existing.filter(c => c.details?.type !== 'event').map(c => c.name));
+        const baseQuery = Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== undefined));
+        const saved = [];
+
+        for (const event of events) {
+            let name = event.name;
+            for (let n = 2; names.has(name); n++) {
+                name = `${event.name}-${n}`;
+            }
+            names.add(name);
+
+            // Same capture times as eventDetector.getCaptureTime()
+            const during = ['exif.dateTime', 'video.tags.creationTime']
+                .map(field => `(${field} >= ${event.start} and ${field} <= ${event.end})`)
+                .join(' or ');
+
+            database.saveCollection({
+                name,
+                query: { ...baseQuery, where: baseQuery.where ? `(${baseQuery.where}) and (${during})` : during },
+                description: event.summary,
+                details: {
+                    type: 'event',
+                    title: event.title,
+                    start: event.start,
+                    end: event.end,
+                    dateRange: event.dateRange,
+                    photos: event.photos,
+                    videos: event.videos,
+                    centroid: event.centroid,
+                    place: event.place
+                }
+            });
+
+            const { collection } = await this.evaluateCollection(name);
+            saved.push(collection);
+        }
+
+        return saved;
+    }
+
+    /**
+     * Run a saved collection's query and store its members
+     *
+     * @param {string} name - Collection name
+     * @returns {Promise<{collection: Object, files: Object[], added: string[], removed: string[]}>}
+     *   The matching files, and the paths that joined or left since the last evaluation
+     * @throws {Error} If there is no such collection
+     */
+    async evaluateCollection(name) {
+        const collection = database.getCollection(name);
+        if (!collection) {
+            throw new Error(`Unknown collection: ${name}`);
+        }
+
+        const files = await this.query(collection.query);
+        const { added, removed } = database.updateCollectionFiles(name, files.map(f => f.path));
+
+        return { collection: database.getCollection(name), files, added, removed };
+    }
+
+    /**
+     * Re-evaluate every saved collection (run after each analyze)
+     * A collection whose query fails is logged and skipped.
+     *
+     * @returns {Promise<{name: string, fileCount: number, added: string[], removed: string[]}[]>}
+     */
+    async evaluateCollections() {
+        const results = [];
+
+        for (const { name } of database.getCollections()) {
+            try {
+                const { collection, added, removed } = await this.evaluateCollection(name);
+                results.push({ name, fileCount: collection.fileCount, added, removed });
+            } catch (error) {
+                logger.error(`Failed to evaluate collection ${name}: ${error.message}`);
+            }
+        }
+
+        return results;
+    }
 }
 
 module.exports = new QueryAPI();
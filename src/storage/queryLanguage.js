@@ -0,0 +1,616 @@
+/**
+ * Query Language
+ * Parses filter expressions and compiles them to SQL (SQLite storage) or
+ * to a predicate over file objects (JSON storage)
+ *
+ * Expressions compare fields with values and combine the comparisons with
+ * and / or / not and parentheses:
+ *
+ *   image.width>=3000 and exif.make="Canon" and modified>2024-01-01
+ *   audio.tags.genre in (jazz, blues)
+ *   code.language=Python and code.complexity>50
+ *   category=font and not font.license ~ "OFL"
+ *   image.exif.gps = null
+ *
+ * Fields are file properties (name, path, relativePath, extension,
+ * category, mimeType, size, created, modified, accessed, importance), the
+ * reverse-geocoded place of geotagged files (city, region, country,
+ * countryCode), `tags`, or dotted paths into the file's metadata
+ * (`image.width`, `document.title`); `exif.*` is short for `image.exif.*`.
+ * A field holding an array matches when any element does.
+ *
+ * Operators: = != > >= < <= ~ (contains), in (...), not in (...).
+ * Values are numbers (sizes may use B, KB, MB, GB, TB), dates
+ * (2024-01-01 or ISO date-times), true, false, null, quoted strings or
+ * bare words. String comparisons ignore the case of ASCII letters only,
+ * as SQLite does, so both storages match the same files (`É` and `é`
+ * differ). A date without a time stands for the whole day, so
+ * `modified=2024-01-01` matches that day and `modified>2024-01-01` starts
+ * the day after.
+ *
+ * `!=` and `not in` also match files that lack the field.
+ */
+
+const gpsUtils = require('../utils/gps');
+
+// File properties, with their column and how to read them from a file object
+const FILE_FIELDS = {
+    name: { column: 'name', get: f => f.name },
+    path: { column: 'path', get: f => f.path },
+    relativePath: { column: 'relative_path', get: f => f.relativePath },
+    extension: { column: 'extension', get: f => f.extension },
+    category: { column: 'category', get: f => f.category },
+    mimeType: { column: 'mime_type', get: f => f.mimeType },
+    size: { column: 'size', get: f => f.size },
+    created: { column: 'created', get: f => f.created },
+    modified: { column: 'modified', get: f => f.modified },
+    accessed: { column: 'accessed', get: f => f.accessed },
+    importance: { column: 'importance', get: f => f.llm?.importance ?? 0 },
+    city: { column: 'city', get: f => gpsUtils.getFilePlace(f)?.city },
+    region: { column: 'region', get: f => gpsUtils.getFilePlace(f)?.region },
+    country: { column: 'country', get: f => gpsUtils.getFilePlace(f)?.country },
+    countryCode: { column: 'country_code', get: f => gpsUtils.getFilePlace(f)?.countryCode }
+};
+
+// Fields a place name given to the `place` filter is matched against
+const PLACE_FIELDS = ['city', 'region', 'country', 'countryCode'];
+
+// Metadata paths with a generated column (indexed lookups); see migrations.js
+const GENERATED_COLUMNS = {
+    'image.width': 'image_width',
+    'image.height': 'image_height',
+    'image.exif.make': 'camera_make',
+    'image.exif.model': 'camera_model',
+    'image.exif.dateTime': 'taken_at',
+    'code.language': 'language'
+};
+
+// Shorthands for metadata paths
+const FIELD_ALIASES = {
+    exif: 'image.exif'
+};
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 };
+
+const OPERATORS = ['>=', '<=', '!=', '=', '>', '<', '~'];
+
+const KEYWORDS = ['and', 'or', 'not', 'in'];
+
+class QueryLanguage {
+    /**
+     * Parse an expression
+     *
+     * @param {string} text - Query expression
+     * @returns {Object} Expression tree
+     * @throws {Error} If the expression is invalid
+     *
+     * @example
+     * const expression = queryLanguage.parse('image.width>=3000 and exif.make="Canon"');
+     */
+    parse(text) {
+        const tokens = this.tokenize(text);
+        let position = 0;
+
+        const peek = () => tokens[position];
+        const isKeyword = (token, keyword) => token?.type === 'word' && !token.quoted && token.value.toLowerCase() === keyword;
+        const fail = (message, token = peek()) => {
+            const at = token ? ` at position ${token.position + 1}` : ' at end of query';
+            throw new Error(`Invalid query: ${message}${at}`);
+        };
+        const expect = (type, description) => {
+            const token = peek();
+            if (token?.type !== type) fail(`expected ${description}`);
+            position++;
+            return token;
+        };
+
+        const parseValue = () => {
+            const token = peek();
+            if (token?.type !== 'word') fail('expected a value');
+            position++;
+            return this.parseLiteral(token);
+        };
+
+        const parseComparison = () => {
+            const token = expect('word', 'a field');
+            if (token.quoted || KEYWORDS.includes(token.value.toLowerCase())) {
+                fail(`expected a field, found "${token.value}"`, token);
+            }
+            const field = this.resolveField(token.value, token.position);
+
+            let negate = false;
+            if (isKeyword(peek(), 'not')) {
+                position++;
+                negate = true;
+                if (!isKeyword(peek(), 'in')) fail('expected "in" after "not"');
+            }
+
+            if (isKeyword(peek(), 'in')) {
+                position++;
+                expect('(', '"("');
+                const values = [parseValue()];
+                while (peek()?.type === ',') {
+                    position++;
+                    values.push(parseValue());
+                }
+                expect(')', '")"');
+                return { type: 'in', field, values, negate };
+            }
+
+            const operator = expect('operator', 'an operator (= != > >= < <= ~ in)');
+            const value = parseValue();
+
+            if (value.type === 'null' && operator.value !== '=' && operator.value !== '!=') {
+                fail('null can only be compared with = or !=', operator);
+            }
+
+            return { type: 'compare', field, operator: operator.value, value };
+        };
+
+        const parsePrimary = () => {
+            if (isKeyword(peek(), 'not')) {
+                position++;
+                return { type: 'not', expression: parsePrimary() };
+            }
+
+            if (peek()?.type === '(') {
+                position++;
+                const expression = parseOr();
+                expect(')', '")"');
+                return expression;
+            }
+
+            return parseComparison();
+        };
+
+        const parseAnd = () => {
+            let left = parsePrimary();
+            while (isKeyword(peek(), 'and')) {
+                position++;
+                left = { type: 'and', left, right: parsePrimary() };
+            }
+            return left;
+        };
+
+        const parseOr = () => {
+            let left = parseAnd();
+            while (isKeyword(peek(), 'or')) {
+                position++;
+                left = { type: 'or', left, right: parseAnd() };
+            }
+            return left;
+        };
+
+        if (tokens.length === 0) {
+            throw new Error('Invalid query: empty expression');
+        }
+
+        const expression = parseOr();
+        if (position < tokens.length) {
+            fail(`unexpected "${peek().value}"`);
+        }
+
+        return expression;
+    }
+
+    /**
+     * Build the expression for a set of query filters
+     * Combines `where` (expression text or tree) with the `tags` (any of),
+     * `place` (city, region, country or country code) and `dateRange`
+     * ({start, end, field}) filters of QueryAPI.query()
+     *
+     * @param {Object} filters - Query filters
+     * @returns {Object|null} Expression tree, or null if there is nothing to filter on
+     */
+    fromFilters({ where, tags, place, dateRange } = {}) {
+        const expressions = [];
+
+        if (where) {
+            expressions.push(typeof where === 'string' ? this.parse(where) : where);
+        }
+
+        if (tags && tags.length > 0) {
+            expressions.push({
+                type: 'in',
+                field: this.resolveField('tags'),
+                values: tags.map(tag => ({ type: 'string', value: tag })),
+                negate: false
+            });
+        }
+
+        if (place) {
+            expressions.push(PLACE_FIELDS
+                .map(name => ({ type: 'compare', field: this.resolveField(name), operator: '=', value: { type: 'string', value: place } }))
+                .reduce((left, right) => ({ type: 'or', left, right })));
+        }
+
+        if (dateRange && (dateRange.start || dateRange.end)) {
+            const field = this.resolveField(dateRange.field || 'modified');
+            const toDate = (value) => this.parseDate(value instanceof Date ? value.toISOString() : String(value));
+
+            if (dateRange.start) {
+                expressions.push({ type: 'compare', field, operator: '>=', value: toDate(dateRange.start) });
+            }
+            if (dateRange.end) {
+                expressions.push({ type: 'compare', field, operator: '<=', value: toDate(dateRange.end) });
+            }
+        }
+
+        return expressions.reduce((left, right) => left ? { type: 'and', left, right } : right, null);
+    }
+
+    /**
+     * Split an expression into tokens
+     * @private
+     */
+    tokenize(text) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (/\s/.test(char)) {
+                i++;
+            } else if (char === '(' || char === ')' || char === ',') {
+                tokens.push({ type: char, value: char, position: i });
+                i++;
+            } else if (char === '"' || char === "'") {
+                let value = '';
+                let j = i + 1;
+                while (j < text.length && text[j] !== char) {
+                    if (text[j] === '\\' && j + 1 < text.length) j++;
+                    value += text[j];
+                    j++;
+                }
+                if (j >= text.length) {
+                    throw new Error(`Invalid query: unterminated string at position ${i + 1}`);
+                }
+                tokens.push({ type: 'word', value, quoted: true, position: i });
+                i = j + 1;
+            } else {
+                const operator = OPERATORS.find(op => text.startsWith(op, i));
+                if (operator) {
+                    tokens.push({ type: 'operator', value: operator, position: i });
+                    i += operator.length;
+                    continue;
+                }
+
+                const match = text.slice(i).match(/^[^\s()=<>!~,"']+/);
+                if (!match) {
+                    throw new Error(`Invalid query: unexpected "${char}" at position ${i + 1}`);
+                }
+                tokens.push({ type: 'word', value: match[0], position: i });
+                i += match[0].length;
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Type a value token
+     * @private
+     */
+    parseLiteral(token) {
+        const text = token.value;
+
+        if (token.quoted) {
+            return { type: 'string', value: text };
+        }
+
+        const lower = text.toLowerCase();
+        if (lower === 'null') return { type: 'null' };
+        if (lower === 'true' || lower === 'false') return { type: 'number', value: lower === 'true' ? 1 : 0 };
+
+        if (/^-?\d+(\.\d+)?$/.test(text)) {
+            return { type: 'number', value: Number(text) };
+        }
+
+        const size = text.match(/^(\d+(?:\.\d+)?)(b|kb|mb|gb|tb)$/i);
+        if (size) {
+            return { type: 'number', value: Math.round(Number(size[1]) * SIZE_UNITS[size[2].toLowerCase()]) };
+        }
+
+        if (/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(text)) {
+            return this.parseDate(text, token.position);
+        }
+
+        return { type: 'string', value: text };
+    }
+
+    /**
+     * Turn a date into the range of ISO timestamps it stands for
+     * A date without a time covers the whole (UTC) day
+     * @private
+     */
+    parseDate(text, position = 0) {
+        const start = new Date(text.replace(' ', 'T'));
+        if (isNaN(start.getTime())) {
+            throw new Error(`Invalid query: invalid date "${text}" at position ${position + 1}`);
+        }
+
+        const end = new Date(start);
+        if (text.length === 10) {
+            end.setUTCDate(end.getUTCDate() + 1);
+        } else {
+            end.setTime(end.getTime() + 1);
+        }
+
+        return { type: 'date', start: start.toISOString(), end: end.toISOString() };
+    }
+
+    /**
+     * Resolve a field name
+     *
+     * @param {string} name - Field as written in the query
+     * @returns {{kind: string, name: string, column?: string, path?: string[]}}
+     * @private
+     */
+    resolveField(name, position = 0) {
+        if (name === 'tags') {
+            return { kind: 'tags', name };
+        }
+
+        if (FILE_FIELDS[name]) {
+            return { kind: 'file', name, column: FILE_FIELDS[name].column };
+        }
+
+        let fieldPath = name.startsWith('metadata.') ? name.slice('metadata.'.length) : name;
+        const [head, ...rest] = fieldPath.split('.');
+        if (FIELD_ALIASES[head]) {
+            fieldPath = [FIELD_ALIASES[head], ...rest].join('.');
+        }
+
+        const segments = fieldPath.split('.');
+        if (segments.length < 2 || !segments.every(segment => /^[A-Za-z_][\w-]*$/.test(segment))) {
+            throw new Error(`Invalid query: unknown field "${name}" at position ${position + 1}`);
+        }
+
+        return { kind: 'metadata', name, path: segments, column: GENERATED_COLUMNS[fieldPath] };
+    }
+
+    /**
+     * Compile an expression to a SQL condition on the files table
+     *
+     * @param {Object|string} expression - Expression tree or text
+     * @param {string} [alias=''] - Table alias prefix for the files table (e.g. 'f.')
+     * @returns {{sql: string, params: Array}}
+     */
+    toSQL(expression, alias = '') {
+        const tree = typeof expression === 'string' ? this.parse(expression) : expression;
+        const params = [];
+        const table = alias || 'files.';
+
+        const compile = (node) => {
+            switch (node.type) {
+                case 'and':
+                case 'or':
+                    return `(${compile(node.left)} ${node.type.toUpperCase()} ${compile(node.right)})`;
+                case 'not':
+                    return `NOT ${compile(node.expression)}`;
+                case 'in': {
+                    const condition = (value) => `(${node.values.map(v => this.sqlCondition(value, '=', v, params)).join(' OR ')})`;
+                    const sql = this.sqlField(node.field, table, params, condition);
+                    return node.negate ? `NOT ${sql}` : sql;
+                }
+                default: {
+                    const { field, operator, value } = node;
+
+                    if (value.type === 'null') {
+                        const sql = this.sqlIsNull(field, table, params);
+                        return operator === '=' ? sql : `NOT ${sql}`;
+                    }
+
+                    if (operator === '!=') {
+                        return `NOT ${this.sqlField(field, table, params, v => this.sqlCondition(v, '=', value, params))}`;
+                    }
+
+                    return this.sqlField(field, table, params, v => this.sqlCondition(v, operator, value, params));
+                }
+            }
+        };
+
+        return { sql: compile(tree), params };
+    }
+
+    /**
+     * Apply a condition to the values of a field
+     * Fields with several values (tags, metadata arrays) match when any value does
+     * @private
+     */
+    sqlField(field, table, params, condition) {
+        if (field.kind === 'tags') {
+            return `EXISTS (SELECT 1 FROM tags qt WHERE qt.file_id = ${table}id AND ${condition('qt.tag')})`;
+        }
+
+        if (field.column) {
+            return condition(`${table}${field.column}`);
+        }
+
+        params.push(`$.${field.path.join('.')}`);
+        return `EXISTS (SELECT 1 FROM json_each(${table}metadata, ?) qj WHERE qj.type NOT IN ('object', 'array') AND ${condition('qj.value')})`;
+    }
+
+    /**
+     * Condition for a field being missing
+     * @private
+     */
+    sqlIsNull(field, table, params) {
+        if (field.kind === 'tags') {
+            return `NOT EXISTS (SELECT 1 FROM tags qt WHERE qt.file_id = ${table}id)`;
+        }
+
+        if (field.column) {
+            return `${table}${field.column} IS NULL`;
+        }
+
+        params.push(`$.${field.path.join('.')}`);
+        return `json_extract(${table}metadata, ?) IS NULL`;
+    }
+
+    /**
+     * Compare one SQL value with a literal
+     * Values of another type never match, so the condition is never NULL
+     * @private
+     */
+    sqlCondition(column, operator, value, params) {
+        if (value.type === 'number') {
+            params.push(value.value);
+            return `(typeof(${column}) IN ('integer', 'real') AND ${column} ${operator === '~' ? '=' : operator} ?)`;
+        }
+
+        if (value.type === 'date') {
+            const [sql, bounds] = {
+                '=': [`${column} >= ? AND ${column} < ?`, [value.start, value.end]],
+                '~': [`${column} >= ? AND ${column} < ?`, [value.start, value.end]],
+                '>': [`${column} >= ?`, [value.end]],
+                '>=': [`${column} >= ?`, [value.start]],
+                '<': [`${column} < ?`, [value.start]],
+                '<=': [`${column} < ?`, [value.end]]
+            }[operator];
+            params.push(...bounds);
+            return `(typeof(${column}) = 'text' AND ${sql})`;
+        }
+
+        params.push(value.value);
+        if (operator === '~') {
+            return `(typeof(${column}) = 'text' AND instr(lower(${column}), lower(?)) > 0)`;
+        }
+        return `(typeof(${column}) = 'text' AND ${column} ${operator} ? COLLATE NOCASE)`;
+    }
+
+    /**
+     * Compile an expression to a predicate over file objects
+     *
+     * @param {Object|string} expression - Expression tree or text
+     * @returns {function(Object): boolean}
+     */
+    toPredicate(expression) {
+        const tree = typeof expression === 'string' ? this.parse(expression) : expression;
+
+        const test = (node, file) => {
+            switch (node.type) {
+                case 'and':
+                    return test(node.left, file) && test(node.right, file);
+                case 'or':
+                    return test(node.left, file) || test(node.right, file);
+                case 'not':
+                    return !test(node.expression, file);
+                case 'in': {
+                    const values = this.fieldValues(node.field, file);
+                    const found = values.some(v => node.values.some(literal => this.matches(v, '=', literal)));
+                    return node.negate ? !found : found;
+                }
+                default: {
+                    const { field, operator, value } = node;
+
+                    if (value.type === 'null') {
+                        const missing = this.isMissing(field, file);
+                        return operator === '=' ? missing : !missing;
+                    }
+
+                    const values = this.fieldValues(field, file);
+                    if (operator === '!=') {
+                        return !values.some(v => this.matches(v, '=', value));
+                    }
+                    return values.some(v => this.matches(v, operator, value));
+                }
+            }
+        };
+
+        return (file) => test(tree, file);
+    }
+
+    /**
+     * Get the raw value of a field
+     * @private
+     */
+    fieldValue(field, file) {
+        if (field.kind === 'tags') return file.tags || [];
+        if (field.kind === 'file') return FILE_FIELDS[field.name].get(file);
+
+        let value = file.metadata;
+        for (const key of field.path) {
+            if (value === null || typeof value !== 'object') return undefined;
+            value = value[key];
+        }
+        return value;
+    }
+
+    /**
+     * Get the values of a field to compare (array elements and object values
+     * are compared one by one, like SQLite's json_each)
+     * @private
+     */
+    fieldValues(field, file) {
+        const value = this.fieldValue(field, file);
+
+        if (value === null || value === undefined) return [];
+        if (Array.isArray(value)) return value;
+        if (typeof value === 'object' && field.kind === 'metadata') return Object.values(value);
+        return [value];
+    }
+
+    /**
+     * Whether a field is missing (the counterpart of sqlIsNull)
+     * @private
+     */
+    isMissing(field, file) {
+        const value = this.fieldValue(field, file);
+        return field.kind === 'tags' ? value.length === 0 : value === null || value === undefined;
+    }
+
+    /**
+     * Compare one value with a literal (the counterpart of sqlCondition)
+     * @private
+     */
+    matches(raw, operator, literal) {
+        const value = typeof raw === 'boolean' ? Number(raw) : raw;
+
+        if (literal.type === 'number') {
+            return typeof value === 'number' && this.compare(value, operator === '~' ? '=' : operator, literal.value);
+        }
+
+        if (typeof value !== 'string') return false;
+
+        if (literal.type === 'date') {
+            switch (operator) {
+                case '>': return value >= literal.end;
+                case '>=': return value >= literal.start;
+                case '<': return value < literal.start;
+                case '<=': return value < literal.end;
+                default: return value >= literal.start && value < literal.end;
+            }
+        }
+
+        if (operator === '~') {
+            return foldCase(value).includes(foldCase(literal.value));
+        }
+        return this.compare(foldCase(value), operator, foldCase(literal.value));
+    }
+
+    /**
+     * Apply a comparison operator
+     * @private
+     */
+    compare(a, operator, b) {
+        switch (operator) {
+            case '=': return a === b;
+            case '>': return a > b;
+            case '>=': return a >= b;
+            case '<': return a < b;
+            case '<=': return a <= b;
+            default: return false;
+        }
+    }
+}
+
+/**
+ * Lowercase ASCII letters only, like SQLite's lower() and NOCASE
+ */
+function foldCase(text) {
+    return text.replace(/[A-Z]/g, letter => letter.toLowerCase());
+}
+
+module.exports = new QueryLanguage();
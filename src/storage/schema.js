@@ -17,6 +17,10 @@ const metadataSchema = {
         scannedAt: null,
         scanDuration: 0
     },
+    roots: [],
+    scans: [],
+    collections: [],
+    operations: [],
     files: []
 };
 
@@ -26,7 +30,8 @@ const metadataSchema = {
 const fileMetadataTemplate = {
     // Basic info
     path: null,
-    relativePath: null,
+    relativePath: null, // Relative to the file's root
+    rootId: null,
     name: null,
     extension: null,
     size: 0,
@@ -61,6 +66,8 @@ const fileMetadataTemplate = {
             iptc: {},
             xmp: {},
             perceptualHash: null,
+            averageHash: null,
+            differenceHash: null,
             thumbnail: null
         },
 
@@ -159,6 +166,7 @@ const fileMetadataTemplate = {
 
     // Tags and classification
     tags: [],
+    tagSources: {}, // tag -> 'manual', 'rule:<name>' or 'processor:<name>'
     labels: [],
 
     // LLM-specific
@@ -179,9 +187,17 @@ const fileMetadataTemplate = {
 };
 
 /**
- * SQLite schema
+ * SQLite base schema
+ * Later changes to existing tables are migrations (see migrations.js)
  */
 const sqliteSchema = `
+-- Applied migrations
+CREATE TABLE IF NOT EXISTS schema_version (
+    version INTEGER PRIMARY KEY,
+    description TEXT,
+    applied_at TEXT NOT NULL
+);
+
 -- Main files table
 CREATE TABLE IF NOT EXISTS files (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -348,14 +364,101 @@ CREATE TABLE IF NOT EXISTS exif_data (
     FOREIGN KEY (file_id) REFERENCES files(id) ON DELETE CASCADE
 );
 
--- Full text search virtual table
-CREATE VIRTUAL TABLE IF NOT EXISTS files_fts USING fts5(
-    name,
-    path,
-    content,
-    tags,
-    content=files,
-    content_rowid=id
+-- Indexed root directories
+-- Each analyzed directory is a root; files record which root they belong to
+CREATE TABLE IF NOT EXISTS roots (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    path TEXT UNIQUE NOT NULL,
+    label TEXT,
+    created_at TEXT,
+    last_scan_at TEXT,
+    stats TEXT, -- JSON: scanner statistics from the last scan
+    config TEXT -- JSON: scanning/extractor configuration used by the last scan
+);
+
+-- Scan history: one row per analyze run
+CREATE TABLE IF NOT EXISTS scans (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    root_id INTEGER,
+    directory TEXT NOT NULL,
+    started_at TEXT NOT NULL,
+    finished_at TEXT,
+    status TEXT NOT NULL, -- running, completed, failed
+    options TEXT, -- JSON: scanning options used
+    stats TEXT, -- JSON: FileScanner statistics
+    files_processed INTEGER DEFAULT 0,
+    error_count INTEGER DEFAULT 0,
+    error TEXT, -- Failure message for failed runs
+    processor_versions TEXT, -- JSON: { ProcessorName: version }
+    FOREIGN KEY (root_id) REFERENCES roots(id) ON DELETE SET NULL
+);
+
+-- Files added, modified, deleted or moved by each scan
+CREATE TABLE IF NOT EXISTS scan_changes (
+    scan_id INTEGER NOT NULL,
+    path TEXT NOT NULL,
+    change TEXT NOT NULL, -- added, modified, deleted, moved
+    previous_path TEXT, -- Source path for moves
+    PRIMARY KEY (scan_id, path),
+    FOREIGN KEY (scan_id) REFERENCES scans(id) ON DELETE CASCADE
+);
+
+-- Processing errors of each file's last processing run
+CREATE TABLE IF NOT EXISTS processing_errors (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    file_id INTEGER NOT NULL,
+    processor TEXT NOT NULL,
+    type TEXT NOT NULL DEFAULT 'error', -- timeout, crash, error
+    message TEXT,
+    occurred_at TEXT NOT NULL,
+    FOREIGN KEY (file_id) REFERENCES files(id) ON DELETE CASCADE
+);
+
+-- Saved queries (smart collections)
+CREATE TABLE IF NOT EXISTS collections (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL,
+    description TEXT,
+    query TEXT NOT NULL, -- JSON: QueryAPI.query() filters
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    evaluated_at TEXT,
+    file_count INTEGER DEFAULT 0,
+    last_change TEXT -- JSON: { added, removed, at } of the last evaluation that changed membership
+);
+
+-- Files in each collection at its last evaluation
+CREATE TABLE IF NOT EXISTS collection_files (
+    collection_id INTEGER NOT NULL,
+    path TEXT NOT NULL,
+    added_at TEXT NOT NULL,
+    PRIMARY KEY (collection_id, path),
+    FOREIGN KEY (collection_id) REFERENCES collections(id) ON DELETE CASCADE
+);
+
+-- Operations journal: one row per command run that changed files on disk
+CREATE TABLE IF NOT EXISTS operations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    command TEXT NOT NULL, -- organize, dedupe...
+    description TEXT,
+    started_at TEXT NOT NULL,
+    finished_at TEXT,
+    status TEXT NOT NULL, -- running, completed, undone, partially-undone
+    undone_at TEXT
+);
+
+-- File changes of each operation, in the order they were made
+CREATE TABLE IF NOT EXISTS operation_entries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    operation_id INTEGER NOT NULL,
+    action TEXT NOT NULL, -- move, rename, copy, link, symlink, delete, edit, mkdir
+    source TEXT NOT NULL, -- Original path (for links, the path replaced by the link)
+    destination TEXT, -- New path (for links, the file linked to)
+    sha256 TEXT, -- Content hash right after the change (before it, for deletes)
+    size INTEGER,
+    performed_at TEXT NOT NULL,
+    undone_at TEXT,
+    FOREIGN KEY (operation_id) REFERENCES operations(id) ON DELETE CASCADE
 );
 
 -- Indexes
@@ -372,6 +475,11 @@ CREATE INDEX IF NOT EXISTS idx_office_metadata_doc_type ON office_metadata(doc_t
 CREATE INDEX IF NOT EXISTS idx_font_metadata_file_id ON font_metadata(file_id);
 CREATE INDEX IF NOT EXISTS idx_font_metadata_family ON font_metadata(family);
 CREATE INDEX IF NOT EXISTS idx_font_metadata_format ON font_metadata(format);
+CREATE INDEX IF NOT EXISTS idx_scans_root_id ON scans(root_id);
+CREATE INDEX IF NOT EXISTS idx_scans_started_at ON scans(started_at);
+CREATE INDEX IF NOT EXISTS idx_operation_entries_operation_id ON operation_entries(operation_id);
+CREATE INDEX IF NOT EXISTS idx_processing_errors_file_id ON processing_errors(file_id);
+CREATE INDEX IF NOT EXISTS idx_processing_errors_processor ON processing_errors(processor);
 `;
 
 module.exports = {
@@ -0,0 +1,114 @@
+/**
+ * Auto Tagger
+ * Applies the tagging rules from config to files as they are analyzed
+ *
+ *   "tagging": {
+ *     "rules": [
+ *       { "name": "phone", "tag": "phone-photo", "when": "exif.model ~ iPhone" },
+ *       { "name": "react", "tag": "react", "when": "code.imports ~ react" },
+ *       { "name": "clients", "tags": ["client-work"], "glob": "clients/**" }
+ *     ]
+ *   }
+ *
+ * `when` is a query expression (see storage/queryLanguage.js); `glob` is a
+ * gitignore-style pattern, or list of patterns, matched against the path
+ * relative to the file's root. A rule with both needs both to match. Tags
+ * record the rule as their source ('rule:<name>'); the name defaults to
+ * the rule's first tag. A rule that does not compile is reported and skipped.
+ */
+
+const ignore = require('ignore');
+const queryLanguage = require('../storage/queryLanguage');
+const logger = require('./logger');
+
+class AutoTagger {
+    /**
+     * @param {Object[]} [rules] - Entries of `tagging.rules` in config
+     */
+    constructor(rules = []) {
+        this.rules = [];
+        this.failures = [];
+
+        for (const rule of rules) {
+            try {
+                this.rules.push(this.compile(rule));
+            } catch (error) {
+                const name = rule?.name || rule?.tag || JSON.stringify(rule);
+                logger.error(`Invalid tagging rule ${name}: ${error.message}`);
+                this.failures.push({ rule: name, error: error.message });
+            }
+        }
+    }
+
+    /**
+     * Compile a rule into its tags and match function
+     * @private
+     */
+    compile(rule) {
+        const tags = rule.tags || (rule.tag ? [rule.tag] : []);
+        if (tags.length === 0) {
+            throw new Error('rule has no tag');
+        }
+        if (!rule.when && !rule.glob) {
+            throw new Error('rule needs `when` or `glob`');
+        }
+
+        const predicate = rule.when ? queryLanguage.toPredicate(rule.when) : null;
+        const patterns = rule.glob ? ignore().add(rule.glob) : null;
+
+        return {
+            name: rule.name || tags[0],
+            tags,
+            matches: (file) =>
+                (!patterns || Boolean(file.relativePath && patterns.ignores(file.relativePath))) &&
+                (!predicate || predicate(file))
+        };
+    }
+
+    /**
+     * Get the tags the rules give a file
+     *
+     * @param {Object} file - File object with its metadata
+     * @returns {Object} Tag -> source ('rule:<name>'), first matching rule first
+     */
+    getTags(file) {
+        const tagSources = {};
+
+        for (const rule of this.rules) {
+            if (!rule.matches(file)) continue;
+
+            for (const tag of rule.tags) {
+                if (!(tag in tagSources)) tagSources[tag] = `rule:${rule.name}`;
+            }
+        }
+
+        return tagSources;
+    }
+
+    /**
+     * Add the rule tags of a file to its tags
+     * Tags the file already has keep their source.
+     *
+     * @param {Object} fileInfo - Processed file
+     * @returns {Object} The file
+     */
+    apply(fileInfo) {
+        const tagSources = { ...fileInfo.tagSources };
+        for (const tag of fileInfo.tags || []) {
+            tagSources[tag] = tagSources[tag] || 'manual';
+        }
+
+        for (const [tag, source] of Object.entries(this.getTags(fileInfo))) {
+            if (!(tag in tagSources)) tagSources[tag] = source;
+        }
+
+        if (Object.keys(tagSources).length > 0) {
+            fileInfo.tags = Object.keys(tagSources);
+            fileInfo.tagSources = tagSources;
+        }
+
+        return fileInfo;
+    }
+}
+
+module.exports = AutoTagger;
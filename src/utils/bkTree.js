@@ -0,0 +1,92 @@
+/**
+ * BK-Tree
+ * Index of keys under a metric distance, answering "every key within N of
+ * this one" without comparing against all of them
+ *
+ * Each child hangs off its parent by its distance to the parent's key. By
+ * the triangle inequality, a search for keys within `max` of a query that
+ * is `d` from a node only needs the children at distances d - max to d + max.
+ * Used with imageHash.distance() to find near-duplicate images.
+ *
+ * @see https://en.wikipedia.org/wiki/BK-tree
+ */
+
+class BKTree {
+    /**
+     * @param {Function} distance - (a, b) => non-negative integer; must be a metric
+     *
+     * @example
+     * const tree = new BKTree((a, b) => imageHash.distance(a, b));
+     * tree.add(file.metadata.image.perceptualHash, file);
+     * const matches = tree.search(hash, 8); // [{ key, value, distance }]
+     */
+    constructor(distance) {
+        this.distance = distance;
+        this.root = null;
+        this.size = 0;
+    }
+
+    /**
+     * Add a value under a key; values with equal keys share a node
+     *
+     * @param {*} key - Key compared with the distance function
+     * @param {*} value - Value returned by search()
+     */
+    add(key, value) {
+        this.size++;
+
+        if (!this.root) {
+            this.root = { key, values: [value], children: new Map() };
+            return;
+        }
+
+        let node = this.root;
+        for (;;) {
+            const distance = this.distance(key, node.key);
+            if (distance === 0) {
+                node.values.push(value);
+                return;
+            }
+
+            const child = node.children.get(distance);
+            if (!child) {
+                node.children.set(distance, { key, values: [value], children: new Map() });
+                return;
+            }
+            node = child;
+        }
+    }
+
+    /**
+     * Find the values whose key is within a distance of a key
+     *
+     * @param {*} key - Key to search around
+     * @param {number} maxDistance - Largest distance included
+     * @returns {Array<{key: *, value: *, distance: number}>} Closest first
+     */
+    search(key, maxDistance) {
+        const matches = [];
+        const pending = this.root ? [this.root] : [];
+
+        while (pending.length > 0) {
+            const node = pending.pop();
+            const distance = this.distance(key, node.key);
+
+            if (distance <= maxDistance) {
+                for (const value of node.values) {
+                    matches.push({ key: node.key, value, distance });
+                }
+            }
+
+            for (const [childDistance, child] of node.children) {
+                if (Math.abs(childDistance - distance) <= maxDistance) {
+                    pending.push(child);
+                }
+            }
+        }
+
+        return matches.sort((a, b) => a.distance - b.distance);
+    }
+}
+
+module.exports = BKTree;
@@ -0,0 +1,87 @@
+/**
+ * Checkpoint Tracker
+ * Tracks the resume cursor of an analyze run
+ *
+ * Files are discovered in walk order but finish processing out of order.
+ * The cursor is the last file in walk order for which it and every file
+ * before it have been stored, so resuming after the cursor never skips
+ * unfinished work. Scanner statistics are snapshotted per file when it is
+ * discovered, giving exact totals at the cursor.
+ */
+
+class CheckpointTracker {
+    /**
+     * @param {Object} [initial] - Checkpoint of the run being resumed
+     */
+    constructor(initial = null) {
+        this.pending = [];
+        this.completed = new Map();
+        this.cursor = initial?.cursor || null;
+        this.stats = initial?.stats || null;
+        this.filesProcessed = initial?.filesProcessed || 0;
+        this.errorCount = initial?.errorCount || 0;
+        this.sinceCheckpoint = 0;
+    }
+
+    /**
+     * Register a discovered file, in walk order
+     *
+     * @param {string} filePath - Absolute file path
+     * @param {Object} stats - Scanner statistics at the time the file was found
+     */
+    add(filePath, stats) {
+        this.pending.push({ path: filePath, stats });
+    }
+
+    /**
+     * Mark a file as stored and advance the cursor past every finished file
+     *
+     * @param {string} filePath - Absolute file path
+     * @param {boolean} [failed=false] - Processing failed or recorded errors
+     */
+    complete(filePath, failed = false) {
+        this.completed.set(filePath, failed);
+        this.sinceCheckpoint++;
+
+        while (this.pending.length > 0 && this.completed.has(this.pending[0].path)) {
+            const next = this.pending.shift();
+
+            if (this.completed.get(next.path)) {
+                this.errorCount++;
+            }
+
+            this.completed.delete(next.path);
+            this.cursor = next.path;
+            this.stats = next.stats;
+            this.filesProcessed++;
+        }
+    }
+
+    /**
+     * Whether enough files have finished since the last checkpoint
+     *
+     * @param {number} interval - Files between checkpoints
+     */
+    isDue(interval) {
+        return this.sinceCheckpoint >= interval;
+    }
+
+    /**
+     * Take a checkpoint of the current cursor
+     *
+     * @returns {{cursor: string|null, stats: Object|null, filesProcessed: number, errorCount: number, updatedAt: string}}
+     */
+    snapshot() {
+        this.sinceCheckpoint = 0;
+
+        return {
+            cursor: this.cursor,
+            stats: this.stats,
+            filesProcessed: this.filesProcessed,
+            errorCount: this.errorCount,
+            updatedAt: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = CheckpointTracker;
@@ -84,12 +84,13 @@ class ConfigManager {
 
     /**
      * Deep merge two objects
+     * Arrays are replaced, not merged
      */
     deepMerge(target, source) {
         const result = { ...target };
 
         for (const key in source) {
-            if (source[key] instanceof Object && key in target) {
+            if (source[key] instanceof Object && !Array.isArray(source[key]) && key in target) {
                 result[key] = this.deepMerge(target[key], source[key]);
             } else {
                 result[key] = source[key];
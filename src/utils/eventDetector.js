@@ -0,0 +1,212 @@
+/**
+ * Event Detector
+ * Groups photos and videos into events (days out, weekends, trips) by when
+ * and where they were taken
+ *
+ * Files are sorted by the time they were taken (EXIF date of photos,
+ * creation time of videos); files without one are left out. A new event
+ * starts after a gap longer than `maxGap`, or when the location jumps
+ * further than `maxDistance` from the last geotagged file of the event.
+ * Events with fewer than `minFiles` files are dropped.
+ *
+ * Each event is labelled from its dates and the place most of its files
+ * were taken in (see ReverseGeocoder):
+ *
+ *   Weekend in Porto, 2024-05-10 to 12, 143 photos
+ *   Trip in Tuscany, 2024-07-28 to 08-04, 412 photos, 9 videos
+ *
+ * Dates are calendar days in local time, as in organize templates.
+ */
+
+const gpsUtils = require('./gps');
+
+const HOUR = 60 * 60 * 1000;
+
+// Place fields from most to least specific; an event is named after the
+// most specific one shared by at least half of its placed files
+const PLACE_LEVELS = ['city', 'region', 'country'];
+
+class EventDetector {
+    /**
+     * Group files into events
+     *
+     * @param {Object[]} files - Analyzed photos and videos
+     * @param {Object} [options]
+     * @param {number} [options.maxGap=18h] - Longest time between files of one event, in ms
+     * @param {number} [options.maxDistance=100] - Longest jump between files of one event, in km
+     * @param {number} [options.minFiles=5] - Fewest files an event can have
+     * @returns {Object[]} Events, oldest first: `{name, title, summary, start, end, dateRange,
+     *   photos, videos, centroid, place, files}`
+     *
+     * @example
+     * const events = eventDetector.detect(files, { maxGap: 12 * 60 * 60 * 1000 });
+     * // [{ name: 'event-2024-05-10-porto', title: 'Weekend in Porto', dateRange: '2024-05-10 to 12', ... }]
+     */
+    detect(files, options = {}) {
+        const { maxGap = 18 * HOUR, maxDistance = 100, minFiles = 5 } = options;
+
+        const items = files
+            .map(file => ({ file, time: this.getCaptureTime(file), location: gpsUtils.getFileCoordinates(file) }))
+            .filter(item => item.time !== null)
+            .sort((a, b) => a.time - b.time || a.file.path.localeCompare(b.file.path));
+
+        const groups = [];
+        let group = null;
+        let lastLocation = null;
+
+        for (const item of items) {
+            const gap = group ? item.time - group[group.length - 1].time : Infinity;
+            const jump = item.location && lastLocation
+                ? gpsUtils.calculateDistance(lastLocation.latitude, lastLocation.longitude, item.location.latitude, item.location.longitude)
+                : 0;
+
+            if (gap > maxGap || jump > maxDistance) {
+                group = [];
+                groups.push(group);
+                lastLocation = null;
+            }
+
+            group.push(item);
+            if (item.location) lastLocation = item.location;
+        }
+
+        return groups
+            .filter(members => members.length >= minFiles)
+            .map(members => this.describe(members));
+    }
+
+    /**
+     * When a photo or video was taken
+     *
+     * @param {Object} file - Analyzed file
+     * @returns {number|null} Milliseconds since the epoch, null if unknown
+     */
+    getCaptureTime(file) {
+        const value = file.metadata?.image?.exif?.dateTime || file.metadata?.video?.tags?.creationTime;
+        if (!value) return null;
+
+        const time = new Date(value).getTime();
+        return isNaN(time) ? null : time;
+    }
+
+    /**
+     * Label a group of files
+     * @private
+     */
+    describe(members) {
+        const start = new Date(members[0].time);
+        const end = new Date(members[members.length - 1].time);
+        const videos = members.filter(item => item.file.category === 'video').length;
+        const photos = members.length - videos;
+
+        const place = this.getPlace(members.map(item => item.file));
+        const placeName = place ? place[place.level] : null;
+        const kind = this.getKind(start, end);
+        const title = placeName ? `${kind} in ${placeName}` : kind;
+        const dateRange = this.formatDateRange(start, end);
+
+        const counts = [
+            photos > 0 ? `${photos} photo${photos === 1 ? '' : 's'}` : null,
+            videos > 0 ? `${videos} video${videos === 1 ? '' : 's'}` : null
+        ].filter(Boolean).join(', ');
+
+        return {
+            name: ['event', formatDate(start), slugify(placeName)].filter(Boolean).join('-'),
+            title,
+            summary: `${title}, ${dateRange}, ${counts}`,
+            start: start.toISOString(),
+            end: end.toISOString(),
+            dateRange,
+            photos,
+            videos,
+            centroid: gpsUtils.calculateCentroid(members.map(item => item.location).filter(Boolean)),
+            place,
+            files: members.map(item => item.file)
+        };
+    }
+
+    /**
+     * Place most files of an event were taken in
+     * @private
+     */
+    getPlace(files) {
+        const places = files.map(file => gpsUtils.getFilePlace(file)).filter(Boolean);
+
+        for (const level of PLACE_LEVELS) {
+            const counts = new Map();
+            for (const place of places) {
+                if (!place[level]) continue;
+                const key = `${place.countryCode}|${place[level]}`;
+                counts.set(key, (counts.get(key) || 0) + 1);
+            }
+
+            const [key, count] = [...counts].sort((a, b) => b[1] - a[1])[0] || [];
+            if (count >= places.length / 2) {
+                const place = places.find(p => `${p.countryCode}|${p[level]}` === key);
+                const { distance, ...fields } = place;
+
+                // Fields more specific than the level are not shared by the event
+                for (const narrower of PLACE_LEVELS.slice(0, PLACE_LEVELS.indexOf(level))) {
+                    fields[narrower] = null;
+                }
+                return { ...fields, level };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * 'Day', 'Weekend' (Friday or Saturday to Sunday or Monday) or 'Trip'
+     * @private
+     */
+    getKind(start, end) {
+        const days = Math.round((startOfDay(end) - startOfDay(start)) / (24 * HOUR)) + 1;
+
+        if (days === 1) return 'Day';
+        if (days <= 4 && [5, 6].includes(start.getDay()) && [0, 1].includes(end.getDay())) return 'Weekend';
+        return 'Trip';
+    }
+
+    /**
+     * '2024-05-10', '2024-05-10 to 12', '2024-05-30 to 06-02' or '2024-12-30 to 2025-01-02'
+     * @private
+     */
+    formatDateRange(start, end) {
+        const from = formatDate(start);
+        const to = formatDate(end);
+
+        if (from === to) return from;
+        if (from.slice(0, 7) === to.slice(0, 7)) return `${from} to ${to.slice(8)}`;
+        if (from.slice(0, 4) === to.slice(0, 4)) return `${from} to ${to.slice(5)}`;
+        return `${from} to ${to}`;
+    }
+}
+
+/**
+ * Local calendar date as YYYY-MM-DD
+ */
+function formatDate(date) {
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Midnight (local time) of a date
+ */
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Lowercase ASCII words joined by dashes ('São Paulo' -> 'sao-paulo')
+ */
+function slugify(text) {
+    if (!text) return '';
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+}
+
+module.exports = new EventDetector();
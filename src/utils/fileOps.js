@@ -0,0 +1,166 @@
+/**
+ * File Operations Utility
+ * Moves, copies and compares files; never overwrites an existing file
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+
+const COMPARE_CHUNK_SIZE = 64 * 1024;
+
+class FileOps {
+    /**
+     * Move a file, copying it when the destination is on another device
+     * Missing parent directories are created.
+     *
+     * @param {string} source - Absolute path of the file
+     * @param {string} destination - Absolute path to move it to (must not exist)
+     * @returns {Promise<string|undefined>} The topmost directory created for the destination, if any
+     */
+    async move(source, destination) {
+        const createdDirectory = await this.prepareDestination(destination);
+
+        try {
+            await fs.rename(source, destination);
+        } catch (error) {
+            if (error.code !== 'EXDEV') throw error;
+
+            await this.copy(source, destination);
+            await fs.unlink(source);
+        }
+
+        return createdDirectory;
+    }
+
+    /**
+     * Copy a file, keeping its access and modification times
+     * Missing parent directories are created.
+     *
+     * @param {string} source - Absolute path of the file
+     * @param {string} destination - Absolute path of the copy (must not exist)
+     * @returns {Promise<string|undefined>} The topmost directory created for the destination, if any
+     */
+    async copy(source, destination) {
+        const createdDirectory = await this.prepareDestination(destination);
+        await fs.copyFile(source, destination, fsSync.constants.COPYFILE_EXCL);
+
+        const stats = await fs.stat(source);
+        await fs.utimes(destination, stats.atime, stats.mtime);
+
+        return createdDirectory;
+    }
+
+    /**
+     * Remove a directory if it holds nothing but empty directories
+     *
+     * @param {string} directory - Absolute path
+     * @returns {Promise<boolean>} Whether it was removed (or was already gone)
+     */
+    async removeEmptyDirectories(directory) {
+        let entries;
+        try {
+            entries = await fs.readdir(directory, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return true;
+            throw error;
+        }
+
+        let empty = true;
+        for (const entry of entries) {
+            if (!entry.isDirectory() || !await this.removeEmptyDirectories(path.join(directory, entry.name))) {
+                empty = false;
+            }
+        }
+
+        if (empty) {
+            await fs.rmdir(directory);
+        }
+        return empty;
+    }
+
+    /**
+     * Find a free path for a file, adding a counter when it is taken:
+     * `name (2).ext`, `name (3).ext`...
+     *
+     * @param {string} destination - Preferred absolute path
+     * @param {Set<string>} [reserved] - Paths already claimed by pending operations
+     * @returns {Promise<string>} destination itself if free, else the first free variant
+     */
+    async freePath(destination, reserved = new Set()) {
+        const extension = path.extname(destination);
+        const stem = destination.slice(0, destination.length - extension.length);
+
+        let candidate = destination;
+        for (let counter = 2; reserved.has(candidate) || await this.exists(candidate); counter++) {
+            candidate = `${stem} (${counter})${extension}`;
+        }
+
+        return candidate;
+    }
+
+    /**
+     * Compare two files byte by byte
+     *
+     * @param {string} a - Absolute path of the first file
+     * @param {string} b - Absolute path of the second file
+     * @returns {Promise<boolean>} Whether both have exactly the same content
+     */
+    async sameContent(a, b) {
+        const [statsA, statsB] = await Promise.all([fs.stat(a), fs.stat(b)]);
+        if (statsA.size !== statsB.size) return false;
+
+        const [handleA, handleB] = await Promise.all([fs.open(a, 'r'), fs.open(b, 'r')]);
+        const bufferA = Buffer.alloc(COMPARE_CHUNK_SIZE);
+        const bufferB = Buffer.alloc(COMPARE_CHUNK_SIZE);
+
+        try {
+            for (let position = 0; position < statsA.size; position += COMPARE_CHUNK_SIZE) {
+                const [readA, readB] = await Promise.all([
+                    handleA.read(bufferA, 0, COMPARE_CHUNK_SIZE, position),
+                    handleB.read(bufferB, 0, COMPARE_CHUNK_SIZE, position)
+                ]);
+
+                if (readA.bytesRead !== readB.bytesRead ||
+                    !bufferA.subarray(0, readA.bytesRead).equals(bufferB.subarray(0, readB.bytesRead))) {
+                    return false;
+                }
+                if (readA.bytesRead === 0) break;
+            }
+            return true;
+        } finally {
+            await Promise.all([handleA.close(), handleB.close()]);
+        }
+    }
+
+    /**
+     * Check whether anything, including a dangling symlink, exists at a path
+     *
+     * @param {string} filePath - Absolute path
+     * @returns {Promise<boolean>}
+     */
+    async exists(filePath) {
+        try {
+            await fs.lstat(filePath);
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+
+    /**
+     * Create the parent directory of a destination and make sure it is free
+     * (fs.rename would silently replace an existing file)
+     * Returns the topmost directory created, if any.
+     * @private
+     */
+    async prepareDestination(destination) {
+        if (await this.exists(destination)) {
+            throw new Error(`${destination} already exists`);
+        }
+        return fs.mkdir(path.dirname(destination), { recursive: true });
+    }
+}
+
+module.exports = new FileOps();
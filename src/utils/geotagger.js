@@ -0,0 +1,302 @@
+/**
+ * Geotagger
+ * Infers where photos without GPS data were taken from GPS tracks (GPX)
+ * recorded at the same time, e.g. by a phone
+ *
+ *   "geotagging": {
+ *     "timezone": "Europe/Lisbon",
+ *     "clockOffset": 0,
+ *     "maxInterpolation": 1800000,
+ *     "maxExtrapolation": 1800000,
+ *     "exiftoolPath": "exiftool"
+ *   }
+ *
+ * Cameras record when a photo was taken as a wall-clock time without a
+ * time zone, which is read in the local time zone of the machine that
+ * analyzed it. When the camera clock was set to another zone, `timezone`
+ * (an IANA name such as 'Europe/Lisbon', or an offset such as '+02:00')
+ * says which. `clockOffset` (ms) is then added to correct a camera clock
+ * that was slow (positive) or fast (negative). Track times are UTC.
+ *
+ * A photo taken between two track points at most `maxInterpolation` ms
+ * apart is placed between them on the great circle, in proportion to the
+ * time. Otherwise it takes the nearest track point, if that is at most
+ * `maxExtrapolation` ms away.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const gpsUtils = require('./gps');
+
+const execFileAsync = promisify(execFile);
+
+const MINUTE = 60 * 1000;
+
+class Geotagger {
+    /**
+     * @param {Object} [options] - The `geotagging` section of config
+     * @param {string} [options.timezone] - Time zone of the camera clock (default: local time)
+     * @param {number} [options.clockOffset=0] - Added to photo times, in ms
+     * @param {number} [options.maxInterpolation=30min] - Longest gap between track points to interpolate across, in ms
+     * @param {number} [options.maxExtrapolation=30min] - Furthest a photo may be from the nearest track point, in ms
+     * @param {string} [options.exiftoolPath='exiftool'] - exiftool binary used by writeExif()
+     * @throws {Error} If the time zone is unknown
+     */
+    constructor(options = {}) {
+        this.timezone = options.timezone || null;
+        this.clockOffset = options.clockOffset || 0;
+        this.maxInterpolation = options.maxInterpolation ?? 30 * MINUTE;
+        this.maxExtrapolation = options.maxExtrapolation ?? 30 * MINUTE;
+        this.exiftoolPath = options.exiftoolPath || 'exiftool';
+
+        if (this.timezone) {
+            try {
+                getZoneOffset(this.timezone, Date.now());
+            } catch (error) {
+                throw new Error(`Unknown time zone: ${this.timezone} (use e.g. Europe/Lisbon or +02:00)`);
+            }
+        }
+
+        this.points = [];
+    }
+
+    /**
+     * Read the track points of GPX files; points without a time are skipped
+     *
+     * @param {string[]} files - GPX files
+     * @returns {Promise<number>} Number of track points
+     * @throws {Error} If a file cannot be read or no file has timed track points
+     */
+    async loadTracks(files) {
+        for (const file of files) {
+            const xml = await fs.readFile(file, 'utf8');
+            this.points.push(...parseGPX(xml, path.basename(file)));
+        }
+
+        if (this.points.length === 0) {
+            throw new Error(`No track points with a time in ${files.join(', ')}`);
+        }
+
+        this.points.sort((a, b) => a.time - b.time);
+        return this.points.length;
+    }
+
+    /**
+     * When a photo was taken, corrected for the camera time zone and clock offset
+     *
+     * @param {Object} file - Analyzed image
+     * @returns {number|null} Milliseconds since the epoch, null if the photo has no EXIF date
+     */
+    getPhotoTime(file) {
+        const value = file.metadata?.image?.exif?.dateTime;
+        if (!value) return null;
+
+        const date = new Date(value);
+        if (isNaN(date.getTime())) return null;
+
+        let time = date.getTime();
+        if (this.timezone) {
+            // Read the camera's wall-clock time again in its own time zone
+            const wallClock = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(),
+                date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds());
+            time = wallClock - getZoneOffset(this.timezone, wallClock);
+            time = wallClock - getZoneOffset(this.timezone, time);
+        }
+
+        return time + this.clockOffset;
+    }
+
+    /**
+     * Find where the track was at a time
+     *
+     * @param {number} time - Milliseconds since the epoch
+     * @returns {Object|null} `{latitude, longitude, altitude, track, interpolated, gap}`, gap
+     *   being the time to the nearest track point in ms; null if the track is too far in time
+     *
+     * @example
+     * geotagger.locate(Date.parse('2024-05-10T14:32:10Z'));
+     * // { latitude: 41.1413, longitude: -8.6110, altitude: 82, track: 'porto.gpx', interpolated: true, gap: 4000 }
+     */
+    locate(time) {
+        const points = this.points;
+        if (points.length === 0) return null;
+
+        // First point at or after the time
+        let low = 0;
+        let high = points.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (points[mid].time < time) low = mid + 1;
+            else high = mid;
+        }
+
+        const after = points[low];
+        const before = points[low - 1];
+
+        if (after && before && after.time - before.time <= this.maxInterpolation) {
+            const fraction = (time - before.time) / (after.time - before.time);
+            const location = gpsUtils.calculateIntermediatePoint(
+                before.latitude, before.longitude, after.latitude, after.longitude, fraction
+            );
+            const altitude = before.altitude !== null && after.altitude !== null
+                ? before.altitude + (after.altitude - before.altitude) * fraction
+                : before.altitude ?? after.altitude;
+
+            return {
+                ...location,
+                altitude,
+                track: before.track,
+                interpolated: true,
+                gap: Math.min(time - before.time, after.time - time)
+            };
+        }
+
+        const nearest = [before, after]
+            .filter(Boolean)
+            .sort((a, b) => Math.abs(a.time - time) - Math.abs(b.time - time))[0];
+        const gap = Math.abs(nearest.time - time);
+        if (gap > this.maxExtrapolation) return null;
+
+        return {
+            latitude: nearest.latitude,
+            longitude: nearest.longitude,
+            altitude: nearest.altitude,
+            track: nearest.track,
+            interpolated: false,
+            gap
+        };
+    }
+
+    /**
+     * Store an inferred location as the GPS data of a photo (image.exif.gps),
+     * marked `derived` with the track it came from
+     *
+     * @param {Object} file - Analyzed image
+     * @param {Object} location - Result of locate()
+     * @returns {Object} The file
+     */
+    apply(file, location) {
+        file.metadata.image.exif.gps = {
+            ...gpsUtils.createExifGPS(location.latitude, location.longitude, location.altitude ?? undefined),
+            derived: true,
+            derivedFrom: location.track,
+            trackGap: Math.round(location.gap / 1000)
+        };
+        return file;
+    }
+
+    /**
+     * Write a location into the EXIF GPS tags of a photo with exiftool
+     * The file is modified in place.
+     *
+     * @param {string} filePath - Image file
+     * @param {Object} location - `{latitude, longitude, altitude}`
+     * @returns {Promise<void>}
+     * @throws {Error} If exiftool is missing or cannot write the file
+     */
+    async writeExif(filePath, location) {
+        const args = [
+            '-overwrite_original',
+            '-n',
+            `-GPSLatitude=${Math.abs(location.latitude)}`,
+            `-GPSLatitudeRef=${location.latitude >= 0 ? 'N' : 'S'}`,
+            `-GPSLongitude=${Math.abs(location.longitude)}`,
+            `-GPSLongitudeRef=${location.longitude >= 0 ? 'E' : 'W'}`
+        ];
+
+        if (typeof location.altitude === 'number') {
+            args.push(`-GPSAltitude=${Math.abs(location.altitude)}`, `-GPSAltitudeRef=${location.altitude >= 0 ? 0 : 1}`);
+        }
+
+        await this.runExiftool([...args, filePath]);
+    }
+
+    /**
+     * Check that exiftool can be run, before writing any file
+     *
+     * @returns {Promise<string>} exiftool version
+     * @throws {Error} If exiftool is missing
+     */
+    async checkExiftool() {
+        const stdout = await this.runExiftool(['-ver']);
+        return stdout.trim();
+    }
+
+    /**
+     * Run exiftool with friendlier errors
+     * @private
+     */
+    async runExiftool(args) {
+        try {
+            const { stdout } = await execFileAsync(this.exiftoolPath, args);
+            return stdout;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`exiftool not found (${this.exiftoolPath}); install it or set geotagging.exiftoolPath`);
+            }
+            throw new Error(`exiftool failed: ${(error.stderr || error.message).trim()}`);
+        }
+    }
+}
+
+/**
+ * Timed track points of a GPX document
+ */
+function parseGPX(xml, track) {
+    const points = [];
+    const pattern = /<(?:\w+:)?trkpt\b([^>]*)>([\s\S]*?)<\/(?:\w+:)?trkpt>/g;
+
+    for (const [, attributes, body] of xml.matchAll(pattern)) {
+        const latitude = parseFloat(getAttribute(attributes, 'lat'));
+        const longitude = parseFloat(getAttribute(attributes, 'lon'));
+        const time = Date.parse(getElement(body, 'time'));
+        const altitude = parseFloat(getElement(body, 'ele'));
+
+        if (!gpsUtils.isValidCoordinate({ latitude, longitude }) || isNaN(time)) continue;
+
+        points.push({ latitude, longitude, altitude: isNaN(altitude) ? null : altitude, time, track });
+    }
+
+    return points;
+}
+
+function getAttribute(attributes, name) {
+    const match = new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`).exec(attributes);
+    return match ? match[1] : null;
+}
+
+function getElement(body, name) {
+    const match = new RegExp(`<(?:\\w+:)?${name}>([^<]*)<`).exec(body);
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * Offset of a time zone from UTC at a moment, in ms
+ * Accepts IANA names and fixed offsets ('+02:00', '-0530', 'UTC+1')
+ */
+function getZoneOffset(timezone, time) {
+    const fixed = /^(?:UTC|GMT)?\s*([+-])(\d{1,2})(?::?(\d{2}))?$/i.exec(timezone.trim());
+    if (fixed) {
+        const minutes = parseInt(fixed[2], 10) * 60 + parseInt(fixed[3] || '0', 10);
+        return (fixed[1] === '-' ? -1 : 1) * minutes * MINUTE;
+    }
+
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(new Date(time));
+    const value = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+
+    const wallClock = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+    return wallClock - Math.floor(time / 1000) * 1000;
+}
+
+module.exports = Geotagger;
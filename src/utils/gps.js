@@ -518,12 +518,128 @@ class GPSUtil {
 
         const { north, south, east, west } = boundingBox;
 
-        return (
-            latitude >= south &&
-            latitude <= north &&
-            longitude >= west &&
-            longitude <= east
-        );
+        // A box crossing the antimeridian has its west edge east of its east edge
+        const withinLongitude = west <= east
+            ? longitude >= west && longitude <= east
+            : longitude >= west || longitude <= east;
+
+        return latitude >= south && latitude <= north && withinLongitude;
+    }
+
+    /**
+     * Parse a bounding box given as "west,south,east,north" (GeoJSON bbox order)
+     * @param {string} value - Four decimal degrees, e.g. "-122.52,37.70,-122.35,37.83"
+     * @returns {Object} Bounding box with north, south, east, west bounds
+     * @throws {Error} If the box is malformed or its coordinates are invalid
+     */
+    parseBoundingBox(value) {
+        const parts = String(value).split(',').map(part => part.trim());
+        if (parts.length !== 4 || parts.some(part => part === '' || isNaN(Number(part)))) {
+            throw new Error(`Invalid bounding box: ${value} (use west,south,east,north in decimal degrees)`);
+        }
+
+        const [west, south, east, north] = parts.map(Number);
+        if (!validateCoordinates(south, west) || !validateCoordinates(north, east) || south > north) {
+            throw new Error(`Invalid bounding box: ${value} (use west,south,east,north in decimal degrees)`);
+        }
+
+        return { north, south, east, west };
+    }
+
+    /**
+     * Parse a distance such as "5km", "500m", "3mi" or "2.5" (kilometers)
+     * @param {string|number} value - Distance with an optional unit
+     * @returns {number} Distance in kilometers
+     * @throws {Error} If the distance cannot be parsed or is not positive
+     */
+    parseDistance(value) {
+        const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(km|m|mi)?$/);
+        if (!match || Number(match[1]) <= 0) {
+            throw new Error(`Invalid distance: ${value} (use e.g. 5km, 500m or 3mi)`);
+        }
+
+        const factors = { km: 1, m: 0.001, mi: 1.609344 };
+        return Number(match[1]) * factors[match[2] || 'km'];
+    }
+
+    /**
+     * Parse an ISO 6709 location string, as written by phones and cameras in
+     * video and audio metadata (e.g. "+37.7749-122.4194+012.300/")
+     * @param {string} value - ISO 6709 string in decimal degrees
+     * @returns {Object|null} Object with latitude, longitude and altitude (or null), or null if not parseable
+     */
+    parseISO6709(value) {
+        const match = typeof value === 'string' &&
+            value.trim().match(/^([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)?(?:CRS[^/]*)?\/?$/);
+        if (!match) return null;
+
+        const latitude = parseFloat(match[1]);
+        const longitude = parseFloat(match[2]);
+        if (!validateCoordinates(latitude, longitude)) return null;
+
+        return { latitude, longitude, altitude: match[3] ? parseFloat(match[3]) : null };
+    }
+
+    /**
+     * Build the GPS data stored for a geotagged photo (image.exif.gps):
+     * the coordinates in decimal and DMS form, formatted strings, map links
+     * and a GeoJSON point
+     * @param {number} latitude - Latitude in decimal format
+     * @param {number} longitude - Longitude in decimal format
+     * @param {number} [altitude] - Altitude in meters
+     * @returns {Object} GPS data
+     * @throws {Error} If coordinates are invalid
+     */
+    createExifGPS(latitude, longitude, altitude) {
+        return {
+            // Decimal coordinates
+            latitude,
+            longitude,
+            altitude,
+
+            // DMS format
+            latitudeDMS: this.decimalToDMS(latitude, latitude >= 0 ? 'N' : 'S'),
+            longitudeDMS: this.decimalToDMS(longitude, longitude >= 0 ? 'E' : 'W'),
+
+            // Formatted strings
+            formatted: this.formatCoordinates(latitude, longitude, { format: 'DMS' }),
+            formattedDecimal: this.formatCoordinates(latitude, longitude, { format: 'decimal' }),
+
+            // Links and utilities
+            googleMapsLink: this.generateGoogleMapsLink(latitude, longitude),
+            openStreetMapLink: this.generateOpenStreetMapLink(latitude, longitude),
+
+            // GeoJSON point
+            geoJSON: this.toGeoJSON(latitude, longitude)
+        };
+    }
+
+    /**
+     * Get the location of an analyzed file from its metadata
+     * Looks at image EXIF GPS data, then video and audio GPS data.
+     * @param {Object} file - File object with metadata
+     * @returns {Object|null} Object with latitude, longitude and altitude (or null), or null if the file has no location
+     */
+    getFileCoordinates(file) {
+        const metadata = file?.metadata || {};
+        const gps = metadata.image?.exif?.gps || metadata.video?.gps || metadata.audio?.gps;
+
+        if (!gps || !validateCoordinates(gps.latitude, gps.longitude)) {
+            return null;
+        }
+
+        return { latitude: gps.latitude, longitude: gps.longitude, altitude: gps.altitude ?? null };
+    }
+
+    /**
+     * Get the place of an analyzed file, as stored next to its GPS data by
+     * the reverse geocoder (see utils/reverseGeocoder.js)
+     * @param {Object} file - File object with metadata
+     * @returns {Object|null} Object with city, region, country, countryCode and distance, or null
+     */
+    getFilePlace(file) {
+        const metadata = file?.metadata || {};
+        return metadata.image?.exif?.place || metadata.video?.place || metadata.audio?.place || null;
     }
 
     /**
@@ -582,6 +698,86 @@ class GPSUtil {
             longitude: toDeg(lonMid)
         };
     }
+
+    /**
+     * Calculate the point a fraction of the way from one coordinate to another
+     * along the great circle between them (a fraction of 0.5 gives the midpoint)
+     * @param {number} lat1 - Latitude of first point
+     * @param {number} lon1 - Longitude of first point
+     * @param {number} lat2 - Latitude of second point
+     * @param {number} lon2 - Longitude of second point
+     * @param {number} fraction - 0 for the first point, 1 for the second
+     * @returns {Object} Intermediate point with latitude and longitude
+     * @throws {Error} If coordinates are invalid
+     */
+    calculateIntermediatePoint(lat1, lon1, lat2, lon2, fraction) {
+        if (!validateCoordinates(lat1, lon1) || !validateCoordinates(lat2, lon2)) {
+            throw new Error('Invalid coordinates: latitude must be -90 to 90, longitude must be -180 to 180');
+        }
+
+        const toRad = (deg) => (deg * Math.PI) / 180;
+        const toDeg = (rad) => (rad * 180) / Math.PI;
+
+        const lat1Rad = toRad(lat1);
+        const lon1Rad = toRad(lon1);
+        const lat2Rad = toRad(lat2);
+        const lon2Rad = toRad(lon2);
+
+        // Angular distance between the points
+        const delta = 2 * Math.asin(Math.sqrt(
+            Math.sin((lat2Rad - lat1Rad) / 2) ** 2 +
+            Math.cos(lat1Rad) * Math.cos(lat2Rad) * Math.sin((lon2Rad - lon1Rad) / 2) ** 2
+        ));
+
+        if (delta === 0) {
+            return { latitude: lat1, longitude: lon1 };
+        }
+
+        const a = Math.sin((1 - fraction) * delta) / Math.sin(delta);
+        const b = Math.sin(fraction * delta) / Math.sin(delta);
+
+        const x = a * Math.cos(lat1Rad) * Math.cos(lon1Rad) + b * Math.cos(lat2Rad) * Math.cos(lon2Rad);
+        const y = a * Math.cos(lat1Rad) * Math.sin(lon1Rad) + b * Math.cos(lat2Rad) * Math.sin(lon2Rad);
+        const z = a * Math.sin(lat1Rad) + b * Math.sin(lat2Rad);
+
+        return {
+            latitude: toDeg(Math.atan2(z, Math.sqrt(x * x + y * y))),
+            longitude: toDeg(Math.atan2(y, x))
+        };
+    }
+
+    /**
+     * Calculate the centroid of several coordinates
+     * Points are averaged on the sphere, so groups spanning the antimeridian
+     * are centered correctly.
+     * @param {Array<{latitude: number, longitude: number}>} points - Coordinates
+     * @returns {Object|null} Centroid with latitude and longitude, or null if there are no valid points
+     */
+    calculateCentroid(points) {
+        const toRad = (deg) => (deg * Math.PI) / 180;
+        const toDeg = (rad) => (rad * 180) / Math.PI;
+
+        let x = 0;
+        let y = 0;
+        let z = 0;
+        let count = 0;
+
+        for (const { latitude, longitude } of points) {
+            if (!validateCoordinates(latitude, longitude)) continue;
+
+            x += Math.cos(toRad(latitude)) * Math.cos(toRad(longitude));
+            y += Math.cos(toRad(latitude)) * Math.sin(toRad(longitude));
+            z += Math.sin(toRad(latitude));
+            count++;
+        }
+
+        if (count === 0) return null;
+
+        return {
+            latitude: toDeg(Math.atan2(z, Math.sqrt(x * x + y * y))),
+            longitude: toDeg(Math.atan2(y, x))
+        };
+    }
 }
 
 module.exports = new GPSUtil();
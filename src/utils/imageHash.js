@@ -0,0 +1,176 @@
+/**
+ * Image Hash Utility
+ * Computes 64-bit perceptual hashes of images and compares them
+ *
+ * Three hashes are computed from a greyscale version of the image, each
+ * stored as 16 hex characters (bit 63 first):
+ *
+ *   averageHash     - aHash: 8x8 pixels, set where brighter than the mean
+ *   differenceHash  - dHash: 9x8 pixels, set where brighter than the right neighbour
+ *   perceptualHash  - pHash: 8x8 lowest frequencies of the DCT of 32x32 pixels,
+ *                     set where above the median
+ *
+ * Similar images have hashes a small Hamming distance apart. pHash is the
+ * most robust to resizing, re-encoding and small edits; dHash is the best at
+ * telling apart shots of a burst; aHash is the cheapest and the loosest.
+ *
+ * @see http://www.hackerfactor.com/blog/index.php?/archives/432-Looks-Like-It.html
+ * @see https://www.hackerfactor.com/blog/index.php?/archives/529-Kind-of-Like-That.html
+ */
+
+const sharp = require('sharp');
+
+// Size the image is decoded to once before the three hashes are computed
+const WORKING_SIZE = 256;
+
+const DCT_SIZE = 32;
+const DCT_KEPT = 8;
+
+// DCT_COSINES[u][x] = cos((2x + 1) * u * PI / (2 * DCT_SIZE)) for the kept frequencies
+const DCT_COSINES = Array.from({ length: DCT_KEPT }, (_, u) =>
+    Array.from({ length: DCT_SIZE }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * DCT_SIZE)))
+);
+
+// Number of set bits of each hex digit
+const BIT_COUNTS = Array.from({ length: 16 }, (_, n) => n.toString(2).replace(/0/g, '').length);
+
+class ImageHash {
+    /**
+     * Compute the aHash, dHash and pHash of an image
+     * The image is auto-rotated from its EXIF orientation and flattened onto white.
+     *
+     * @param {string|Buffer} input - Image path or contents
+     * @returns {Promise<{averageHash: string, differenceHash: string, perceptualHash: string}>}
+     *   16 hex characters each
+     *
+     * @example
+     * const hashes = await imageHash.compute('/photos/IMG_001.jpg');
+     * // { averageHash: 'ffc3c3810000e7ff', differenceHash: '...', perceptualHash: '...' }
+     */
+    async compute(input) {
+        const { data, info } = await sharp(input)
+            .rotate()
+            .flatten({ background: '#ffffff' })
+            .greyscale()
+            .resize(WORKING_SIZE, WORKING_SIZE, { fit: 'inside', withoutEnlargement: true })
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+
+        const grey = { raw: { width: info.width, height: info.height, channels: info.channels } };
+        const [average, difference, dct] = await Promise.all([
+            this.pixels(data, grey, 8, 8),
+            this.pixels(data, grey, 9, 8),
+            this.pixels(data, grey, DCT_SIZE, DCT_SIZE)
+        ]);
+
+        return {
+            averageHash: this.averageHash(average),
+            differenceHash: this.differenceHash(difference),
+            perceptualHash: this.perceptualHash(dct)
+        };
+    }
+
+    /**
+     * aHash of 8x8 greyscale pixels
+     *
+     * @param {Uint8Array} pixels - 64 values, row by row
+     * @returns {string} 16 hex characters
+     */
+    averageHash(pixels) {
+        const mean = pixels.reduce((sum, value) => sum + value, 0) / pixels.length;
+        return this.toHex(Array.from(pixels, value => value > mean));
+    }
+
+    /**
+     * dHash of 9x8 greyscale pixels
+     *
+     * @param {Uint8Array} pixels - 72 values, row by row (9 per row)
+     * @returns {string} 16 hex characters
+     */
+    differenceHash(pixels) {
+        const bits = [];
+        for (let y = 0; y < 8; y++) {
+            for (let x = 0; x < 8; x++) {
+                bits.push(pixels[y * 9 + x] > pixels[y * 9 + x + 1]);
+            }
+        }
+        return this.toHex(bits);
+    }
+
+    /**
+     * pHash of 32x32 greyscale pixels
+     * The DC coefficient (overall brightness) is left out of the median.
+     *
+     * @param {Uint8Array} pixels - 1024 values, row by row
+     * @returns {string} 16 hex characters
+     */
+    perceptualHash(pixels) {
+        const coefficients = [];
+        for (let v = 0; v < DCT_KEPT; v++) {
+            for (let u = 0; u < DCT_KEPT; u++) {
+                let sum = 0;
+                for (let y = 0; y < DCT_SIZE; y++) {
+                    const row = y * DCT_SIZE;
+                    const cosY = DCT_COSINES[v][y];
+                    for (let x = 0; x < DCT_SIZE; x++) {
+                        sum += pixels[row + x] * DCT_COSINES[u][x] * cosY;
+                    }
+                }
+                coefficients.push(sum);
+            }
+        }
+
+        const sorted = coefficients.slice(1).sort((a, b) => a - b);
+        const median = (sorted[31] + sorted[32]) / 2;
+
+        return this.toHex(coefficients.map(value => value > median));
+    }
+
+    /**
+     * Hamming distance between two hex hashes
+     *
+     * @param {string} hash1 - Hex hash
+     * @param {string} hash2 - Hex hash of the same length
+     * @returns {number} Number of differing bits, Infinity if either is missing or the lengths differ
+     */
+    distance(hash1, hash2) {
+        if (!hash1 || !hash2 || hash1.length !== hash2.length) return Infinity;
+
+        let distance = 0;
+        for (let i = 0; i < hash1.length; i++) {
+            distance += BIT_COUNTS[parseInt(hash1[i], 16) ^ parseInt(hash2[i], 16)];
+        }
+        return distance;
+    }
+
+    /**
+     * Convert bits to hex, four at a time so no precision is lost
+     *
+     * @param {boolean[]} bits - Most significant first; length a multiple of 4
+     * @returns {string}
+     */
+    toHex(bits) {
+        let hex = '';
+        for (let i = 0; i < bits.length; i += 4) {
+            const nibble = (bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3];
+            hex += nibble.toString(16);
+        }
+        return hex;
+    }
+
+    /**
+     * Resize decoded greyscale pixels, keeping one channel
+     * @private
+     */
+    async pixels(data, input, width, height) {
+        const { data: resized, info } = await sharp(data, input)
+            .resize(width, height, { fit: 'fill' })
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+
+        if (info.channels === 1) return resized;
+        return Uint8Array.from({ length: width * height }, (_, i) => resized[i * info.channels]);
+    }
+}
+
+module.exports = new ImageHash();
@@ -0,0 +1,94 @@
+/**
+ * k-d Tree
+ * Index of points in k dimensions, answering "which point is nearest to
+ * this one" without comparing against all of them
+ *
+ * The tree is built once, balanced: each node splits its points at the
+ * median along one axis, cycling through the axes level by level. A search
+ * walks down to the query's cell and then only visits the far side of a
+ * split when the splitting plane is closer than the best match so far.
+ * Used by ReverseGeocoder to find the city nearest to a location.
+ *
+ * @see https://en.wikipedia.org/wiki/K-d_tree
+ */
+
+class KDTree {
+    /**
+     * @param {Array<{point: number[], value: *}>} entries - Points (all of the same dimension) and their values
+     *
+     * @example
+     * const tree = new KDTree(cities.map(city => ({ point: toVector(city), value: city })));
+     * const { value, distance } = tree.nearest(toVector(location));
+     */
+    constructor(entries) {
+        this.size = entries.length;
+        this.dimensions = entries.length > 0 ? entries[0].point.length : 0;
+        this.root = this.build(entries.slice(), 0);
+    }
+
+    /**
+     * Build the subtree of some entries
+     * @private
+     */
+    build(entries, depth) {
+        if (entries.length === 0) return null;
+
+        const axis = depth % this.dimensions;
+        entries.sort((a, b) => a.point[axis] - b.point[axis]);
+        const median = entries.length >> 1;
+
+        return {
+            point: entries[median].point,
+            value: entries[median].value,
+            axis,
+            left: this.build(entries.slice(0, median), depth + 1),
+            right: this.build(entries.slice(median + 1), depth + 1)
+        };
+    }
+
+    /**
+     * Find the entry nearest to a point
+     *
+     * @param {number[]} point - Point of the tree's dimension
+     * @returns {{point: number[], value: *, distance: number}|null} Euclidean distance; null if the tree is empty
+     */
+    nearest(point) {
+        let best = null;
+        let bestDistance = Infinity;
+
+        const visit = (node) => {
+            if (!node) return;
+
+            const distance = squaredDistance(point, node.point);
+            if (distance < bestDistance) {
+                best = node;
+                bestDistance = distance;
+            }
+
+            const offset = point[node.axis] - node.point[node.axis];
+            const [near, far] = offset < 0 ? [node.left, node.right] : [node.right, node.left];
+
+            visit(near);
+            if (offset * offset < bestDistance) {
+                visit(far);
+            }
+        };
+
+        visit(this.root);
+
+        return best ? { point: best.point, value: best.value, distance: Math.sqrt(bestDistance) } : null;
+    }
+}
+
+/**
+ * Squared Euclidean distance between two points
+ */
+function squaredDistance(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        sum += (a[i] - b[i]) ** 2;
+    }
+    return sum;
+}
+
+module.exports = KDTree;
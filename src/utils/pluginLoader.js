@@ -0,0 +1,109 @@
+/**
+ * Plugin Loader
+ * Loads third-party processors from npm packages or local files
+ *
+ * Plugins are listed under `plugins` in config.json, either as a module
+ * specifier or as an object with options:
+ *
+ *   "plugins": [
+ *     "fmao-hdf5",
+ *     { "module": "./plugins/cad.js", "priority": 10, "config": { "timeout": 30000 } }
+ *   ]
+ *
+ * A plugin module exports a BaseProcessor subclass, or an object with a
+ * `processors` array of them. Local paths are resolved relative to the
+ * directory holding config.json; anything else is resolved as a package.
+ * A plugin that fails to load is reported and skipped.
+ */
+
+const path = require('path');
+const logger = require('./logger');
+
+class PluginLoader {
+    /**
+     * Load every enabled plugin listed in config
+     *
+     * @param {Array<string|Object>} specs - Entries of the `plugins` config list
+     * @param {Object} [options]
+     * @param {string} [options.baseDir] - Directory local paths are relative to
+     * @param {Object} [options.defaults] - Config every plugin processor starts from (e.g. timeout)
+     * @returns {{processors: BaseProcessor[], failures: {module: string, error: string}[]}}
+     *
+     * @example
+     * const { processors } = pluginLoader.load(config.plugins, { baseDir: __dirname });
+     */
+    load(specs = [], options = {}) {
+        const { baseDir = process.cwd(), defaults = {} } = options;
+        const processors = [];
+        const failures = [];
+
+        for (const spec of specs) {
+            const entry = typeof spec === 'string' ? { module: spec } : spec;
+
+            if (!entry || !entry.module || entry.enabled === false) {
+                continue;
+            }
+
+            try {
+                const modulePath = this.resolve(entry.module, baseDir);
+                const classes = this.getProcessorClasses(require(modulePath));
+
+                if (classes.length === 0) {
+                    throw new Error('Module does not export a processor class');
+                }
+
+                for (const ProcessorClass of classes) {
+                    const processorConfig = { ...defaults, ...entry.config };
+                    if (entry.priority !== undefined) {
+                        processorConfig.priority = entry.priority;
+                    }
+
+                    const processor = new ProcessorClass(processorConfig);
+                    processor.modulePath = modulePath;
+                    processor.source = entry.module;
+                    processors.push(processor);
+                }
+
+                logger.info(`Loaded plugin ${entry.module}`, { processors: classes.map(c => c.name) });
+            } catch (error) {
+                // Resolution errors append the require stack; the first line says it all
+                const message = error.message.split('\n')[0];
+                logger.error(`Failed to load plugin ${entry.module}: ${message}`);
+                failures.push({ module: entry.module, error: message });
+            }
+        }
+
+        return { processors, failures };
+    }
+
+    /**
+     * Resolve a plugin specifier to an absolute module path
+     */
+    resolve(specifier, baseDir) {
+        if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+            return require.resolve(path.resolve(baseDir, specifier));
+        }
+
+        return require.resolve(specifier, { paths: [baseDir, process.cwd()] });
+    }
+
+    /**
+     * Get the processor classes a plugin module exports
+     * Accepts a class, `{ processors: [...] }`, or either under `default`
+     *
+     * @param {*} exported - The module's exports
+     * @returns {Function[]} Processor classes
+     */
+    getProcessorClasses(exported) {
+        const value = exported && exported.default ? exported.default : exported;
+        const candidates = Array.isArray(value?.processors) ? value.processors : [value];
+
+        return candidates.filter(candidate =>
+            typeof candidate === 'function' &&
+            typeof candidate.prototype?.canProcess === 'function' &&
+            typeof candidate.prototype?.process === 'function'
+        );
+    }
+}
+
+module.exports = new PluginLoader();
@@ -6,28 +6,57 @@
 class ProgressTracker {
     constructor() {
         this.total = 0;
+        this.totalFinal = true;
         this.current = 0;
         this.startTime = null;
         this.currentFile = null;
+        this.active = new Set();
         this.callbacks = [];
     }
 
     /**
      * Start tracking progress
+     * Pass no total when files are streamed in; grow() raises it as they are discovered
      */
-    start(total) {
-        this.total = total;
+    start(total = null) {
+        this.total = total || 0;
+        this.totalFinal = total !== null;
         this.current = 0;
+        this.active.clear();
         this.startTime = Date.now();
         this.emit('start', { total });
     }
 
+    /**
+     * Raise the total as more files are discovered
+     */
+    grow(count = 1) {
+        this.total += count;
+    }
+
+    /**
+     * Mark the total as final (discovery finished)
+     */
+    finalizeTotal() {
+        this.totalFinal = true;
+    }
+
+    /**
+     * Mark a file as in flight
+     * With parallel processing files finish out of order, so progress is
+     * counted on completion and in-flight files are tracked separately
+     */
+    begin(file) {
+        this.active.add(file);
+    }
+
     /**
      * Update progress
      */
     update(currentFile = null) {
-        this.current++;
+        this.current = Math.min(this.current + 1, this.total);
         this.currentFile = currentFile;
+        this.active.delete(currentFile);
 
         const percentage = (this.current / this.total) * 100;
         const elapsed = Date.now() - this.startTime;
@@ -37,10 +66,12 @@ class ProgressTracker {
         this.emit('progress', {
             current: this.current,
             total: this.total,
+            totalFinal: this.totalFinal,
             percentage: percentage.toFixed(2),
             elapsed,
             remaining,
-            currentFile
+            currentFile,
+            active: this.active.size
         });
     }
 
@@ -53,7 +84,7 @@ class ProgressTracker {
         this.emit('complete', {
             total: this.total,
             duration,
-            averageTime: duration / this.total
+            averageTime: this.total > 0 ? duration / this.total : 0
         });
     }
 
@@ -0,0 +1,221 @@
+/**
+ * Reverse Geocoder
+ * Maps coordinates to the nearest city, its admin region and country,
+ * offline, from GeoNames data files
+ *
+ *   "geocoding": {
+ *     "enabled": true,
+ *     "citiesFile": "./geonames/cities1000.txt",
+ *     "maxDistance": 100
+ *   }
+ *
+ * Without `citiesFile` the small dataset bundled in geonames/ is used: a
+ * few hundred major cities and well-known places. For finer results,
+ * download cities500.txt, cities1000.txt, cities5000.txt or
+ * cities15000.txt from https://download.geonames.org/export/dump/ along
+ * with admin1CodesASCII.txt and countryInfo.txt. The admin and country
+ * files are looked for next to the cities file unless `admin1File` or
+ * `countriesFile` say otherwise; country names fall back to the bundled
+ * list, regions are left out when there is no admin file.
+ *
+ * The region and country are those of the nearest city, which is close
+ * to, but not exactly, the ones the location lies in near borders.
+ * Locations further than `maxDistance` km from every city get no place.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const KDTree = require('./kdTree');
+const gpsUtils = require('./gps');
+const logger = require('./logger');
+
+const BUNDLED_DIR = path.join(__dirname, '..', '..', 'geonames');
+
+// Columns of the GeoNames cities files (geoname table)
+const NAME = 1;
+const LATITUDE = 4;
+const LONGITUDE = 5;
+const COUNTRY_CODE = 8;
+const ADMIN1_CODE = 10;
+
+class ReverseGeocoder {
+    /**
+     * @param {Object} [options] - The `geocoding` section of config
+     * @param {boolean} [options.enabled=true] - Whether apply() adds places
+     * @param {string} [options.citiesFile] - GeoNames cities file (default: the bundled dataset)
+     * @param {string} [options.admin1File] - GeoNames admin1CodesASCII.txt
+     * @param {string} [options.countriesFile] - GeoNames countryInfo.txt
+     * @param {number} [options.maxDistance=100] - Furthest a location may be from its city, in km
+     */
+    constructor(options = {}) {
+        this.enabled = options.enabled !== false;
+        this.maxDistance = options.maxDistance ?? 100;
+
+        const citiesFile = options.citiesFile ? path.resolve(options.citiesFile) : null;
+        const dataDir = citiesFile ? path.dirname(citiesFile) : BUNDLED_DIR;
+
+        this.citiesFile = citiesFile || path.join(BUNDLED_DIR, 'cities.txt');
+        this.admin1File = options.admin1File
+            ? path.resolve(options.admin1File)
+            : path.join(dataDir, 'admin1CodesASCII.txt');
+        this.countriesFile = options.countriesFile
+            ? path.resolve(options.countriesFile)
+            : path.join(dataDir, 'countryInfo.txt');
+
+        this.index = null;
+        this.loading = null;
+        this.failed = false;
+    }
+
+    /**
+     * Read the data files and build the spatial index (once)
+     *
+     * @returns {Promise<void>}
+     * @throws {Error} If the cities file cannot be read or has no cities
+     */
+    async load() {
+        if (!this.loading) {
+            this.loading = this.readDataset();
+        }
+        return this.loading;
+    }
+
+    /**
+     * Find the place of a location
+     *
+     * @param {number} latitude - Decimal latitude
+     * @param {number} longitude - Decimal longitude
+     * @returns {Promise<Object|null>} `{city, region, country, countryCode, distance}`, distance
+     *   to the city in km; null if no city is within maxDistance
+     *
+     * @example
+     * const place = await geocoder.reverse(38.7139, -9.1394);
+     * // { city: 'Lisbon', region: 'Lisbon', country: 'Portugal', countryCode: 'PT', distance: 0.6 }
+     */
+    async reverse(latitude, longitude) {
+        await this.load();
+
+        const nearest = this.index.nearest(toVector(latitude, longitude));
+        if (!nearest) return null;
+
+        const city = nearest.value;
+        const distance = gpsUtils.calculateDistance(latitude, longitude, city.latitude, city.longitude);
+        if (distance > this.maxDistance) return null;
+
+        return {
+            city: city.name,
+            region: city.region,
+            country: city.country,
+            countryCode: city.countryCode,
+            distance: Math.round(distance * 10) / 10
+        };
+    }
+
+    /**
+     * Store the place of a geotagged file next to its GPS data
+     * (image.exif.place, video.place or audio.place). A place that no longer
+     * applies is removed. If the data files cannot be read, the error is
+     * logged once and files are left as they are.
+     *
+     * @param {Object} fileInfo - Processed file
+     * @returns {Promise<Object>} The file
+     */
+    async apply(fileInfo) {
+        if (!this.enabled || this.failed) return fileInfo;
+
+        const location = gpsUtils.getFileCoordinates(fileInfo);
+        const metadata = fileInfo.metadata || {};
+        const section = [metadata.image?.exif, metadata.video, metadata.audio].find(s => s?.gps);
+        if (!location || !section) return fileInfo;
+
+        try {
+            const place = await this.reverse(location.latitude, location.longitude);
+            if (place) {
+                section.place = place;
+            } else {
+                delete section.place;
+            }
+        } catch (error) {
+            this.failed = true;
+            logger.error(`Reverse geocoding disabled: ${error.message}`);
+        }
+
+        return fileInfo;
+    }
+
+    /**
+     * Read the cities, admin regions and countries into the index
+     * @private
+     */
+    async readDataset() {
+        if (!fs.existsSync(this.citiesFile)) {
+            throw new Error(`Cities file not found: ${this.citiesFile}`);
+        }
+
+        const countries = new Map();
+        const regions = new Map();
+
+        // Country names: the configured file, else the bundled list
+        const countriesFile = fs.existsSync(this.countriesFile)
+            ? this.countriesFile
+            : path.join(BUNDLED_DIR, 'countryInfo.txt');
+        for await (const columns of readRows(countriesFile)) {
+            if (columns[0] && columns[4]) countries.set(columns[0], columns[4]);
+        }
+
+        if (fs.existsSync(this.admin1File)) {
+            for await (const columns of readRows(this.admin1File)) {
+                if (columns[0] && columns[1]) regions.set(columns[0], columns[1]);
+            }
+        }
+
+        const entries = [];
+        for await (const columns of readRows(this.citiesFile)) {
+            const latitude = parseFloat(columns[LATITUDE]);
+            const longitude = parseFloat(columns[LONGITUDE]);
+            if (!columns[NAME] || isNaN(latitude) || isNaN(longitude)) continue;
+
+            const countryCode = columns[COUNTRY_CODE] || null;
+            const city = {
+                name: columns[NAME],
+                latitude,
+                longitude,
+                region: regions.get(`${countryCode}.${columns[ADMIN1_CODE]}`) || null,
+                country: countries.get(countryCode) || countryCode,
+                countryCode
+            };
+            entries.push({ point: toVector(latitude, longitude), value: city });
+        }
+
+        if (entries.length === 0) {
+            throw new Error(`No cities in ${this.citiesFile}`);
+        }
+
+        this.index = new KDTree(entries);
+        logger.info(`Loaded ${entries.length} cities for reverse geocoding from ${this.citiesFile}`);
+    }
+}
+
+/**
+ * Point on the unit sphere; nearest by straight-line distance is nearest
+ * by great-circle distance, with no special case at the antimeridian
+ */
+function toVector(latitude, longitude) {
+    const lat = (latitude * Math.PI) / 180;
+    const lon = (longitude * Math.PI) / 180;
+    return [Math.cos(lat) * Math.cos(lon), Math.cos(lat) * Math.sin(lon), Math.sin(lat)];
+}
+
+/**
+ * Tab-separated rows of a GeoNames file, skipping comments and blank lines
+ */
+async function* readRows(file) {
+    const lines = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+
+    for await (const line of lines) {
+        if (line && !line.startsWith('#')) yield line.split('\t');
+    }
+}
+
+module.exports = ReverseGeocoder;
@@ -6,7 +6,7 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const { createReadStream } = require('fs');
+const { Readable } = require('stream');
 const mime = require('mime-types');
 const hashUtil = require('./hash');
 const logger = require('./logger');
@@ -20,9 +20,14 @@ class FileScanner {
             totalFiles: 0,
             newFiles: 0,
             modifiedFiles: 0,
+            reprocessedFiles: 0,
             unchangedFiles: 0,
+            deletedFiles: 0,
+            movedFiles: 0,
             errors: 0
         };
+        this.changes = { deleted: [], moved: [] };
+        this.fullHash = 'always';
     }
 
     /**
@@ -95,46 +100,114 @@ class FileScanner {
 
     /**
      * Scan directory recursively
+     * Collects every file into an array; prefer walk() for large trees
      */
     async scan(directory, config = {}) {
+        const files = [];
+
+        for await (const fileInfo of this.walk(directory, config)) {
+            files.push(fileInfo);
+        }
+
+        return {
+            files,
+            stats: this.stats
+        };
+    }
+
+    /**
+     * Walk directory recursively, yielding files that need processing as they are found
+     *
+     * Nothing is buffered beyond the directory being read, so memory stays
+     * bounded regardless of tree size. Consumers control the pace: the walk
+     * only advances when the next file is requested. Directory entries are
+     * visited in name order, so the walk order is stable between runs and a
+     * walk can resume after a given file.
+     *
+     * @param {string} directory - Root directory to walk
+     * @param {Object} [config] - Scanning configuration
+     * @param {number} [config.maxDepth=-1] - Maximum depth (-1 for unlimited)
+     * @param {boolean} [config.followSymlinks=false] - Follow symbolic links
+     * @param {boolean} [config.incrementalScanning=true] - Skip unchanged files
+     * @param {string} [config.fullHash='always'] - 'always' to compute md5 and sha256 of every
+     *   file, 'candidates' to store only a quick hash and leave full hashing to
+     *   QueryAPI.hashDuplicateCandidates()
+     * @param {Object} [config.resume] - Continue an interrupted walk
+     * @param {string} [config.resume.cursor] - Skip every file up to and including this path
+     * @param {Object} [config.resume.stats] - Statistics at the cursor
+     * @yields {Object} File information object
+     *
+     * @example
+     * for await (const fileInfo of scanner.walk('/photos')) {
+     *   await processor.process(fileInfo);
+     * }
+     */
+    async *walk(directory, config = {}) {
         const {
             maxDepth = -1,
             followSymlinks = false,
-            incrementalScanning = true
+            incrementalScanning = true,
+            fullHash = 'always',
+            resume = null
         } = config;
 
+        if (!['always', 'candidates'].includes(fullHash)) {
+            throw new Error(`Invalid scanning.fullHash: ${fullHash} (use always or candidates)`);
+        }
+        this.fullHash = fullHash;
+
         this.stats = {
             totalFiles: 0,
             newFiles: 0,
             modifiedFiles: 0,
+            reprocessedFiles: 0,
             unchangedFiles: 0,
+            deletedFiles: 0,
+            movedFiles: 0,
             errors: 0,
-            skippedSymlinks: 0
+            skippedSymlinks: 0,
+            ...resume?.stats
         };
+        this.changes = { deleted: [], moved: [] };
 
-        const files = [];
         // Track visited inodes to prevent circular symlink loops
         const visitedInodes = new Set();
-        await this.scanDirectory(directory, directory, files, 0, maxDepth, followSymlinks, incrementalScanning, visitedInodes);
+        const options = { maxDepth, followSymlinks, incrementalScanning, resumeAfter: resume?.cursor || null };
 
-        return {
-            files,
-            stats: this.stats
-        };
+        yield* this.walkDirectory(directory, directory, 0, options, visitedInodes);
     }
 
     /**
-     * Recursively scan a directory
+     * Walk directory as an object-mode Readable stream
+     * Reads ahead at most `highWaterMark` files, pausing the walk when the
+     * consumer falls behind
+     *
+     * @param {string} directory - Root directory to walk
+     * @param {Object} [config] - Scanning configuration (see walk())
+     * @param {number} [highWaterMark=256] - Maximum files buffered ahead of the consumer
+     * @returns {Readable} Stream of file information objects
      */
-    async scanDirectory(baseDir, currentDir, files, depth, maxDepth, followSymlinks, incrementalScanning, visitedInodes) {
+    stream(directory, config = {}, highWaterMark = 256) {
+        return Readable.from(this.walk(directory, config), { objectMode: true, highWaterMark });
+    }
+
+    /**
+     * Recursively walk a directory
+     */
+    async *walkDirectory(baseDir, currentDir, depth, options, visitedInodes) {
+        const { maxDepth, followSymlinks, incrementalScanning, resumeAfter } = options;
+
         if (maxDepth >= 0 && depth > maxDepth) {
             return;
         }
 
+        let entries;
+        let inodeKey;
+
         try {
             // Get real path stats to detect circular symlinks
             const stats = await fs.stat(currentDir);
-            const inodeKey = `${stats.dev}:${stats.ino}`;
+            inodeKey = `${stats.dev}:${stats.ino}`;
 
             // Check if we've already visited this inode (circular symlink detection)
             if (visitedInodes.has(inodeKey)) {
@@ -143,99 +216,95 @@ class FileScanner {
                 return;
             }
 
-            // Mark this inode as visited
-            visitedInodes.add(inodeKey);
-
-            const entries = await fs.readdir(currentDir, { withFileTypes: true });
-            const relativePath = path.relative(baseDir, currentDir);
-
             // Check if directory is ignored
+            const relativePath = path.relative(baseDir, currentDir);
             if (relativePath && this.ignoreManager && this.ignoreManager.ignores(relativePath)) {
-                // Remove from visited set since we're not actually processing it
-                visitedInodes.delete(inodeKey);
                 return;
             }
 
+            entries = await fs.readdir(currentDir, { withFileTypes: true });
+            entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+        } catch (error) {
+            logger.error(`Error scanning directory ${currentDir}`, error);
+            this.stats.errors++;
+            return;
+        }
+
+        // Mark this inode as visited
+        visitedInodes.add(inodeKey);
+
+        // When resuming inside this directory, the entry leading to the cursor;
+        // entries sorting before it were finished by the interrupted run
+        let resumeName = null;
+        const dirPrefix = currentDir.endsWith(path.sep) ? currentDir : currentDir + path.sep;
+        if (resumeAfter && resumeAfter.startsWith(dirPrefix)) {
+            resumeName = resumeAfter.slice(dirPrefix.length).split(path.sep)[0];
+        }
+
+        try {
             for (const entry of entries) {
                 const fullPath = path.join(currentDir, entry.name);
                 const relPath = path.relative(baseDir, fullPath);
 
+                if (resumeName !== null && (entry.name < resumeName || fullPath === resumeAfter)) {
+                    continue;
+                }
+
                 // Check if file/directory is ignored
                 if (this.ignoreManager && this.ignoreManager.ignores(relPath)) {
                     continue;
                 }
 
                 if (entry.isDirectory()) {
-                    await this.scanDirectory(
-                        baseDir,
-                        fullPath,
-                        files,
-                        depth + 1,
-                        maxDepth,
-                        followSymlinks,
-                        incrementalScanning,
-                        visitedInodes
-                    );
+                    yield* this.walkDirectory(baseDir, fullPath, depth + 1, options, visitedInodes);
                 } else if (entry.isSymbolicLink()) {
                     // Handle symlinks specially
-                    if (followSymlinks) {
-                        try {
-                            const linkStats = await fs.stat(fullPath);
-                            if (linkStats.isDirectory()) {
-                                // It's a symlink to a directory
-                                await this.scanDirectory(
-                                    baseDir,
-                                    fullPath,
-                                    files,
-                                    depth + 1,
-                                    maxDepth,
-                                    followSymlinks,
-                                    incrementalScanning,
-                                    visitedInodes
-                                );
-                            } else if (linkStats.isFile()) {
-                                // It's a symlink to a file
-                                const fileInfo = await this.processFile(baseDir, fullPath, incrementalScanning);
-                                if (fileInfo) {
-                                    files.push(fileInfo);
-                                }
-                            }
-                        } catch (error) {
-                            logger.warn(`Could not follow symlink ${fullPath}: ${error.message}`);
-                            this.stats.skippedSymlinks++;
+                    if (!followSymlinks) {
+                        continue;
+                    }
+
+                    let linkStats;
+                    try {
+                        linkStats = await fs.stat(fullPath);
+                    } catch (error) {
+                        logger.warn(`Could not follow symlink ${fullPath}: ${error.message}`);
+                        this.stats.skippedSymlinks++;
+                        continue;
+                    }
+
+                    if (linkStats.isDirectory()) {
+                        // It's a symlink to a directory
+                        yield* this.walkDirectory(baseDir, fullPath, depth + 1, options, visitedInodes);
+                    } else if (linkStats.isFile()) {
+                        // It's a symlink to a file
+                        const fileInfo = await this.processFile(baseDir, fullPath, incrementalScanning);
+                        if (fileInfo) {
+                            yield fileInfo;
                         }
                     }
                 } else if (entry.isFile()) {
                     const fileInfo = await this.processFile(baseDir, fullPath, incrementalScanning);
                     if (fileInfo) {
-                        files.push(fileInfo);
+                        yield fileInfo;
                     }
                 }
             }
-
+        } finally {
             // Remove from visited set after processing (allows visiting same dir in different branches)
             visitedInodes.delete(inodeKey);
-        } catch (error) {
-            logger.error(`Error scanning directory ${currentDir}`, error);
-            this.stats.errors++;
         }
     }
 
     /**
      * Process a single file
-     * Performs both extension-based and magic number-based MIME type detection
+     * Unchanged files are skipped before any content is read; magic number
+     * detection and hashing only run for files that need processing
      */
     async processFile(baseDir, filePath, incrementalScanning) {
         try {
             const stats = await fs.stat(filePath);
             this.stats.totalFiles++;
 
-            // Detect MIME type using both extension and magic numbers
-            const mimeDetection = await this.detectMimeType(filePath);
-
-            // Categorize file using detected MIME types
-            const category = await this.categorizeFile(filePath, mimeDetection);
-
             const fileInfo = {
                 path: filePath,
                 relativePath: path.relative(baseDir, filePath),
@@ -244,15 +313,12 @@ class FileScanner {
                 size: stats.size,
                 created: stats.birthtime.toISOString(),
                 modified: stats.mtime.toISOString(),
-                accessed: stats.atime.toISOString(),
-                mimeType: mimeDetection.fromMagicNumber || mimeDetection.fromExtension,
-                mimeDetection: mimeDetection,
-                category: category
+                accessed: stats.atime.toISOString()
             };
 
             // Check if file needs processing
+            const needsProcessing = await this.needsProcessing(fileInfo);
             if (incrementalScanning) {
-                const needsProcessing = await this.needsProcessing(fileInfo);
                 if (!needsProcessing) {
                     this.stats.unchangedFiles++;
                     return null; // Skip unchanged file
@@ -260,6 +326,8 @@ class FileScanner {
 
                 if (needsProcessing === 'modified') {
                     this.stats.modifiedFiles++;
+                } else if (needsProcessing === 'reprocess') {
+                    this.stats.reprocessedFiles++;
                 } else {
                     this.stats.newFiles++;
                 }
@@ -267,10 +335,24 @@ class FileScanner {
                 this.stats.newFiles++;
             }
 
-            // Calculate hash for change detection
+            // Change recorded in the scan history (null when only reprocessed)
+            fileInfo.scanChange = needsProcessing === 'new' ? 'added'
+                : needsProcessing === 'modified' ? 'modified' : null;
+
+            // Detect MIME type using both extension and magic numbers
+            const mimeDetection = await this.detectMimeType(filePath);
+
+            // Categorize file using detected MIME types
+            fileInfo.mimeType = mimeDetection.fromMagicNumber || mimeDetection.fromExtension;
+            fileInfo.mimeDetection = mimeDetection;
+            fileInfo.category = await this.categorizeFile(filePath, mimeDetection);
+
+            // Calculate hash for change detection; in candidates mode files
+            // sharing a size are fully hashed after the scan
             try {
-                const hashes = await hashUtil.multiHash(filePath, ['md5', 'sha256']);
-                fileInfo.hash = hashes;
+                fileInfo.hash = this.fullHash === 'candidates'
+                    ? { quick: await hashUtil.quickHash(filePath) }
+                    : await hashUtil.multiHash(filePath, ['md5', 'sha256']);
             } catch (error) {
                 logger.warn(`Could not hash file ${filePath}`, error);
             }
@@ -286,11 +368,15 @@ class FileScanner {
 
     /**
      * Determine if file needs processing
+     *
+     * @returns {Promise<string|false>} 'new', 'modified', 'reprocess' (unchanged,
+     *   but its stored metadata is incomplete) or false
      */
     async needsProcessing(fileInfo) {
         const existingFile = this.db.getFile(fileInfo.path);
 
-        if (!existingFile) {
+        // Files marked deleted by an earlier scan count as new when they reappear
+        if (!existingFile || existingFile.deleted_at || existingFile.deletedAt) {
             return 'new';
         }
 
@@ -299,9 +385,80 @@ class FileScanner {
             return 'modified';
         }
 
+        // Indexed before the full metadata was stored (see DatabaseManager.isMissingMetadata())
+        if (this.db.isMissingMetadata(fileInfo.path)) {
+            return 'reprocess';
+        }
+
         return false;
     }
 
+    /**
+     * Reconcile the database with what is on disk after a walk
+     *
+     * Every stored file under the root is checked against the filesystem.
+     * A missing file whose sha256 matches a file first indexed during this
+     * scan is recorded as a move (its tags, relationships and importance
+     * follow it); files without a sha256 are matched by size and quick hash
+     * instead. Any other missing file is marked deleted or purged.
+     *
+     * @param {string} directory - Root directory that was walked
+     * @param {Object} [config] - Scanning configuration
+     * @param {string} [config.deletedFiles='mark'] - 'mark' to keep rows flagged as deleted, 'purge' to remove them
+     * @param {boolean} [config.detectMoves=true] - Match missing files to new files by content hash
+     * @param {string} scanStartedAt - ISO time the scan started; only files indexed since are move targets
+     * @returns {Promise<Object>} Changes: { deleted: string[], moved: {from, to}[] }
+     */
+    async reconcile(directory, config = {}, scanStartedAt) {
+        const { deletedFiles = 'mark', detectMoves = true } = config;
+
+        // Collect missing files first; SQLite rows are paged, so this stays cheap
+        const missing = [];
+        for (const file of this.db.iterateFilesUnder(directory)) {
+            try {
+                await fs.lstat(file.path);
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    missing.push(file);
+                }
+            }
+        }
+
+        const claimed = new Set();
+
+        for (const file of missing) {
+            let target = null;
+
+            if (detectMoves && (file.sha256 || file.quickHash)) {
+                const candidates = file.sha256
+                    ? this.db.findPathsByHash(file.sha256, { indexedSince: scanStartedAt })
+                    : this.db.findPathsByQuickHash(file.quickHash, file.size, { indexedSince: scanStartedAt });
+                target = candidates.find(candidate => candidate !== file.path && !claimed.has(candidate));
+            }
+
+            if (target) {
+                claimed.add(target);
+                this.db.moveFile(file.path, target);
+                this.changes.moved.push({ from: file.path, to: target });
+                this.stats.movedFiles++;
+                logger.info(`Detected move: ${file.path} -> ${target}`);
+            } else {
+                if (deletedFiles === 'purge') {
+                    this.db.deleteFile(file.path);
+                } else {
+                    this.db.markFileDeleted(file.path);
+                }
+                this.changes.deleted.push(file.path);
+                this.stats.deletedFiles++;
+            }
+        }
+
+        // Moves were counted as new files during the walk
+        this.stats.newFiles = Math.max(0, this.stats.newFiles - this.stats.movedFiles);
+
+        return this.changes;
+    }
+
     /**
      * Categorize file by type using both extension and MIME type detection
      * Considers both extension-based and magic number-based MIME types
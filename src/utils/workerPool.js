@@ -0,0 +1,289 @@
+/**
+ * Worker Pool
+ * Bounded pool of workers for CPU-heavy or untrusted processing
+ *
+ * Workers are spawned lazily (up to `size`) as tasks arrive, so commands
+ * that never dispatch work do not pay the start-up cost. Each worker runs
+ * one task at a time; extra tasks wait in a FIFO queue. A worker that
+ * crashes, runs out of memory or overruns a task timeout is stopped, its
+ * task rejected, and a replacement is spawned on the next dispatch.
+ *
+ * Isolation modes:
+ * - 'thread': worker_threads (cheap; memory limited via resourceLimits)
+ * - 'process': child processes (a native crash cannot take down the main
+ *   process; memory limited via --max-old-space-size and, on Linux, a
+ *   resident memory check)
+ *
+ * resourceLimits and --max-old-space-size only bound the V8 heap. Memory
+ * that native code allocates (sharp/libvips decoding an image, Buffers)
+ * is outside it, so a hostile file can still exhaust the machine's memory.
+ * In process mode the pool therefore also reads each child's resident
+ * memory from /proc every second and stops a child that goes over the
+ * limit. /proc only exists on Linux; elsewhere, and in thread mode (threads
+ * share the process's memory), only the heap is limited.
+ *
+ * @see https://nodejs.org/api/worker_threads.html
+ * @see https://nodejs.org/api/child_process.html#child_processforkmodulepath-args-options
+ */
+
+const { Worker } = require('worker_threads');
+const { fork } = require('child_process');
+const fs = require('fs');
+const logger = require('./logger');
+
+// How often process workers' resident memory is checked (ms)
+const MEMORY_CHECK_INTERVAL = 1000;
+
+class WorkerPool {
+    /**
+     * @param {string} workerScript - Absolute path to the worker entry point
+     * @param {number} [size=4] - Maximum number of workers
+     * @param {Object} [options]
+     * @param {string} [options.isolation='thread'] - 'thread' or 'process'
+     * @param {number} [options.memoryLimitMb] - Memory limit per worker in MB: the heap,
+     *   and in process mode on Linux also the resident memory (see above)
+     */
+    constructor(workerScript, size = 4, options = {}) {
+        this.workerScript = workerScript;
+        this.size = Math.max(1, size);
+        this.isolation = options.isolation === 'process' ? 'process' : 'thread';
+        this.memoryLimitMb = options.memoryLimitMb || null;
+        this.workers = [];
+        this.idle = [];
+        this.queue = [];
+        this.tasks = new Map();
+        this.nextTaskId = 1;
+        this.closed = false;
+        this.memoryTimer = null;
+    }
+
+    /**
+     * Run a task on the next available worker
+     *
+     * @param {Object} payload - Structured-clonable task data
+     * @param {Object} [options]
+     * @param {number} [options.timeout] - Stop the worker if the task runs longer (ms)
+     * @returns {Promise<*>} Resolves with the worker's result
+     */
+    run(payload, options = {}) {
+        if (this.closed) {
+            return Promise.reject(new Error('Worker pool is closed'));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.queue.push({ id: this.nextTaskId++, payload, timeout: options.timeout, resolve, reject });
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Hand queued tasks to idle workers, spawning new ones while under the limit
+     */
+    dispatch() {
+        while (this.queue.length > 0) {
+            let worker = this.idle.pop();
+
+            if (!worker && this.workers.length < this.size) {
+                worker = this.spawn();
+            }
+
+            if (!worker) {
+                return;
+            }
+
+            const task = this.queue.shift();
+            worker.currentTask = task;
+            this.tasks.set(task.id, task);
+
+            if (task.timeout) {
+                task.timer = setTimeout(() => {
+                    const error = new Error(`Timed out after ${task.timeout}ms`);
+                    error.failureType = 'timeout';
+                    this.retire(worker, error);
+                    this.stop(worker);
+                }, task.timeout);
+            }
+
+            this.send(worker, { id: task.id, ...task.payload });
+            this.watchMemory();
+        }
+    }
+
+    /**
+     * Start checking the resident memory of process workers, once
+     * Only in process mode with a memory limit
+     */
+    watchMemory() {
+        if (this.isolation !== 'process' || !this.memoryLimitMb || this.memoryTimer) return;
+
+        this.memoryTimer = setInterval(() => this.checkMemory(), MEMORY_CHECK_INTERVAL);
+        this.memoryTimer.unref();
+    }
+
+    /**
+     * Stop process workers whose resident memory is over the limit
+     */
+    checkMemory() {
+        for (const worker of [...this.workers]) {
+            const residentMb = readResidentMemory(worker.pid);
+
+            if (residentMb !== null && residentMb > this.memoryLimitMb) {
+                this.retire(worker, new Error(
+                    `Worker exceeded the memory limit (${Math.round(residentMb)} MB resident, limit ${this.memoryLimitMb} MB)`
+                ));
+                this.stop(worker);
+            }
+        }
+    }
+
+    /**
+     * Create a worker and wire up its message and failure handlers
+     */
+    spawn() {
+        const worker = this.isolation === 'process' ? this.forkProcess() : this.createThread();
+        worker.currentTask = null;
+
+        worker.on('message', (message) => {
+            if (message.type === 'log') {
+                logger.log(message.level, message.message, message.meta);
+                return;
+            }
+
+            const task = this.tasks.get(message.id);
+            if (!task) return;
+
+            clearTimeout(task.timer);
+            this.tasks.delete(message.id);
+            worker.currentTask = null;
+
+            if (message.type === 'error') {
+                const error = new Error(message.error.message);
+                error.stack = message.error.stack;
+                task.reject(error);
+            } else {
+                task.resolve(message.fileInfo);
+            }
+
+            this.idle.push(worker);
+            this.dispatch();
+        });
+
+        worker.on('error', (error) => {
+            this.retire(worker, error);
+        });
+
+        worker.on('exit', (code, signal) => {
+            if (!this.closed) {
+                this.retire(worker, new Error(`Worker exited with ${signal || `code ${code}`}`));
+            }
+        });
+
+        this.workers.push(worker);
+        return worker;
+    }
+
+    /**
+     * Start a worker thread
+     */
+    createThread() {
+        const options = {};
+
+        if (this.memoryLimitMb) {
+            options.resourceLimits = { maxOldGenerationSizeMb: this.memoryLimitMb };
+        }
+
+        return new Worker(this.workerScript, options);
+    }
+
+    /**
+     * Start a worker child process
+     * 'advanced' serialization keeps Dates and Buffers intact, as with threads
+     */
+    forkProcess() {
+        const execArgv = this.memoryLimitMb ? [`--max-old-space-size=${this.memoryLimitMb}`] : [];
+
+        return fork(this.workerScript, [], { execArgv, serialization: 'advanced' });
+    }
+
+    /**
+     * Send a message to a worker
+     */
+    send(worker, message) {
+        if (this.isolation === 'process') {
+            worker.send(message);
+        } else {
+            worker.postMessage(message);
+        }
+    }
+
+    /**
+     * Stop a worker
+     */
+    stop(worker) {
+        if (this.isolation === 'process') {
+            worker.kill('SIGKILL');
+            return Promise.resolve();
+        }
+
+        return worker.terminate();
+    }
+
+    /**
+     * Remove a failed worker, rejecting whatever it was running
+     * Errors that are not timeouts are reported as crashes
+     */
+    retire(worker, error) {
+        const index = this.workers.indexOf(worker);
+        if (index === -1) return;
+
+        this.workers.splice(index, 1);
+        this.idle = this.idle.filter(w => w !== worker);
+
+        if (!error.failureType) {
+            error.failureType = 'crash';
+        }
+
+        if (worker.currentTask) {
+            clearTimeout(worker.currentTask.timer);
+            this.tasks.delete(worker.currentTask.id);
+            worker.currentTask.reject(error);
+            worker.currentTask = null;
+        }
+
+        logger.warn(`Worker stopped: ${error.message}`);
+        this.dispatch();
+    }
+
+    /**
+     * Stop all workers
+     */
+    async close() {
+        this.closed = true;
+        clearInterval(this.memoryTimer);
+
+        for (const task of this.queue) {
+            task.reject(new Error('Worker pool is closed'));
+        }
+        this.queue = [];
+
+        await Promise.all(this.workers.map(worker => this.stop(worker)));
+        this.workers = [];
+        this.idle = [];
+    }
+}
+
+/**
+ * Resident memory of a process in MB, from /proc (Linux); null where it
+ * cannot be read
+ */
+function readResidentMemory(pid) {
+    try {
+        const status = fs.readFileSync(`/proc/${pid}/status`, 'utf8');
+        const match = /^VmRSS:\s+(\d+)\s+kB/m.exec(status);
+        return match ? parseInt(match[1], 10) / 1024 : null;
+    } catch {
+        return null;
+    }
+}
+
+module.exports = WorkerPool;
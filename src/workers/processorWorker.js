@@ -0,0 +1,69 @@
+/**
+ * Processor Worker
+ * Worker entry point that runs processors (sharp, pdf-parse, fontkit,
+ * unzipper...) off the main thread. Runs as a worker thread or, with
+ * process isolation, as a forked child process. Receives a file and
+ * processor name from the WorkerPool, runs the processor and posts the
+ * processed file back.
+ */
+
+const { parentPort } = require('worker_threads');
+const logger = require('../utils/logger');
+const builtInProcessors = require('../processors');
+const pluginLoader = require('../utils/pluginLoader');
+
+// Thread: parentPort; child process: the IPC channel
+const channel = parentPort || process;
+const post = parentPort ? (message) => parentPort.postMessage(message) : (message) => process.send(message);
+
+// Forward log records to the main thread so they reach the configured transports
+const forward = (level) => (message, meta = {}) => {
+    post({ type: 'log', level, message, meta });
+};
+
+logger.logger = {
+    debug: forward('debug'),
+    info: forward('info'),
+    warn: forward('warn'),
+    error: forward('error'),
+    log: (level, message, meta) => forward(level)(message, meta),
+    child: () => logger.logger,
+    close: () => {}
+};
+
+// Processor instances are reused across tasks, keyed by name
+const processors = new Map();
+
+/**
+ * Get (or create) the processor instance for a task
+ * Plugin processors are loaded from the module path the task carries
+ */
+function getProcessor(task) {
+    if (!processors.has(task.processor)) {
+        const ProcessorClass = task.modulePath
+            ? pluginLoader.getProcessorClasses(require(task.modulePath)).find(c => c.name === task.processor)
+            : builtInProcessors[task.processor];
+
+        if (!ProcessorClass) {
+            throw new Error(`Unknown processor: ${task.processor}`);
+        }
+
+        processors.set(task.processor, new ProcessorClass(task.config));
+    }
+
+    return processors.get(task.processor);
+}
+
+channel.on('message', async (task) => {
+    try {
+        const processor = getProcessor(task);
+        const fileInfo = await processor.run(task.fileInfo);
+        post({ type: 'result', id: task.id, fileInfo });
+    } catch (error) {
+        post({
+            type: 'error',
+            id: task.id,
+            error: { message: error.message, stack: error.stack }
+        });
+    }
+});
@@ -0,0 +1,164 @@
+const eventDetector = require('../src/utils/eventDetector');
+
+const HOUR = 60 * 60 * 1000;
+
+const PORTO = { latitude: 41.1496, longitude: -8.6110, place: { city: 'Porto', region: 'Porto', country: 'Portugal', countryCode: 'PT' } };
+const LISBON = { latitude: 38.7223, longitude: -9.1393, place: { city: 'Lisbon', region: 'Lisbon', country: 'Portugal', countryCode: 'PT' } };
+const BRAGA = { latitude: 41.5454, longitude: -8.4265, place: { city: 'Braga', region: 'Braga', country: 'Portugal', countryCode: 'PT' } };
+
+let counter = 0;
+
+// A photo taken at a local time, optionally geotagged
+function photo(date, location) {
+    const exif = { dateTime: date.toISOString() };
+    if (location) {
+        exif.gps = { latitude: location.latitude, longitude: location.longitude };
+        exif.place = location.place;
+    }
+
+    counter++;
+    return { path: `/photos/IMG_${String(counter).padStart(4, '0')}.jpg`, category: 'image', metadata: { image: { exif } } };
+}
+
+function video(date) {
+    counter++;
+    return { path: `/videos/VID_${counter}.mp4`, category: 'video', metadata: { video: { tags: { creationTime: date.toISOString() } } } };
+}
+
+// `count` photos an hour apart, from a local time
+function burst(start, count, location) {
+    return Array.from({ length: count }, (_, i) => photo(new Date(start.getTime() + i * HOUR), location));
+}
+
+describe('eventDetector.detect', () => {
+    test('groups files into one event per burst', () => {
+        const files = [
+            ...burst(new Date(2024, 4, 10, 10), 5, PORTO),
+            ...burst(new Date(2024, 5, 1, 10), 5, LISBON)
+        ];
+
+        const events = eventDetector.detect(files.reverse());
+
+        expect(events.map(event => event.name)).toEqual(['event-2024-05-10-porto', 'event-2024-06-01-lisbon']);
+        expect(events[0]).toMatchObject({
+            title: 'Day in Porto',
+            dateRange: '2024-05-10',
+            summary: 'Day in Porto, 2024-05-10, 5 photos',
+            photos: 5,
+            videos: 0,
+            start: new Date(2024, 4, 10, 10).toISOString(),
+            end: new Date(2024, 4, 10, 14).toISOString()
+        });
+        expect(events[0].place).toMatchObject({ city: 'Porto', countryCode: 'PT', level: 'city' });
+        expect(events[0].centroid.latitude).toBeCloseTo(PORTO.latitude, 4);
+    });
+
+    test('starts a new event after a gap longer than maxGap', () => {
+        const files = [
+            ...burst(new Date(2024, 4, 10, 8), 3),
+            ...burst(new Date(2024, 4, 10, 20), 3)
+        ];
+
+        expect(eventDetector.detect(files, { minFiles: 3 })).toHaveLength(1);
+        expect(eventDetector.detect(files, { minFiles: 3, maxGap: 6 * HOUR })).toHaveLength(2);
+    });
+
+    test('starts a new event when the location jumps further than maxDistance', () => {
+        const files = [
+            ...burst(new Date(2024, 4, 10, 8), 3, PORTO),
+            ...burst(new Date(2024, 4, 10, 11), 3, LISBON)
+        ];
+
+        const events = eventDetector.detect(files, { minFiles: 3 });
+        expect(events.map(event => event.place.city)).toEqual(['Porto', 'Lisbon']);
+
+        // Porto to Braga is about 50 km
+        const nearby = [
+            ...burst(new Date(2024, 4, 10, 8), 3, PORTO),
+            ...burst(new Date(2024, 4, 10, 11), 3, BRAGA)
+        ];
+        expect(eventDetector.detect(nearby, { minFiles: 3 })).toHaveLength(1);
+        expect(eventDetector.detect(nearby, { minFiles: 3, maxDistance: 10 })).toHaveLength(2);
+    });
+
+    test('measures jumps from the last geotagged file', () => {
+        const files = [
+            photo(new Date(2024, 4, 10, 8), PORTO),
+            photo(new Date(2024, 4, 10, 9)),
+            photo(new Date(2024, 4, 10, 10), BRAGA),
+            photo(new Date(2024, 4, 10, 11))
+        ];
+
+        expect(eventDetector.detect(files, { minFiles: 1, maxDistance: 10 }).map(event => event.files.length)).toEqual([2, 2]);
+    });
+
+    test('drops events with fewer than minFiles files', () => {
+        const files = [
+            ...burst(new Date(2024, 4, 10, 10), 4),
+            ...burst(new Date(2024, 5, 1, 10), 5)
+        ];
+
+        expect(eventDetector.detect(files).map(event => event.dateRange)).toEqual(['2024-06-01']);
+        expect(eventDetector.detect(files, { minFiles: 4 })).toHaveLength(2);
+    });
+
+    test('leaves out files without a capture time', () => {
+        const files = [
+            ...burst(new Date(2024, 4, 10, 10), 4),
+            { path: '/photos/scan.jpg', category: 'image', metadata: { image: {} } },
+            { path: '/photos/bad.jpg', category: 'image', metadata: { image: { exif: { dateTime: 'not a date' } } } }
+        ];
+
+        expect(eventDetector.detect(files, { minFiles: 5 })).toEqual([]);
+        expect(eventDetector.detect(files, { minFiles: 1 })[0].files).toHaveLength(4);
+    });
+
+    test('counts videos by their creation time', () => {
+        const files = [
+            ...burst(new Date(2024, 4, 10, 10), 2),
+            video(new Date(2024, 4, 10, 12))
+        ];
+
+        const [event] = eventDetector.detect(files, { minFiles: 3 });
+        expect(event).toMatchObject({ photos: 2, videos: 1, title: 'Day', name: 'event-2024-05-10' });
+        expect(event.summary).toBe('Day, 2024-05-10, 2 photos, 1 video');
+        expect(event.place).toBeNull();
+    });
+
+    test('labels weekends and trips', () => {
+        // Friday evening to Sunday evening
+        const weekend = [[10, 18], [11, 10], [11, 18], [12, 10], [12, 18]]
+            .map(([day, hour]) => photo(new Date(2024, 4, day, hour), PORTO));
+        const [first] = eventDetector.detect(weekend);
+        expect(first).toMatchObject({ title: 'Weekend in Porto', dateRange: '2024-05-10 to 12' });
+
+        // Tuesday to the next Monday, across a month
+        const trip = Array.from({ length: 14 }, (_, i) =>
+            photo(new Date(2024, 4, 28 + Math.floor(i / 2), i % 2 === 0 ? 9 : 19), LISBON));
+        const [second] = eventDetector.detect(trip);
+        expect(second).toMatchObject({ title: 'Trip in Lisbon', dateRange: '2024-05-28 to 06-03' });
+    });
+
+    test('names events after the most specific place shared by half of the files', () => {
+        const guimaraes = { ...BRAGA, place: { ...BRAGA.place, city: 'Guimarães' } };
+        const files = [
+            ...burst(new Date(2024, 4, 10, 8), 2, PORTO),
+            ...burst(new Date(2024, 4, 10, 10), 2, BRAGA),
+            photo(new Date(2024, 4, 10, 12), guimaraes)
+        ];
+
+        const [event] = eventDetector.detect(files);
+        expect(event.place).toMatchObject({ region: 'Braga', city: null, level: 'region' });
+        expect(event.name).toBe('event-2024-05-10-braga');
+
+        files[4] = photo(new Date(2024, 4, 10, 12), { ...guimaraes, place: { ...guimaraes.place, region: 'Minho' } });
+        const [spread] = eventDetector.detect(files);
+        expect(spread.place).toMatchObject({ country: 'Portugal', region: null, city: null, level: 'country' });
+        expect(spread.title).toBe('Day in Portugal');
+    });
+
+    test('slugs accented place names', () => {
+        const files = burst(new Date(2024, 4, 10, 8), 5, { ...BRAGA, place: { ...BRAGA.place, city: 'Guimarães' } });
+        expect(eventDetector.detect(files)[0].name).toBe('event-2024-05-10-guimaraes');
+    });
+});
@@ -0,0 +1,123 @@
+const path = require('path');
+const FileOrganizer = require('../src/organizers/FileOrganizer');
+
+const TARGET = path.resolve('/target');
+
+const photo = {
+    path: '/photos/IMG_0001.JPG',
+    rootId: 1,
+    name: 'IMG_0001.JPG',
+    extension: 'jpg',
+    category: 'image',
+    mimeType: 'image/jpeg',
+    size: 2048,
+    modified: '2023-03-04T05:06:07',
+    metadata: {
+        image: {
+            exif: {
+                make: 'Canon',
+                dateTime: '2024:01:15 14:30:09',
+                place: { city: 'Porto', country: 'Portugal', countryCode: 'PT' }
+            }
+        }
+    }
+};
+
+const song = {
+    path: '/music/01.mp3',
+    rootId: 2,
+    name: '01.mp3',
+    extension: 'mp3',
+    category: 'audio',
+    metadata: {
+        audio: { tags: { artist: 'AC/DC', album: 'Back in Black', title: 'Hells Bells', track: 1, genre: ['Rock', 'Hard Rock'] } }
+    }
+};
+
+const render = (template, file, options = {}) =>
+    new FileOrganizer({ template, targetDir: TARGET, ...options }).render(file);
+
+describe('FileOrganizer.render', () => {
+    test('fills in file fields', () => {
+        expect(render('{category}/{stem}-{size}.{ext}', photo)).toBe(path.join(TARGET, 'image', 'IMG_0001-2048.JPG'));
+        expect(render('{mimeType|x}/{extension}/{name}', photo)).toBe(path.join(TARGET, 'image_jpeg', 'jpg', 'IMG_0001.JPG'));
+    });
+
+    test('formats dates', () => {
+        expect(render('{exif.dateTime:YYYY}/{exif.dateTime:MM}/{exif.dateTime:DD}/{name}', photo))
+            .toBe(path.join(TARGET, '2024', '01', '15', 'IMG_0001.JPG'));
+        expect(render('{date:YY-MM-DD HH.mm.ss}.{ext}', photo)).toBe(path.join(TARGET, '24-01-15 14.30.09.JPG'));
+    });
+
+    test('falls back to the modification time for date', () => {
+        const scan = { ...photo, metadata: { image: {} } };
+        expect(render('{date:YYYY}/{name}', scan)).toBe(path.join(TARGET, '2023', 'IMG_0001.JPG'));
+    });
+
+    test('resolves shorthands, metadata paths and places', () => {
+        expect(render('{albumArtist}/{album}/{track:02} {title}.{ext}', song))
+            .toBe(path.join(TARGET, 'AC_DC', 'Back in Black', '01 Hells Bells.mp3'));
+        expect(render('{metadata.audio.tags.genre:upper}/{name}', song)).toBe(path.join(TARGET, 'ROCK', '01.mp3'));
+        expect(render('{country}/{city:lower}/{exif.make}/{name}', photo))
+            .toBe(path.join(TARGET, 'Portugal', 'porto', 'Canon', 'IMG_0001.JPG'));
+    });
+
+    test('uses defaults for missing fields', () => {
+        expect(render('{city|Unknown}/{year|No Year}/{name}', song)).toBe(path.join(TARGET, 'Unknown', 'No Year', '01.mp3'));
+        expect(render('{year|a|b}/{name}', song)).toBe(path.join(TARGET, 'a_b', '01.mp3'));
+    });
+
+    test('throws on missing fields without a default', () => {
+        expect(() => render('{album}/{name}', photo)).toThrow('missing album');
+        expect(() => render('{exif.gps.latitude}/{name}', photo)).toThrow('missing exif.gps.latitude');
+        expect(() => render('{exif.dateTime:YYYY}/{name}', song)).toThrow('missing exif.dateTime');
+    });
+
+    test('resolves against the root of each file without a target directory', () => {
+        const organizer = new FileOrganizer({ template: '{category}/{name}', roots: [{ id: 1, path: '/photos' }] });
+
+        expect(organizer.render(photo)).toBe(path.join('/photos', 'image', 'IMG_0001.JPG'));
+        expect(() => organizer.render(song)).toThrow('file is outside every root');
+    });
+
+    test('drops segments that render empty', () => {
+        expect(render('{album|}/{name}', photo)).toBe(path.join(TARGET, 'IMG_0001.JPG'));
+        expect(() => render('{album|}', photo)).toThrow('empty destination');
+    });
+
+    test.each([
+        ['', 'template is empty'],
+        ['/abs/{name}', 'template must be relative'],
+        ['../{name}', '".." is not allowed'],
+        ['{name', 'unbalanced braces in "{name"'],
+        ['{na me}', 'bad field "{na me}"'],
+        ['{date:QQ}', 'unknown format "QQ" in "{date:QQ}"']
+    ])('rejects template %j', (template, message) => {
+        expect(() => render(template, photo)).toThrow(`Invalid template: ${message}`);
+    });
+});
+
+describe('FileOrganizer.sanitizeSegment', () => {
+    const organizer = new FileOrganizer({ template: '{name}' });
+
+    test('replaces path separators and reserved characters', () => {
+        expect(organizer.sanitizeSegment('AC/DC')).toBe('AC_DC');
+        expect(organizer.sanitizeSegment('a\\b:c*d?e"f<g>h|i')).toBe('a_b_c_d_e_f_g_h_i');
+        expect(organizer.sanitizeSegment('tab\there\nnewline')).toBe('tab_here_newline');
+    });
+
+    test('trims dots and spaces from the ends', () => {
+        expect(organizer.sanitizeSegment('..')).toBe('');
+        expect(organizer.sanitizeSegment(' . hidden. ')).toBe('hidden');
+        expect(organizer.sanitizeSegment('a.b')).toBe('a.b');
+    });
+
+    test('keeps values from adding directories or climbing out', () => {
+        const file = { ...song, metadata: { audio: { tags: { album: '../../etc' } } } };
+        expect(render('{album}/{name}', file)).toBe(path.join(TARGET, '_.._etc', '01.mp3'));
+    });
+
+    test('limits names to 255 characters', () => {
+        expect(organizer.sanitizeSegment('x'.repeat(300))).toHaveLength(255);
+    });
+});
@@ -0,0 +1,122 @@
+const Geotagger = require('../src/utils/geotagger');
+
+const MINUTE = 60 * 1000;
+const START = Date.parse('2024-05-10T14:00:00Z');
+
+describe('Geotagger.locate', () => {
+    let geotagger;
+
+    beforeEach(() => {
+        geotagger = new Geotagger();
+        geotagger.points = [
+            { latitude: 41.0, longitude: -8.0, altitude: 100, time: START, track: 'porto.gpx' },
+            { latitude: 41.0, longitude: -8.2, altitude: 200, time: START + 10 * MINUTE, track: 'porto.gpx' },
+            // An hour without signal
+            { latitude: 41.5, longitude: -8.5, altitude: null, time: START + 70 * MINUTE, track: 'porto.gpx' }
+        ];
+    });
+
+    test('interpolates between track points', () => {
+        const location = geotagger.locate(START + 5 * MINUTE);
+
+        expect(location.latitude).toBeCloseTo(41.0, 3);
+        expect(location.longitude).toBeCloseTo(-8.1, 3);
+        expect(location.altitude).toBeCloseTo(150);
+        expect(location).toMatchObject({ track: 'porto.gpx', interpolated: true, gap: 5 * MINUTE });
+    });
+
+    test('returns a track point at its exact time', () => {
+        const location = geotagger.locate(START + 10 * MINUTE);
+
+        expect(location.latitude).toBeCloseTo(41.0, 6);
+        expect(location.longitude).toBeCloseTo(-8.2, 6);
+        expect(location.gap).toBe(0);
+    });
+
+    test('takes the nearest point across a gap too long to interpolate', () => {
+        expect(geotagger.locate(START + 20 * MINUTE)).toEqual({
+            latitude: 41.0,
+            longitude: -8.2,
+            altitude: 200,
+            track: 'porto.gpx',
+            interpolated: false,
+            gap: 10 * MINUTE
+        });
+
+        expect(geotagger.locate(START + 65 * MINUTE)).toMatchObject({ latitude: 41.5, altitude: null, gap: 5 * MINUTE });
+    });
+
+    test('extrapolates before and after the track', () => {
+        expect(geotagger.locate(START - 20 * MINUTE)).toMatchObject({ latitude: 41.0, longitude: -8.0, interpolated: false, gap: 20 * MINUTE });
+        expect(geotagger.locate(START + 90 * MINUTE)).toMatchObject({ latitude: 41.5, longitude: -8.5, interpolated: false, gap: 20 * MINUTE });
+    });
+
+    test('returns null when the nearest point is too far in time', () => {
+        expect(geotagger.locate(START - 30 * MINUTE)).toMatchObject({ gap: 30 * MINUTE });
+        expect(geotagger.locate(START - 31 * MINUTE)).toBeNull();
+        expect(geotagger.locate(START + 101 * MINUTE)).toBeNull();
+
+        geotagger.maxExtrapolation = 20 * MINUTE;
+        expect(geotagger.locate(START + 40 * MINUTE)).toBeNull();
+    });
+
+    test('interpolates across longer gaps when allowed', () => {
+        geotagger.maxInterpolation = 60 * MINUTE;
+        expect(geotagger.locate(START + 40 * MINUTE)).toMatchObject({ interpolated: true, altitude: 200, gap: 30 * MINUTE });
+    });
+
+    test('returns null without track points', () => {
+        expect(new Geotagger().locate(START)).toBeNull();
+    });
+});
+
+describe('Geotagger.getPhotoTime', () => {
+    const photo = (dateTime) => ({ metadata: { image: { exif: { dateTime } } } });
+
+    // Camera wall-clock time, read in the time zone of the camera
+    const photoTime = (timezone, wallClock, options = {}) =>
+        new Geotagger({ timezone, ...options }).getPhotoTime(photo(wallClock));
+
+    test('reads fixed offsets', () => {
+        expect(photoTime('+02:00', '2024-01-15T12:00:00')).toBe(Date.parse('2024-01-15T10:00:00Z'));
+        expect(photoTime('-0530', '2024-01-15T12:00:00')).toBe(Date.parse('2024-01-15T17:30:00Z'));
+        expect(photoTime('UTC+1', '2024-01-15T12:00:00')).toBe(Date.parse('2024-01-15T11:00:00Z'));
+        expect(photoTime('GMT-3', '2024-01-15T12:00:00')).toBe(Date.parse('2024-01-15T15:00:00Z'));
+    });
+
+    test('follows daylight saving time of IANA zones', () => {
+        expect(photoTime('Europe/Lisbon', '2024-01-15T12:00:00')).toBe(Date.parse('2024-01-15T12:00:00Z'));
+        expect(photoTime('Europe/Lisbon', '2024-07-15T12:00:00')).toBe(Date.parse('2024-07-15T11:00:00Z'));
+        expect(photoTime('America/New_York', '2024-01-15T12:00:00')).toBe(Date.parse('2024-01-15T17:00:00Z'));
+        expect(photoTime('America/New_York', '2024-07-15T12:00:00')).toBe(Date.parse('2024-07-15T16:00:00Z'));
+        expect(photoTime('Asia/Kolkata', '2024-07-15T12:00:00')).toBe(Date.parse('2024-07-15T06:30:00Z'));
+        expect(photoTime('UTC', '2024-07-15T12:00:00')).toBe(Date.parse('2024-07-15T12:00:00Z'));
+    });
+
+    test('keeps the milliseconds of the photo time', () => {
+        expect(photoTime('Europe/Lisbon', '2024-07-15T12:00:00.250')).toBe(Date.parse('2024-07-15T11:00:00.250Z'));
+    });
+
+    test('handles the day daylight saving time starts', () => {
+        // Clocks in Lisbon went from 01:00 to 02:00 on 2024-03-31
+        expect(photoTime('Europe/Lisbon', '2024-03-31T00:30:00')).toBe(Date.parse('2024-03-31T00:30:00Z'));
+        expect(photoTime('Europe/Lisbon', '2024-03-31T03:00:00')).toBe(Date.parse('2024-03-31T02:00:00Z'));
+    });
+
+    test('adds the clock offset', () => {
+        expect(photoTime('-03:00', '2024-07-01T12:00:00', { clockOffset: MINUTE })).toBe(Date.parse('2024-07-01T15:01:00Z'));
+    });
+
+    test('uses local time without a time zone', () => {
+        expect(new Geotagger().getPhotoTime(photo('2024-07-01T12:00:00'))).toBe(new Date(2024, 6, 1, 12).getTime());
+    });
+
+    test('is null without a valid EXIF date', () => {
+        expect(new Geotagger().getPhotoTime({ metadata: { image: {} } })).toBeNull();
+        expect(new Geotagger().getPhotoTime(photo('not a date'))).toBeNull();
+    });
+
+    test('rejects unknown time zones', () => {
+        expect(() => new Geotagger({ timezone: 'Mars/Olympus_Mons' })).toThrow('Unknown time zone: Mars/Olympus_Mons');
+    });
+});
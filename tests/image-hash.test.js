@@ -0,0 +1,36 @@
+const imageHash = require('../src/utils/imageHash');
+
+describe('imageHash.toHex', () => {
+    test('packs bits four at a time, most significant first', () => {
+        expect(imageHash.toHex([true, false, false, false])).toBe('8');
+        expect(imageHash.toHex([false, false, false, true, true, false, true, false])).toBe('1a');
+    });
+
+    test('keeps all 64 bits of a hash', () => {
+        expect(imageHash.toHex(new Array(64).fill(true))).toBe('ffffffffffffffff');
+        expect(imageHash.toHex(new Array(64).fill(false))).toBe('0000000000000000');
+
+        const lastBit = new Array(64).fill(false);
+        lastBit[63] = true;
+        expect(imageHash.toHex(lastBit)).toBe('0000000000000001');
+    });
+});
+
+describe('imageHash.distance', () => {
+    test('counts differing bits', () => {
+        expect(imageHash.distance('ffc3c3810000e7ff', 'ffc3c3810000e7ff')).toBe(0);
+        expect(imageHash.distance('0000000000000000', '0000000000000001')).toBe(1);
+        expect(imageHash.distance('000000000000000f', '00000000000000f0')).toBe(8);
+        expect(imageHash.distance('0000000000000000', 'ffffffffffffffff')).toBe(64);
+    });
+
+    test('ignores the case of hex digits', () => {
+        expect(imageHash.distance('ABCDEF0123456789', 'abcdef0123456789')).toBe(0);
+    });
+
+    test('is Infinity when a hash is missing or the lengths differ', () => {
+        expect(imageHash.distance(null, 'ffffffffffffffff')).toBe(Infinity);
+        expect(imageHash.distance('ffffffffffffffff', undefined)).toBe(Infinity);
+        expect(imageHash.distance('ffff', 'ffffffffffffffff')).toBe(Infinity);
+    });
+});
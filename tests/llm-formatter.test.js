@@ -0,0 +1,66 @@
+const LLMFormatter = require('../src/formatters/LLMFormatter');
+
+const MAX_TOKENS = 2000;
+const FOOTER_RESERVE = 100;
+
+const files = Array.from({ length: 200 }, (_, i) => ({
+    path: `/docs/report-${i}.txt`,
+    name: `report-${i}.txt`,
+    extension: 'txt',
+    category: 'document',
+    size: 1000 + i,
+    modified: '2024-01-15T10:00:00.000Z',
+    metadata: {}
+}));
+
+const events = Array.from({ length: 100 }, (_, i) => ({
+    name: `event-2024-05-${i}-porto`,
+    description: `Day in Porto, 2024-05-10, ${i + 5} photos`,
+    fileCount: i + 5,
+    details: {
+        start: '2024-05-10T10:00:00.000Z',
+        end: '2024-05-10T14:00:00.000Z',
+        place: { city: 'Porto', region: 'Porto', country: 'Portugal', countryCode: 'PT' },
+        centroid: { latitude: 41.1496, longitude: -8.611 }
+    }
+}));
+
+describe('LLMFormatter.formatForLLM', () => {
+    let formatter;
+
+    beforeAll(() => {
+        formatter = new LLMFormatter();
+    });
+
+    afterAll(() => {
+        formatter.encoder.free();
+    });
+
+    const fileTokens = (file) => formatter.countTokens(formatter.formatFile(file, true, 'markdown'));
+    const usedTokens = (context) => Number(/\((\d+) tokens\)$/.exec(context)[1]);
+    const includedFiles = (context) => Number(/Included: (\d+) of/.exec(context)[1]);
+
+    test('keeps the event overview within a quarter of the budget', () => {
+        const context = formatter.formatForLLM(files, { maxTokens: MAX_TOKENS, events });
+        const overview = /## Events[\s\S]*?more events/.exec(context)[0];
+
+        expect(formatter.countTokens(overview)).toBeLessThanOrEqual(MAX_TOKENS / 4);
+        expect(overview).toMatch(/- \.\.\. and \d+ more events$/);
+    });
+
+    test('gives files the rest of the budget when events are present', () => {
+        for (const withEvents of [[], events]) {
+            const context = formatter.formatForLLM(files, { maxTokens: MAX_TOKENS, events: withEvents, prioritizeRecent: false });
+            const used = usedTokens(context);
+            const next = files[includedFiles(context)];
+
+            expect(used).toBeLessThanOrEqual(MAX_TOKENS - FOOTER_RESERVE);
+            expect(used + fileTokens(next)).toBeGreaterThan(MAX_TOKENS - FOOTER_RESERVE);
+        }
+    });
+
+    test('leaves out the overview when not even one event fits', () => {
+        const context = formatter.formatForLLM(files.slice(0, 1), { maxTokens: 150, events });
+        expect(context).not.toContain('## Events');
+    });
+});
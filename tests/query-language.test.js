@@ -0,0 +1,304 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const queryLanguage = require('../src/storage/queryLanguage');
+const database = require('../src/storage/database');
+
+describe('queryLanguage.tokenize', () => {
+    test('splits fields, operators, values and punctuation', () => {
+        const tokens = queryLanguage.tokenize('image.width>=3000 and tags in (a, "b c")');
+
+        expect(tokens.map(token => [token.type, token.value])).toEqual([
+            ['word', 'image.width'],
+            ['operator', '>='],
+            ['word', '3000'],
+            ['word', 'and'],
+            ['word', 'tags'],
+            ['word', 'in'],
+            ['(', '('],
+            ['word', 'a'],
+            [',', ','],
+            ['word', 'b c'],
+            [')', ')']
+        ]);
+    });
+
+    test('records positions and marks quoted words', () => {
+        const [field, operator, value] = queryLanguage.tokenize('name = "and"');
+
+        expect(field.position).toBe(0);
+        expect(operator.position).toBe(5);
+        expect(value).toEqual({ type: 'word', value: 'and', quoted: true, position: 7 });
+    });
+
+    test('unescapes quotes inside strings', () => {
+        const tokens = queryLanguage.tokenize(String.raw`name='it\'s'`);
+        expect(tokens[2].value).toBe("it's");
+    });
+
+    test('rejects unterminated strings', () => {
+        expect(() => queryLanguage.tokenize('name="abc')).toThrow('unterminated string at position 6');
+    });
+});
+
+describe('queryLanguage.parse', () => {
+    test('gives and precedence over or', () => {
+        const tree = queryLanguage.parse('size>1 or size<0 and name=a');
+
+        expect(tree.type).toBe('or');
+        expect(tree.right.type).toBe('and');
+    });
+
+    test('groups with parentheses and negates with not', () => {
+        const tree = queryLanguage.parse('not (size>1 or size<0) and name=a');
+
+        expect(tree.type).toBe('and');
+        expect(tree.left.type).toBe('not');
+        expect(tree.left.expression.type).toBe('or');
+    });
+
+    test('types values', () => {
+        const value = (text) => queryLanguage.parse(`size=${text}`).value;
+
+        expect(value('42')).toEqual({ type: 'number', value: 42 });
+        expect(value('-1.5')).toEqual({ type: 'number', value: -1.5 });
+        expect(value('2MB')).toEqual({ type: 'number', value: 2 * 1024 * 1024 });
+        expect(value('true')).toEqual({ type: 'number', value: 1 });
+        expect(value('null')).toEqual({ type: 'null' });
+        expect(value('"42"')).toEqual({ type: 'string', value: '42' });
+        expect(value('jazz')).toEqual({ type: 'string', value: 'jazz' });
+    });
+
+    test('reads a date without a time as the whole UTC day', () => {
+        expect(queryLanguage.parse('modified=2024-01-15').value).toEqual({
+            type: 'date',
+            start: '2024-01-15T00:00:00.000Z',
+            end: '2024-01-16T00:00:00.000Z'
+        });
+    });
+
+    test('resolves file, tag and metadata fields', () => {
+        expect(queryLanguage.parse('size=1').field).toEqual({ kind: 'file', name: 'size', column: 'size' });
+        expect(queryLanguage.parse('tags=a').field).toEqual({ kind: 'tags', name: 'tags' });
+        expect(queryLanguage.parse('exif.make=Canon').field).toEqual({
+            kind: 'metadata',
+            name: 'exif.make',
+            path: ['image', 'exif', 'make'],
+            column: 'camera_make'
+        });
+        expect(queryLanguage.parse('metadata.audio.tags.genre=jazz').field.path).toEqual(['audio', 'tags', 'genre']);
+    });
+
+    test('parses in and not in lists', () => {
+        const tree = queryLanguage.parse('extension not in (jpg, png)');
+
+        expect(tree.type).toBe('in');
+        expect(tree.negate).toBe(true);
+        expect(tree.values.map(value => value.value)).toEqual(['jpg', 'png']);
+    });
+
+    test.each([
+        ['', 'empty expression'],
+        ['size', 'expected an operator (= != > >= < <= ~ in) at end of query'],
+        ['size >', 'expected a value at end of query'],
+        ['size > 1 name = a', 'unexpected "name" at position 10'],
+        ['(size > 1', 'expected ")" at end of query'],
+        ['and = 1', 'expected a field, found "and" at position 1'],
+        ['width = 1', 'unknown field "width" at position 1'],
+        ['size not = 1', 'expected "in" after "not" at position 10'],
+        ['size > null', 'null can only be compared with = or != at position 6'],
+        ['modified = 2024-13-45', 'invalid date "2024-13-45" at position 12']
+    ])('rejects %j', (text, message) => {
+        expect(() => queryLanguage.parse(text)).toThrow(`Invalid query: ${message}`);
+    });
+});
+
+describe('queryLanguage.toSQL and toPredicate', () => {
+    const files = [
+        {
+            path: '/photos/canon.jpg',
+            relativePath: 'canon.jpg',
+            name: 'canon.jpg',
+            extension: 'jpg',
+            category: 'image',
+            mimeType: 'image/jpeg',
+            size: 4 * 1024 * 1024,
+            created: '2024-01-15T09:00:00.000Z',
+            modified: '2024-01-15T10:30:00.000Z',
+            metadata: {
+                image: {
+                    width: 6000,
+                    height: 4000,
+                    exif: {
+                        make: 'Canon',
+                        model: 'EOS R5',
+                        dateTime: '2024-01-15T10:30:00.000Z',
+                        gps: { latitude: 41.15, longitude: -8.61 },
+                        place: { city: 'Porto', region: 'Porto', country: 'Portugal', countryCode: 'PT' }
+                    }
+                }
+            },
+            llm: { importance: 0.8 },
+            tags: ['vacation', 'Portugal']
+        },
+        {
+            path: '/photos/phone.png',
+            relativePath: 'phone.png',
+            name: 'phone.png',
+            extension: 'png',
+            category: 'image',
+            mimeType: 'image/png',
+            size: 500 * 1024,
+            created: '2023-12-31T22:00:00.000Z',
+            modified: '2024-02-01T08:00:00.000Z',
+            metadata: {
+                image: { width: 1170, height: 2532, exif: { make: 'Apple' } }
+            },
+            tags: []
+        },
+        {
+            path: '/music/song.mp3',
+            relativePath: 'song.mp3',
+            name: 'song.mp3',
+            extension: 'mp3',
+            category: 'audio',
+            mimeType: 'audio/mpeg',
+            size: 7 * 1024 * 1024,
+            created: '2023-06-01T12:00:00.000Z',
+            modified: '2023-06-01T12:00:00.000Z',
+            metadata: {
+                audio: { duration: 215.5, tags: { title: 'So What', genre: 'Jazz', composer: ['Miles Davis', 'Bill Evans'], year: 1959 } }
+            },
+            tags: ['jazz']
+        },
+        {
+            path: '/code/app.py',
+            relativePath: 'app.py',
+            name: 'app.py',
+            extension: 'py',
+            category: 'code',
+            mimeType: 'text/x-python',
+            size: 2048,
+            created: '2024-03-10T15:00:00.000Z',
+            modified: '2024-03-10T15:00:00.000Z',
+            metadata: {
+                code: { language: 'Python', complexity: 57, hasTests: true }
+            },
+            tags: []
+        },
+        {
+            path: '/photos/été.jpg',
+            relativePath: 'été.jpg',
+            name: 'Été à Paris.JPG',
+            extension: 'jpg',
+            category: 'image',
+            mimeType: 'image/jpeg',
+            size: 1024,
+            created: '2022-08-01T12:00:00.000Z',
+            modified: '2022-08-01T12:00:00.000Z',
+            metadata: {
+                image: { width: 800, height: 600, exif: { make: 'ÉCLAIR' } }
+            },
+            tags: ['Été']
+        },
+        {
+            path: '/docs/empty.txt',
+            relativePath: 'empty.txt',
+            name: 'empty.txt',
+            extension: 'txt',
+            category: 'document',
+            mimeType: 'text/plain',
+            size: 0,
+            created: '2024-01-16T00:00:00.000Z',
+            modified: '2024-01-16T00:00:00.000Z',
+            metadata: null,
+            tags: []
+        }
+    ];
+
+    let tempDir;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'info').mockImplementation(() => {});
+
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fmao-query-'));
+        await database.init({ type: 'sqlite', dbPath: path.join(tempDir, 'metadata.db') });
+
+        for (const file of files) {
+            await database.upsertFile(file);
+        }
+    });
+
+    afterAll(() => {
+        database.db.close();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    const sqlMatches = (text) => {
+        const { sql, params } = queryLanguage.toSQL(text);
+        return database.db.prepare(`SELECT path FROM files WHERE ${sql} ORDER BY path`)
+            .all(...params)
+            .map(row => row.path);
+    };
+
+    const predicateMatches = (text) => files
+        .filter(queryLanguage.toPredicate(text))
+        .map(file => file.path)
+        .sort();
+
+    test.each([
+        ['name=canon.jpg', ['/photos/canon.jpg']],
+        ['extension in (JPG, png)', ['/photos/canon.jpg', '/photos/phone.png', '/photos/été.jpg']],
+        ['extension not in (jpg, png)', ['/code/app.py', '/docs/empty.txt', '/music/song.mp3']],
+        ['size>=4MB', ['/music/song.mp3', '/photos/canon.jpg']],
+        ['size=0', ['/docs/empty.txt']],
+        ['modified=2024-01-15', ['/photos/canon.jpg']],
+        ['modified>2024-01-15', ['/code/app.py', '/docs/empty.txt', '/photos/phone.png']],
+        ['modified<=2024-01-15', ['/music/song.mp3', '/photos/canon.jpg', '/photos/été.jpg']],
+        ['created<2024-01-01T00:00:00Z', ['/music/song.mp3', '/photos/phone.png', '/photos/été.jpg']],
+        ['importance>0.5', ['/photos/canon.jpg']],
+        ['image.width>=3000', ['/photos/canon.jpg']],
+        ['exif.make="apple"', ['/photos/phone.png']],
+        ['exif.make!=Canon', ['/code/app.py', '/docs/empty.txt', '/music/song.mp3', '/photos/phone.png', '/photos/été.jpg']],
+        ['exif.model~r5', ['/photos/canon.jpg']],
+        ['exif.dateTime=2024-01-15', ['/photos/canon.jpg']],
+        ['exif.gps=null', ['/code/app.py', '/docs/empty.txt', '/music/song.mp3', '/photos/phone.png', '/photos/été.jpg']],
+        ['exif.gps!=null', ['/photos/canon.jpg']],
+        ['audio.tags.genre=jazz', ['/music/song.mp3']],
+        ['audio.tags.composer in ("bill evans", "john coltrane")', ['/music/song.mp3']],
+        ['audio.tags.composer~davis', ['/music/song.mp3']],
+        ['audio.tags.year<1960', ['/music/song.mp3']],
+        ['audio.tags.year="1959"', []],
+        ['audio.duration>200', ['/music/song.mp3']],
+        ['code.language=python and code.complexity>50', ['/code/app.py']],
+        ['code.hasTests=true', ['/code/app.py']],
+        ['tags=jazz', ['/music/song.mp3']],
+        ['tags~port', ['/photos/canon.jpg']],
+        ['tags=null', ['/code/app.py', '/docs/empty.txt', '/photos/phone.png']],
+        ['not tags in (vacation, jazz)', ['/code/app.py', '/docs/empty.txt', '/photos/phone.png', '/photos/été.jpg']],
+        ['city=porto', ['/photos/canon.jpg']],
+        ['countryCode!=PT', ['/code/app.py', '/docs/empty.txt', '/music/song.mp3', '/photos/phone.png', '/photos/été.jpg']],
+        ['category=image and (size<1MB or exif.make=Canon)', ['/photos/canon.jpg', '/photos/phone.png', '/photos/été.jpg']],
+        ['not (category=image or category=audio)', ['/code/app.py', '/docs/empty.txt']],
+        ['name="Été à PARIS.jpg"', ['/photos/été.jpg']],
+        ['name="été à paris.jpg"', []],
+        ['name~"été"', []],
+        ['name~"Été à"', ['/photos/été.jpg']],
+        ['exif.make="éclair"', []],
+        ['exif.make="Éclair"', ['/photos/été.jpg']],
+        ['tags in ("ÉTÉ", "été")', []],
+        ['tags="Été"', ['/photos/été.jpg']]
+    ])('%s', (text, expected) => {
+        expect(sqlMatches(text)).toEqual(expected);
+        expect(predicateMatches(text)).toEqual(expected);
+    });
+
+    test('applies a table alias', () => {
+        const { sql } = queryLanguage.toSQL('size>1 and tags=a', 'f.');
+
+        expect(sql).toContain('f.size');
+        expect(sql).toContain('qt.file_id = f.id');
+        expect(sql).not.toContain('files.');
+    });
+});